@@ -9,6 +9,13 @@ export interface BackupOptions {
     minIntervalMinutes?: number;  // Minimum time since last backup
 }
 
+export interface BackupEntry {
+    name: string;
+    path: string;
+    date: Date;
+    label: 'backup' | 'conflict' | 'autosave';
+}
+
 export class BackupManager {
     private _backupTimer: NodeJS.Timer | null = null;
     private _lastBackupTime: Date | null = null;
@@ -351,48 +358,69 @@ export class BackupManager {
 
     /**
      * Get list of available backups for a document
+     * Includes timestamped backups, conflict copies and the autosave file, newest first
      */
-    public getBackupList(document: vscode.TextDocument): Array<{name: string, path: string, date: Date}> {
+    public getBackupList(document: vscode.TextDocument): BackupEntry[] {
         try {
             const originalPath = document.uri.fsPath;
-            const dir = path.dirname(originalPath);
             const basename = path.basename(originalPath, '.md');
-            
+            const escapedBasename = basename.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
             // Match backup files (with timestamp) and autosave file (without timestamp)
             // This includes: .basename-backup-YYYYMMDDTHHmmss.md, .basename-conflict-YYYYMMDDTHHmmss.md, .basename-autosave.md
-            const backupPattern = new RegExp(`^\\.${basename.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}-(backup|conflict)-(\\d{8}T\\d{6})\\.md$`);
-            const autosavePattern = new RegExp(`^\\.${basename.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}-autosave\\.md$`);
-            
-            const files = fs.readdirSync(dir);
-            const backups = files
-                .filter(file => backupPattern.test(file))
-                .map(file => {
+            const backupPattern = new RegExp(`^\\.${escapedBasename}-(backup|conflict)-(\\d{8}T\\d{6})\\.md$`);
+            const autosavePattern = new RegExp(`^\\.${escapedBasename}-autosave\\.md$`);
+
+            // Conflict copies are always written next to the board, backups may be in the workspace folder
+            const backupDirs = [path.dirname(originalPath)];
+            if (configService.getConfig('backupLocation', 'same-folder') === 'workspace-folder') {
+                const workspaceFolder = vscode.workspace.getWorkspaceFolder(document.uri);
+                if (workspaceFolder) {
+                    backupDirs.push(path.join(workspaceFolder.uri.fsPath, '.kanban-backups'));
+                }
+            }
+
+            const backups: BackupEntry[] = [];
+            for (const dir of backupDirs) {
+                if (!fs.existsSync(dir)) {
+                    continue;
+                }
+
+                for (const file of fs.readdirSync(dir)) {
+                    const filePath = path.join(dir, file);
                     const match = file.match(backupPattern);
-                    if (!match) {return null;}
-
-                    const backupType = match[1]; // backup or auto
-                    const timestamp = match[2]; // YYYYMMDDTHHmmss
-
-                    // Parse date from timestamp
-                    const year = parseInt(timestamp.substring(0, 4));
-                    const month = parseInt(timestamp.substring(4, 6)) - 1;
-                    const day = parseInt(timestamp.substring(6, 8));
-                    const hours = parseInt(timestamp.substring(9, 11)); // Skip 'T'
-                    const minutes = parseInt(timestamp.substring(11, 13));
-                    const seconds = parseInt(timestamp.substring(13, 15));
-
-                    const date = new Date(year, month, day, hours, minutes, seconds);
-                    
-                    return {
-                        name: file,
-                        path: path.join(dir, file),
-                        date: date
-                    };
-                })
-                .filter(item => item !== null)
-                .sort((a, b) => b!.date.getTime() - a!.date.getTime());
-            
-            return backups as Array<{name: string, path: string, date: Date}>;
+
+                    if (match) {
+                        const label = match[1] as 'backup' | 'conflict';
+                        const timestamp = match[2]; // YYYYMMDDTHHmmss
+
+                        // Parse date from timestamp
+                        const year = parseInt(timestamp.substring(0, 4));
+                        const month = parseInt(timestamp.substring(4, 6)) - 1;
+                        const day = parseInt(timestamp.substring(6, 8));
+                        const hours = parseInt(timestamp.substring(9, 11)); // Skip 'T'
+                        const minutes = parseInt(timestamp.substring(11, 13));
+                        const seconds = parseInt(timestamp.substring(13, 15));
+
+                        backups.push({
+                            name: file,
+                            path: filePath,
+                            date: new Date(year, month, day, hours, minutes, seconds),
+                            label: label
+                        });
+                    } else if (autosavePattern.test(file)) {
+                        // The autosave file is overwritten in place, its modification time is the date
+                        backups.push({
+                            name: file,
+                            path: filePath,
+                            date: fs.statSync(filePath).mtime,
+                            label: 'autosave'
+                        });
+                    }
+                }
+            }
+
+            return backups.sort((a, b) => b.date.getTime() - a.date.getTime());
         } catch (error) {
             console.error('Failed to get backup list:', error);
             return [];
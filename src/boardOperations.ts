@@ -1,8 +1,30 @@
 import { KanbanBoard, KanbanColumn, KanbanTask } from './markdownParser';
 import { IdGenerator } from './utils/idGenerator';
+import { getChecklistProgress } from './utils/checklistUtils';
+import { GatherPredicate, PRIORITY_ORDER, createGatherCard, extractPersonNames, getPriority, parseGatherExpression } from './utils/gatherExpression';
+import { extractDate, extractTime, getTodayString, isWithinDays, isOverdue } from './utils/dateUtils';
+import { stampCardMove, getMoveColumnName } from './utils/cardAgingUtils';
+
+export interface SortMove {
+    taskId: string;
+    title: string;
+    fromColumnId: string;
+    fromColumn: string; // Column title without tags
+    toColumnId: string;
+    toColumn: string;
+}
+
+export interface ColumnSortMode {
+    key: 'date' | 'name' | 'priority' | 'person' | 'open' | 'original' | 'category';
+    // customTagCategories name, lowercase
+    category?: string;
+    descending: boolean;
+}
 
 export class BoardOperations {
     private _originalTaskOrder: Map<string, string[]> = new Map();
+    // Date format of the board being sorted (Obsidian `date-format` setting)
+    private _dateFormat: string | undefined;
 
     private generateId(type: 'column' | 'task', parentId?: string): string {
         // Use new UUID-based ID system for consistency
@@ -39,7 +61,11 @@ export class BoardOperations {
     }
 
     // Task operations
-    public moveTask(board: KanbanBoard, taskId: string, fromColumnId: string, toColumnId: string, newIndex: number): boolean {
+    /**
+     * @param trackMove - Append a `<!-- moved:date col:Name -->` token when the card changes columns
+     *                    (`trackCardMoves` setting, see utils/cardAgingUtils)
+     */
+    public moveTask(board: KanbanBoard, taskId: string, fromColumnId: string, toColumnId: string, newIndex: number, trackMove: boolean = false): boolean {
         const fromColumn = this.findColumn(board, fromColumnId);
         const toColumn = this.findColumn(board, toColumnId);
 
@@ -50,6 +76,9 @@ export class BoardOperations {
 
         const task = fromColumn.tasks.splice(taskIndex, 1)[0];
         toColumn.tasks.splice(newIndex, 0, task);
+        if (trackMove && fromColumn !== toColumn) {
+            task.description = stampCardMove(task.description, toColumn.title);
+        }
         return true;
     }
 
@@ -63,7 +92,13 @@ export class BoardOperations {
             description: taskData.description || ''
         };
 
-        column.tasks.push(newTask);
+        // The Obsidian board setting decides whether new cards go to the top or bottom
+        const insertionMethod = board.settings?.['new-card-insertion-method'];
+        if (insertionMethod === 'prepend' || insertionMethod === 'prepend-compact') {
+            column.tasks.unshift(newTask);
+        } else {
+            column.tasks.push(newTask);
+        }
         return true;
     }
 
@@ -113,6 +148,15 @@ export class BoardOperations {
         if (taskData.displayTitle !== undefined && task.includeMode) {
             task.displayTitle = taskData.displayTitle;
         }
+        if (taskData.completed !== undefined) {
+            // Checkbox state is always sent together, a missing status means a plain [ ] / [x]
+            task.completed = taskData.completed;
+            if (taskData.checkboxStatus) {
+                task.checkboxStatus = taskData.checkboxStatus;
+            } else {
+                delete task.checkboxStatus;
+            }
+        }
 
         return true;
     }
@@ -128,7 +172,9 @@ export class BoardOperations {
             includeMode: result.task.includeMode,
             includeFiles: result.task.includeFiles ? [...result.task.includeFiles] : undefined,
             originalTitle: result.task.originalTitle,
-            displayTitle: result.task.displayTitle
+            displayTitle: result.task.displayTitle,
+            completed: result.task.completed,
+            checkboxStatus: result.task.checkboxStatus
         };
 
         result.column.tasks.splice(result.index + 1, 0, newTask);
@@ -201,7 +247,7 @@ export class BoardOperations {
         return true;
     }
 
-    public moveTaskToColumn(board: KanbanBoard, taskId: string, fromColumnId: string, toColumnId: string): boolean {
+    public moveTaskToColumn(board: KanbanBoard, taskId: string, fromColumnId: string, toColumnId: string, trackMove: boolean = false): boolean {
         const fromColumn = this.findColumn(board, fromColumnId);
         const toColumn = this.findColumn(board, toColumnId);
 
@@ -212,6 +258,9 @@ export class BoardOperations {
 
         const task = fromColumn.tasks.splice(taskIndex, 1)[0];
         toColumn.tasks.push(task);
+        if (trackMove && fromColumn !== toColumn) {
+            task.description = stampCardMove(task.description, toColumn.title);
+        }
         return true;
     }
 
@@ -324,38 +373,36 @@ export class BoardOperations {
         return true;
     }
 
-    public sortColumn(board: KanbanBoard, columnId: string, sortType: 'unsorted' | 'title'): boolean {
+    /**
+     * Sorts the cards of a column once
+     * @param sortType - A sort mode as written in #sort- tags (see parseSortMode),
+     *                   'unsorted' (original order) and 'title' are kept for older menus
+     * @param tagCategories - customTagCategories setting, for bycategory-<name>
+     */
+    public sortColumn(board: KanbanBoard, columnId: string, sortType: string, tagCategories: { [category: string]: any } = {}): boolean {
         const column = this.findColumn(board, columnId);
-        if (!column) {return false;}
+        const mode = this.parseSortMode(sortType === 'unsorted' ? 'byoriginal' : sortType === 'title' ? 'byname' : sortType);
+        if (!column || !mode) {return false;}
 
-        if (sortType === 'title') {
-            column.tasks.sort((a, b) => {
-                const titleA = a.title || '';
-                const titleB = b.title || '';
-                return titleA.localeCompare(titleB);
-            });
-        } else if (sortType === 'unsorted') {
-            const originalOrder = this._originalTaskOrder.get(columnId);
-            if (originalOrder) {
-                const taskMap = new Map(column.tasks.map(t => [t.id, t]));
-                column.tasks = [];
-                
-                originalOrder.forEach(taskId => {
-                    const task = taskMap.get(taskId);
-                    if (task) {
-                        column.tasks.push(task);
-                        taskMap.delete(taskId);
-                    }
-                });
-                
-                taskMap.forEach(task => {
-                    column.tasks.push(task);
-                });
-            }
-        }
+        this._dateFormat = board.settings?.['date-format'];
+        this.sortColumnByMode(column, mode, tagCategories);
         return true;
     }
 
+    /**
+     * Replaces the #sort- tags of a column title, so the automatic sort keeps the column sorted,
+     * and sorts the column right away
+     * @param sortType - Sort mode for the tag, empty to remove the tag
+     */
+    public setColumnSortTag(board: KanbanBoard, columnId: string, sortType: string, tagCategories: { [category: string]: any } = {}): boolean {
+        const column = this.findColumn(board, columnId);
+        if (!column || (sortType && !this.parseSortMode(sortType))) {return false;}
+
+        const title = column.title.replace(/(^|\s)#sort-[a-zA-Z0-9_-]+/g, '').replace(/\s+/g, ' ').trim();
+        column.title = sortType ? `${title} #sort-${sortType}` : title;
+        return sortType ? this.sortColumn(board, columnId, sortType, tagCategories) : true;
+    }
+
     public reorderColumns(board: KanbanBoard, newOrder: string[], movedColumnId: string, targetRow: number): boolean {
         // Find the moved column
         const movedColumn = this.findColumn(board, movedColumnId);
@@ -449,6 +496,79 @@ export class BoardOperations {
         return true;
     }
 
+    // Archive operations (Obsidian `***` + `## Archive` section)
+    public archiveTask(board: KanbanBoard, taskId: string, columnId: string): boolean {
+        const result = this.findTask(board, columnId, taskId);
+        if (!result) {return false;}
+
+        result.column.tasks.splice(result.index, 1);
+        this.addToArchive(board, [result.task]);
+        return true;
+    }
+
+    public archiveDoneTasks(board: KanbanBoard, columnId: string): boolean {
+        const column = this.findColumn(board, columnId);
+        if (!column) {return false;}
+
+        const doneTasks = column.tasks.filter(task => task.completed);
+        if (doneTasks.length === 0) {return false;}
+
+        column.tasks = column.tasks.filter(task => !task.completed);
+        this.addToArchive(board, doneTasks);
+        return true;
+    }
+
+    public unarchiveTask(board: KanbanBoard, taskId: string, columnId?: string): boolean {
+        if (!board.archive) {return false;}
+
+        const taskIndex = board.archive.findIndex(task => task.id === taskId);
+        if (taskIndex === -1) {return false;}
+
+        // Restore into the given column, otherwise into the first column that is not an include
+        const column = (columnId ? this.findColumn(board, columnId) : undefined) ||
+            board.columns.find(col => !col.includeMode);
+        if (!column) {return false;}
+
+        const [task] = board.archive.splice(taskIndex, 1);
+        column.tasks.push(task);
+        return true;
+    }
+
+    private addToArchive(board: KanbanBoard, tasks: KanbanTask[]): void {
+        if (!board.archive) {
+            board.archive = [];
+        }
+
+        const settings = board.settings;
+        if (settings?.['archive-with-date']) {
+            const dateFormat = settings['archive-date-format'] || 'YYYY-MM-DD HH:mm';
+            const separator = settings['archive-date-separator'] || '';
+            const archiveDate = this.formatArchiveDate(new Date(), dateFormat);
+            for (const task of tasks) {
+                const parts = settings['append-archive-date'] ?
+                    [task.title, separator, archiveDate] :
+                    [archiveDate, separator, task.title];
+                task.title = parts.filter(part => part).join(' ');
+            }
+        }
+
+        board.archive.push(...tasks);
+    }
+
+    // Supports the moment.js tokens used by the Obsidian archive date format
+    private formatArchiveDate(date: Date, format: string): string {
+        const pad = (value: number) => String(value).padStart(2, '0');
+        const tokens: { [token: string]: string } = {
+            YYYY: String(date.getFullYear()),
+            MM: pad(date.getMonth() + 1),
+            DD: pad(date.getDate()),
+            HH: pad(date.getHours()),
+            mm: pad(date.getMinutes()),
+            ss: pad(date.getSeconds())
+        };
+        return format.replace(/YYYY|MM|DD|HH|mm|ss/g, token => tokens[token]);
+    }
+
     // Helper method to extract row number from column title
     public getColumnRow(column: KanbanColumn): number {
         if (!column.title) {return 1;}
@@ -492,37 +612,9 @@ export class BoardOperations {
         return modified;
     }
 
+    // Date forms and the board date format are handled in utils/dateUtils.ts
     private extractDate(text: string, dateType: string = 'due'): string | null {
-        if (!text) {return null;}
-        
-        // Match shorthand format @YYYY-MM-DD or @DD-MM-YYYY (assumes it's a due date)
-        if (dateType === 'due') {
-            const shortMatch = text.match(/@(\d{4}-\d{2}-\d{2}|\d{2}-\d{2}-\d{4})(?:\s|$)/);
-            if (shortMatch) {
-                const dateStr = shortMatch[1];
-                // Convert DD-MM-YYYY to YYYY-MM-DD for comparison
-                if (dateStr.match(/^\d{2}-\d{2}-\d{4}$/)) {
-                    const parts = dateStr.split('-');
-                    return `${parts[2]}-${parts[1]}-${parts[0]}`;
-                }
-                return dateStr;
-            }
-        }
-        
-        // Match typed format @type:date (e.g., @due:2025-03-27, @done:2025-03-27)
-        const typedRegex = new RegExp(`@${dateType}:(\\d{4}-\\d{2}-\\d{2}|\\d{2}-\\d{2}-\\d{4})(?:\\s|$)`);
-        const typedMatch = text.match(typedRegex);
-        if (typedMatch) {
-            const dateStr = typedMatch[1];
-            // Convert DD-MM-YYYY to YYYY-MM-DD for comparison
-            if (dateStr.match(/^\d{2}-\d{2}-\d{4}$/)) {
-                const parts = dateStr.split('-');
-                return `${parts[2]}-${parts[1]}-${parts[0]}`;
-            }
-            return dateStr;
-        }
-        
-        return null;
+        return extractDate(text, dateType, this._dateFormat);
     }
 
     private hasSticky(text: string): boolean {
@@ -530,54 +622,58 @@ export class BoardOperations {
         return /@sticky(?:\s|$)/.test(text);
     }
 
-    // Add this method to extract person names from text
+    // Person names are shared with the gather expressions (utils/gatherExpression.ts)
     private extractPersonNames(text: string): string[] {
-        if (!text) {return [];}
-        const matches = text.match(/@([a-zA-Z0-9_&-]+)/g) || [];
-        // Filter out dates
-        return matches
-            .map(m => m.substring(1))
-            .filter(m => !m.match(/^\d{4}-\d{2}-\d{2}$/) && !m.match(/^\d{2}-\d{2}-\d{4}$/));
+        return extractPersonNames(text);
     }
 
-    // Add this method to get today's date in YYYY-MM-DD format
+    // Due date checks are shared with the board statistics (utils/dateUtils.ts)
     private getTodayString(): string {
-        const today = new Date();
-        const year = today.getFullYear();
-        const month = String(today.getMonth() + 1).padStart(2, '0');
-        const day = String(today.getDate()).padStart(2, '0');
-        return `${year}-${month}-${day}`;
+        return getTodayString();
     }
 
-    // Add this method to check if a date is within N days
     private isWithinDays(dateStr: string, days: number): boolean {
-        const date = new Date(dateStr);
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        const futureDate = new Date(today);
-        futureDate.setDate(futureDate.getDate() + days);
-        
-        return date >= today && date <= futureDate;
+        return isWithinDays(dateStr, days);
     }
 
-    // Add this method to check if a date is overdue
     private isOverdue(dateStr: string): boolean {
-        const date = new Date(dateStr);
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        date.setHours(0, 0, 0, 0);
-        
-        return date < today;
+        return isOverdue(dateStr);
     }
 
 
 
 
 
-    // Main sort method
-    public performAutomaticSort(board: KanbanBoard): boolean {
-        if (!board || !board.columns) {return false;}
-        
+    /**
+     * Cards the automatic sort would move, without changing the board (sort preview)
+     */
+    public getAutomaticSortPlan(board: KanbanBoard): SortMove[] {
+        if (!board || !board.columns) {return [];}
+
+        const moves: SortMove[] = [];
+        this.getSortDestinations(board).forEach((targetColumn, taskId) => {
+            const sourceColumn = board.columns.find(column => column.tasks.some(task => task.id === taskId));
+            const task = sourceColumn?.tasks.find(t => t.id === taskId);
+            if (sourceColumn && task && sourceColumn.id !== targetColumn.id) {
+                moves.push({
+                    taskId,
+                    title: task.title,
+                    fromColumnId: sourceColumn.id,
+                    fromColumn: getMoveColumnName(sourceColumn.title) || sourceColumn.title,
+                    toColumnId: targetColumn.id,
+                    toColumn: getMoveColumnName(targetColumn.title) || targetColumn.title
+                });
+            }
+        });
+        return moves;
+    }
+
+    /**
+     * Destination column of every card matched by a #gather_ or #ungathered rule
+     */
+    private getSortDestinations(board: KanbanBoard): Map<string, KanbanColumn> {
+        this._dateFormat = board.settings?.['date-format'];
+
         // Track sticky tasks that shouldn't move
         const stickyTasks = new Set<string>();
         
@@ -594,7 +690,7 @@ export class BoardOperations {
         // Collect gather rules separated by type
         const gatherRules: Array<{
             column: KanbanColumn,
-            expression: string
+            matches: GatherPredicate
         }> = [];
         
         const ungatheredRules: Array<{
@@ -606,7 +702,7 @@ export class BoardOperations {
             if (!column.title) {return;}
             
             // Extract gather and ungathered tags
-            const matches = column.title.match(/#(gather_[a-zA-Z0-9_&|=><!\-]+|ungathered)/g) || [];
+            const matches = column.title.match(/#(gather_\S+|ungathered)/g) || [];
             matches.forEach(match => {
                 const tag = match.substring(1);
                 if (tag === 'ungathered') {
@@ -614,10 +710,14 @@ export class BoardOperations {
                     ungatheredRules.push({ column: column });
                 } else if (tag.startsWith('gather_')) {
                     // Regular gather rules
-                    gatherRules.push({
-                        column: column,
-                        expression: tag.substring(7)
-                    });
+                    try {
+                        gatherRules.push({
+                            column: column,
+                            matches: parseGatherExpression(tag.substring(7))
+                        });
+                    } catch {
+                        // Malformed rules are skipped, the column header shows the error
+                    }
                 }
             });
         });
@@ -635,14 +735,11 @@ export class BoardOperations {
                     return;
                 }
                 
-                const taskText = `${task.title || ''} ${task.description || ''}`;
-                const taskDate = this.extractDate(taskText);
-                const personNames = this.extractPersonNames(taskText);
+                const card = createGatherCard(task, sourceColumn.title, this._dateFormat);
                 
                 // Check against each gather rule in order (first match wins)
                 for (const rule of gatherRules) {
-                    const evaluator = this.parseGatherExpression(rule.expression);
-                    if (evaluator(taskText, taskDate, personNames)) {
+                    if (rule.matches(card)) {
                         cardDestinations.set(task.id, rule.column);
                         matchedCards.add(task.id);
                         break; // First match wins
@@ -678,7 +775,16 @@ export class BoardOperations {
                 });
             });
         }
-        
+
+        return cardDestinations;
+    }
+
+    // Main sort method
+    public performAutomaticSort(board: KanbanBoard, tagCategories: { [category: string]: any } = {}): boolean {
+        if (!board || !board.columns) {return false;}
+
+        const cardDestinations = this.getSortDestinations(board);
+
         // Now move all cards to their destinations
         cardDestinations.forEach((targetColumn, taskId) => {
             // Find the task and its current column
@@ -707,13 +813,11 @@ export class BoardOperations {
         board.columns.forEach(column => {
             if (!column.title) {return;}
             
-            const sortMatches = column.title.match(/#sort-([a-zA-Z]+)/g) || [];
+            const sortMatches = column.title.match(/#sort-([a-zA-Z0-9_-]+)/g) || [];
             sortMatches.forEach(match => {
-                const sortType = match.substring(6); // Remove '#sort-' prefix
-                if (sortType === 'bydate') {
-                    this.sortColumnByDate(column);
-                } else if (sortType === 'byname') {
-                    this.sortColumnByName(column);
+                const mode = this.parseSortMode(match.substring(6)); // Remove '#sort-' prefix
+                if (mode) {
+                    this.sortColumnByMode(column, mode, tagCategories);
                 }
             });
         });
@@ -721,177 +825,69 @@ export class BoardOperations {
         return true;
     }
 
+    /**
+     * Evaluates a filter bar query without moving any card
+     * Terms are space separated and all have to match, e.g. `#bug @alice due<7 -#done "some text"`:
+     * #tag, @person, `-` negates a term, terms with gather operators (<>=!~&|) use the
+     * gather grammar (utils/gatherExpression.ts), other words match the card text
+     * @returns ids of the cards that do not match, the number of matching cards and the
+     *          error of the first malformed term, malformed terms are ignored
+     */
+    public filterTasks(board: KanbanBoard, query: string): { hiddenTaskIds: string[]; matchCount: number; total: number; error?: string } {
+        const result: { hiddenTaskIds: string[]; matchCount: number; total: number; error?: string } = { hiddenTaskIds: [], matchCount: 0, total: 0 };
+        if (!board || !board.columns) {return result;}
+
+        this._dateFormat = board.settings?.['date-format'];
+
+        const terms = (query || '').match(/-?(?:[^\s"]*"[^"]*")+[^\s"]*|\S+/g) || [];
+        const predicates: GatherPredicate[] = [];
+        terms.forEach(term => {
+            try {
+                predicates.push(this.parseFilterTerm(term));
+            } catch (error) {
+                result.error = result.error || `${term}: ${(error as Error).message}`;
+            }
+        });
 
+        board.columns.forEach(column => {
+            column.tasks.forEach(task => {
+                const card = createGatherCard(task, column.title, this._dateFormat);
 
-    // Parse gather expression into an evaluator function
-    private parseGatherExpression(expr: string): (taskText: string, taskDate: string | null, personNames: string[]) => boolean {
-        // Remove extra spaces and normalize
-        expr = expr.trim();
-        
-        // Handle OR expressions (lowest precedence)
-        if (expr.includes('|')) {
-            const parts = this.splitByOperator(expr, '|');
-            const subEvaluators = parts.map(part => this.parseGatherExpression(part));
-            return (taskText, taskDate, personNames) => {
-                return subEvaluators.some(evaluator => evaluator(taskText, taskDate, personNames));
-            };
-        }
-        
-        // Handle AND expressions (higher precedence)
-        if (expr.includes('&')) {
-            const parts = this.splitByOperator(expr, '&');
-            const subEvaluators = parts.map(part => this.parseGatherExpression(part));
-            return (taskText, taskDate, personNames) => {
-                return subEvaluators.every(evaluator => evaluator(taskText, taskDate, personNames));
-            };
-        }
-        
-        // Handle NOT operator
-        if (expr.startsWith('!')) {
-            const subEvaluator = this.parseGatherExpression(expr.substring(1));
-            return (taskText, taskDate, personNames) => !subEvaluator(taskText, taskDate, personNames);
-        }
-        
-        // Handle inequality operators (!=)
-        if (expr.includes('!=')) {
-            const parts = expr.split('!=');
-            if (parts.length === 2) {
-                const [property, value] = parts.map(p => p.trim());
-                return this.createComparisonEvaluator(property, '!=', value);
-            }
-        }
-        
-        // Handle comparison expressions: property<value, property>value, property=value
-        const comparisonMatch = expr.match(/^([a-zA-Z0-9_-]+)([<>=])(.+)$/);
-        if (comparisonMatch) {
-            const [, property, operator, value] = comparisonMatch;
-            return this.createComparisonEvaluator(property.trim(), operator, value.trim());
-        }
-        
-        // Handle range expressions like 0<day, day<3
-        const rangeMatch = expr.match(/^(-?\d+)([<>])([a-zA-Z]+)$/);
-        if (rangeMatch) {
-            const [, value, operator, property] = rangeMatch;
-            // Flip operator for reverse notation
-            const flippedOp = operator === '<' ? '>' : '<';
-            return this.createComparisonEvaluator(property.trim(), flippedOp, value.trim());
-        }
-        
-        // Default: treat as person name
-        return (taskText, taskDate, personNames) => {
-            return personNames.map(p => p.toLowerCase()).includes(expr.toLowerCase());
-        };
+                result.total++;
+                if (predicates.every(predicate => predicate(card))) {
+                    result.matchCount++;
+                } else {
+                    result.hiddenTaskIds.push(task.id);
+                }
+            });
+        });
+
+        return result;
     }
 
-    // Add helper method to split by operator respecting nesting
-    private splitByOperator(expr: string, operator: string): string[] {
-        const parts: string[] = [];
-        let current = '';
-        let depth = 0;
-        
-        for (let i = 0; i < expr.length; i++) {
-            const char = expr[i];
-            
-            if (char === '(') {depth++;}
-            else if (char === ')') {depth--;}
-            else if (char === operator && depth === 0) {
-                if (current.trim()) {
-                    parts.push(current.trim());
-                    current = '';
-                    continue;
-                }
-            }
-            current += char;
-        }
-        
-        if (current.trim()) {
-            parts.push(current.trim());
+    // Translate one filter bar term into a gather predicate
+    private parseFilterTerm(term: string): GatherPredicate {
+        // Leading - negates, except for reverse ranges like -3<day
+        if (/^-[^\d]/.test(term)) {
+            const predicate = this.parseFilterTerm(term.substring(1));
+            return card => !predicate(card);
         }
-        
-        return parts;
-    }
 
+        // Quoted text
+        const quoted = term.match(/^"([^"]*)"$/);
+        if (quoted) {
+            const text = quoted[1].toLowerCase();
+            return card => card.text.toLowerCase().includes(text);
+        }
 
-    // In boardOperations.ts, replace the createComparisonEvaluator method:
-    private createComparisonEvaluator(property: string, operator: string, value: string): 
-        (taskText: string, taskDate: string | null, personNames: string[]) => boolean {
-        
-        // List of date-related properties
-        const dateProperties = ['dayoffset', 'day', 'weekday', 'weekdaynum', 'month', 'monthnum'];
-        const isDateProperty = dateProperties.includes(property.toLowerCase());
-        
-        if (isDateProperty) {
-            return (taskText: string, taskDate: string | null, personNames: string[]) => {
-                if (!taskDate) {return false;}
-                
-                const propValue = this.getDatePropertyValue(property.toLowerCase(), taskDate);
-                if (propValue === null) {return false;}
-                
-                // For weekday string comparison
-                if (property.toLowerCase() === 'weekday') {
-                    const weekdays = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
-                    if (weekdays.includes(value.toLowerCase())) {
-                        if (operator === '=') {return propValue === value.toLowerCase();}
-                        if (operator === '!=') {return propValue !== value.toLowerCase();}
-                        return false;
-                    }
-                    // If value is a number, convert weekday to number
-                    const weekdayNum = weekdays.indexOf(propValue as string);
-                    const numValue = parseInt(value);
-                    if (!isNaN(numValue)) {
-                        switch (operator) {
-                            case '=': return weekdayNum === numValue;
-                            case '!=': return weekdayNum !== numValue;
-                            case '<': return weekdayNum < numValue;
-                            case '>': return weekdayNum > numValue;
-                            default: return false;
-                        }
-                    }
-                }
-                
-                // For month string comparison
-                if (property.toLowerCase() === 'month') {
-                    const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
-                    if (months.includes(value.toLowerCase())) {
-                        const monthNum = (propValue as number) - 1; // propValue is 1-12, array is 0-11
-                        const targetMonth = months.indexOf(value.toLowerCase()) + 1;
-                        switch (operator) {
-                            case '=': return (propValue as number) === targetMonth;
-                            case '!=': return (propValue as number) !== targetMonth;
-                            case '<': return (propValue as number) < targetMonth;
-                            case '>': return (propValue as number) > targetMonth;
-                            default: return false;
-                        }
-                    }
-                }
-                
-                // For numeric comparisons
-                const numValue = parseInt(value);
-                const numPropValue = typeof propValue === 'number' ? propValue : parseInt(propValue as string);
-                
-                switch (operator) {
-                    case '=': return numPropValue === numValue;
-                    case '!=': return numPropValue !== numValue;
-                    case '<': return numPropValue < numValue;
-                    case '>': return numPropValue > numValue;
-                    default: return false;
-                }
-            };
-        } else {
-            // Treat property as a person name check
-            return (taskText: string, taskDate: string | null, personNames: string[]) => {
-                const hasPersonName = personNames.map(p => p.toLowerCase()).includes(property.toLowerCase());
-                
-                switch (operator) {
-                    case '=':
-                        return value === '1' || value === 'true' ? hasPersonName : !hasPersonName;
-                    case '!=':
-                        return value === '1' || value === 'true' ? !hasPersonName : hasPersonName;
-                    default:
-                        return hasPersonName;
-                }
-            };
+        // Tags, persons and gather expressions
+        if (/^[#@]/.test(term) || /[<>=!~&|()]/.test(term)) {
+            return parseGatherExpression(term);
         }
+
+        // Any other word matches the card text
+        const text = term.toLowerCase();
+        return card => card.text.toLowerCase().includes(text);
     }
 
 
@@ -1044,68 +1040,80 @@ export class BoardOperations {
         return { baseTag, conditions };
     }
 
-    // Get date property value
-    private getDatePropertyValue(property: string, dateStr: string | null): number | string | null {
-        if (!dateStr) {return null;}
-        
-        const date = new Date(dateStr);
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        date.setHours(0, 0, 0, 0);
-        
-        switch (property) {
-            case 'dayoffset':
-            case 'day':
-                // Calculate days difference from today (can be negative for past dates)
-                const diffTime = date.getTime() - today.getTime();
-                return Math.round(diffTime / (1000 * 60 * 60 * 24));
-                
-            case 'weekday':
-                // Return day name (sun, mon, tue, wed, etc.)
-                const days = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
-                return days[date.getDay()];
-                
-            case 'weekdaynum':
-                // Return 1-7 where Monday = 1, Sunday = 7
-                const dayNum = date.getDay(); // 0 = Sunday
-                return dayNum === 0 ? 7 : dayNum;
-                
-            case 'month':
-                // Return month name (jan, feb, mar, etc.)
-                const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
-                return months[date.getMonth()];
-                
-            case 'monthnum':
-                // Return month number 1-12
-                return date.getMonth() + 1;
-                
-            default:
-                return null;
-        }
+    /**
+     * Reads a sort mode as written in #sort- column tags: bydate, byname, bypriority,
+     * byperson (first @person), byopen (open checklist items), byoriginal (order when the
+     * file was loaded) or bycategory-<customTagCategories name>, each with an optional
+     * -asc or -desc suffix, e.g. #sort-bypriority-desc
+     */
+    private parseSortMode(sortType: string): ColumnSortMode | null {
+        const match = (sortType || '').toLowerCase().match(/^by(date|name|priority|person|open|original|category-(.+?))(?:-(asc|desc))?$/);
+        if (!match) {return null;}
+        return {
+            key: (match[2] ? 'category' : match[1]) as ColumnSortMode['key'],
+            category: match[2],
+            descending: match[3] === 'desc'
+        };
     }
 
+    // Stable sort, cards without a value (no date, priority, person, ...) stay at the bottom in both directions
+    private sortColumnByMode(column: KanbanColumn, mode: ColumnSortMode, tagCategories: { [category: string]: any }): void {
+        const values = new Map(column.tasks.map(task => [task.id, this.getSortValue(task, column, mode, tagCategories)]));
 
-    // Sort column by date
-    private sortColumnByDate(column: KanbanColumn): void {
         column.tasks.sort((a, b) => {
-            const dateA = this.extractDate(`${a.title || ''} ${a.description || ''}`);
-            const dateB = this.extractDate(`${b.title || ''} ${b.description || ''}`);
-            
-            // Tasks without dates go to the bottom
-            if (!dateA && !dateB) {return 0;}
-            if (!dateA) {return 1;}
-            if (!dateB) {return -1;}
-            
-            return dateA.localeCompare(dateB);
+            const valueA = values.get(a.id);
+            const valueB = values.get(b.id);
+            if (valueA === null && valueB === null) {return 0;}
+            if (valueA === null) {return 1;}
+            if (valueB === null) {return -1;}
+
+            const compare = typeof valueA === 'number' && typeof valueB === 'number'
+                ? valueA - valueB
+                : String(valueA).localeCompare(String(valueB));
+            return mode.descending ? -compare : compare;
         });
     }
 
-    // Sort column by name
-    private sortColumnByName(column: KanbanColumn): void {
-        column.tasks.sort((a, b) => {
-            const titleA = a.title || '';
-            const titleB = b.title || '';
-            return titleA.localeCompare(titleB);
-        });
+    private getSortValue(task: KanbanTask, column: KanbanColumn, mode: ColumnSortMode, tagCategories: { [category: string]: any }): string | number | null {
+        const text = `${task.title || ''} ${task.description || ''}`;
+
+        switch (mode.key) {
+            case 'name':
+                return task.title || '';
+            case 'date': {
+                // Same day: tasks with a time (@@{HH:mm}) first, sorted by time
+                const date = this.extractDate(text);
+                return date ? `${date} ${extractTime(text) || '99:99'}` : null;
+            }
+            case 'priority': {
+                // Ascending is the most urgent first
+                const priority = getPriority(text);
+                return priority ? PRIORITY_ORDER.length - 1 - PRIORITY_ORDER.indexOf(priority) : null;
+            }
+            case 'person': {
+                for (const person of text.matchAll(/(?:^|\s)@([a-zA-Z][\w&-]*)(?=[\s.,;!?)]|$)/g)) {
+                    if (person[1].toLowerCase() !== 'sticky') {return person[1].toLowerCase();}
+                }
+                return null;
+            }
+            case 'open': {
+                const progress = getChecklistProgress(task.description);
+                return progress.total > 0 ? progress.total - progress.done : null;
+            }
+            case 'original': {
+                const index = (this._originalTaskOrder.get(column.id) || []).indexOf(task.id);
+                return index >= 0 ? index : null;
+            }
+            case 'category': {
+                // Position of the first tag of the category in the order of the setting
+                const categoryName = Object.keys(tagCategories || {}).find(name => name.toLowerCase() === mode.category);
+                const categoryTags = Object.keys((categoryName && tagCategories[categoryName]) || {}).map(tag => tag.toLowerCase());
+                for (const tag of text.matchAll(/(?:^|\s)#([a-zA-Z0-9_-]+)/g)) {
+                    const index = categoryTags.indexOf(tag[1].toLowerCase());
+                    if (index >= 0) {return index;}
+                }
+                return null;
+            }
+        }
     }
 }
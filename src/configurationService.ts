@@ -28,6 +28,12 @@ export interface KanbanConfiguration {
     tagVisibility: string;
     exportTagVisibility: boolean;
     showHtmlComments: boolean;
+    showCheckboxes: boolean;
+    enforceWipLimits: boolean;
+    trackCardMoves: boolean;
+    staleCardDays: number;
+    repeatTargetColumn: string;
+    scheduledSort: 'off' | 'apply' | 'preview';
     arrowKeyFocusScroll: string;
     // Marp configuration
     marp: {
@@ -61,6 +67,12 @@ export interface ConfigurationDefaults {
     tagVisibility: string;
     exportTagVisibility: boolean;
     showHtmlComments: boolean;
+    showCheckboxes: boolean;
+    enforceWipLimits: boolean;
+    trackCardMoves: boolean;
+    staleCardDays: number;
+    repeatTargetColumn: string;
+    scheduledSort: 'off' | 'apply' | 'preview';
     arrowKeyFocusScroll: string;
     // Marp configuration defaults
     marp: {
@@ -100,6 +112,12 @@ export class ConfigurationService {
         tagVisibility: 'visible',
         exportTagVisibility: true,
         showHtmlComments: false,
+        showCheckboxes: true,
+        enforceWipLimits: false,
+        trackCardMoves: false,
+        staleCardDays: 14,
+        repeatTargetColumn: '',
+        scheduledSort: 'off',
         arrowKeyFocusScroll: 'center',
         // Marp defaults
         marp: {
@@ -265,6 +283,14 @@ export class ConfigurationService {
         return config.get('customTagCategories', {});
     }
 
+    public async updateCustomTagCategories(
+        categories: { [key: string]: any },
+        target: vscode.ConfigurationTarget = vscode.ConfigurationTarget.Workspace
+    ): Promise<void> {
+        const config = vscode.workspace.getConfiguration(this.CONFIGURATION_SECTION);
+        await config.update('customTagCategories', categories, target);
+    }
+
     // Layout configuration
     public getLayoutConfiguration() {
         return {
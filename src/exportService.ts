@@ -3,16 +3,21 @@ import * as path from 'path';
 import * as fs from 'fs';
 import * as crypto from 'crypto';
 import { TagUtils, TagVisibility } from './utils/tagUtils';
-import { MarkdownKanbanParser } from './markdownParser';
+import { MarkdownKanbanParser, KanbanBoard, KanbanColumn, KanbanTask } from './markdownParser';
 import { PresentationParser } from './presentationParser';
 import { ContentPipelineService } from './services/ContentPipelineService';
 import { OperationOptionsBuilder, OperationOptions, FormatStrategy } from './services/OperationOptions';
 import { PathResolver } from './services/PathResolver';
 import { MarpConverter, MarpConversionOptions } from './services/MarpConverter';
 import { MarpExportService, MarpOutputFormat } from './services/MarpExportService';
+import { HtmlBoardExporter, HtmlBoardStyles } from './services/HtmlBoardExporter';
+import { CsvBoardConverter } from './services/CsvBoardConverter';
+import { JsonBoardConverter } from './services/JsonBoardConverter';
+import { IcsBoardExporter } from './services/IcsBoardExporter';
+import { createGatherCard, parseGatherExpression } from './utils/gatherExpression';
 
-export type ExportScope = 'full' | 'row' | 'stack' | 'column' | 'task';
-export type ExportFormat = 'keep' | 'kanban' | 'presentation' | 'marp-markdown' | 'marp-pdf' | 'marp-pptx' | 'marp-html';
+export type ExportScope = 'full' | 'row' | 'stack' | 'column' | 'task' | 'selection';
+export type ExportFormat = 'keep' | 'kanban' | 'presentation' | 'marp-markdown' | 'marp-pdf' | 'marp-pptx' | 'marp-html' | 'html-board' | 'csv' | 'tsv' | 'json' | 'ics' | 'ics-todo';
 
 export interface ExportOptions {
     targetFolder: string;
@@ -51,6 +56,7 @@ export interface UnifiedExportOptions {
         columnIndex?: number;
         taskId?: string;
         columnId?: string;
+        taskIds?: string[];  // Cards of the 'selection' scope (multi-selection in the webview)
     };
     // New export behavior options
     autoExportOnSave?: boolean;  // If true, automatically re-export when file is saved
@@ -58,6 +64,8 @@ export interface UnifiedExportOptions {
     marpTheme?: string;          // Marp theme (for Marp exports)
     marpBrowser?: string;        // Browser for Marp exports (chrome, edge, firefox, auto)
     marpPreview?: boolean;       // If true, add --preview flag for live preview
+    htmlBoard?: HtmlBoardStyles; // Webview styles for the 'html-board' format
+    gatherFilter?: string;       // Only export cards matching this gather expression, e.g. tag=bug&prio>medium
 }
 
 export interface AssetInfo {
@@ -1286,6 +1294,63 @@ export class ExportService {
         return tasks.length > 0 ? tasks[0] : null;
     }
 
+    /**
+     * Board markdown with only the selected cards, in their columns and board order
+     * Read from the current board instead of the file, the selection may contain unsaved cards
+     */
+    private static extractSelectionContent(board: KanbanBoard | undefined, taskIds?: string[]): string | null {
+        if (!board || !taskIds || taskIds.length === 0) {
+            return null;
+        }
+
+        const selected = new Set(taskIds);
+        return this.generateCardSubset(board, task => selected.has(task.id));
+    }
+
+    /**
+     * Board markdown with only the cards matching a gather expression (`gatherFilter` option),
+     * in their columns and board order. Columns without matching cards are left out.
+     * @throws GatherExpressionError if the expression is malformed
+     */
+    private static applyGatherFilter(content: string, sourcePath: string, expression?: string): string {
+        if (!expression || !expression.trim()) {
+            return content;
+        }
+
+        const predicate = parseGatherExpression(expression);
+        const { board } = MarkdownKanbanParser.parseMarkdown(this.ensureYamlFrontmatter(content), path.dirname(sourcePath));
+        const dateFormat = board.settings?.['date-format'];
+        const filtered = this.generateCardSubset(board, (task, column) => predicate(createGatherCard(task, column.title, dateFormat)));
+        if (filtered === null) {
+            throw new Error(`No cards match the export filter "${expression.trim()}"`);
+        }
+
+        return filtered;
+    }
+
+    /**
+     * Board markdown with only the cards kept by a callback, columns without kept cards are left out.
+     * Column includes become plain columns under their title without the include syntax,
+     * otherwise merging the includes would bring back the whole included file.
+     * @returns null if no card is kept
+     */
+    private static generateCardSubset(board: KanbanBoard, keep: (task: KanbanTask, column: KanbanColumn) => boolean): string | null {
+        const columns = board.columns
+            .map(column => ({
+                ...column,
+                title: column.includeMode ? (column.displayTitle || column.title.replace(/\s*!!!columninclude\([^)]+\)!!!/g, '').trim()) : column.title,
+                includeMode: false,
+                includeFiles: undefined,
+                tasks: column.tasks.filter(task => keep(task, column))
+            }))
+            .filter(column => column.tasks.length > 0);
+        if (columns.length === 0) {
+            return null;
+        }
+
+        return MarkdownKanbanParser.generateMarkdown({ ...board, columns, archive: undefined });
+    }
+
     /**
      * Convert presentation format to kanban format
      * For column includes and task includes that are in presentation format
@@ -1469,12 +1534,193 @@ export class ExportService {
         }
     }
 
+    /**
+     * File name suffix of a scoped export, with the row/stack/column indices
+     */
+    private static getScopeSuffix(options: UnifiedExportOptions): string {
+        if (options.scope === 'full') {
+            return '';
+        }
+
+        const parts: string[] = [];
+        if (options.selection.rowNumber !== undefined) {
+            parts.push(`row${options.selection.rowNumber}`);
+        }
+        if (options.selection.stackIndex !== undefined) {
+            parts.push(`stack${options.selection.stackIndex}`);
+        }
+        if (options.selection.columnIndex !== undefined) {
+            parts.push(`col${options.selection.columnIndex}`);
+        }
+
+        // If no indices specified, just use scope name
+        return parts.length === 0 ? `-${options.scope}` : `-${parts.join('-')}`;
+    }
+
+    /**
+     * Content with all include files merged in, for exports that are a single file
+     */
+    private static async mergeIncludedFiles(content: string, sourcePath: string): Promise<string> {
+        const { processedContent } = await this.processIncludedFiles(content, path.dirname(sourcePath), '', {
+            targetFolder: '',
+            includeFiles: true,
+            includeImages: false,
+            includeVideos: false,
+            includeOtherMedia: false,
+            includeDocuments: false,
+            fileSizeLimitMB: 100
+        }, new Set<string>([sourcePath]), false, true);
+        return processedContent;
+    }
+
+    /**
+     * Export as a CSV or TSV table with one row per card (formats 'csv' and 'tsv')
+     * Written to the target folder or returned as content when there is none.
+     */
+    private static async exportSpreadsheet(
+        content: string,
+        sourcePath: string,
+        options: UnifiedExportOptions
+    ): Promise<{ success: boolean; message: string; content?: string; exportedPath?: string }> {
+        const processedContent = this.ensureYamlFrontmatter(await this.mergeIncludedFiles(content, sourcePath));
+        const { board } = MarkdownKanbanParser.parseMarkdown(processedContent, path.dirname(sourcePath));
+        const table = CsvBoardConverter.toCsv(board, options.format === 'tsv' ? '\t' : ',', board.settings?.['date-format']);
+
+        if (!options.targetFolder) {
+            return { success: true, message: 'Content generated successfully', content: table };
+        }
+
+        if (!fs.existsSync(options.targetFolder)) {
+            fs.mkdirSync(options.targetFolder, { recursive: true });
+        }
+        const sourceBasename = path.basename(sourcePath, '.md');
+        const targetPath = path.join(options.targetFolder, `${sourceBasename}${this.getScopeSuffix(options)}.${options.format}`);
+        fs.writeFileSync(targetPath, table, 'utf8');
+
+        const cardCount = board.columns.reduce((count, column) => count + column.tasks.length, 0);
+        return {
+            success: true,
+            message: `Export completed! ${cardCount} cards written.`,
+            exportedPath: targetPath
+        };
+    }
+
+    /**
+     * Export as board JSON (format 'json', schemas/kanban-board.schema.json)
+     * Include files stay references, the file is written to the target folder
+     * or returned as content when there is none.
+     */
+    private static exportJson(
+        content: string,
+        sourcePath: string,
+        options: UnifiedExportOptions
+    ): { success: boolean; message: string; content?: string; exportedPath?: string } {
+        const { board } = MarkdownKanbanParser.parseMarkdown(this.ensureYamlFrontmatter(content), path.dirname(sourcePath));
+        const json = JSON.stringify(JsonBoardConverter.toJson(board, board.settings?.['date-format']), null, 2) + '\n';
+
+        if (!options.targetFolder) {
+            return { success: true, message: 'Content generated successfully', content: json };
+        }
+
+        if (!fs.existsSync(options.targetFolder)) {
+            fs.mkdirSync(options.targetFolder, { recursive: true });
+        }
+        const sourceBasename = path.basename(sourcePath, '.md');
+        const targetPath = path.join(options.targetFolder, `${sourceBasename}${this.getScopeSuffix(options)}.kanban.json`);
+        fs.writeFileSync(targetPath, json, 'utf8');
+
+        return {
+            success: true,
+            message: `Export completed! ${board.columns.length} lists written.`,
+            exportedPath: targetPath
+        };
+    }
+
+    /**
+     * Export dated cards as iCalendar events or to-dos (formats 'ics' and 'ics-todo')
+     * Includes are merged, each entry links to its card line in the board file. Written to
+     * the target folder or returned as content when there is none.
+     */
+    private static async exportCalendar(
+        content: string,
+        sourcePath: string,
+        options: UnifiedExportOptions
+    ): Promise<{ success: boolean; message: string; content?: string; exportedPath?: string }> {
+        const processedContent = this.ensureYamlFrontmatter(await this.mergeIncludedFiles(content, sourcePath));
+        const { board } = MarkdownKanbanParser.parseMarkdown(processedContent, path.dirname(sourcePath));
+        const result = IcsBoardExporter.toIcs(board, {
+            sourcePath,
+            sourceContent: fs.existsSync(sourcePath) ? fs.readFileSync(sourcePath, 'utf8') : content,
+            itemType: options.format === 'ics-todo' ? 'todo' : 'event',
+            dateFormat: board.settings?.['date-format']
+        });
+
+        if (!options.targetFolder) {
+            return { success: true, message: 'Content generated successfully', content: result.ics };
+        }
+
+        if (!fs.existsSync(options.targetFolder)) {
+            fs.mkdirSync(options.targetFolder, { recursive: true });
+        }
+        const sourceBasename = path.basename(sourcePath, '.md');
+        const targetPath = path.join(options.targetFolder, `${sourceBasename}${this.getScopeSuffix(options)}.ics`);
+        fs.writeFileSync(targetPath, result.ics, 'utf8');
+
+        return {
+            success: true,
+            message: `Export completed! ${result.count} calendar ${options.format === 'ics-todo' ? 'to-dos' : 'events'} written.`,
+            exportedPath: targetPath
+        };
+    }
+
+    /**
+     * Export as a self-contained HTML board (format 'html-board')
+     * Includes are merged, images embedded, the page is written to the target folder
+     * or returned as content when there is none.
+     */
+    private static async exportHtmlBoard(
+        content: string,
+        sourcePath: string,
+        options: UnifiedExportOptions
+    ): Promise<{ success: boolean; message: string; content?: string; exportedPath?: string }> {
+        const sourceDir = path.dirname(sourcePath);
+        const sourceBasename = path.basename(sourcePath, '.md');
+        const processedContent = this.ensureYamlFrontmatter(await this.mergeIncludedFiles(content, sourcePath));
+
+        const extensionPath = vscode.extensions.getExtension('ludos.markdown-kanban-obsidian')?.extensionPath;
+        const result = await HtmlBoardExporter.generate(processedContent, {
+            title: sourceBasename,
+            basePath: sourceDir,
+            htmlDir: extensionPath ? path.join(extensionPath, 'dist', 'src', 'html') : path.join(__dirname, 'src', 'html'),
+            tagVisibility: options.tagVisibility,
+            styles: options.htmlBoard
+        });
+        result.errors.forEach(error => console.warn(`[kanban.exportService.exportHtmlBoard] ${error}`));
+
+        if (!options.targetFolder) {
+            return { success: true, message: 'Content generated successfully', content: result.html };
+        }
+
+        if (!fs.existsSync(options.targetFolder)) {
+            fs.mkdirSync(options.targetFolder, { recursive: true });
+        }
+        const targetPath = path.join(options.targetFolder, `${sourceBasename}${this.getScopeSuffix(options)}.html`);
+        fs.writeFileSync(targetPath, result.html, 'utf8');
+
+        return {
+            success: true,
+            message: `Export completed! ${result.assetsEmbedded} images embedded.`,
+            exportedPath: targetPath
+        };
+    }
+
     /**
      * Unified export method - handles all export scopes and formats
      */
     public static async exportUnified(
         sourceDocument: vscode.TextDocument,
-        options: UnifiedExportOptions
+        options: UnifiedExportOptions,
+        board?: KanbanBoard
     ): Promise<{ success: boolean; message: string; content?: string; exportedPath?: string }> {
         try {
             // Read source content
@@ -1515,11 +1761,28 @@ export class ExportService {
                     const columnContent = this.extractColumnContent(fullContent, options.selection.columnIndex);
                     content = columnContent ? this.extractTaskContent(columnContent, options.selection.taskId) : null;
                     break;
+                case 'selection':
+                    content = this.extractSelectionContent(board, options.selection.taskIds);
+                    break;
             }
 
             if (!content) {
                 throw new Error(`Could not extract content for scope: ${options.scope}`);
             }
+            content = this.applyGatherFilter(content, sourcePath, options.gatherFilter);
+
+            if (options.format === 'html-board') {
+                return await this.exportHtmlBoard(content, sourcePath, options);
+            }
+            if (options.format === 'csv' || options.format === 'tsv') {
+                return await this.exportSpreadsheet(content, sourcePath, options);
+            }
+            if (options.format === 'json') {
+                return this.exportJson(content, sourcePath, options);
+            }
+            if (options.format === 'ics' || options.format === 'ics-todo') {
+                return await this.exportCalendar(content, sourcePath, options);
+            }
 
             // For copy operations (no pack), apply tag filtering and format conversion
             if (!options.packAssets || !options.targetFolder) {
@@ -1550,30 +1813,7 @@ export class ExportService {
             const sourceDir = path.dirname(sourcePath);
             const sourceBasename = path.basename(sourcePath, '.md');
 
-            // Build scope suffix with indices
-            let scopeSuffix = '';
-            if (options.scope !== 'full') {
-                const parts: string[] = [];
-
-                if (options.selection.rowNumber !== undefined) {
-                    parts.push(`row${options.selection.rowNumber}`);
-                }
-                if (options.selection.stackIndex !== undefined) {
-                    parts.push(`stack${options.selection.stackIndex}`);
-                }
-                if (options.selection.columnIndex !== undefined) {
-                    parts.push(`col${options.selection.columnIndex}`);
-                }
-
-                // If no indices specified, just use scope name
-                if (parts.length === 0) {
-                    scopeSuffix = `-${options.scope}`;
-                } else {
-                    scopeSuffix = `-${parts.join('-')}`;
-                }
-            }
-
-            const targetBasename = `${sourceBasename}${scopeSuffix}`;
+            const targetBasename = `${sourceBasename}${this.getScopeSuffix(options)}`;
 
             console.log(`[kanban.exportService.exportUnified] Format: ${options.format}, Will convert to presentation: ${options.format === 'presentation'}`);
 
@@ -1657,11 +1897,13 @@ export class ExportService {
      *
      * @param sourceDocument Source document to export from
      * @param options Export options
+     * @param board Current board, used by the 'selection' scope
      * @returns Export result
      */
     public static async exportUnifiedV2(
         sourceDocument: vscode.TextDocument,
-        options: UnifiedExportOptions
+        options: UnifiedExportOptions,
+        board?: KanbanBoard
     ): Promise<{ success: boolean; message: string; content?: string; exportedPath?: string }> {
         try {
             const sourcePath = sourceDocument.uri.fsPath;
@@ -1703,11 +1945,28 @@ export class ExportService {
                     const columnContent = this.extractColumnContent(fullContent, options.selection.columnIndex);
                     content = columnContent ? this.extractTaskContent(columnContent, options.selection.taskId) : null;
                     break;
+                case 'selection':
+                    content = this.extractSelectionContent(board, options.selection.taskIds);
+                    break;
             }
 
             if (!content) {
                 throw new Error(`Could not extract content for scope: ${options.scope}`);
             }
+            content = this.applyGatherFilter(content, sourcePath, options.gatherFilter);
+
+            if (options.format === 'html-board') {
+                return await this.exportHtmlBoard(content, sourcePath, options);
+            }
+            if (options.format === 'csv' || options.format === 'tsv') {
+                return await this.exportSpreadsheet(content, sourcePath, options);
+            }
+            if (options.format === 'json') {
+                return this.exportJson(content, sourcePath, options);
+            }
+            if (options.format === 'ics' || options.format === 'ics-todo') {
+                return await this.exportCalendar(content, sourcePath, options);
+            }
 
             // Step 2: Apply tag filtering (still needed, not part of pipeline)
             let processedContent = this.applyTagFiltering(content, {
@@ -1754,29 +2013,7 @@ export class ExportService {
             const sourceDir = path.dirname(sourcePath);
             const sourceBasename = path.basename(sourcePath, '.md');
 
-            // Build scope suffix with indices
-            let scopeSuffix = '';
-            if (options.scope !== 'full') {
-                const parts: string[] = [];
-
-                if (options.selection.rowNumber !== undefined) {
-                    parts.push(`row${options.selection.rowNumber}`);
-                }
-                if (options.selection.stackIndex !== undefined) {
-                    parts.push(`stack${options.selection.stackIndex}`);
-                }
-                if (options.selection.columnIndex !== undefined) {
-                    parts.push(`col${options.selection.columnIndex}`);
-                }
-
-                if (parts.length === 0) {
-                    scopeSuffix = `-${options.scope}`;
-                } else {
-                    scopeSuffix = `-${parts.join('-')}`;
-                }
-            }
-
-            const targetBasename = `${sourceBasename}${scopeSuffix}`;
+            const targetBasename = `${sourceBasename}${this.getScopeSuffix(options)}`;
             const targetFolder = options.targetFolder || this.generateDefaultExportFolder(sourcePath);
 
             // Step 5: Build OperationOptions for ContentPipelineService
@@ -1841,6 +2078,7 @@ export class ExportService {
      * Export using Marp (markdown, PDF, PPTX, or HTML)
      * @param sourceDocument Source document to export from
      * @param options Export options
+     * @param board Current board, used by the 'selection' scope
      * @returns Export result
      */
     public static async exportWithMarp(
@@ -1850,7 +2088,8 @@ export class ExportService {
             marpEnginePath?: string;
         } & {
             format: string; // Allow marp-prefixed formats
-        }
+        },
+        board?: KanbanBoard
     ): Promise<{ success: boolean; message: string; exportedPath?: string }> {
         try {
             const sourcePath = sourceDocument.uri.fsPath;
@@ -1892,11 +2131,15 @@ export class ExportService {
                     const columnContent = this.extractColumnContent(fullContent, options.selection.columnIndex);
                     content = columnContent ? this.extractTaskContent(columnContent, options.selection.taskId) : null;
                     break;
+                case 'selection':
+                    content = this.extractSelectionContent(board, options.selection.taskIds);
+                    break;
             }
 
             if (!content) {
                 throw new Error(`Could not extract content for scope: ${options.scope}`);
             }
+            content = this.applyGatherFilter(content, sourcePath, options.gatherFilter);
 
             // Apply tag filtering
             let processedContent = this.applyTagFiltering(content, {
@@ -2,6 +2,8 @@ import * as vscode from 'vscode';
 import { KanbanWebviewPanel } from './kanbanWebviewPanel';
 import { ExternalFileWatcher } from './externalFileWatcher';
 import { configService } from './configurationService';
+import { BoardImportService } from './services/BoardImportService';
+import { BoardSnapshotProvider } from './services/BoardSnapshotProvider';
 
 export function activate(context: vscode.ExtensionContext) {
 	console.log('[Kanban Extension] Activating markdown-kanban-obsidian extension...');
@@ -241,6 +243,62 @@ export function activate(context: vscode.ExtensionContext) {
 		activePanel.triggerSnippetInsertion();
 	});
 
+	// Command to compare and restore backups, autosaves and conflict copies of a board
+	const restoreFromBackupCommand = vscode.commands.registerCommand('markdown-kanban.restoreFromBackup', async () => {
+		const activeEditor = vscode.window.activeTextEditor;
+		const panels = KanbanWebviewPanel.getAllPanels();
+		const panel = activeEditor && activeEditor.document.languageId === 'markdown'
+			? KanbanWebviewPanel.getPanelForDocument(activeEditor.document.uri.toString())
+			: undefined;
+
+		if (panel) {
+			await panel.restoreFromBackup();
+		} else if (panels.length === 1) {
+			await panels[0].restoreFromBackup();
+		} else if (panels.length > 1) {
+			vscode.window.showWarningMessage('Multiple kanban panels open. Please focus on the markdown document you want to restore.');
+		} else {
+			vscode.window.showWarningMessage('No kanban panel is currently open.');
+		}
+	});
+
+	// Current board markdown for the backup diff, includes unsaved changes
+	const boardSnapshotProvider = vscode.workspace.registerTextDocumentContentProvider(BoardSnapshotProvider.scheme, new BoardSnapshotProvider());
+
+	// Command to preview the cards the automatic sort would move
+	const previewSortCommand = vscode.commands.registerCommand('markdown-kanban.previewSort', async () => {
+		const activeEditor = vscode.window.activeTextEditor;
+		const panels = KanbanWebviewPanel.getAllPanels();
+		const panel = activeEditor && activeEditor.document.languageId === 'markdown'
+			? KanbanWebviewPanel.getPanelForDocument(activeEditor.document.uri.toString())
+			: undefined;
+
+		if (panel) {
+			await panel.previewSort();
+		} else if (panels.length === 1) {
+			await panels[0].previewSort();
+		} else if (panels.length > 1) {
+			vscode.window.showWarningMessage('Multiple kanban panels open. Please focus on the markdown document you want to sort.');
+		} else {
+			vscode.window.showWarningMessage('No kanban panel is currently open.');
+		}
+	});
+
+	// Command to create a board from a CSV / TSV table
+	const importCsvCommand = vscode.commands.registerCommand('markdown-kanban.importCsv', async () => {
+		await BoardImportService.importCsv();
+	});
+
+	// Command to create a board from an exported board JSON file
+	const importJsonCommand = vscode.commands.registerCommand('markdown-kanban.importJson', async () => {
+		await BoardImportService.importJson();
+	});
+
+	// Command to create a board from a Trello, GitHub Projects or Jira export
+	const importBoardCommand = vscode.commands.registerCommand('markdown-kanban.importBoard', async () => {
+		await BoardImportService.importBoard();
+	});
+
 	// Note: External file change detection is now handled by ExternalFileWatcher
 	// Document save events are also handled through the file watcher system
 
@@ -267,6 +325,12 @@ export function activate(context: vscode.ExtensionContext) {
 		openKanbanFromPanelCommand,
 		switchFileCommand,
 		insertSnippetCommand,
+		restoreFromBackupCommand,
+		boardSnapshotProvider,
+		previewSortCommand,
+		importCsvCommand,
+		importJsonCommand,
+		importBoardCommand,
 		debugPermissionsCommand,
 		activeEditorChangeListener,
 	);
@@ -0,0 +1,94 @@
+/**
+ * Archive Drawer
+ * Read-only side drawer showing the cards of the Obsidian archive section
+ * (`***` + `## Archive` at the end of the board file).
+ *
+ * Archiving and restoring cards is done by the backend (BoardOperations),
+ * the drawer only reads window.cachedBoard.archive.
+ */
+class ArchiveDrawer {
+    constructor() {
+        this.isOpen = false;
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        const drawer = document.getElementById('archive-drawer');
+        if (!drawer) { return; }
+
+        this.isOpen = true;
+        drawer.classList.add('open');
+        this.render();
+    }
+
+    close() {
+        const drawer = document.getElementById('archive-drawer');
+        if (!drawer) { return; }
+
+        this.isOpen = false;
+        drawer.classList.remove('open');
+    }
+
+    /**
+     * Updates the archive counter in the file bar and the drawer content
+     * Used by: updateBoard message handler after every board update
+     */
+    update() {
+        const archive = window.cachedBoard?.archive || [];
+
+        const counter = document.getElementById('archive-count');
+        if (counter) {
+            counter.textContent = archive.length > 0 ? String(archive.length) : '';
+        }
+
+        if (this.isOpen) {
+            this.render();
+        }
+    }
+
+    render() {
+        const list = document.getElementById('archive-drawer-list');
+        if (!list) { return; }
+
+        const archive = window.cachedBoard?.archive || [];
+        if (archive.length === 0) {
+            list.innerHTML = '<div class="archive-drawer-empty">No archived cards</div>';
+            return;
+        }
+
+        // Newest archived cards are at the end of the section
+        list.innerHTML = archive.slice().reverse().map(task => {
+            const descriptionHtml = task.description && task.description.trim() !== '' ?
+                `<div class="archive-card-description markdown-content">${renderMarkdown(task.description)}</div>` : '';
+            return `
+                <div class="archive-card${task.completed ? ' task-completed' : ''}" data-archived-task-id="${task.id}">
+                    <div class="archive-card-header">
+                        <div class="archive-card-title task-title-display markdown-content">${renderMarkdown(task.title || '')}</div>
+                        <button class="archive-card-restore" onclick="archiveDrawer.restore('${task.id}')" title="Move the card back to the first list">Restore</button>
+                    </div>
+                    ${descriptionHtml}
+                </div>`;
+        }).join('');
+    }
+
+    /**
+     * Moves an archived card back to the board
+     * @param {string} taskId - Archived task ID
+     */
+    restore(taskId) {
+        vscode.postMessage({
+            type: 'unarchiveTask',
+            taskId: taskId
+        });
+    }
+}
+
+// Create global archive drawer instance
+window.archiveDrawer = new ArchiveDrawer();
@@ -0,0 +1,128 @@
+/**
+ * Board Diff Drawer
+ * Side drawer listing the cards added, removed, moved between columns, retitled or re-tagged
+ * compared with the saved file, a backup, a git revision or another board file.
+ *
+ * The diff is computed by the backend (BoardDiff.compare), the drawer only shows
+ * the entries and jumps to the cards of the current board.
+ */
+class BoardDiffDrawer {
+    static KIND_LABELS = {
+        added: { icon: '+', label: 'Added' },
+        removed: { icon: '−', label: 'Removed' },
+        moved: { icon: '→', label: 'Moved' },
+        retitled: { icon: '✎', label: 'Retitled' },
+        retagged: { icon: '#', label: 'Re-tagged' }
+    };
+
+    constructor() {
+        this.isOpen = false;
+        this.label = '';
+        this.entries = [];
+    }
+
+    /**
+     * Asks the backend for a diff, the result arrives as boardDiffResult message
+     * @param {string} source - saved, backup, git or file
+     */
+    request(source) {
+        closeAllMenus();
+        vscode.postMessage({ type: 'requestBoardDiff', source: source });
+    }
+
+    open() {
+        const drawer = document.getElementById('board-diff-drawer');
+        if (!drawer) { return; }
+
+        this.isOpen = true;
+        drawer.classList.add('open');
+        this.render();
+    }
+
+    close() {
+        const drawer = document.getElementById('board-diff-drawer');
+        if (!drawer) { return; }
+
+        this.isOpen = false;
+        drawer.classList.remove('open');
+    }
+
+    /**
+     * Handles the boardDiffResult message from the backend
+     * @param {Object} message - {label, entries}
+     */
+    handleResult(message) {
+        this.label = message.label || '';
+        this.entries = message.entries || [];
+        this.open();
+    }
+
+    describe(entry) {
+        switch (entry.kind) {
+            case 'added':
+                return `in ${entry.column}`;
+            case 'removed':
+                return `from ${entry.column}`;
+            case 'moved':
+                return `${entry.fromColumn} → ${entry.column}`;
+            case 'retitled':
+                return `was: ${entry.oldTitle}`;
+            case 'retagged':
+                return (entry.addedTags || []).map(tag => `+${tag}`)
+                    .concat((entry.removedTags || []).map(tag => `−${tag}`))
+                    .join(' ');
+            default:
+                return '';
+        }
+    }
+
+    render() {
+        const title = document.getElementById('board-diff-drawer-title');
+        if (title) {
+            title.textContent = this.label ? `Changes since ${this.label}` : 'Changes';
+        }
+
+        const list = document.getElementById('board-diff-drawer-list');
+        if (!list) { return; }
+
+        if (this.entries.length === 0) {
+            list.innerHTML = '<div class="archive-drawer-empty">No card changes</div>';
+            return;
+        }
+
+        list.innerHTML = this.entries.map((entry, index) => {
+            const kind = BoardDiffDrawer.KIND_LABELS[entry.kind] || { icon: '', label: entry.kind };
+            const jumpButton = entry.taskId ?
+                `<button class="board-diff-jump" data-diff-index="${index}" title="Jump to card">Jump</button>` : '';
+            return `
+                <div class="board-diff-entry board-diff-${entry.kind}">
+                    <span class="board-diff-kind" title="${kind.label}">${kind.icon}</span>
+                    <div class="board-diff-text">
+                        <div class="board-diff-title">${escapeHtml(entry.title || '')}</div>
+                        <div class="board-diff-detail">${escapeHtml(this.describe(entry))}</div>
+                    </div>
+                    ${jumpButton}
+                </div>`;
+        }).join('');
+
+        list.querySelectorAll('.board-diff-jump').forEach(button => {
+            button.onclick = () => this.jumpTo(this.entries[Number(button.getAttribute('data-diff-index'))]);
+        });
+    }
+
+    /**
+     * Scrolls to the card of an entry, unfolding its column if needed
+     */
+    jumpTo(entry) {
+        if (!entry || !entry.taskId) { return; }
+
+        if (!document.querySelector(`[data-task-id="${entry.taskId}"]`)) {
+            vscode.postMessage({ type: 'showMessage', text: `The card "${entry.title}" is no longer on the board.` });
+            return;
+        }
+        handleFocusAfterUndoRedo([{ type: 'task', id: entry.taskId, operation: 'modified' }]);
+    }
+}
+
+// Create global board diff drawer instance
+window.boardDiffDrawer = new BoardDiffDrawer();
@@ -0,0 +1,212 @@
+/**
+ * Board Filter
+ * Non-destructive filter bar: hides cards that do not match a query like
+ * `#bug @alice due<7 -#done` and columns without visible cards.
+ *
+ * The query is evaluated by the backend (BoardOperations.filterTasks, gather grammar),
+ * the filter only hides elements and never changes the board.
+ * The query is stored per document in the folding state (see webview.js).
+ */
+class BoardFilter {
+    constructor() {
+        this.isOpen = false;
+        this.query = '';
+        this.hiddenTaskIds = new Set();
+        this.matchCount = 0;
+        this.total = 0;
+        this.error = null;
+        this.inputTimeout = null;
+    }
+
+    get isActive() {
+        return this.query.trim() !== '';
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        const bar = document.getElementById('filter-bar');
+        if (!bar) { return; }
+
+        this.isOpen = true;
+        bar.style.display = 'flex';
+        const input = document.getElementById('filter-input');
+        if (input) {
+            input.value = this.query;
+            input.focus();
+            input.select();
+        }
+    }
+
+    /**
+     * Hides the bar, an active filter stays applied (shown on the filter button)
+     */
+    close() {
+        const bar = document.getElementById('filter-bar');
+        if (!bar) { return; }
+
+        this.isOpen = false;
+        bar.style.display = 'none';
+    }
+
+    handleInput(event) {
+        const value = event.target.value;
+        if (this.inputTimeout) {
+            clearTimeout(this.inputTimeout);
+        }
+        this.inputTimeout = setTimeout(() => {
+            this.inputTimeout = null;
+            this.setQuery(value);
+        }, 200);
+    }
+
+    handleKeyDown(event) {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            event.stopPropagation();
+            this.close();
+        } else if (event.key === 'Enter') {
+            event.preventDefault();
+            if (this.inputTimeout) {
+                clearTimeout(this.inputTimeout);
+                this.inputTimeout = null;
+            }
+            this.setQuery(event.target.value);
+        }
+    }
+
+    clear() {
+        const input = document.getElementById('filter-input');
+        if (input) {
+            input.value = '';
+        }
+        this.setQuery('');
+    }
+
+    /**
+     * Sets the query, stores it for the current document and applies it
+     * @param {string} query - Filter query
+     */
+    setQuery(query) {
+        this.query = (query || '').trim();
+
+        // Keep the input in sync when the query is set by a saved view
+        const input = document.getElementById('filter-input');
+        if (input && input.value.trim() !== this.query) {
+            input.value = this.query;
+        }
+
+        const state = window.getCurrentDocumentFoldingState ? window.getCurrentDocumentFoldingState() : null;
+        if (state) {
+            state.filterQuery = this.query;
+        }
+
+        if (!this.isActive) {
+            this.hiddenTaskIds = new Set();
+            this.apply();
+            return;
+        }
+        this.request();
+    }
+
+    /**
+     * Restores the stored query after switching documents
+     * Used by: updateDocumentUri in webview.js
+     * @param {string} query - Query stored in the folding state of the document
+     */
+    restore(query) {
+        this.query = query || '';
+        this.hiddenTaskIds = new Set();
+        const input = document.getElementById('filter-input');
+        if (input) {
+            input.value = this.query;
+        }
+        if (this.isActive) {
+            this.request();
+        } else {
+            this.apply();
+        }
+    }
+
+    request() {
+        vscode.postMessage({ type: 'filterBoard', query: this.query });
+    }
+
+    /**
+     * Handles the filterResult message from the backend
+     * @param {Object} message - {query, hiddenTaskIds, matchCount, total, error}
+     */
+    handleResult(message) {
+        // Ignore results of queries that were replaced while typing
+        if (message.query !== this.query) { return; }
+
+        this.hiddenTaskIds = new Set(message.hiddenTaskIds || []);
+        this.matchCount = message.matchCount || 0;
+        this.total = message.total || 0;
+        this.error = message.error || null;
+        this.apply();
+    }
+
+    /**
+     * Re-applies the filter after the board was rendered
+     * Cards the backend has not seen yet stay visible until the new result arrives
+     * Used by: renderBoard
+     */
+    onBoardRendered() {
+        if (!this.isActive) { return; }
+        this.apply();
+        this.request();
+    }
+
+    /**
+     * Hides non-matching cards and columns without visible cards
+     */
+    apply() {
+        const active = this.isActive;
+        document.body.classList.toggle('board-filter-active', active);
+
+        document.querySelectorAll('.task-item[data-task-id]').forEach(taskElement => {
+            const hidden = active && this.hiddenTaskIds.has(taskElement.getAttribute('data-task-id'));
+            taskElement.classList.toggle('filtered-out', hidden);
+        });
+
+        document.querySelectorAll('.kanban-full-height-column[data-column-id]').forEach(columnElement => {
+            const hasVisibleTask = columnElement.querySelector('.task-item:not(.filtered-out)') !== null;
+            columnElement.classList.toggle('filtered-out', active && !hasVisibleTask);
+        });
+
+        this.updateStatus();
+
+        if (typeof window.applyStackedColumnStyles === 'function') {
+            window.applyStackedColumnStyles();
+        }
+    }
+
+    updateStatus() {
+        const active = this.isActive;
+
+        const button = document.getElementById('filter-btn');
+        if (button) {
+            button.classList.toggle('active', active);
+            button.title = active ? `Filter: ${this.query}` : 'Filter cards by tag, person, date or text';
+        }
+
+        const counter = document.getElementById('filter-counter');
+        if (counter) {
+            // Malformed terms are ignored by the backend, the counter names the first one
+            const error = active ? this.error : null;
+            counter.textContent = active ? `${this.matchCount} of ${this.total} cards${error ? ` (${error})` : ''}` : '';
+            counter.classList.toggle('filter-error', error !== null);
+            counter.title = error || '';
+        }
+    }
+}
+
+// Create global board filter instance
+window.boardFilter = new BoardFilter();
@@ -412,7 +412,7 @@ function extractFirstTag(text) {
     }
 
     // Use boardRenderer.js compatible regex with exclusions for layout tags
-    const re = /#(?!row\d+\b)(?!span\d+\b)(?!stack\b)([a-zA-Z0-9_-]+(?:[=|><][a-zA-Z0-9_-]+)*)/g;
+    const re = /#(?!row\d+\b)(?!span\d+\b)(?!wip\d+\b)(?!stack\b)([a-zA-Z0-9_-]+(?:[=|><][a-zA-Z0-9_-]+)*)/g;
     let m;
     while ((m = re.exec(text)) !== null) {
         const raw = m[1];
@@ -1349,8 +1349,15 @@ function renderBoard() {
         columnsByRow[row].push({ column, index });
     });
 
-    // Create row containers in order
-    for (let row = 1; row <= numRows; row++) {
+    // Swimlane mode replaces the row/stack layout with a lane grid (see swimlanes.js)
+    const useSwimlanes = window.swimlanes && window.swimlanes.isActive();
+    boardElement.classList.toggle('swimlane-mode', !!useSwimlanes);
+
+    if (useSwimlanes) {
+        fragment.appendChild(window.swimlanes.createBoardElement(window.cachedBoard));
+    } else {
+        // Create row containers in order
+        for (let row = 1; row <= numRows; row++) {
             const rowContainer = document.createElement('div');
             rowContainer.className = 'kanban-row';
             rowContainer.setAttribute('data-row-number', row);
@@ -1413,6 +1420,7 @@ function renderBoard() {
 
             fragment.appendChild(rowContainer);
         }
+    }
 
     // Append all rows at once to minimize reflows
     boardElement.appendChild(fragment);
@@ -1447,6 +1455,21 @@ function renderBoard() {
         if (window.calculateTaskDescriptionHeight) {
             window.calculateTaskDescriptionHeight();
         }
+
+        // Re-apply the filter bar query to the new elements
+        if (window.boardFilter) {
+            window.boardFilter.onBoardRendered();
+        }
+
+        // Fade cards that stayed too long in their column
+        if (window.cardAging) {
+            window.cardAging.onBoardRendered();
+        }
+
+        // Mark the cards of the multi-selection
+        if (window.multiSelect) {
+            window.multiSelect.onBoardRendered();
+        }
     }, 10);
 
     setupDragAndDrop();
@@ -1690,7 +1713,14 @@ function createColumnElement(column, columnIndex) {
         }
     }
 
-    columnDiv.className = `kanban-full-height-column ${isCollapsed ? 'collapsed' : ''} ${headerClasses} ${footerClasses} ${spanClass}`.trim();
+    // Red header when the column holds more cards than its #wipN limit
+    const wipLimit = getColumnWipLimit(column);
+    const wipClass = isColumnOverWipLimit(column) ? 'wip-exceeded' : '';
+
+    // Malformed #gather_ rules are skipped by the sort, the header shows why (errors come with the board)
+    const gatherErrors = (window.gatherErrors && window.gatherErrors[column.title]) || [];
+
+    columnDiv.className = `kanban-full-height-column ${isCollapsed ? 'collapsed' : ''} ${headerClasses} ${footerClasses} ${spanClass} ${wipClass}`.trim();
     columnDiv.setAttribute('data-column-id', column.id);
     columnDiv.setAttribute('data-column-index', columnIndex);
     columnDiv.setAttribute('data-row', getColumnRow(column.title));
@@ -1733,7 +1763,8 @@ function createColumnElement(column, columnIndex) {
 																data-column-id="${column.id}"
 																style="display: none;">${escapeHtml(editTitle)}</textarea>
 								</div>
-								<span class="task-count">${column.tasks.length}
+								${gatherErrors.length > 0 ? `<span class="gather-error-badge" title="${escapeHtml(gatherErrors.join('\n'))}">!</span>` : ''}
+								<span class="task-count"${wipLimit !== null ? ` title="WIP limit: ${wipLimit} cards"` : ''}>${getColumnTaskCountText(column)}
 										<button class="fold-all-btn ${foldButtonState}" onclick="toggleAllTasksInColumn('${column.id}')" title="Fold/unfold all cards">
 												<span class="fold-icon">${foldButtonState === 'fold-collapsed' ? '▶' : foldButtonState === 'fold-expanded' ? '▼' : '▽'}</span>
 										</button>
@@ -1788,6 +1819,7 @@ function createColumnElement(column, columnIndex) {
 												<div class="donut-menu-divider"></div>
 												${generateTagMenuItems(column.id, 'column', null)}
 												<div class="donut-menu-divider"></div>
+												<button class="donut-menu-item" onclick="archiveDoneTasks('${column.id}')">Archive done cards</button>
 												<button class="donut-menu-item danger" onclick="deleteColumn('${column.id}')">Delete list</button>
 										</div>
 								</div>
@@ -1811,6 +1843,94 @@ function createColumnElement(column, columnIndex) {
     return columnDiv;
 }
 
+/**
+ * Counts the checklist items (`- [ ]` / `- [x]`) of a task description
+ * Same logic as getChecklistProgress() in src/utils/checklistUtils.ts
+ * @param {string} description - Task description (markdown)
+ * @returns {{done: number, total: number, percent: number}} Progress, total is 0 without checklist
+ */
+function getChecklistProgress(description) {
+    let done = 0;
+    let total = 0;
+    let inCodeBlock = false;
+
+    (description || '').split('\n').forEach(line => {
+        if (/^\s*(```|~~~)/.test(line)) {
+            inCodeBlock = !inCodeBlock;
+            return;
+        }
+        if (inCodeBlock) {
+            return;
+        }
+
+        const match = line.match(/^\s*(?:[-*+]|\d+[.)])\s+\[(.)\](?:\s|$)/);
+        if (match) {
+            total++;
+            if (match[1] === 'x' || match[1] === 'X') {
+                done++;
+            }
+        }
+    });
+
+    return {
+        done: done,
+        total: total,
+        percent: total > 0 ? Math.round((done / total) * 100) : 0
+    };
+}
+
+/**
+ * Creates the "x/y done" progress bar for the checklist of a task
+ * @param {Object} task - Task data object
+ * @returns {string} Progress HTML, empty if the description has no checklist
+ */
+function createTaskProgressHtml(task) {
+    const progress = getChecklistProgress(task.description);
+    if (progress.total === 0) {
+        return '';
+    }
+
+    return `<div class="task-progress${progress.done === progress.total ? ' complete' : ''}" title="${progress.done} of ${progress.total} sub-tasks done">
+                <div class="task-progress-bar"><div class="task-progress-fill" style="width: ${progress.percent}%"></div></div>
+                <span class="task-progress-text">${progress.done}/${progress.total} done</span>
+            </div>`;
+}
+
+/**
+ * Refreshes the progress bar of a rendered task after its description changed
+ * Used by: toggleDescriptionCheckbox(), description editor save
+ * @param {HTMLElement} taskElement - The .task-item element
+ * @param {Object} task - Task data object
+ */
+function updateTaskProgress(taskElement, task) {
+    if (!taskElement || !task) {
+        return;
+    }
+
+    const existing = taskElement.querySelector(':scope > .task-progress');
+    const progressHtml = createTaskProgressHtml(task);
+
+    if (!progressHtml) {
+        if (existing) {
+            existing.remove();
+        }
+        return;
+    }
+
+    const template = document.createElement('template');
+    template.innerHTML = progressHtml.trim();
+    const progressElement = template.content.firstChild;
+
+    if (existing) {
+        existing.replaceWith(progressElement);
+    } else {
+        const header = taskElement.querySelector(':scope > .task-header');
+        if (header) {
+            header.after(progressElement);
+        }
+    }
+}
+
 /**
  * Get the content that should be shown in the edit field for a task
  * For task includes, this is the complete file content
@@ -1860,6 +1980,11 @@ function createTaskElement(task, columnId, taskIndex) {
 
     const isCollapsed = window.collapsedTasks.has(task.id);
 
+    // Checkbox state: [x]/[X] is completed, other markers ([/], [-]) are custom statuses
+    const isCompleted = task.completed === true;
+    const customStatus = !isCompleted && task.checkboxStatus ? task.checkboxStatus : '';
+    const checkboxStatusAttribute = customStatus ? ` data-checkbox-status="${escapeHtml(customStatus)}"` : '';
+
     // Extract ALL tags for stacking features (from the full title)
     const allTags = getActiveTagsInTitle(task.title);
 
@@ -1898,15 +2023,19 @@ function createTaskElement(task, columnId, taskIndex) {
     const footerBarsHtml = footerBarsData.html || '';
     
     return `
-        <div class="${['task-item', isCollapsed ? 'collapsed' : '', headerClasses || '', footerClasses || ''].filter(cls => cls && cls.trim()).join(' ')}"
+        <div class="${['task-item', isCollapsed ? 'collapsed' : '', isCompleted ? 'task-completed' : '', headerClasses || '', footerClasses || ''].filter(cls => cls && cls.trim()).join(' ')}"
              data-task-id="${task.id}"
-             data-task-index="${taskIndex}"${tagAttribute}${allTagsAttribute}
+             data-task-index="${taskIndex}"${tagAttribute}${allTagsAttribute}${checkboxStatusAttribute}
              style="${paddingTopStyle} ${paddingBottomStyle}">
             ${headerBarsHtml}
             ${cornerBadgesHtml}
             <div class="task-header">
                 <div class="task-drag-handle" title="Drag to move task">⋮⋮</div>
                 <span class="task-collapse-toggle ${isCollapsed ? 'rotated' : ''}" onclick="toggleTaskCollapse('${task.id}'); updateFoldAllButton('${columnId}')">▶</span>
+                <input type="checkbox" class="task-checkbox"${isCompleted ? ' checked' : ''}
+                       title="${customStatus ? `Status [${escapeHtml(customStatus)}] - click to mark as done` : 'Toggle done'}"
+                       onmousedown="event.stopPropagation();"
+                       onclick="toggleTaskCheckbox('${task.id}', '${columnId}', event)">
                 <div class="task-title-container" onclick="handleTaskTitleClick(event, this, '${task.id}', '${columnId}')">
                 <div class="task-title-display markdown-content">${renderedTitle}</div>
                     <textarea class="task-title-edit"
@@ -1921,6 +2050,7 @@ function createTaskElement(task, columnId, taskIndex) {
                             <button class="donut-menu-item" onclick="insertTaskBefore('${task.id}', '${columnId}')">Insert card before</button>
                             <button class="donut-menu-item" onclick="insertTaskAfter('${task.id}', '${columnId}')">Insert card after</button>
                             <button class="donut-menu-item" onclick="duplicateTask('${task.id}', '${columnId}')">Duplicate card</button>
+                            <button class="donut-menu-item" onclick="archiveTask('${task.id}', '${columnId}')">Archive card</button>
                             <div class="donut-menu-divider"></div>
                             <button class="donut-menu-item" onclick="copyTaskAsMarkdown('${task.id}', '${columnId}')">Copy as markdown</button>
                             <div class="donut-menu-divider"></div>
@@ -1944,6 +2074,7 @@ function createTaskElement(task, columnId, taskIndex) {
                     </div>
                 </div>
             </div>
+            ${createTaskProgressHtml(task)}
 
             <div class="task-description-container">
                 <div class="task-description-display markdown-content"
@@ -3038,6 +3169,14 @@ function getTagConfig(tagName) {
         return window.tagColors[tagName];
     }
     
+    // Check custom tag categories (merged into tagColors by the updateBoard handler)
+    for (const group of Object.keys(window.tagColors)) {
+        const groupValue = window.tagColors[group];
+        if (group !== 'default' && groupValue && typeof groupValue === 'object' && groupValue[tagName]) {
+            return groupValue[tagName];
+        }
+    }
+    
     return null;
 }
 
@@ -3853,6 +3992,32 @@ function removeAllTags(id, type, columnId = null) {
 
 window.removeAllTags = removeAllTags;
 
+/**
+ * WIP limit of a column from its #wipN layout tag
+ * @param {Object} column - Column data object
+ * @returns {number|null} Maximum number of cards, null without a limit
+ */
+function getColumnWipLimit(column) {
+    if (!column || !window.tagUtils) {
+        return null;
+    }
+    const limit = window.tagUtils.extractLayoutConfig(column.title).wip;
+    return limit > 0 ? limit : null;
+}
+
+/**
+ * Card count shown in the column header, "n/limit" for columns with a WIP limit
+ */
+function getColumnTaskCountText(column) {
+    const limit = getColumnWipLimit(column);
+    return limit !== null ? `${column.tasks.length}/${limit}` : `${column.tasks.length}`;
+}
+
+function isColumnOverWipLimit(column) {
+    const limit = getColumnWipLimit(column);
+    return limit !== null && column.tasks.length > limit;
+}
+
 // Function to update task count display for a column
 function updateColumnTaskCount(columnId) {
     const column = window.cachedBoard?.columns?.find(c => c.id === columnId);
@@ -3860,11 +4025,16 @@ function updateColumnTaskCount(columnId) {
         return;
     }
 
+    const columnElement = document.querySelector(`.kanban-full-height-column[data-column-id="${columnId}"]`);
+    if (columnElement) {
+        columnElement.classList.toggle('wip-exceeded', isColumnOverWipLimit(column));
+    }
+
     const taskCountElement = document.querySelector(`[data-column-id="${columnId}"] .task-count`);
     if (taskCountElement) {
         // Update the text content while preserving the button
         const buttonHTML = taskCountElement.innerHTML.match(/<button[\s\S]*<\/button>/);
-        taskCountElement.innerHTML = `${column.tasks.length}${buttonHTML ? buttonHTML[0] : ''}`;
+        taskCountElement.innerHTML = `${getColumnTaskCountText(column)}${buttonHTML ? buttonHTML[0] : ''}`;
     }
 }
 
@@ -3887,6 +4057,11 @@ window.updateColumnDisplay = updateColumnDisplay;
 // Expose rendering functions for include file updates
 window.renderSingleColumn = renderSingleColumn;
 
+// Expose checklist progress functions
+window.getChecklistProgress = getChecklistProgress;
+window.createTaskProgressHtml = createTaskProgressHtml;
+window.updateTaskProgress = updateTaskProgress;
+
 // TODO: These functions are not defined - commenting out to prevent errors
 // window.getAllHeaderBarsHtml = getAllHeaderBarsHtml;
 // window.getAllFooterBarsHtml = getAllFooterBarsHtml;
@@ -0,0 +1,218 @@
+/**
+ * Board Statistics View
+ * Side drawer with card counts per column, row, due date bucket, person and tag category
+ * and the cumulative flow over time, drawn as inline SVG charts (no external services).
+ *
+ * The numbers are computed by the backend (BoardStatistics), the view only draws them.
+ */
+class BoardStatisticsView {
+    static CHART_WIDTH = 500;
+    static BAR_HEIGHT = 18;
+    static LABEL_WIDTH = 150;
+    static MAX_BARS = 15;
+
+    static SERIES_COLORS = [
+        'var(--vscode-charts-blue, #3794ff)',
+        'var(--vscode-charts-orange, #d18616)',
+        'var(--vscode-charts-green, #89d185)',
+        'var(--vscode-charts-purple, #b180d7)',
+        'var(--vscode-charts-yellow, #cca700)',
+        'var(--vscode-charts-red, #f14c4c)'
+    ];
+
+    static DUE_BUCKETS = [
+        { key: 'overdue', label: 'Overdue', color: 'var(--vscode-charts-red, #f14c4c)' },
+        { key: 'today', label: 'Due today', color: 'var(--vscode-charts-orange, #d18616)' },
+        { key: 'dueSoon', label: 'Due within 7 days', color: 'var(--vscode-charts-yellow, #cca700)' },
+        { key: 'later', label: 'Due later', color: 'var(--vscode-charts-green, #89d185)' },
+        { key: 'noDate', label: 'No due date', color: 'var(--vscode-descriptionForeground, #999)' }
+    ];
+
+    constructor() {
+        this.isOpen = false;
+        this.statistics = null;
+    }
+
+    /**
+     * Asks the backend for the statistics, the result arrives as boardStatisticsResult message
+     */
+    request() {
+        vscode.postMessage({ type: 'requestBoardStatistics' });
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.request();
+        }
+    }
+
+    open() {
+        const drawer = document.getElementById('statistics-drawer');
+        if (!drawer) { return; }
+
+        this.isOpen = true;
+        drawer.classList.add('open');
+        document.getElementById('statistics-btn')?.classList.add('active');
+        this.render();
+    }
+
+    close() {
+        const drawer = document.getElementById('statistics-drawer');
+        if (!drawer) { return; }
+
+        this.isOpen = false;
+        drawer.classList.remove('open');
+        document.getElementById('statistics-btn')?.classList.remove('active');
+    }
+
+    /**
+     * Handles the boardStatisticsResult message from the backend
+     * @param {Object} message - {statistics}
+     */
+    handleResult(message) {
+        this.statistics = message.statistics || null;
+        this.open();
+    }
+
+    render() {
+        const list = document.getElementById('statistics-drawer-list');
+        if (!list) { return; }
+
+        const stats = this.statistics;
+        if (!stats || stats.total === 0) {
+            list.innerHTML = '<div class="archive-drawer-empty">No cards on the board</div>';
+            return;
+        }
+
+        const sections = [
+            `<div class="statistics-summary">${stats.total} cards, ${stats.done} done, ${stats.total - stats.done} open</div>`,
+            this.section('Cards per column', this.barChart(stats.columns, { secondaryKey: 'done', secondaryLabel: 'done' })),
+            stats.rows.length > 1 ? this.section('Cards per row', this.barChart(stats.rows)) : '',
+            this.section('Due dates of open cards', this.barChart(BoardStatisticsView.DUE_BUCKETS.map(bucket => ({
+                label: bucket.label,
+                count: stats.due[bucket.key] || 0,
+                color: bucket.color
+            })))),
+            stats.persons.length > 0 ? this.section('Cards per person', this.barChart(stats.persons)) : '',
+            ...stats.tagCategories
+                .filter(category => category.tags.some(tag => tag.count > 0))
+                .map(category => this.section(`Tags: ${category.category}`, this.barChart(category.tags.map(tag => ({ ...tag, label: `#${tag.label}` }))))),
+            this.section('Cumulative flow', stats.flow ? this.flowChart(stats.flow) :
+                '<div class="archive-drawer-empty">No history yet: enable backups or the "Track Card Moves" setting</div>')
+        ];
+
+        list.innerHTML = sections.join('');
+    }
+
+    section(title, content) {
+        return `
+            <div class="statistics-section">
+                <div class="statistics-section-title">${escapeHtml(title)}</div>
+                ${content}
+            </div>`;
+    }
+
+    /**
+     * Horizontal bar chart
+     * @param {Array<{label: string, count: number, color?: string}>} entries
+     * @param {Object} options - secondaryKey: count drawn darker inside the bar (e.g. done cards)
+     */
+    barChart(entries, options = {}) {
+        const { CHART_WIDTH, BAR_HEIGHT, LABEL_WIDTH, MAX_BARS } = BoardStatisticsView;
+        const shown = entries.slice(0, MAX_BARS);
+        const max = Math.max(1, ...shown.map(entry => entry.count));
+        const barSpace = CHART_WIDTH - LABEL_WIDTH - 40;
+        const height = shown.length * (BAR_HEIGHT + 4);
+
+        const bars = shown.map((entry, index) => {
+            const y = index * (BAR_HEIGHT + 4);
+            const width = Math.round((entry.count / max) * barSpace);
+            const color = entry.color || BoardStatisticsView.SERIES_COLORS[0];
+            const secondary = options.secondaryKey && entry[options.secondaryKey] > 0
+                ? `<rect x="${LABEL_WIDTH}" y="${y}" width="${Math.round((entry[options.secondaryKey] / max) * barSpace)}" height="${BAR_HEIGHT}" class="statistics-bar-secondary"/>`
+                : '';
+            const tooltip = options.secondaryKey
+                ? `${entry.label}: ${entry.count} (${entry[options.secondaryKey]} ${options.secondaryLabel})`
+                : `${entry.label}: ${entry.count}`;
+
+            return `
+                <g><title>${escapeHtml(tooltip)}</title>
+                    <text x="${LABEL_WIDTH - 6}" y="${y + BAR_HEIGHT - 5}" text-anchor="end" class="statistics-label">${escapeHtml(this.truncate(entry.label, 22))}</text>
+                    <rect x="${LABEL_WIDTH}" y="${y}" width="${Math.max(width, entry.count > 0 ? 2 : 0)}" height="${BAR_HEIGHT}" style="fill: ${color}"/>
+                    ${secondary}
+                    <text x="${LABEL_WIDTH + width + 4}" y="${y + BAR_HEIGHT - 5}" class="statistics-value">${entry.count}</text>
+                </g>`;
+        }).join('');
+
+        const more = entries.length > MAX_BARS
+            ? `<div class="statistics-note">${entries.length - MAX_BARS} more not shown</div>`
+            : '';
+
+        return `<svg class="statistics-chart" viewBox="0 0 ${CHART_WIDTH} ${height}" width="100%" preserveAspectRatio="xMinYMin meet">${bars}</svg>${more}`;
+    }
+
+    /**
+     * Stacked area chart of the cards per column, the last column (usually done) at the bottom
+     * @param {Object} flow - {source, columns, points: [{date, counts}]}
+     */
+    flowChart(flow) {
+        const width = BoardStatisticsView.CHART_WIDTH;
+        const height = 200;
+        const left = 30;
+        const bottom = 18;
+        const plotWidth = width - left - 10;
+        const plotHeight = height - bottom - 10;
+        const points = flow.points;
+
+        const totals = points.map(point => point.counts.reduce((sum, count) => sum + count, 0));
+        const max = Math.max(1, ...totals);
+        const x = index => left + (points.length > 1 ? (index / (points.length - 1)) * plotWidth : plotWidth / 2);
+        const y = value => 10 + plotHeight - (value / max) * plotHeight;
+
+        const order = flow.columns.map((_column, index) => index).reverse();
+        const base = points.map(() => 0);
+        const areas = order.map((columnIndex, seriesIndex) => {
+            const lower = base.slice();
+            points.forEach((point, index) => { base[index] += point.counts[columnIndex] || 0; });
+
+            const upperLine = points.map((_point, index) => `${x(index).toFixed(1)},${y(base[index]).toFixed(1)}`);
+            const lowerLine = points.map((_point, index) => `${x(index).toFixed(1)},${y(lower[index]).toFixed(1)}`).reverse();
+            const color = BoardStatisticsView.SERIES_COLORS[seriesIndex % BoardStatisticsView.SERIES_COLORS.length];
+            return {
+                column: flow.columns[columnIndex],
+                color,
+                svg: `<polygon points="${upperLine.concat(lowerLine).join(' ')}" style="fill: ${color}" class="statistics-flow-area"><title>${escapeHtml(flow.columns[columnIndex])}</title></polygon>`
+            };
+        });
+
+        const axis = `
+            <line x1="${left}" y1="${y(0)}" x2="${left + plotWidth}" y2="${y(0)}" class="statistics-axis"/>
+            <line x1="${left}" y1="10" x2="${left}" y2="${y(0)}" class="statistics-axis"/>
+            <text x="${left - 4}" y="14" text-anchor="end" class="statistics-value">${max}</text>
+            <text x="${left - 4}" y="${y(0)}" text-anchor="end" class="statistics-value">0</text>
+            <text x="${left}" y="${height - 4}" class="statistics-value">${points[0].date}</text>
+            <text x="${left + plotWidth}" y="${height - 4}" text-anchor="end" class="statistics-value">${points[points.length - 1].date}</text>`;
+
+        const legend = areas.slice().reverse().map(area =>
+            `<span class="statistics-legend-item"><span class="statistics-legend-swatch" style="background: ${area.color}"></span>${escapeHtml(area.column)}</span>`
+        ).join('');
+
+        const source = flow.source === 'backups' ? 'from backups' : 'from recorded card moves';
+        return `
+            <svg class="statistics-chart" viewBox="0 0 ${width} ${height}" width="100%" preserveAspectRatio="xMinYMin meet">
+                ${areas.map(area => area.svg).join('')}
+                ${axis}
+            </svg>
+            <div class="statistics-legend">${legend}</div>
+            <div class="statistics-note">${points.length} data points ${source}</div>`;
+    }
+
+    truncate(text, length) {
+        return text.length > length ? `${text.substring(0, length - 1)}…` : text;
+    }
+}
+
+// Create global board statistics view instance
+window.boardStatistics = new BoardStatisticsView();
@@ -0,0 +1,238 @@
+/**
+ * Board Views
+ * Named views bundling the filter bar query, the folded columns and cards, the swimlane mode,
+ * the tag visibility and the column width / row settings, e.g. one view per role.
+ *
+ * Views are stored by the backend: in the `%% kanban:settings` footer (`saved-views`)
+ * for Obsidian boards and in the workspace state for all other boards.
+ * Columns and cards are stored by title because their ids change on every parse.
+ */
+class BoardViews {
+    constructor() {
+        this.views = [];
+        this.storage = 'workspace';
+        this.activeView = null;
+    }
+
+    /**
+     * Takes the views from the updateBoard message
+     * Used by: updateBoard message handler
+     */
+    update(message) {
+        if (message.boardViews !== undefined) {
+            this.views = message.boardViews || [];
+        }
+        if (message.boardViewsStorage) {
+            this.storage = message.boardViewsStorage;
+        }
+        if (this.activeView && !this.views.some(view => view.name === this.activeView)) {
+            this.activeView = null;
+        }
+        this.render();
+    }
+
+    toggleMenu() {
+        const dropdown = document.getElementById('views-dropdown');
+        const button = document.getElementById('views-btn');
+        if (!dropdown || !button) { return; }
+
+        const isVisible = dropdown.classList.contains('show');
+
+        // Close all other menus first
+        closeAllMenus();
+
+        if (!isVisible) {
+            this.render();
+            dropdown.classList.add('show');
+            button.classList.add('active');
+
+            // Close menu when clicking outside
+            setTimeout(() => {
+                document.addEventListener('click', function closeOnOutsideClick(e) {
+                    if (!dropdown.contains(e.target) && !button.contains(e.target)) {
+                        dropdown.classList.remove('show');
+                        button.classList.remove('active');
+                        document.removeEventListener('click', closeOnOutsideClick);
+                    }
+                });
+            }, 0);
+        }
+    }
+
+    closeMenu() {
+        const dropdown = document.getElementById('views-dropdown');
+        const button = document.getElementById('views-btn');
+        if (dropdown && button) {
+            dropdown.classList.remove('show');
+            button.classList.remove('active');
+        }
+    }
+
+    render() {
+        const buttonText = document.querySelector('#views-btn .views-text');
+        if (buttonText) {
+            buttonText.textContent = this.activeView || 'Views';
+        }
+
+        const dropdown = document.getElementById('views-dropdown');
+        if (!dropdown) { return; }
+
+        const storageHint = this.storage === 'footer' ? 'Saved in the board file' : 'Saved in this workspace';
+        const itemsHtml = this.views.map(view => `
+            <div class="board-view-item${view.name === this.activeView ? ' active' : ''}" data-view-name="${escapeHtml(view.name)}">
+                <button class="board-view-apply" title="${escapeHtml(this.describe(view))}">${escapeHtml(view.name)}</button>
+                <button class="board-view-delete" title="Delete view">×</button>
+            </div>`).join('');
+
+        dropdown.innerHTML = `
+            ${itemsHtml || '<div class="board-view-empty">No saved views</div>'}
+            <div class="board-view-save">
+                <input type="text" id="view-name-input" class="board-view-name-input" placeholder="Save current as..." value="${escapeHtml(this.activeView || '')}">
+                <button class="board-view-save-btn" title="${storageHint}">Save</button>
+            </div>`;
+
+        dropdown.querySelectorAll('.board-view-item').forEach(item => {
+            const name = item.getAttribute('data-view-name');
+            item.querySelector('.board-view-apply').onclick = () => this.apply(name);
+            item.querySelector('.board-view-delete').onclick = (e) => {
+                e.stopPropagation();
+                this.remove(name);
+            };
+        });
+
+        const input = dropdown.querySelector('#view-name-input');
+        dropdown.querySelector('.board-view-save-btn').onclick = () => this.saveCurrent(input.value);
+        input.onkeydown = (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.saveCurrent(input.value);
+            }
+        };
+    }
+
+    describe(view) {
+        const parts = [];
+        if (view.filter) { parts.push(`Filter: ${view.filter}`); }
+        if (view.collapsedColumns?.length) { parts.push(`${view.collapsedColumns.length} folded columns`); }
+        if (view.swimlanes && view.swimlanes !== 'none') { parts.push(`Swimlanes: ${view.swimlanes}`); }
+        if (view.tagVisibility) { parts.push(`Tags: ${view.tagVisibility}`); }
+        if (view.columnWidth) { parts.push(`Width: ${view.columnWidth}`); }
+        return parts.join('\n');
+    }
+
+    /**
+     * Current filter, folding and layout as a view
+     * @param {string} name - Name of the view
+     */
+    capture(name) {
+        const columns = window.cachedBoard?.columns || [];
+        const collapsedColumns = window.collapsedColumns || new Set();
+        const collapsedTasks = window.collapsedTasks || new Set();
+
+        return {
+            name: name,
+            filter: window.boardFilter ? window.boardFilter.query : '',
+            collapsedColumns: columns.filter(column => collapsedColumns.has(column.id)).map(column => column.title),
+            collapsedTasks: columns.flatMap(column => column.tasks)
+                .filter(task => collapsedTasks.has(task.id))
+                .map(task => task.title),
+            swimlanes: window.swimlanes ? window.swimlanes.mode : 'none',
+            tagVisibility: window.currentTagVisibility,
+            columnWidth: window.currentColumnWidth,
+            rowHeight: window.currentRowHeight,
+            layoutRows: window.currentLayoutRows
+        };
+    }
+
+    saveCurrent(name) {
+        name = (name || '').trim();
+        if (!name) { return; }
+
+        const view = this.capture(name);
+        const index = this.views.findIndex(existing => existing.name === name);
+        if (index >= 0) {
+            this.views[index] = view;
+        } else {
+            this.views.push(view);
+        }
+        this.activeView = name;
+        this.persist();
+        this.closeMenu();
+    }
+
+    remove(name) {
+        this.views = this.views.filter(view => view.name !== name);
+        if (this.activeView === name) {
+            this.activeView = null;
+        }
+        this.persist();
+    }
+
+    /**
+     * Applies the layout settings, the folding and the filter of a view
+     * The layout settings are only applied to this webview, the saved settings stay unchanged.
+     * @param {string} name - Name of the view
+     */
+    apply(name) {
+        const view = this.views.find(existing => existing.name === name);
+        if (!view) { return; }
+
+        if (view.columnWidth && view.columnWidth !== window.currentColumnWidth) {
+            applyColumnWidth(view.columnWidth, true);
+        }
+        if (view.layoutRows && view.layoutRows !== window.currentLayoutRows) {
+            applyLayoutRows(view.layoutRows);
+        }
+        if (view.rowHeight && view.rowHeight !== window.currentRowHeight) {
+            applyRowHeightSetting(view.rowHeight);
+        }
+        if (view.tagVisibility && view.tagVisibility !== window.currentTagVisibility) {
+            applyTagVisibility(view.tagVisibility);
+        }
+
+        // Folding, matched by title
+        const columns = window.cachedBoard?.columns || [];
+        const columnTitles = new Set(view.collapsedColumns || []);
+        const taskTitles = new Set(view.collapsedTasks || []);
+        window.collapsedColumns = new Set(columns.filter(column => columnTitles.has(column.title)).map(column => column.id));
+        window.collapsedTasks = new Set(columns.flatMap(column => column.tasks)
+            .filter(task => taskTitles.has(task.title))
+            .map(task => task.id));
+        window.globalColumnFoldState = 'fold-mixed';
+        if (window.saveCurrentFoldingState) {
+            window.saveCurrentFoldingState();
+        }
+
+        this.activeView = name;
+        if (window.swimlanes && view.swimlanes && view.swimlanes !== window.swimlanes.mode) {
+            window.swimlanes.setMode(view.swimlanes);
+        } else {
+            renderBoard();
+        }
+
+        if (window.boardFilter) {
+            window.boardFilter.setQuery(view.filter || '');
+        }
+
+        this.closeMenu();
+        updateAllMenuIndicators();
+        this.render();
+    }
+
+    persist() {
+        // Obsidian boards: keep the cached board in sync, it is sent back on save
+        if (this.storage === 'footer' && window.cachedBoard?.settings) {
+            window.cachedBoard.settings['saved-views'] = this.views;
+        }
+
+        vscode.postMessage({ type: 'saveBoardViews', views: this.views });
+
+        if (this.storage === 'footer' && typeof markUnsavedChanges === 'function') {
+            markUnsavedChanges();
+        }
+        this.render();
+    }
+}
+
+// Create global board views instance
+window.boardViews = new BoardViews();
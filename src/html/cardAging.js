@@ -0,0 +1,121 @@
+/**
+ * Card Aging
+ * Fades cards that stayed in their column for staleCardDays or more, based on the
+ * hidden move tokens written when the trackCardMoves setting is on (see CardAgingUtils),
+ * and shows the average cycle time per column in a side drawer.
+ *
+ * Cycle times are computed by the backend (getColumnCycleTimes), the drawer only renders them.
+ */
+class CardAging {
+    constructor() {
+        this.isOpen = false;
+        this.stats = [];
+    }
+
+    /**
+     * Re-applies the stale state after every render
+     */
+    onBoardRendered() {
+        this.apply();
+    }
+
+    /**
+     * Toggles the card-stale class on all rendered cards
+     */
+    apply() {
+        const staleDays = window.staleCardDays || 0;
+        const tasks = new Map();
+        (window.cachedBoard?.columns || []).forEach(column => {
+            column.tasks.forEach(task => tasks.set(task.id, { task, column }));
+        });
+
+        document.querySelectorAll('.task-item[data-task-id]').forEach(taskElement => {
+            const found = tasks.get(taskElement.getAttribute('data-task-id'));
+            const lastMove = found && staleDays > 0 && found.task.completed !== true
+                ? CardAgingUtils.getLastMove(found.task.description)
+                : null;
+            const age = lastMove ? CardAgingUtils.daysSince(lastMove.date) : 0;
+            const stale = lastMove !== null && age >= staleDays;
+
+            taskElement.classList.toggle('card-stale', stale);
+            if (stale) {
+                taskElement.title = `In ${CardAgingUtils.getMoveColumnName(found.column.title)} for ${age} days`;
+            } else if (taskElement.title) {
+                taskElement.removeAttribute('title');
+            }
+        });
+    }
+
+    /**
+     * Asks the backend for the cycle times, the result arrives as cycleTimesResult message
+     */
+    request() {
+        closeAllMenus();
+        vscode.postMessage({ type: 'requestCycleTimes' });
+    }
+
+    open() {
+        const drawer = document.getElementById('cycle-times-drawer');
+        if (!drawer) { return; }
+
+        this.isOpen = true;
+        drawer.classList.add('open');
+        this.render();
+    }
+
+    close() {
+        const drawer = document.getElementById('cycle-times-drawer');
+        if (!drawer) { return; }
+
+        this.isOpen = false;
+        drawer.classList.remove('open');
+    }
+
+    /**
+     * Handles the cycleTimesResult message from the backend
+     * @param {Object} message - {stats}
+     */
+    handleResult(message) {
+        this.stats = message.stats || [];
+        this.open();
+    }
+
+    formatDays(days) {
+        return days === null || days === undefined ? '–' : `${days} d`;
+    }
+
+    render() {
+        const list = document.getElementById('cycle-times-drawer-list');
+        if (!list) { return; }
+
+        const hasData = this.stats.some(entry => entry.stays > 0 || entry.currentCards > 0);
+        if (!hasData) {
+            list.innerHTML = `<div class="archive-drawer-empty">No card moves recorded${window.trackCardMoves ? ' yet' : ', enable the "Track Card Moves" setting'}</div>`;
+            return;
+        }
+
+        const rows = this.stats.map(entry => `
+                <tr>
+                    <td class="cycle-times-column">${escapeHtml(entry.column || '(untitled)')}</td>
+                    <td title="${entry.stays} recorded stays">${this.formatDays(entry.averageDays)}</td>
+                    <td>${entry.currentCards}</td>
+                    <td>${this.formatDays(entry.averageAgeDays)}</td>
+                </tr>`).join('');
+
+        list.innerHTML = `
+            <table class="cycle-times-table">
+                <thead>
+                    <tr>
+                        <th>Column</th>
+                        <th title="Average days cards stayed before they were moved on">Avg. cycle</th>
+                        <th title="Tracked cards currently in the column">Cards</th>
+                        <th title="Average days the current cards are in the column">Avg. age</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>`;
+    }
+}
+
+// Create global card aging instance
+window.cardAging = new CardAging();
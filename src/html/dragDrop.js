@@ -99,6 +99,28 @@ if (!dragState) {
     });
 }
 
+/**
+ * True if the enforceWipLimits setting is on and the dragged card (or multi-selection)
+ * comes from another column and would exceed the #wipN limit of this one
+ * @param {string} columnId - Column the card is dragged over
+ */
+function isWipDropRefused(columnId) {
+    if (!window.enforceWipLimits || !dragState.draggedTask) {
+        return false;
+    }
+
+    const originalColumnId = dragState.originalTaskParent?.closest('.kanban-full-height-column')?.dataset.columnId;
+    if (originalColumnId === columnId) {
+        return false;
+    }
+
+    // A dragged multi-selection brings all its cards from other columns
+    const incoming = window.multiSelect ? window.multiSelect.getDragCount(dragState.draggedTask.dataset.taskId, columnId) : 1;
+    const column = window.cachedBoard?.columns?.find(c => c.id === columnId);
+    const limit = getColumnWipLimit(column);
+    return limit !== null && column.tasks.length + incoming > limit;
+}
+
 // External file drop location indicators
 function createExternalDropIndicator() {
     if (externalDropIndicator) {
@@ -670,6 +692,12 @@ function setupGlobalDragAndDrop() {
         const originalColumnElement = dragState.originalTaskParent?.closest('.kanban-full-height-column');
         const originalColumnId = originalColumnElement?.dataset.columnId;
 
+        // Full column with enforced WIP limit: put the card back
+        if (originalColumnId !== finalColumnId && isWipDropRefused(finalColumnId)) {
+            restoreTaskToOriginalPosition();
+            return;
+        }
+
         const finalIndex = Array.from(finalParent.children).indexOf(taskItem);
 
         // Check if position actually changed
@@ -689,6 +717,15 @@ function setupGlobalDragAndDrop() {
             unfoldColumnIfCollapsed(finalColumnId, skipUnfold);
         }
 
+        // A selected card moves the whole multi-selection, as one undo step
+        if (window.multiSelect && window.multiSelect.isMultiDrag(taskItem.dataset.taskId)) {
+            window.multiSelect.moveDraggedSelection(taskItem, finalColumnId);
+            return;
+        }
+
+        // Next occurrence of a @repeat: card dropped into a #done column
+        let repeatedTask = null;
+
         // Update cached board
         if (window.cachedBoard) {
             const taskId = taskItem.dataset.taskId;
@@ -716,6 +753,13 @@ function setupGlobalDragAndDrop() {
                     const insertIndex = Math.min(dropIndex, finalColumn.tasks.length);
                     finalColumn.tasks.splice(insertIndex, 0, task);
 
+                    // Hidden move token for card aging (trackCardMoves setting)
+                    CardAgingUtils.recordMove(task, originalColumn, finalColumn);
+                    if (window.cardAging) {
+                        window.cardAging.apply();
+                    }
+                    repeatedTask = RepeatUtils.repeatIfMovedToDone(task, originalColumn, finalColumn);
+
                     // Update column displays after task move
                     if (typeof window.updateColumnDisplay === 'function') {
                         window.updateColumnDisplay(originalColumnId);
@@ -775,6 +819,11 @@ function setupGlobalDragAndDrop() {
             markUnsavedChanges();
         }
 
+        // The new card is only in the cached board
+        if (repeatedTask && typeof renderBoard === 'function') {
+            renderBoard();
+        }
+
         // Recalculate stack heights if needed
         if (originalColumnId !== finalColumnId && typeof window.recalculateStackHeights === 'function') {
             requestAnimationFrame(() => {
@@ -981,7 +1030,7 @@ function setupGlobalDragAndDrop() {
 
             // Clean up column styles
             boardElement.querySelectorAll('.kanban-full-height-column').forEach(col => {
-                col.classList.remove('drag-over-append', 'drag-over', 'drag-transitioning', 'external-drag-over');
+                col.classList.remove('drag-over-append', 'drag-over', 'drag-transitioning', 'external-drag-over', 'wip-drop-refused');
             });
 
             // Clean up row styles
@@ -1932,6 +1981,12 @@ function setupTaskDragAndDrop() {
             // Only process if we have a dragged task
             if (!dragState.draggedTask) {return;}
 
+            // Full column with enforced WIP limit: no drop, the card stays where it is
+            if (isWipDropRefused(columnId)) {
+                columnElement.classList.add('wip-drop-refused');
+                return;
+            }
+
             // Check if we're over the tasks container specifically
             const isOverTasksContainer = tasksContainer.contains(e.target);
             
@@ -1966,7 +2021,7 @@ function setupTaskDragAndDrop() {
         // Clean up visual feedback when leaving column
         columnElement.addEventListener('dragleave', e => {
             if (!columnElement.contains(e.relatedTarget)) {
-                columnElement.classList.remove('drag-over-append');
+                columnElement.classList.remove('drag-over-append', 'wip-drop-refused');
             }
         });
 
@@ -1975,6 +2030,13 @@ function setupTaskDragAndDrop() {
         let transitionUpdatePending = false;
 
         tasksContainer.addEventListener('dragover', e => {
+            // Full column with enforced WIP limit: no drop, the card stays where it is
+            if (isWipDropRefused(columnId)) {
+                e.stopPropagation();
+                columnElement.classList.add('wip-drop-refused');
+                return;
+            }
+
             e.preventDefault();
 
             // Update Alt key state during drag (user might press/release Alt mid-drag)
@@ -0,0 +1,627 @@
+/**
+ * Editor Autocomplete
+ * Inline completion popup for the task editor (TaskEditor.startEdit)
+ *
+ * Typing `@` lists the persons used on the board and date entries,
+ * `@due:` / `@done:` (and the date entries) open a calendar.
+ * Picked entries are inserted as tokens that BoardOperations.extractDate / extractPersonNames understand.
+ *
+ * Typing `#` lists the tags in use, the configured tags (including customTagCategories) and the layout tags.
+ * Unknown tags can be added to a custom tag category with a colour.
+ */
+const LAYOUT_TAGS = ['row2', 'row3', 'row4', 'span2', 'span3', 'span4', 'stack', 'fold'];
+const NEW_TAG_COLORS = ['#e53935', '#fb8c00', '#fdd835', '#43a047', '#00acc1', '#1e88e5', '#8e24aa', '#757575'];
+
+class EditorAutocomplete {
+    constructor() {
+        this.textarea = null;
+        this.popup = null;
+        this.trigger = null;      // { char, start, query } of the token being completed
+        this.items = [];
+        this.selectedIndex = 0;
+        this.calendar = null;     // { dateType, month: Date, selected: Date } while the calendar is shown
+        this.tagForm = null;      // { tagName, categories, categoryIndex, colorIndex } while a new tag is added
+
+        this.handleInput = this.handleInput.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleBlur = this.handleBlur.bind(this);
+    }
+
+    /**
+     * Starts completion for an editor textarea
+     * Used by: TaskEditor.startEdit()
+     * @param {HTMLTextAreaElement} textarea - Title or description editor
+     */
+    attach(textarea) {
+        this.detach();
+        this.textarea = textarea;
+        textarea.addEventListener('input', this.handleInput);
+        textarea.addEventListener('keydown', this.handleKeyDown);
+        textarea.addEventListener('blur', this.handleBlur);
+    }
+
+    /**
+     * Stops completion and closes the popup
+     * Used by: TaskEditor.closeEditor()
+     */
+    detach() {
+        if (this.textarea) {
+            this.textarea.removeEventListener('input', this.handleInput);
+            this.textarea.removeEventListener('keydown', this.handleKeyDown);
+            this.textarea.removeEventListener('blur', this.handleBlur);
+        }
+        this.textarea = null;
+        this.close();
+    }
+
+    isOpen() {
+        return this.popup !== null;
+    }
+
+    close() {
+        if (this.popup) {
+            this.popup.remove();
+        }
+        this.popup = null;
+        this.trigger = null;
+        this.items = [];
+        this.calendar = null;
+        this.tagForm = null;
+    }
+
+    handleBlur() {
+        // Clicks into the popup keep the focus (mousedown is prevented), everything else closes it
+        this.close();
+    }
+
+    handleInput() {
+        const trigger = this.findTrigger();
+        if (!trigger) {
+            this.close();
+            return;
+        }
+        this.trigger = trigger;
+
+        // @due: / @done: ... complete with the calendar
+        const typedMatch = trigger.char === '@' && trigger.query.match(/^(due|done|start|end|modified):$/i);
+        if (typedMatch) {
+            this.showCalendar(typedMatch[1].toLowerCase());
+            return;
+        }
+
+        this.calendar = null;
+        this.tagForm = null;
+        this.items = trigger.char === '#' ? this.getTagItems(trigger.query) : this.getItems(trigger.query);
+        if (this.items.length === 0) {
+            this.close();
+            return;
+        }
+        this.selectedIndex = 0;
+        this.render();
+    }
+
+    handleKeyDown(e) {
+        if (!this.isOpen()) {return;}
+
+        // Handled here so the TaskEditor (Enter saves, Escape closes) does not see the key
+        let handled;
+        if (this.calendar) {
+            handled = this.handleCalendarKey(e);
+        } else if (this.tagForm) {
+            handled = this.handleTagFormKey(e);
+        } else {
+            handled = this.handleListKey(e);
+        }
+        if (handled) {
+            e.preventDefault();
+            e.stopPropagation();
+        }
+    }
+
+    handleListKey(e) {
+        switch (e.key) {
+            case 'ArrowDown':
+                this.selectedIndex = (this.selectedIndex + 1) % this.items.length;
+                this.render();
+                return true;
+            case 'ArrowUp':
+                this.selectedIndex = (this.selectedIndex - 1 + this.items.length) % this.items.length;
+                this.render();
+                return true;
+            case 'Enter':
+            case 'Tab':
+                this.pick(this.selectedIndex);
+                return true;
+            case 'Escape':
+                this.close();
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    handleCalendarKey(e) {
+        const selected = this.calendar.selected;
+        const offsets = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 };
+
+        if (offsets[e.key] !== undefined) {
+            selected.setDate(selected.getDate() + offsets[e.key]);
+            this.calendar.month = new Date(selected.getFullYear(), selected.getMonth(), 1);
+            this.render();
+            return true;
+        }
+        switch (e.key) {
+            case 'PageUp':
+            case 'PageDown':
+                this.changeMonth(e.key === 'PageUp' ? -1 : 1);
+                return true;
+            case 'Enter':
+            case 'Tab':
+                this.insertDate(selected);
+                return true;
+            case 'Escape':
+                this.close();
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    handleTagFormKey(e) {
+        const form = this.tagForm;
+        switch (e.key) {
+            case 'ArrowLeft':
+            case 'ArrowRight':
+                form.colorIndex = (form.colorIndex + (e.key === 'ArrowLeft' ? -1 : 1) + NEW_TAG_COLORS.length) % NEW_TAG_COLORS.length;
+                this.render();
+                return true;
+            case 'ArrowUp':
+            case 'ArrowDown':
+                form.categoryIndex = (form.categoryIndex + (e.key === 'ArrowUp' ? -1 : 1) + form.categories.length) % form.categories.length;
+                this.render();
+                return true;
+            case 'Enter':
+            case 'Tab':
+                this.createTag();
+                return true;
+            case 'Escape':
+                this.close();
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Finds the `@` or `#` token directly before the cursor
+     * @returns {{char: string, start: number, query: string}|null} Trigger character, its index and the typed text after it
+     */
+    findTrigger() {
+        const textarea = this.textarea;
+        if (!textarea || textarea.selectionStart !== textarea.selectionEnd) {return null;}
+
+        const textBefore = textarea.value.substring(0, textarea.selectionStart);
+        const match = textBefore.match(/(^|\s)(@[a-zA-Z0-9_&:-]*|#[a-zA-Z0-9_-]*)$/);
+        if (!match) {return null;}
+
+        return {
+            char: match[2].charAt(0),
+            start: textBefore.length - match[2].length,
+            query: match[2].substring(1)
+        };
+    }
+
+    /**
+     * Persons used on the board, most used first
+     * Same pattern as BoardOperations.extractPersonNames(), typed dates (@due:...) are skipped
+     * @returns {string[]} Person names without @
+     */
+    collectPersonNames() {
+        const counts = new Map();
+        const personRegex = /(?:^|\s)@([a-zA-Z0-9_&-]+)(?=$|\s|[.,;!?)])/g;
+
+        const addText = (text) => {
+            for (const match of (text || '').matchAll(personRegex)) {
+                const name = match[1];
+                if (/^\d/.test(name) || name === 'sticky') {continue;}
+                counts.set(name, (counts.get(name) || 0) + 1);
+            }
+        };
+
+        (window.cachedBoard?.columns || []).forEach(column => {
+            column.tasks.forEach(task => {
+                addText(task.title);
+                addText(task.description);
+            });
+        });
+
+        return Array.from(counts.keys()).sort((a, b) => (counts.get(b) - counts.get(a)) || a.localeCompare(b));
+    }
+
+    /**
+     * Completion entries for the typed query
+     * @param {string} query - Text typed after `@`
+     * @returns {Array<{label: string, detail: string, insert?: string, dateType?: string}>}
+     */
+    getItems(query) {
+        const lowerQuery = query.toLowerCase();
+        const items = [];
+
+        this.collectPersonNames()
+            .filter(name => name.toLowerCase().startsWith(lowerQuery) && name !== query)
+            .slice(0, 8)
+            .forEach(name => items.push({ label: `@${name}`, detail: 'person', insert: `@${name}` }));
+
+        [
+            { label: '@date', detail: 'pick date', dateType: 'date' },
+            { label: '@due:', detail: 'pick due date', dateType: 'due' },
+            { label: '@done:', detail: 'pick done date', dateType: 'done' }
+        ].forEach(item => {
+            if (item.label.substring(1).startsWith(lowerQuery)) {
+                items.push(item);
+            }
+        });
+
+        return items;
+    }
+
+    /**
+     * Tags in use on the board, configured tags and layout tags
+     * @returns {Map<string, string>} Lowercase tag name to source (group name, 'in use' or 'layout')
+     */
+    collectTagCandidates() {
+        const candidates = new Map();
+        const isTagConfig = (value) => value && typeof value === 'object' &&
+            (value.light || value.dark || value.headerBar || value.border || value.footerBar || value.cornerBadge);
+
+        if (typeof getAllTagsInUse === 'function') {
+            getAllTagsInUse().forEach(tag => candidates.set(tag, 'in use'));
+        }
+
+        // Configured groups, customTagCategories are merged into tagColors by the updateBoard handler
+        Object.entries(window.tagColors || {}).forEach(([groupKey, groupValue]) => {
+            if (groupKey === 'default' || !groupValue || typeof groupValue !== 'object') {return;}
+            if (isTagConfig(groupValue)) {
+                if (!candidates.has(groupKey.toLowerCase())) {candidates.set(groupKey.toLowerCase(), 'tag');}
+                return;
+            }
+            Object.entries(groupValue).forEach(([tagKey, tagValue]) => {
+                if (isTagConfig(tagValue) && !candidates.has(tagKey.toLowerCase())) {
+                    candidates.set(tagKey.toLowerCase(), groupKey);
+                }
+            });
+        });
+
+        LAYOUT_TAGS.forEach(tag => {
+            if (!candidates.has(tag)) {candidates.set(tag, 'layout');}
+        });
+
+        return candidates;
+    }
+
+    /**
+     * Swatch colour of a tag from its configuration (getTagConfig)
+     * @param {string} tagName - Lowercase tag name
+     * @returns {string|null} CSS colour
+     */
+    getTagSwatchColor(tagName) {
+        const config = typeof getTagConfig === 'function' ? getTagConfig(tagName) : null;
+        if (!config) {return null;}
+
+        const isDarkTheme = document.body.classList.contains('vscode-dark') ||
+                            document.body.classList.contains('vscode-high-contrast');
+        const colors = config[isDarkTheme ? 'dark' : 'light'] || config.light || {};
+        return colors.background || config.headerBar?.color || config.border?.color || config.footerBar?.color || null;
+    }
+
+    /**
+     * Tag completion entries for the typed query, prefix matches first
+     * @param {string} query - Text typed after `#`
+     * @returns {Array<{label: string, detail: string, insert?: string, swatch?: string, createTag?: string}>}
+     */
+    getTagItems(query) {
+        const lowerQuery = query.toLowerCase();
+        const candidates = this.collectTagCandidates();
+
+        const prefixMatches = [];
+        const otherMatches = [];
+        candidates.forEach((source, tag) => {
+            if (tag === lowerQuery) {return;}
+            if (tag.startsWith(lowerQuery)) {
+                prefixMatches.push(tag);
+            } else if (lowerQuery && tag.includes(lowerQuery)) {
+                otherMatches.push(tag);
+            }
+        });
+
+        const items = prefixMatches.concat(otherMatches).slice(0, 12).map(tag => ({
+            label: `#${tag}`,
+            detail: candidates.get(tag),
+            insert: `#${tag}`,
+            swatch: this.getTagSwatchColor(tag)
+        }));
+
+        // Unknown tag: offer to add it to a custom category
+        if (query && !candidates.has(lowerQuery)) {
+            items.push({ label: `#${query}`, detail: 'add to custom tags…', createTag: query });
+        }
+
+        return items;
+    }
+
+    showTagForm(tagName) {
+        const categories = Object.keys(window.customTagCategories || {});
+        if (!categories.includes('custom')) {
+            categories.push('custom');
+        }
+        this.tagForm = { tagName: tagName, categories: categories, categoryIndex: 0, colorIndex: 0 };
+        this.render();
+    }
+
+    /**
+     * Adds the new tag to the selected custom category and inserts it
+     * The backend stores it in the customTagCategories setting, the styles are applied right away
+     */
+    createTag() {
+        const form = this.tagForm;
+        if (!form) {return;}
+
+        const tagName = form.tagName;
+        const tagKey = tagName.toLowerCase();
+        const category = form.categories[form.categoryIndex];
+        const color = NEW_TAG_COLORS[form.colorIndex];
+        const text = window.colorUtils ? window.colorUtils.getContrastText(color) : '#000000';
+        const tagConfig = {
+            light: { background: color, text: text },
+            dark: { background: color, text: text }
+        };
+
+        vscode.postMessage({ type: 'addCustomTag', category: category, tagName: tagKey, tagConfig: tagConfig });
+
+        window.customTagCategories = window.customTagCategories || {};
+        window.customTagCategories[category] = { ...(window.customTagCategories[category] || {}), [tagKey]: tagConfig };
+        window.tagColors = window.tagColors || {};
+        window.tagColors[category] = { ...(window.tagColors[category] || {}), [tagKey]: tagConfig };
+        if (typeof applyTagStyles === 'function') {
+            applyTagStyles();
+        }
+
+        this.replaceTrigger(`#${tagName} `);
+    }
+
+    pick(index) {
+        const item = this.items[index];
+        if (!item) {return;}
+
+        if (item.dateType) {
+            this.showCalendar(item.dateType);
+        } else if (item.createTag) {
+            this.showTagForm(item.createTag);
+        } else {
+            this.replaceTrigger(item.insert + ' ');
+        }
+    }
+
+    showCalendar(dateType) {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        this.calendar = {
+            dateType: dateType,
+            month: new Date(today.getFullYear(), today.getMonth(), 1),
+            selected: today
+        };
+        this.render();
+    }
+
+    changeMonth(delta) {
+        if (!this.calendar) {return;}
+        const month = this.calendar.month;
+        this.calendar.month = new Date(month.getFullYear(), month.getMonth() + delta, 1);
+        this.calendar.selected = new Date(this.calendar.month);
+        this.render();
+    }
+
+    /**
+     * Inserts the picked date as token
+     * Boards with Obsidian settings get @{date} in the board date format, other boards @YYYY-MM-DD,
+     * typed dates are always written as @type:YYYY-MM-DD so they parse independent of the format
+     * @param {Date} date - Picked day
+     */
+    insertDate(date) {
+        const isoDate = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+        const dateType = this.calendar ? this.calendar.dateType : 'date';
+
+        let token;
+        if (dateType !== 'date') {
+            token = `@${dateType}:${isoDate}`;
+        } else if (window.cachedBoard?.settings) {
+            token = `@{${DateUtils.formatDate(isoDate)}}`;
+        } else {
+            token = `@${isoDate}`;
+        }
+        this.replaceTrigger(token + ' ');
+    }
+
+    /**
+     * Replaces the `@...` text before the cursor with the completed token
+     * @param {string} text - Token to insert (including trailing space)
+     */
+    replaceTrigger(text) {
+        const textarea = this.textarea;
+        if (!textarea || !this.trigger) {return;}
+
+        const start = this.trigger.start;
+        const end = textarea.selectionStart;
+        textarea.value = textarea.value.substring(0, start) + text + textarea.value.substring(end);
+        textarea.setSelectionRange(start + text.length, start + text.length);
+
+        this.close();
+        // Let the editor auto-resize and track the change
+        textarea.dispatchEvent(new Event('input'));
+        textarea.focus();
+    }
+
+    render() {
+        if (!this.textarea || !this.trigger) {return;}
+
+        if (!this.popup) {
+            this.popup = document.createElement('div');
+            this.popup.className = 'editor-autocomplete';
+            // Keep the focus in the editor, otherwise the blur would save and close it
+            this.popup.addEventListener('mousedown', e => e.preventDefault());
+            this.popup.addEventListener('click', e => this.handlePopupClick(e));
+            document.body.appendChild(this.popup);
+        }
+
+        if (this.calendar) {
+            this.popup.innerHTML = this.renderCalendar();
+        } else if (this.tagForm) {
+            this.popup.innerHTML = this.renderTagForm();
+        } else {
+            this.popup.innerHTML = this.renderList();
+        }
+        this.position();
+    }
+
+    renderList() {
+        return this.items.map((item, index) => `
+            <div class="editor-autocomplete-item${index === this.selectedIndex ? ' selected' : ''}" data-index="${index}">
+                <span class="editor-autocomplete-label">${item.swatch !== undefined ? `<span class="editor-autocomplete-swatch"${item.swatch ? ` style="background-color: ${escapeHtml(item.swatch)};"` : ''}></span>` : ''}${escapeHtml(item.label)}</span>
+                <span class="editor-autocomplete-detail">${escapeHtml(item.detail)}</span>
+            </div>`).join('');
+    }
+
+    renderCalendar() {
+        const { month, selected, dateType } = this.calendar;
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        // Weeks start on Monday
+        const firstDay = new Date(month);
+        firstDay.setDate(1 - ((month.getDay() + 6) % 7));
+
+        let daysHtml = '';
+        for (let i = 0; i < 42; i++) {
+            const day = new Date(firstDay.getFullYear(), firstDay.getMonth(), firstDay.getDate() + i);
+            const classes = ['editor-calendar-day'];
+            if (day.getMonth() !== month.getMonth()) {classes.push('other-month');}
+            if (day.getTime() === today.getTime()) {classes.push('today');}
+            if (day.getTime() === selected.getTime()) {classes.push('selected');}
+            daysHtml += `<button class="${classes.join(' ')}" data-day="${day.getTime()}">${day.getDate()}</button>`;
+        }
+
+        const title = month.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+        return `
+            <div class="editor-calendar-header">
+                <button class="editor-calendar-nav" data-month="-1" title="Previous month (PageUp)">‹</button>
+                <span class="editor-calendar-title">${dateType === 'date' ? '' : `@${dateType}: `}${escapeHtml(title)}</span>
+                <button class="editor-calendar-nav" data-month="1" title="Next month (PageDown)">›</button>
+            </div>
+            <div class="editor-calendar-weekdays"><span>Mo</span><span>Tu</span><span>We</span><span>Th</span><span>Fr</span><span>Sa</span><span>Su</span></div>
+            <div class="editor-calendar-days">${daysHtml}</div>`;
+    }
+
+    renderTagForm() {
+        const form = this.tagForm;
+        const categoriesHtml = form.categories.map((category, index) =>
+            `<button class="editor-tag-category${index === form.categoryIndex ? ' selected' : ''}" data-category-index="${index}">${escapeHtml(category)}</button>`
+        ).join('');
+        const colorsHtml = NEW_TAG_COLORS.map((color, index) =>
+            `<button class="editor-tag-color${index === form.colorIndex ? ' selected' : ''}" data-color-index="${index}" style="background-color: ${color};" title="${color}"></button>`
+        ).join('');
+
+        return `
+            <div class="editor-tag-form">
+                <div class="editor-tag-form-title">Add #${escapeHtml(form.tagName)} to</div>
+                <div class="editor-tag-categories">${categoriesHtml}</div>
+                <div class="editor-tag-colors">${colorsHtml}</div>
+                <div class="editor-tag-form-actions">
+                    <button class="editor-tag-create">Add tag</button>
+                    <span class="editor-autocomplete-detail">Enter to add, Esc to keep as plain tag</span>
+                </div>
+            </div>`;
+    }
+
+    handlePopupClick(e) {
+        const item = e.target.closest('.editor-autocomplete-item');
+        const day = e.target.closest('.editor-calendar-day');
+        const nav = e.target.closest('.editor-calendar-nav');
+        const category = e.target.closest('.editor-tag-category');
+        const color = e.target.closest('.editor-tag-color');
+
+        if (category) {
+            this.tagForm.categoryIndex = parseInt(category.dataset.categoryIndex, 10);
+            this.render();
+        } else if (color) {
+            this.tagForm.colorIndex = parseInt(color.dataset.colorIndex, 10);
+            this.render();
+        } else if (e.target.closest('.editor-tag-create')) {
+            this.createTag();
+        } else if (item) {
+            this.pick(parseInt(item.dataset.index, 10));
+        } else if (day) {
+            this.insertDate(new Date(parseInt(day.dataset.day, 10)));
+        } else if (nav) {
+            this.changeMonth(parseInt(nav.dataset.month, 10));
+        }
+    }
+
+    /**
+     * Places the popup below the `@` / `#` of the token, above if there is no room below
+     */
+    position() {
+        const caret = this.getCaretCoordinates(this.trigger.start);
+        const popupRect = this.popup.getBoundingClientRect();
+
+        let top = caret.top + caret.height + 2;
+        if (top + popupRect.height > window.innerHeight && caret.top - popupRect.height - 2 > 0) {
+            top = caret.top - popupRect.height - 2;
+        }
+        const left = Math.max(0, Math.min(caret.left, window.innerWidth - popupRect.width - 4));
+
+        this.popup.style.top = `${top}px`;
+        this.popup.style.left = `${left}px`;
+    }
+
+    /**
+     * Viewport coordinates of a character in the textarea, measured with a mirror element
+     * @param {number} position - Character index
+     * @returns {{top: number, left: number, height: number}}
+     */
+    getCaretCoordinates(position) {
+        const textarea = this.textarea;
+        const style = window.getComputedStyle(textarea);
+        const mirror = document.createElement('div');
+
+        ['boxSizing', 'width', 'fontFamily', 'fontSize', 'fontWeight', 'lineHeight', 'letterSpacing',
+            'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+            'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth',
+            'whiteSpace', 'wordWrap', 'wordBreak', 'tabSize'].forEach(property => {
+            mirror.style[property] = style[property];
+        });
+        mirror.style.position = 'absolute';
+        mirror.style.visibility = 'hidden';
+        mirror.style.top = '0';
+        mirror.style.left = '-9999px';
+        mirror.style.whiteSpace = 'pre-wrap';
+        mirror.style.overflowWrap = 'break-word';
+
+        mirror.textContent = textarea.value.substring(0, position);
+        const marker = document.createElement('span');
+        marker.textContent = textarea.value.substring(position) || '.';
+        mirror.appendChild(marker);
+        document.body.appendChild(mirror);
+
+        const rect = textarea.getBoundingClientRect();
+        const coordinates = {
+            top: rect.top + marker.offsetTop - textarea.scrollTop,
+            left: rect.left + marker.offsetLeft - textarea.scrollLeft,
+            height: parseInt(style.lineHeight, 10) || parseInt(style.fontSize, 10) * 1.2
+        };
+        mirror.remove();
+        return coordinates;
+    }
+}
+
+// Create global autocomplete instance
+window.editorAutocomplete = new EditorAutocomplete();
@@ -45,6 +45,15 @@ function wikiLinksPlugin(md, options = {}) {
         // Don't process if we're in silent mode
         if (silent) {return true;}
         
+        // Daily note links [[2025-03-27]] are shown as date badges
+        const linkedDate = parts.length === 1 ? DateUtils.parseDateString(document) : null;
+        if (linkedDate) {
+            const token = state.push('html_inline', '', 0);
+            token.content = renderDateBadge(linkedDate, { source: `[[${content}]]`, document: document });
+            state.pos = pos + 2; // Skip closing ]]
+            return true;
+        }
+        
         // Create token
         const token_open = state.push('wiki_link_open', 'a', 1);
         token_open.attrSet('href', '#'); // Use # as placeholder
@@ -188,14 +197,43 @@ function datePersonTagPlugin(md, options = {}) {
         let tagStart = pos;
         let tagContent = '';
         let tagType = '';
-        
+        const meta = {};
+        
+        const remaining = state.src.slice(pos, state.posMax);
+        // Obsidian time @@{14:00}
+        const timeMatch = remaining.match(/^@\{([^}\n]+)\}/);
+        // Obsidian date @{2025-03-27} or daily note link @[[2025-03-27]]
+        const obsidianDateMatch = remaining.match(/^\{([^}\n]+)\}/) || remaining.match(/^\[\[([^\]|\n]+)\]\]/);
+        // Typed date @due:2025-03-27 or @done:{2025-03-27}
+        const typedDateMatch = remaining.match(/^([a-zA-Z]+):(?:\{([^}\n]+)\}|(\d[\d./-]*\d))/);
         // Check if it's a date pattern (YYYY-MM-DD or DD-MM-YYYY)
-        const remaining = state.src.slice(pos);
         const dateMatch = remaining.match(/^(\d{4}-\d{2}-\d{2}|\d{2}-\d{2}-\d{4})/);
         
-        if (dateMatch) {
+        if (timeMatch) {
+            meta.time = DateUtils.parseTimeString(timeMatch[1]);
+            if (!meta.time) {return false;}
+            tagContent = timeMatch[0];
+            tagType = 'time';
+        } else if (obsidianDateMatch) {
+            meta.date = DateUtils.parseDateString(obsidianDateMatch[1]);
+            if (!meta.date) {return false;}
+            if (obsidianDateMatch[0].startsWith('[[')) {
+                meta.document = obsidianDateMatch[1].trim();
+            }
+            tagContent = obsidianDateMatch[0];
+            tagType = 'date';
+        } else if (typedDateMatch && DateUtils.parseDateString(typedDateMatch[2] || typedDateMatch[3])) {
+            meta.date = DateUtils.parseDateString(typedDateMatch[2] || typedDateMatch[3]);
+            meta.dateType = typedDateMatch[1].toLowerCase();
+            tagContent = typedDateMatch[0];
+            tagType = 'date';
+        } else if (dateMatch && DateUtils.parseDateString(dateMatch[1])) {
+            meta.date = DateUtils.parseDateString(dateMatch[1]);
             tagContent = dateMatch[1];
             tagType = 'date';
+        }
+        
+        if (tagType) {
             pos += tagContent.length;
         } else {
             // Parse as person name (letters, numbers, underscore, hyphen)
@@ -224,7 +262,7 @@ function datePersonTagPlugin(md, options = {}) {
         const token = state.push('date_person_tag', 'span', 0);
         token.content = tagContent;
         token.markup = '@';
-        token.meta = { type: tagType };
+        token.meta = { type: tagType, ...meta };
         
         state.pos = pos;
         return true;
@@ -238,15 +276,85 @@ function datePersonTagPlugin(md, options = {}) {
         const tagType = token.meta.type;
         const fullTag = '@' + token.content;
         
-        const className = tagType === 'date' ? 'kanban-date-tag' : 'kanban-person-tag';
-        const dataAttr = tagType === 'date' ? 'data-date' : 'data-person';
+        if (tagType === 'date') {
+            return renderDateBadge(token.meta.date, {
+                source: fullTag,
+                dateType: token.meta.dateType,
+                document: token.meta.document
+            });
+        }
+        if (tagType === 'time') {
+            return `<span class="kanban-time-tag" data-time="${token.meta.time}" title="${escapeHtml(fullTag)}">${escapeHtml(token.meta.time)}</span>`;
+        }
         
-        return `<span class="${className}" ${dataAttr}="${escapeHtml(tagContent)}">${escapeHtml(fullTag)}</span>`;
+        return `<span class="kanban-person-tag" data-person="${escapeHtml(tagContent)}">${escapeHtml(fullTag)}</span>`;
     };
 }
 
+/**
+ * Renders a date as badge with a relative label ("tomorrow", "3 days overdue")
+ * Used by: datePersonTagPlugin (@date, @{date}, @type:date) and wikiLinksPlugin ([[date]])
+ * @param {string} isoDate - Date as YYYY-MM-DD
+ * @param {Object} options - source (text as written), dateType (due, done, ...), document (daily note link)
+ * @returns {string} Badge HTML, a wiki link if the date links to a daily note
+ */
+function renderDateBadge(isoDate, options = {}) {
+    const dateType = options.dateType || 'due';
+    const relative = DateUtils.getRelativeDate(isoDate, dateType);
+    const typePrefix = dateType !== 'due' ? `${dateType}: ` : '';
+
+    const attributes = `class="${options.document ? 'wiki-link ' : ''}kanban-date-tag date-${relative.state}"` +
+        ` data-date="${isoDate}" data-date-type="${escapeHtml(dateType)}" title="${escapeHtml(options.source || isoDate)}"`;
+    const content = `${escapeHtml(typePrefix + DateUtils.formatDate(isoDate))}<span class="kanban-date-relative">${relative.label}</span>`;
+
+    if (options.document) {
+        return `<a href="#" ${attributes} data-document="${escapeHtml(options.document)}">${content}</a>`;
+    }
+    return `<span ${attributes}>${content}</span>`;
+}
+
 // Tag extraction functions now in utils/tagUtils.js
 
+// Checklist plugin for markdown-it
+// Turns `- [ ] item` list items into checkboxes, data-line is the source line of the item
+// so toggleDescriptionCheckbox() can edit exactly that line of the task description
+function taskListPlugin(md) {
+    md.core.ruler.after('inline', 'kanban_task_list', function(state) {
+        const tokens = state.tokens;
+
+        for (let i = 2; i < tokens.length; i++) {
+            const inlineToken = tokens[i];
+            const listItemToken = tokens[i - 2];
+            if (inlineToken.type !== 'inline' ||
+                tokens[i - 1].type !== 'paragraph_open' ||
+                listItemToken.type !== 'list_item_open') {
+                continue;
+            }
+
+            const markerMatch = inlineToken.content.match(/^\[(.)\](?:\s|$)/);
+            const firstChild = inlineToken.children && inlineToken.children[0];
+            if (!markerMatch || !firstChild || firstChild.type !== 'text' || !firstChild.content.startsWith(markerMatch[0].trimEnd())) {
+                continue;
+            }
+
+            const marker = markerMatch[1];
+            const isChecked = marker === 'x' || marker === 'X';
+            const isCustomStatus = !isChecked && marker !== ' ';
+            const line = listItemToken.map ? listItemToken.map[0] : -1;
+
+            firstChild.content = firstChild.content.slice(markerMatch[0].length);
+
+            const checkboxToken = new state.Token('html_inline', '', 0);
+            checkboxToken.content = `<input type="checkbox" class="description-checkbox"${isChecked ? ' checked' : ''}` +
+                `${isCustomStatus ? ` data-checkbox-status="${escapeHtml(marker)}"` : ''} data-line="${line}"` +
+                ` onmousedown="event.stopPropagation();" onclick="toggleDescriptionCheckbox(event, this)">`;
+            inlineToken.children.unshift(checkboxToken);
+
+            listItemToken.attrJoin('class', 'task-list-item');
+        }
+    });
+}
+
 // Enhanced strikethrough plugin with delete buttons
 function enhancedStrikethroughPlugin(md) {
     // Override the default strikethrough renderer
@@ -375,6 +483,7 @@ function renderMarkdown(text) {
             tagColors: window.tagColors || {}
         })
         .use(datePersonTagPlugin) // Add this line
+        .use(taskListPlugin) // - [ ] sub-tasks as checkboxes
         .use(enhancedStrikethroughPlugin) // Add enhanced strikethrough with delete buttons
         .use(htmlCommentPlugin, {
             showComments: showHtmlComments
@@ -347,8 +347,7 @@ class SimpleMenuManager {
                 return this.createMoveToListContent(id, columnId);
             case 'sort':
                 return `
-                    <button class="donut-menu-item" onclick="sortColumn('${columnId}', 'unsorted')">Unsorted</button>
-                    <button class="donut-menu-item" onclick="sortColumn('${columnId}', 'title')">Sort by title</button>
+                    ${generateSortMenuItems(columnId)}
                 `;
             default:
                 return '';
@@ -1166,6 +1165,59 @@ function sortColumn(columnId, sortType) {
     vscode.postMessage({ type: 'sortColumn', columnId, sortType });
 }
 
+/**
+ * Sort modes of the column menu, `sortType` is the #sort- tag without prefix (see BoardOperations.parseSortMode)
+ */
+function getColumnSortModes() {
+    const modes = [
+        { sortType: 'byoriginal', label: 'Original order' },
+        { sortType: 'byname', label: 'Title' },
+        { sortType: 'bydate', label: 'Due date' },
+        { sortType: 'bypriority', label: 'Priority' },
+        { sortType: 'byperson', label: 'Person' },
+        { sortType: 'byopen', label: 'Open checklist items' }
+    ];
+    // Category names have to fit into a tag
+    Object.keys(window.customTagCategories || {}).filter(category => /^[a-zA-Z0-9_-]+$/.test(category)).forEach(category => {
+        modes.push({ sortType: `bycategory-${category.toLowerCase()}`, label: `Tag: ${category}` });
+    });
+    return modes;
+}
+
+/**
+ * Sort submenu: every mode sorts ascending or descending once,
+ * the # button cycles the #sort- tag that keeps the column sorted (ascending, descending, off)
+ */
+function generateSortMenuItems(columnId) {
+    const column = window.cachedBoard?.columns?.find(c => c.id === columnId);
+    const tagMatch = (column?.title || '').match(/#sort-([a-zA-Z0-9_-]+)/);
+    const currentTag = tagMatch ? tagMatch[1].toLowerCase().replace(/-asc$/, '') : '';
+
+    return getColumnSortModes().map(mode => {
+        const keptDirection = currentTag === mode.sortType ? 'asc' : currentTag === `${mode.sortType}-desc` ? 'desc' : '';
+        const nextTag = keptDirection === '' ? mode.sortType : keptDirection === 'asc' ? `${mode.sortType}-desc` : '';
+        const keepTitle = keptDirection
+            ? `Kept sorted by #sort-${currentTag}, click for ${nextTag ? 'descending' : 'off'}`
+            : `Keep sorted: add #sort-${mode.sortType} to the list title`;
+
+        return `
+            <div class="donut-menu-item sort-mode-row">
+                <span class="sort-mode-label">${escapeHtml(mode.label)}</span>
+                <button class="sort-mode-btn" onclick="sortColumn('${columnId}', '${mode.sortType}')" title="Sort ascending">↑</button>
+                <button class="sort-mode-btn" onclick="sortColumn('${columnId}', '${mode.sortType}-desc')" title="Sort descending">↓</button>
+                <button class="sort-mode-btn sort-mode-keep ${keptDirection ? 'active' : ''}" onclick="setColumnSortTag('${columnId}', '${nextTag}')" title="${escapeHtml(keepTitle)}">#${keptDirection === 'desc' ? '↓' : keptDirection === 'asc' ? '↑' : ''}</button>
+            </div>`;
+    }).join('');
+}
+
+/**
+ * Writes the #sort- tag into the column title and sorts the column, an empty sortType removes the tag
+ */
+function setColumnSortTag(columnId, sortType) {
+    closeAllMenus();
+    vscode.postMessage({ type: 'setColumnSortTag', columnId, sortType });
+}
+
 // Copy operations - using unified export system
 async function copyColumnAsMarkdown(columnId) {
     if (!currentBoard?.columns) {return;}
@@ -1719,11 +1771,7 @@ function duplicateTask(taskId, columnId) {
         const found = findTaskInBoard(taskId, columnId);
         if (found) {
             const { task: originalTask, column: targetColumn, columnId: actualColumnId } = found;
-            const duplicatedTask = {
-                id: `temp-duplicate-${Date.now()}`,
-                title: originalTask.title,
-                description: originalTask.description
-            };
+            const duplicatedTask = createTaskCopy(originalTask);
 
             // Insert after the original task
             const originalIndex = targetColumn.tasks.findIndex(task => task.id === taskId);
@@ -1734,6 +1782,168 @@ function duplicateTask(taskId, columnId) {
     // No VS Code message - cache-first system requires explicit save via Cmd+S
 }
 
+/**
+ * Copy of a task with a new temporary id, for the caller to insert
+ * The id has a random suffix, copies made in one loop get the same timestamp
+ * Used by: duplicateTask, multi-select duplicate, next occurrence of @repeat: cards (RepeatUtils)
+ */
+function createTaskCopy(task) {
+    return {
+        id: `temp-duplicate-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        title: task.title,
+        description: task.description,
+        completed: task.completed,
+        checkboxStatus: task.checkboxStatus
+    };
+}
+
+/**
+ * Toggles the checkbox ([ ] / [x]) of a task
+ * Purpose: Mark cards as done/open directly on the board
+ * Used by: Task checkbox in the card header
+ * @param {string} taskId - Task to toggle
+ * @param {string} columnId - Column containing the task
+ * @param {Event} event - Click event from the checkbox
+ * Side effects: Sends editTask (creates undo state), updates cache and DOM
+ */
+function toggleTaskCheckbox(taskId, columnId, event) {
+    if (event) {
+        event.stopPropagation();
+    }
+
+    const found = findTaskInBoard(taskId, columnId);
+    if (!found) {
+        return;
+    }
+
+    const { task, columnId: actualColumnId } = found;
+
+    // Custom statuses ([/], [-], ...) count as open and are completed on click
+    const completed = !task.completed;
+
+    // Backend saves the undo state before applying the change
+    vscode.postMessage({
+        type: 'editTask',
+        taskId: taskId,
+        columnId: actualColumnId,
+        taskData: { completed: completed }
+    });
+
+    task.completed = completed;
+    delete task.checkboxStatus;
+
+    // Next occurrence of a @repeat: card, part of the same undo step as the checkbox
+    if (completed && RepeatUtils.createNextOccurrence(task, found.column)) {
+        markUnsavedChanges();
+        renderBoard();
+        return;
+    }
+
+    const taskElement = document.querySelector(`.task-item[data-task-id="${taskId}"]`);
+    if (taskElement) {
+        taskElement.classList.toggle('task-completed', completed);
+        taskElement.removeAttribute('data-checkbox-status');
+        const checkbox = taskElement.querySelector('.task-checkbox');
+        if (checkbox) {
+            checkbox.checked = completed;
+            checkbox.title = 'Toggle done';
+        }
+    }
+
+    markUnsavedChanges();
+}
+
+/**
+ * Toggles a sub-task checkbox (`- [ ]` / `- [x]`) inside a task description
+ * Purpose: Tick off checklist items without opening the editor
+ * Used by: Checkboxes rendered by taskListPlugin (markdownRenderer.js)
+ * @param {Event} event - Click event from the checkbox
+ * @param {HTMLInputElement} checkbox - Checkbox with data-line (line index in the description)
+ * Side effects: Sends editTask (creates undo state), updates cache, editor and progress bar
+ */
+function toggleDescriptionCheckbox(event, checkbox) {
+    if (event) {
+        event.stopPropagation();
+    }
+
+    const taskElement = checkbox.closest('.task-item');
+    const lineIndex = parseInt(checkbox.dataset.line, 10);
+    const found = taskElement ? findTaskInBoard(taskElement.dataset.taskId) : null;
+
+    // Checkboxes outside of card descriptions (archive, titles) and include files are read-only
+    if (!found || isNaN(lineIndex) || found.task.includeMode) {
+        event?.preventDefault();
+        return;
+    }
+
+    const { task, columnId } = found;
+    const lines = (task.description || '').split('\n');
+    const match = lines[lineIndex]?.match(/^(\s*(?:[-*+]|\d+[.)])\s+\[)(.)(\])/);
+    if (!match) {
+        console.warn('[toggleDescriptionCheckbox] No checklist item at line', lineIndex);
+        event?.preventDefault();
+        return;
+    }
+
+    lines[lineIndex] = match[1] + (checkbox.checked ? 'x' : ' ') + match[3] + lines[lineIndex].slice(match[0].length);
+    const description = lines.join('\n');
+
+    // Backend saves the undo state before applying the change
+    vscode.postMessage({
+        type: 'editTask',
+        taskId: task.id,
+        columnId: columnId,
+        taskData: { description: description }
+    });
+
+    task.description = description;
+    checkbox.removeAttribute('data-checkbox-status');
+
+    const editElement = taskElement.querySelector('.task-description-edit');
+    if (editElement) {
+        editElement.value = getTaskEditContent(task);
+    }
+    updateTaskProgress(taskElement, task);
+
+    markUnsavedChanges();
+}
+
+/**
+ * Moves a task into the archive section of the board
+ * Purpose: Obsidian compatible archiving (`***` + `## Archive`)
+ * Used by: Task menu 'Archive card'
+ * @param {string} taskId - Task to archive
+ * @param {string} columnId - Column containing the task
+ * Side effects: Backend archives the task (with undo) and sends the updated board
+ */
+function archiveTask(taskId, columnId) {
+    closeAllMenus();
+
+    const found = findTaskInBoard(taskId, columnId);
+    if (!found) {
+        return;
+    }
+
+    vscode.postMessage({ type: 'archiveTask', taskId: taskId, columnId: found.columnId });
+}
+
+/**
+ * Moves all checked ([x]) tasks of a column into the archive section
+ * Used by: Column menu 'Archive done cards'
+ * @param {string} columnId - Column to clean up
+ */
+function archiveDoneTasks(columnId) {
+    closeAllMenus();
+
+    const column = window.cachedBoard?.columns.find(col => col.id === columnId);
+    if (!column || !column.tasks.some(task => task.completed)) {
+        vscode.postMessage({ type: 'showMessage', text: 'There are no done cards in this list.' });
+        return;
+    }
+
+    vscode.postMessage({ type: 'archiveDoneTasks', columnId: columnId });
+}
+
 function insertTaskBefore(taskId, columnId) {
     // Close all menus properly
     closeAllMenus();
@@ -1902,6 +2112,8 @@ function moveTaskToColumn(taskId, fromColumnId, toColumnId) {
             if (taskIndex >= 0) {
                 const task = fromColumn.tasks.splice(taskIndex, 1)[0];
                 toColumn.tasks.push(task);
+                CardAgingUtils.recordMove(task, fromColumn, toColumn);
+                RepeatUtils.repeatIfMovedToDone(task, fromColumn, toColumn);
 
                 console.log(`[moveTaskToColumn] Task moved successfully, calling renderBoard()`);
 
@@ -2388,16 +2600,8 @@ function toggleTaskTag(taskId, columnId, tagName, event) {
         return;
     }
 
-    const tagWithHash = `#${tagName}`;
-    let title = task.title || '';
-    const wasActive = new RegExp(`#${tagName}\\b`, 'gi').test(title);
-
-
-    if (wasActive) {
-        title = title.replace(new RegExp(`#${tagName}\\b`, 'gi'), '').replace(/\s+/g, ' ').trim();
-    } else {
-        title = `${title} ${tagWithHash}`.trim();
-    }
+    const wasActive = hasTitleTag(task.title, tagName);
+    const title = setTitleTag(task.title, tagName, !wasActive);
 
     // Update the task in the found board
     const oldTitle = task.title;
@@ -2469,6 +2673,41 @@ function toggleTaskTag(taskId, columnId, tagName, event) {
 
 }
 
+/**
+ * True if a task or column title contains the tag
+ * Used by: toggleTaskTag, bulk tag actions of the multi-selection
+ */
+function hasTitleTag(title, tagName) {
+    return getTitleTagRegex(tagName, 'i').test(title || '');
+}
+
+/**
+ * Regex of a tag in a title, the tag name is escaped (typed in the selection bar)
+ */
+function getTitleTagRegex(tagName, flags) {
+    const escaped = tagName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`#${escaped}(?![a-zA-Z0-9_-])`, flags);
+}
+
+/**
+ * Adds or removes a tag in a task or column title
+ * Used by: toggleTaskTag, bulk tag actions of the multi-selection
+ * @param {string} title - Title to change
+ * @param {string} tagName - Tag without #
+ * @param {boolean} active - Whether the title should contain the tag
+ * @returns {string} New title, unchanged if it already matches
+ */
+function setTitleTag(title, tagName, active) {
+    title = title || '';
+    if (hasTitleTag(title, tagName) === active) {
+        return title;
+    }
+    if (active) {
+        return `${title} #${tagName}`.trim();
+    }
+    return title.replace(getTitleTagRegex(tagName, 'gi'), '').replace(/\s+/g, ' ').trim();
+}
+
 // Enhanced DOM update functions using unique IDs
 // CRITICAL: Always use data-column-id and data-task-id selectors to avoid title conflicts
 /**
@@ -2794,13 +3033,16 @@ function compareBoards(savedBoard, cachedBoard) {
             }
             
             // Check task content changes
-            if (savedTask.title !== cachedTask.title || savedTask.description !== cachedTask.description) {
+            if (savedTask.title !== cachedTask.title || savedTask.description !== cachedTask.description ||
+                !!savedTask.completed !== !!cachedTask.completed || savedTask.checkboxStatus !== cachedTask.checkboxStatus) {
                 changes.taskChanges.push({
                     taskId: cachedTask.id,
                     columnId: cachedCol.id, // Current column
                     taskData: {
                         title: cachedTask.title,
-                        description: cachedTask.description
+                        description: cachedTask.description,
+                        completed: !!cachedTask.completed,
+                        checkboxStatus: cachedTask.checkboxStatus
                     }
                 });
             }
@@ -3008,6 +3250,12 @@ function performSort() {
     vscode.postMessage({ type: 'performSort' });
 }
 
+// Dry run of the sort: the backend lists the cards that would move before sorting
+function previewSort() {
+    closeAllMenus();
+    vscode.postMessage({ type: 'previewSort' });
+}
+
 // Manual refresh function
 function manualRefresh() {
     // First flush any pending tag changes immediately
@@ -3770,6 +4018,12 @@ window.columnTagUpdateTimeout = null;
 window.taskTagUpdateTimeout = null;
 window.toggleColumnTag = toggleColumnTag;
 window.toggleTaskTag = toggleTaskTag;
+window.setTitleTag = setTitleTag;
+window.createTaskCopy = createTaskCopy;
+window.toggleTaskCheckbox = toggleTaskCheckbox;
+window.toggleDescriptionCheckbox = toggleDescriptionCheckbox;
+window.archiveTask = archiveTask;
+window.archiveDoneTasks = archiveDoneTasks;
 window.submenuGenerator = window.menuManager; // Compatibility alias
 window.manualRefresh = manualRefresh;
 window.updateVisualTagState = updateVisualTagState;
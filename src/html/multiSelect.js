@@ -0,0 +1,272 @@
+/**
+ * Multi-Selection
+ * Ctrl/Cmd-click adds or removes a card, Shift-click adds all visible cards between the last
+ * clicked card and this one. The selection bar moves, tags, duplicates, deletes or exports
+ * all selected cards, each bulk action is one undo step.
+ *
+ * Dragging a selected card moves the whole selection (processTaskDrop in dragDrop.js).
+ */
+class MultiSelect {
+    constructor() {
+        this.selectedIds = new Set();
+        this.anchorId = null;
+
+        // Capture phase, so the click does not start editing the card
+        document.addEventListener('click', event => this.handleClick(event), true);
+        document.addEventListener('keydown', event => this.handleKeyDown(event));
+    }
+
+    handleClick(event) {
+        if (!event.ctrlKey && !event.metaKey && !event.shiftKey) {
+            return;
+        }
+        const taskElement = event.target.closest?.('.task-item[data-task-id]');
+        if (!taskElement || event.target.closest('input, textarea, select, button, .donut-menu')) {
+            return;
+        }
+        if (window.taskEditor?.currentEditor) {
+            return;
+        }
+
+        event.preventDefault();
+        event.stopPropagation();
+
+        const taskId = taskElement.getAttribute('data-task-id');
+        if (event.shiftKey && this.anchorId && this.anchorId !== taskId) {
+            this.selectRange(this.anchorId, taskId);
+            window.getSelection()?.removeAllRanges();
+        } else {
+            if (this.selectedIds.has(taskId)) {
+                this.selectedIds.delete(taskId);
+            } else {
+                this.selectedIds.add(taskId);
+            }
+            this.anchorId = taskId;
+        }
+        this.apply();
+    }
+
+    handleKeyDown(event) {
+        if (event.key !== 'Escape' || this.selectedIds.size === 0) {
+            return;
+        }
+        if (event.target.closest?.('input, textarea') && event.target.id !== 'multi-select-tag') {
+            return;
+        }
+        this.clear();
+    }
+
+    /**
+     * Adds the visible cards between two cards, in the order they are rendered
+     */
+    selectRange(fromId, toId) {
+        const taskIds = Array.from(document.querySelectorAll('.task-item[data-task-id]'))
+            .filter(taskElement => !taskElement.classList.contains('filtered-out'))
+            .map(taskElement => taskElement.getAttribute('data-task-id'));
+        const from = taskIds.indexOf(fromId);
+        const to = taskIds.indexOf(toId);
+        if (from < 0 || to < 0) {
+            this.selectedIds.add(toId);
+            return;
+        }
+        taskIds.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(taskId => this.selectedIds.add(taskId));
+    }
+
+    clear() {
+        this.selectedIds.clear();
+        this.anchorId = null;
+        this.apply();
+    }
+
+    /**
+     * Re-applies the selection after every render
+     */
+    onBoardRendered() {
+        this.apply();
+    }
+
+    /**
+     * Selected cards with their columns, in board order
+     * @returns {Array<{task: Object, column: Object}>}
+     */
+    getSelectedTasks() {
+        const selected = [];
+        (window.cachedBoard?.columns || []).forEach(column => {
+            column.tasks.forEach(task => {
+                if (this.selectedIds.has(task.id)) {
+                    selected.push({ task, column });
+                }
+            });
+        });
+        return selected;
+    }
+
+    /**
+     * Drops cards that are no longer on the board, toggles the task-selected class and updates the bar
+     */
+    apply() {
+        const existing = new Set(this.getSelectedTasks().map(({ task }) => task.id));
+        this.selectedIds.forEach(taskId => {
+            if (!existing.has(taskId)) {
+                this.selectedIds.delete(taskId);
+            }
+        });
+
+        document.querySelectorAll('.task-item[data-task-id]').forEach(taskElement => {
+            taskElement.classList.toggle('task-selected', this.selectedIds.has(taskElement.getAttribute('data-task-id')));
+        });
+        this.updateBar();
+    }
+
+    updateBar() {
+        const bar = document.getElementById('multi-select-bar');
+        if (!bar) { return; }
+
+        const count = this.selectedIds.size;
+        bar.style.display = count > 0 ? 'flex' : 'none';
+        if (count === 0) { return; }
+
+        document.getElementById('multi-select-count').textContent = `${count} card${count === 1 ? '' : 's'} selected`;
+
+        const columnSelect = document.getElementById('multi-select-column');
+        columnSelect.innerHTML = '<option value="">Move to…</option>' + (window.cachedBoard?.columns || [])
+            .map(column => `<option value="${escapeHtml(column.id)}">${escapeHtml(CardAgingUtils.getMoveColumnName(column.title) || '(untitled)')}</option>`)
+            .join('');
+
+        const tagList = document.getElementById('multi-select-tags');
+        if (tagList && typeof getAllTagsInUse === 'function') {
+            tagList.innerHTML = Array.from(getAllTagsInUse()).sort()
+                .map(tag => `<option value="${escapeHtml(tag)}"></option>`)
+                .join('');
+        }
+    }
+
+    /**
+     * Saves one undo state, runs the change on the cached board and re-renders
+     * @param {string} operation - Undo operation name
+     * @param {Function} action - Called with the selected cards, in board order
+     */
+    runBulkAction(operation, action) {
+        const board = window.cachedBoard;
+        const selected = this.getSelectedTasks();
+        if (!board || selected.length === 0) { return; }
+
+        vscode.postMessage({
+            type: 'saveUndoState',
+            operation: operation,
+            taskIds: selected.map(({ task }) => task.id),
+            currentBoard: board
+        });
+
+        action(selected);
+
+        markUnsavedChanges();
+        renderBoard();
+    }
+
+    /**
+     * Moves all selected cards into a column, keeping their board order
+     * @param {string} toColumnId - Destination column
+     * @param {string|null} beforeTaskId - Card to insert before, null to append
+     */
+    moveTo(toColumnId, beforeTaskId = null) {
+        const toColumn = window.cachedBoard?.columns.find(column => column.id === toColumnId);
+        if (!toColumn) { return; }
+
+        if (typeof unfoldColumnIfCollapsed === 'function') {
+            unfoldColumnIfCollapsed(toColumnId);
+        }
+
+        this.runBulkAction('moveTasks', selected => {
+            selected.forEach(({ task, column }) => column.tasks.splice(column.tasks.indexOf(task), 1));
+
+            const index = beforeTaskId ? toColumn.tasks.findIndex(task => task.id === beforeTaskId) : -1;
+            toColumn.tasks.splice(index < 0 ? toColumn.tasks.length : index, 0, ...selected.map(({ task }) => task));
+
+            selected.forEach(({ task, column }) => {
+                CardAgingUtils.recordMove(task, column, toColumn);
+                RepeatUtils.repeatIfMovedToDone(task, column, toColumn);
+            });
+        });
+    }
+
+    /**
+     * Moves the selection to where the dragged card was dropped
+     * @param {HTMLElement} taskItem - Dragged card, already at its drop position in the DOM
+     * @param {string} toColumnId - Column the card was dropped in
+     */
+    moveDraggedSelection(taskItem, toColumnId) {
+        let next = taskItem.nextElementSibling;
+        while (next && (!next.matches('.task-item[data-task-id]') || this.selectedIds.has(next.getAttribute('data-task-id')))) {
+            next = next.nextElementSibling;
+        }
+        this.moveTo(toColumnId, next ? next.getAttribute('data-task-id') : null);
+    }
+
+    /**
+     * True if the dragged card is part of a selection of two or more cards
+     */
+    isMultiDrag(taskId) {
+        return this.selectedIds.size > 1 && this.selectedIds.has(taskId);
+    }
+
+    /**
+     * Number of cards a drag brings into a column, for the WIP limit check
+     */
+    getDragCount(taskId, toColumnId) {
+        if (!this.isMultiDrag(taskId)) {
+            return 1;
+        }
+        return this.getSelectedTasks().filter(({ column }) => column.id !== toColumnId).length;
+    }
+
+    /**
+     * Adds or removes the tag typed in the selection bar on all selected cards
+     * @param {boolean} active - true to add, false to remove
+     */
+    setTag(active) {
+        const input = document.getElementById('multi-select-tag');
+        const tagName = (input?.value || '').trim().replace(/^#/, '');
+        if (!/^[a-zA-Z0-9_-]+(?:[&|=><][a-zA-Z0-9_-]+)*$/.test(tagName)) {
+            vscode.postMessage({ type: 'showError', message: 'Enter one tag name of letters, digits, _ and -, e.g. urgent' });
+            return;
+        }
+
+        const changed = this.getSelectedTasks().filter(({ task }) => hasTitleTag(task.title, tagName) !== active);
+        if (changed.length === 0) { return; }
+
+        this.runBulkAction(active ? 'addTagToTasks' : 'removeTagFromTasks', selected => {
+            selected.forEach(({ task }) => {
+                task.title = setTitleTag(task.title, tagName, active);
+            });
+        });
+    }
+
+    duplicate() {
+        this.runBulkAction('duplicateTasks', selected => {
+            selected.forEach(({ task, column }) => {
+                column.tasks.splice(column.tasks.indexOf(task) + 1, 0, createTaskCopy(task));
+            });
+        });
+    }
+
+    remove() {
+        this.runBulkAction('deleteTasks', selected => {
+            selected.forEach(({ task, column }) => column.tasks.splice(column.tasks.indexOf(task), 1));
+        });
+        this.clear();
+    }
+
+    /**
+     * Opens the export dialog for the selected cards
+     */
+    export() {
+        const taskIds = this.getSelectedTasks().map(({ task }) => task.id);
+        if (taskIds.length > 0) {
+            showExportDialogForCards(taskIds);
+        }
+    }
+}
+
+// Create global multi-selection instance
+window.multiSelect = new MultiSelect();
@@ -116,10 +116,7 @@ class SubmenuGenerator {
 
     // Create sort content
     createSortContent(columnId) {
-        return `
-            <button class="donut-menu-item" onclick="sortColumn('${columnId}', 'unsorted')">Unsorted</button>
-            <button class="donut-menu-item" onclick="sortColumn('${columnId}', 'title')">Sort by title</button>
-        `;
+        return generateSortMenuItems(columnId);
     }
 
     // Group tags by type
@@ -0,0 +1,335 @@
+/**
+ * Swimlanes
+ * Optional board mode that splits every column horizontally into lanes.
+ * Lanes come from the card title: the first @person, a tag of a customTagCategories
+ * category or a priority tag (TagUtils.patterns.priorityTag).
+ *
+ * Dragging a card into another lane rewrites that @person / #tag in the card title.
+ * The mode is stored per document in the folding state (see webview.js).
+ */
+class Swimlanes {
+    static PRIORITY_ORDER = ['urgent', 'high', 'medium', 'low'];
+
+    constructor() {
+        // 'none', 'person', 'priority' or 'category:<name>'
+        this.mode = 'none';
+        this.draggedTaskId = null;
+    }
+
+    isActive() {
+        return this.mode !== 'none';
+    }
+
+    getCategory() {
+        return this.mode.startsWith('category:') ? this.mode.substring(9) : null;
+    }
+
+    /**
+     * Switches the lane mode and re-renders the board
+     * @param {string} mode - none, person, priority or category:<name>
+     */
+    setMode(mode) {
+        this.mode = mode || 'none';
+
+        const state = window.getCurrentDocumentFoldingState ? window.getCurrentDocumentFoldingState() : null;
+        if (state) {
+            state.swimlaneMode = this.mode;
+        }
+
+        this.renderMenu();
+        renderBoard();
+    }
+
+    /**
+     * Restores the stored mode after switching documents, the board is rendered afterwards
+     * Used by: updateDocumentUri in webview.js
+     */
+    restore(mode) {
+        this.mode = mode || 'none';
+        this.renderMenu();
+    }
+
+    /**
+     * Fills the "Swimlanes" submenu of the file bar menu
+     * Used by: updateAllMenuIndicators
+     */
+    renderMenu() {
+        const container = document.querySelector('[data-menu="swimlanes"]');
+        if (!container) { return; }
+
+        const options = [
+            { value: 'none', label: 'Off' },
+            { value: 'person', label: 'By first @person' },
+            { value: 'priority', label: 'By priority tag' }
+        ];
+        Object.keys(window.customTagCategories || {}).forEach(category => {
+            options.push({ value: `category:${category}`, label: `By ${category} tags` });
+        });
+
+        container.innerHTML = options.map(option => {
+            const isSelected = option.value === this.mode;
+            return `<button class="file-bar-menu-item${isSelected ? ' selected' : ''}" data-swimlane-mode="${escapeHtml(option.value)}">${escapeHtml(option.label)}${isSelected ? '<span class="menu-checkmark">✓</span>' : ''}</button>`;
+        }).join('');
+
+        container.querySelectorAll('[data-swimlane-mode]').forEach(button => {
+            button.onclick = () => this.setMode(button.getAttribute('data-swimlane-mode'));
+        });
+    }
+
+    getCategoryTags() {
+        const category = this.getCategory();
+        const tags = (window.customTagCategories || {})[category] || {};
+        return Object.keys(tags).map(tag => tag.toLowerCase());
+    }
+
+    /**
+     * Lane of a card, '' for cards without a person / tag of the grouping
+     * @param {Object} task - Card from the cached board
+     * @returns {string} Lane key
+     */
+    getLaneKey(task) {
+        const title = task.title || '';
+
+        if (this.mode === 'person') {
+            const personRegex = /(?:^|\s)@([a-zA-Z][a-zA-Z0-9_&-]*)(?=[\s.,;!?)]|$)/g;
+            let match;
+            while ((match = personRegex.exec(title)) !== null) {
+                if (match[1].toLowerCase() !== 'sticky') {
+                    return match[1];
+                }
+            }
+            return '';
+        }
+
+        if (this.mode === 'priority') {
+            const pattern = window.tagUtils ? window.tagUtils.patterns.priorityTag : /#(high|medium|low|urgent)\b/i;
+            const match = title.match(pattern);
+            return match ? match[1].toLowerCase() : '';
+        }
+
+        const categoryTags = this.getCategoryTags();
+        const tagRegex = /(?:^|\s)#([a-zA-Z0-9_-]+)/g;
+        let match;
+        while ((match = tagRegex.exec(title)) !== null) {
+            if (categoryTags.includes(match[1].toLowerCase())) {
+                return match[1].toLowerCase();
+            }
+        }
+        return '';
+    }
+
+    /**
+     * Lanes in display order, the lane for cards without a key is always last
+     * @param {Object} board - Cached board
+     * @returns {string[]} Lane keys
+     */
+    getLanes(board) {
+        const used = [];
+        board.columns.forEach(column => {
+            column.tasks.forEach(task => {
+                const key = this.getLaneKey(task);
+                if (key && !used.includes(key)) {
+                    used.push(key);
+                }
+            });
+        });
+
+        let lanes;
+        if (this.mode === 'person') {
+            lanes = used.sort((a, b) => a.localeCompare(b));
+        } else {
+            // Priorities and category tags get a lane even without cards, so cards can be dropped there
+            const defined = this.mode === 'priority' ? Swimlanes.PRIORITY_ORDER : this.getCategoryTags();
+            lanes = defined.concat(used.filter(key => !defined.includes(key)));
+        }
+        return lanes.concat(['']);
+    }
+
+    getLaneLabel(key) {
+        if (key) {
+            return this.mode === 'person' ? `@${key}` : `#${key}`;
+        }
+        if (this.mode === 'person') { return 'No person'; }
+        if (this.mode === 'priority') { return 'No priority'; }
+        return `No ${this.getCategory()} tag`;
+    }
+
+    /**
+     * Replaces the lane @person / #tag in a card title
+     * @param {string} title - Card title
+     * @param {string} fromKey - Current lane ('' if the card has none)
+     * @param {string} toKey - New lane ('' removes the person / tag)
+     * @returns {string} New title
+     */
+    rewriteTitle(title, fromKey, toKey) {
+        const marker = this.mode === 'person' ? '@' : '#';
+        title = title || '';
+
+        if (fromKey) {
+            const escaped = fromKey.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const regex = new RegExp(`(^|\\s)${marker}${escaped}(?![a-zA-Z0-9_&-])`, 'i');
+            if (toKey) {
+                return title.replace(regex, `$1${marker}${toKey}`);
+            }
+            return title.replace(regex, '$1').replace(/[ \t]{2,}/g, ' ').trim();
+        }
+        return toKey ? `${title.replace(/\s+$/, '')} ${marker}${toKey}` : title;
+    }
+
+    /**
+     * Creates the lane grid: one row per lane, one cell per column
+     * Used by: renderBoard instead of the row/stack layout
+     * @param {Object} board - Cached board
+     * @returns {HTMLElement} Grid element
+     */
+    createBoardElement(board) {
+        const lanes = this.getLanes(board);
+        const columns = board.columns;
+
+        const grid = document.createElement('div');
+        grid.className = 'swimlane-board';
+        grid.style.gridTemplateColumns = `var(--swimlane-header-width, 140px) repeat(${columns.length}, var(--column-width, 350px))`;
+
+        let html = '<div class="swimlane-corner"></div>';
+        columns.forEach(column => {
+            const title = window.tagUtils ? window.tagUtils.getColumnDisplayTitle(column, window.filterTagsFromText) : escapeHtml(column.title || '');
+            html += `<div class="swimlane-column-title markdown-content" data-column-id="${column.id}">${title} <span class="task-count">${getColumnTaskCountText(column)}</span></div>`;
+        });
+
+        lanes.forEach(laneKey => {
+            const laneCount = columns.reduce((count, column) => count + column.tasks.filter(task => this.getLaneKey(task) === laneKey).length, 0);
+            html += `<div class="swimlane-header${laneKey ? '' : ' swimlane-header-empty'}">${escapeHtml(this.getLaneLabel(laneKey))} <span class="task-count">${laneCount}</span></div>`;
+
+            columns.forEach(column => {
+                const cards = column.tasks
+                    .map((task, index) => ({ task, index }))
+                    .filter(({ task }) => this.getLaneKey(task) === laneKey)
+                    .map(({ task, index }) => createTaskElement(task, column.id, index))
+                    .join('');
+                html += `<div class="swimlane-cell" data-column-id="${column.id}" data-lane-key="${escapeHtml(laneKey)}">${cards}</div>`;
+            });
+        });
+
+        grid.innerHTML = html;
+        this.setupDragAndDrop(grid);
+        return grid;
+    }
+
+    setupDragAndDrop(grid) {
+        grid.querySelectorAll('.task-drag-handle').forEach(handle => {
+            handle.draggable = true;
+            handle.addEventListener('dragstart', e => {
+                const taskItem = handle.closest('.task-item');
+                if (!taskItem) { return; }
+                e.stopPropagation();
+                this.draggedTaskId = taskItem.dataset.taskId;
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('application/x-kanban-lane-task', this.draggedTaskId);
+                taskItem.classList.add('dragging');
+            });
+            handle.addEventListener('dragend', () => {
+                const taskItem = handle.closest('.task-item');
+                if (taskItem) {
+                    taskItem.classList.remove('dragging');
+                }
+                grid.querySelectorAll('.swimlane-cell.drag-over').forEach(cell => cell.classList.remove('drag-over'));
+                this.draggedTaskId = null;
+            });
+        });
+
+        grid.querySelectorAll('.swimlane-cell').forEach(cell => {
+            cell.addEventListener('dragover', e => {
+                if (!this.draggedTaskId) { return; }
+                e.preventDefault();
+                e.stopPropagation();
+                cell.classList.add('drag-over');
+            });
+            cell.addEventListener('dragleave', e => {
+                if (!cell.contains(e.relatedTarget)) {
+                    cell.classList.remove('drag-over');
+                }
+            });
+            cell.addEventListener('drop', e => {
+                if (!this.draggedTaskId) { return; }
+                e.preventDefault();
+                e.stopPropagation();
+                cell.classList.remove('drag-over');
+
+                const beforeElement = this.getCardAfterPosition(cell, e.clientY);
+                this.moveTask(
+                    this.draggedTaskId,
+                    cell.getAttribute('data-column-id'),
+                    cell.getAttribute('data-lane-key'),
+                    beforeElement ? beforeElement.dataset.taskId : null
+                );
+            });
+        });
+    }
+
+    getCardAfterPosition(cell, clientY) {
+        const cards = Array.from(cell.querySelectorAll('.task-item')).filter(card => card.dataset.taskId !== this.draggedTaskId);
+        return cards.find(card => {
+            const box = card.getBoundingClientRect();
+            return clientY < box.top + box.height / 2;
+        }) || null;
+    }
+
+    /**
+     * Moves a card to a column and lane, rewriting its lane person / tag, as one undo step
+     * @param {string} taskId - Dragged card
+     * @param {string} toColumnId - Column of the drop cell
+     * @param {string} laneKey - Lane of the drop cell
+     * @param {string|null} beforeTaskId - Card the dragged card is dropped before
+     */
+    moveTask(taskId, toColumnId, laneKey, beforeTaskId) {
+        const board = window.cachedBoard;
+        if (!board) { return; }
+
+        const fromColumn = board.columns.find(column => column.tasks.some(task => task.id === taskId));
+        const toColumn = board.columns.find(column => column.id === toColumnId);
+        if (!fromColumn || !toColumn || beforeTaskId === taskId) { return; }
+
+        const task = fromColumn.tasks.find(existing => existing.id === taskId);
+        const fromLane = this.getLaneKey(task);
+        const fromIndex = fromColumn.tasks.indexOf(task);
+
+        // Save undo state before changing the cached board
+        vscode.postMessage({
+            type: 'saveUndoState',
+            operation: 'moveTaskViaDrag',
+            taskId: taskId,
+            fromColumnId: fromColumn.id,
+            toColumnId: toColumnId,
+            currentBoard: board
+        });
+
+        fromColumn.tasks.splice(fromIndex, 1);
+        if (laneKey !== fromLane) {
+            task.title = this.rewriteTitle(task.title, fromLane, laneKey);
+        }
+
+        // Before the card it was dropped on, otherwise after the last card of the lane
+        let insertIndex = toColumn.tasks.length;
+        if (beforeTaskId) {
+            insertIndex = toColumn.tasks.findIndex(existing => existing.id === beforeTaskId);
+        } else {
+            for (let i = toColumn.tasks.length - 1; i >= 0; i--) {
+                if (this.getLaneKey(toColumn.tasks[i]) === laneKey) {
+                    insertIndex = i + 1;
+                    break;
+                }
+            }
+        }
+        toColumn.tasks.splice(insertIndex < 0 ? toColumn.tasks.length : insertIndex, 0, task);
+        CardAgingUtils.recordMove(task, fromColumn, toColumn);
+        RepeatUtils.repeatIfMovedToDone(task, fromColumn, toColumn);
+
+        if (typeof markUnsavedChanges === 'function') {
+            markUnsavedChanges();
+        }
+        renderBoard();
+    }
+}
+
+// Create global swimlanes instance
+window.swimlanes = new Swimlanes();
@@ -573,6 +573,11 @@ class TaskEditor {
             columnId: columnId || window.getColumnIdFromElement(editElement),
             originalValue: editElement.value
         };
+
+        // @ completion for persons and dates (cards only)
+        if ((type === 'task-title' || type === 'task-description') && window.editorAutocomplete) {
+            window.editorAutocomplete.attach(editElement);
+        }
         
         
         // Reset edit context when starting a new edit session on a different field
@@ -1085,6 +1090,11 @@ class TaskEditor {
                     // Update tag-based styling (only title tags for card-level styling)
                     const taskElement = document.querySelector(`[data-task-id="${taskId}"]`);
                     if (taskElement) {
+                        // Sub-task count may have changed with the description
+                        if (type === 'task-description' && window.updateTaskProgress) {
+                            window.updateTaskProgress(taskElement, task);
+                        }
+
                         // Only use title tags for card-level styling (headers/footers)
                         // Description tags should remain inline-only
                         const titleTags = window.getActiveTagsInTitle ? window.getActiveTagsInTitle(task.title || '') : [];
@@ -1161,6 +1171,10 @@ class TaskEditor {
         if (!this.currentEditor) {return;}
 
         const { element, displayElement, type } = this.currentEditor;
+
+        if (window.editorAutocomplete) {
+            window.editorAutocomplete.detach();
+        }
         
         // Clean up event listeners
         element.onblur = null;
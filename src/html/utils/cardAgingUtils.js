@@ -0,0 +1,94 @@
+/**
+ * Card Aging Utilities
+ * Hidden `<!-- moved:2025-03-27 col:Doing -->` tokens in card descriptions,
+ * appended on every move to another column when the trackCardMoves setting is on.
+ * Same format and rules as src/utils/cardAgingUtils.ts (used for the cycle time statistics)
+ */
+
+class CardAgingUtils {
+    static MAX_CARD_MOVES = 20;
+
+    static MOVE_TOKEN_REGEX = /<!--\s*moved:(\d{4}-\d{2}-\d{2})\s+col:(.*?)\s*-->/g;
+
+    static MOVE_LINE_REGEX = /^\s*<!--\s*moved:\d{4}-\d{2}-\d{2}\s+col:.*?-->\s*$/;
+
+    static toIsoDate(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    /**
+     * Days from a YYYY-MM-DD date until today
+     */
+    static daysSince(isoDate) {
+        const [year, month, day] = isoDate.split('-').map(Number);
+        const now = new Date();
+        return Math.round((Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()) - Date.UTC(year, month - 1, day)) / 86400000);
+    }
+
+    /**
+     * Column name as written into the token: title without tags and without comment delimiters
+     */
+    static getMoveColumnName(columnTitle) {
+        return (columnTitle || '')
+            .replace(/(^|\s)[#@]\S+/g, ' ')
+            .replace(/-->/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Moves recorded in a card description, oldest first
+     * @returns {Array<{date: string, column: string}>}
+     */
+    static getMoves(description) {
+        return Array.from((description || '').matchAll(CardAgingUtils.MOVE_TOKEN_REGEX))
+            .map(match => ({ date: match[1], column: match[2] }));
+    }
+
+    static getLastMove(description) {
+        const moves = CardAgingUtils.getMoves(description);
+        return moves.length > 0 ? moves[moves.length - 1] : null;
+    }
+
+    /**
+     * Appends a move token for today, dropping the oldest tokens beyond MAX_CARD_MOVES
+     * @returns {string} New description
+     */
+    static stampMove(description, columnTitle) {
+        const lines = (description || '').split('\n');
+        let surplus = lines.filter(line => CardAgingUtils.MOVE_LINE_REGEX.test(line)).length - (CardAgingUtils.MAX_CARD_MOVES - 1);
+
+        const kept = lines.filter(line => {
+            if (surplus > 0 && CardAgingUtils.MOVE_LINE_REGEX.test(line)) {
+                surplus--;
+                return false;
+            }
+            return true;
+        });
+
+        const text = kept.join('\n').replace(/\s+$/, '');
+        const token = `<!-- moved:${CardAgingUtils.toIsoDate(new Date())} col:${CardAgingUtils.getMoveColumnName(columnTitle)} -->`;
+        return `${text}${text ? '\n' : ''}${token}`;
+    }
+
+    /**
+     * Stamps a card moved between the cached board columns if trackCardMoves is on
+     * Used by: drag & drop, "Move to list" and swimlane moves
+     */
+    static recordMove(task, fromColumn, toColumn) {
+        if (!window.trackCardMoves || !task || !toColumn || fromColumn === toColumn) {
+            return;
+        }
+        task.description = CardAgingUtils.stampMove(task.description, toColumn.title);
+    }
+}
+
+// Global window exposure
+if (typeof window !== 'undefined') {
+    window.CardAgingUtils = CardAgingUtils;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CardAgingUtils;
+}
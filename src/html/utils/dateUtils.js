@@ -0,0 +1,197 @@
+/**
+ * Date Utilities
+ * Parsing and display of card dates and times, including the Obsidian Kanban syntax
+ * (@{date}, @@{time}, @[[date]], [[date]]).
+ * Same parsing rules as src/utils/dateUtils.ts (used for #gather_ and #sort-bydate)
+ */
+
+class DateUtils {
+    static DEFAULT_DATE_FORMAT = 'YYYY-MM-DD';
+
+    static MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june',
+        'july', 'august', 'september', 'october', 'november', 'december'];
+
+    /**
+     * Date format of the current board (Obsidian `date-format` setting)
+     * @returns {string} Moment style format
+     */
+    static getBoardDateFormat() {
+        return window.boardDateFormat || DateUtils.DEFAULT_DATE_FORMAT;
+    }
+
+    /**
+     * Parse a date in a moment style format (YYYY, YY, MMMM, MMM, MM, M, DD, D)
+     * @param {string} value - Date as written in the card
+     * @param {string} dateFormat - Format to parse with
+     * @returns {string|null} Date as YYYY-MM-DD or null
+     */
+    static parseWithFormat(value, dateFormat) {
+        const fields = [];
+        let pattern = '';
+        let lastIndex = 0;
+        const tokenRegex = /YYYY|YY|MMMM|MMM|MM|M|DD|D/g;
+        let match;
+
+        while ((match = tokenRegex.exec(dateFormat)) !== null) {
+            pattern += dateFormat.slice(lastIndex, match.index).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const token = match[0];
+            fields.push(token);
+            if (token === 'YYYY') {
+                pattern += '(\\d{4})';
+            } else if (token === 'MMMM' || token === 'MMM') {
+                pattern += '([A-Za-z]+)';
+            } else if (token === 'M' || token === 'D') {
+                pattern += '(\\d{1,2})';
+            } else {
+                pattern += '(\\d{2})';
+            }
+            lastIndex = match.index + token.length;
+        }
+        pattern += dateFormat.slice(lastIndex).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+        const valueMatch = value.match(new RegExp(`^${pattern}$`, 'i'));
+        if (!valueMatch) {
+            return null;
+        }
+
+        let year = null;
+        let month = null;
+        let day = null;
+        fields.forEach((token, index) => {
+            const part = valueMatch[index + 1];
+            if (token === 'YYYY') {
+                year = parseInt(part, 10);
+            } else if (token === 'YY') {
+                year = 2000 + parseInt(part, 10);
+            } else if (token === 'MMMM' || token === 'MMM') {
+                const monthIndex = DateUtils.MONTH_NAMES.findIndex(name => name.startsWith(part.toLowerCase()) && part.length >= 3);
+                month = monthIndex >= 0 ? monthIndex + 1 : null;
+            } else if (token === 'MM' || token === 'M') {
+                month = parseInt(part, 10);
+            } else {
+                day = parseInt(part, 10);
+            }
+        });
+
+        if (year === null || month === null || day === null || month < 1 || month > 12 || day < 1 || day > 31) {
+            return null;
+        }
+        // Reject dates like 2025-02-30
+        if (new Date(year, month - 1, day).getMonth() !== month - 1) {
+            return null;
+        }
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+
+    /**
+     * Parse a date in the board date format, YYYY-MM-DD and DD-MM-YYYY are always accepted
+     * @param {string} value - Date as written in the card
+     * @param {string} [dateFormat] - Defaults to the board date format
+     * @returns {string|null} Date as YYYY-MM-DD or null
+     */
+    static parseDateString(value, dateFormat) {
+        if (!value) {
+            return null;
+        }
+        const trimmed = value.trim();
+
+        return DateUtils.parseWithFormat(trimmed, dateFormat || DateUtils.getBoardDateFormat()) ||
+            DateUtils.parseWithFormat(trimmed, 'YYYY-MM-DD') ||
+            DateUtils.parseWithFormat(trimmed, 'DD-MM-YYYY');
+    }
+
+    /**
+     * Parse a time like 14:00, 9:30, 2:15 pm
+     * @param {string} value - Time as written in the card
+     * @returns {string|null} Time as HH:mm or null
+     */
+    static parseTimeString(value) {
+        const match = (value || '').trim().match(/^(\d{1,2}):(\d{2})(?::\d{2})?\s*([ap])?\.?m?\.?$/i);
+        if (!match) {
+            return null;
+        }
+
+        let hours = parseInt(match[1], 10);
+        const minutes = parseInt(match[2], 10);
+        const meridiem = match[3] ? match[3].toLowerCase() : null;
+        if (meridiem) {
+            if (hours < 1 || hours > 12) { return null; }
+            hours = (hours % 12) + (meridiem === 'p' ? 12 : 0);
+        }
+        if (hours > 23 || minutes > 59) {
+            return null;
+        }
+        return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    }
+
+    /**
+     * Format a YYYY-MM-DD date for display
+     * @param {string} isoDate - Date as YYYY-MM-DD
+     * @param {string} [dateFormat] - Defaults to the board date format
+     * @returns {string} Formatted date
+     */
+    static formatDate(isoDate, dateFormat) {
+        const [year, month, day] = isoDate.split('-').map(part => parseInt(part, 10));
+        const monthName = DateUtils.MONTH_NAMES[month - 1] || '';
+        const values = {
+            YYYY: String(year),
+            YY: String(year).slice(-2),
+            MMMM: monthName.charAt(0).toUpperCase() + monthName.slice(1),
+            MMM: monthName.charAt(0).toUpperCase() + monthName.slice(1, 3),
+            MM: String(month).padStart(2, '0'),
+            M: String(month),
+            DD: String(day).padStart(2, '0'),
+            D: String(day)
+        };
+        return (dateFormat || DateUtils.getBoardDateFormat()).replace(/YYYY|YY|MMMM|MMM|MM|M|DD|D/g, token => values[token]);
+    }
+
+    /**
+     * Number of days from today to the given date (negative for past dates)
+     * @param {string} isoDate - Date as YYYY-MM-DD
+     * @returns {number} Day difference
+     */
+    static getDayOffset(isoDate) {
+        const [year, month, day] = isoDate.split('-').map(part => parseInt(part, 10));
+        const date = new Date(year, month - 1, day);
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        return Math.round((date - today) / 86400000);
+    }
+
+    /**
+     * Relative label and state of a date, e.g. "tomorrow" or "3 days overdue"
+     * Only due dates become overdue, other types (done, start, ...) are shown as "N days ago"
+     * @param {string} isoDate - Date as YYYY-MM-DD
+     * @param {string} [dateType='due'] - Type from @type:date
+     * @returns {{label: string, state: string}} state is overdue, today, soon, future or past
+     */
+    static getRelativeDate(isoDate, dateType = 'due') {
+        const offset = DateUtils.getDayOffset(isoDate);
+        const isDue = dateType === 'due';
+
+        if (offset === 0) {
+            return { label: 'today', state: 'today' };
+        }
+        if (offset === 1) {
+            return { label: 'tomorrow', state: 'soon' };
+        }
+        if (offset > 1) {
+            return { label: `in ${offset} days`, state: offset <= 3 ? 'soon' : 'future' };
+        }
+        if (isDue) {
+            return { label: `${-offset} ${offset === -1 ? 'day' : 'days'} overdue`, state: 'overdue' };
+        }
+        return { label: offset === -1 ? 'yesterday' : `${-offset} days ago`, state: 'past' };
+    }
+}
+
+// Global window exposure
+if (typeof window !== 'undefined') {
+    window.DateUtils = DateUtils;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DateUtils;
+}
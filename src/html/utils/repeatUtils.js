@@ -0,0 +1,162 @@
+/**
+ * Repeat Utilities
+ * Recurring cards: `@repeat:weekly`, `@repeat:monthly`, `@repeat:3d`, ... get a new open copy
+ * with the due date advanced when they are checked done or moved into a `#done` column.
+ * Runs in the cached board like all card moves, so the copy is saved and undone with the move.
+ */
+
+class RepeatUtils {
+    static REPEAT_REGEX = /(?:^|\s)@repeat:(daily|weekly|monthly|yearly|(\d+)([dwmy]))(?=\s|$)/i;
+
+    static DONE_COLUMN_REGEX = /(?:^|\s)#done(?=\s|$)/i;
+
+    static NAMED_INTERVALS = {
+        daily: { amount: 1, unit: 'd' },
+        weekly: { amount: 1, unit: 'w' },
+        monthly: { amount: 1, unit: 'm' },
+        yearly: { amount: 1, unit: 'y' }
+    };
+
+    // Due date forms in the order they are looked for: shorthand, Obsidian, @due:
+    static DUE_DATE_PATTERNS = [
+        /@(\d{4}-\d{2}-\d{2}|\d{2}-\d{2}-\d{4})(?=\s|$)/g,
+        /(?:^|[^@])@\{([^}\n]+)\}|@?\[\[([^\]|\n]+)(?:\|[^\]\n]*)?\]\]/g,
+        /@due:(?:\{([^}\n]+)\}|(\S+))/g
+    ];
+
+    /**
+     * Repeat interval of a card
+     * @returns {{amount: number, unit: string}|null} null if the card does not repeat
+     */
+    static parseRepeat(text) {
+        const match = (text || '').match(RepeatUtils.REPEAT_REGEX);
+        if (!match) {
+            return null;
+        }
+        const named = RepeatUtils.NAMED_INTERVALS[match[1].toLowerCase()];
+        if (named) {
+            return named;
+        }
+        const amount = parseInt(match[2], 10);
+        return amount > 0 ? { amount: amount, unit: match[3].toLowerCase() } : null;
+    }
+
+    static isDoneColumn(columnTitle) {
+        return RepeatUtils.DONE_COLUMN_REGEX.test(columnTitle || '');
+    }
+
+    /**
+     * Adds a repeat interval to a YYYY-MM-DD date, month ends are kept (Jan 31 + 1 month = Feb 28)
+     */
+    static addInterval(isoDate, interval) {
+        const [year, month, day] = isoDate.split('-').map(Number);
+        let date;
+
+        if (interval.unit === 'd' || interval.unit === 'w') {
+            date = new Date(Date.UTC(year, month - 1, day + interval.amount * (interval.unit === 'w' ? 7 : 1)));
+        } else {
+            const months = interval.amount * (interval.unit === 'y' ? 12 : 1);
+            const lastDay = new Date(Date.UTC(year, month - 1 + months + 1, 0)).getUTCDate();
+            date = new Date(Date.UTC(year, month - 1 + months, Math.min(day, lastDay)));
+        }
+        return date.toISOString().substring(0, 10);
+    }
+
+    /**
+     * Advances the first due date in the text, keeping the form it is written in
+     * @returns {string|null} New text or null if the text has no due date
+     */
+    static advanceDueDate(text, interval, dateFormat) {
+        if (!text) {
+            return null;
+        }
+
+        for (const pattern of RepeatUtils.DUE_DATE_PATTERNS) {
+            pattern.lastIndex = 0;
+            let match;
+            while ((match = pattern.exec(text)) !== null) {
+                const written = match[1] || match[2];
+                const date = DateUtils.parseDateString(written, dateFormat);
+                if (!date) {
+                    continue;
+                }
+
+                const advanced = RepeatUtils.addInterval(date, interval);
+                let formatted;
+                if (/^\d{4}-\d{2}-\d{2}$/.test(written)) {
+                    formatted = advanced;
+                } else if (/^\d{2}-\d{2}-\d{4}$/.test(written)) {
+                    formatted = advanced.split('-').reverse().join('-');
+                } else {
+                    formatted = DateUtils.formatDate(advanced, dateFormat);
+                }
+
+                const token = match[0].replace(written, formatted);
+                return text.slice(0, match.index) + token + text.slice(match.index + match[0].length);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Creates the next occurrence of a `@repeat:` card moved into a #done column
+     * @returns {Object|null} The new card, placed in the column the card came from by default
+     */
+    static repeatIfMovedToDone(task, fromColumn, toColumn) {
+        if (!task || !toColumn || fromColumn === toColumn || !RepeatUtils.isDoneColumn(toColumn.title)) {
+            return null;
+        }
+        return RepeatUtils.createNextOccurrence(task, toColumn, fromColumn);
+    }
+
+    /**
+     * Creates the next open occurrence of a finished `@repeat:` card in the cached board
+     * Used by: card checkbox, drag & drop, "Move to list" and swimlane moves
+     * @param {Object} task - Finished card
+     * @param {Object} column - Column containing the card
+     * @param {Object} [fallbackColumn] - Column for the copy if the repeatTargetColumn setting
+     *                                    is empty or not found, e.g. the column a card was moved from
+     * @returns {Object|null} The new card or null if the card does not repeat
+     */
+    static createNextOccurrence(task, column, fallbackColumn) {
+        const interval = RepeatUtils.parseRepeat(`${task.title || ''} ${task.description || ''}`);
+        if (!interval || !window.cachedBoard) {
+            return null;
+        }
+
+        const dateFormat = DateUtils.getBoardDateFormat();
+        const description = (task.description || '')
+            .split('\n')
+            .filter(line => !CardAgingUtils.MOVE_LINE_REGEX.test(line))
+            .join('\n')
+            .replace(/\s+$/, '');
+        const nextTitle = RepeatUtils.advanceDueDate(task.title, interval, dateFormat);
+
+        const copy = createTaskCopy(task);
+        copy.title = nextTitle !== null ? nextTitle : task.title;
+        copy.description = nextTitle !== null ? description : (RepeatUtils.advanceDueDate(description, interval, dateFormat) ?? description);
+        copy.completed = false;
+        delete copy.checkboxStatus;
+
+        const targetName = (window.repeatTargetColumn || '').trim().toLowerCase();
+        const targetColumn = (targetName && window.cachedBoard.columns.find(col =>
+            CardAgingUtils.getMoveColumnName(col.title).toLowerCase() === targetName)) || fallbackColumn || column;
+
+        if (targetColumn === column) {
+            targetColumn.tasks.splice(column.tasks.indexOf(task) + 1, 0, copy);
+        } else {
+            targetColumn.tasks.push(copy);
+        }
+        return copy;
+    }
+}
+
+// Global window exposure
+if (typeof window !== 'undefined') {
+    window.RepeatUtils = RepeatUtils;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RepeatUtils;
+}
@@ -15,10 +15,11 @@ class TagUtils {
             rowTag: /#row(\d+)\b/gi,
             spanTag: /#span(\d+)\b/gi,
             stackTag: /#stack\b/gi,
+            wipTag: /#wip(\d+)\b/i,
             includeTag: /#include:([^\s]+)/i,
 
             // Special gather tags
-            gatherTags: /#(gather_[a-zA-Z0-9_&|=><!\-]+|ungathered)/g,
+            gatherTags: /#(gather_\S+|ungathered)/g,
 
             // Date patterns
             dateTags: /@(\d{4}-\d{2}-\d{2}|\d{2}-\d{2}-\d{4})(?:\s|$)/,
@@ -101,7 +102,7 @@ class TagUtils {
         if (!text) return null;
 
         // Use boardRenderer.js compatible regex with exclusions
-        const re = /#(?!row\d+\b)(?!span\d+\b)([a-zA-Z0-9_-]+(?:[=|><][a-zA-Z0-9_-]+)*)/g;
+        const re = /#(?!row\d+\b)(?!span\d+\b)(?!wip\d+\b)([a-zA-Z0-9_-]+(?:[=|><][a-zA-Z0-9_-]+)*)/g;
         let m;
         while ((m = re.exec(text)) !== null) {
             const raw = m[1];
@@ -143,6 +144,7 @@ class TagUtils {
         if (this.patterns.rowTag.test(`#${cleanTag}`)) return true;
         if (this.patterns.spanTag.test(`#${cleanTag}`)) return true;
         if (this.patterns.stackTag.test(`#${cleanTag}`)) return true;
+        if (this.patterns.wipTag.test(`#${cleanTag}`)) { return true; }
         if (this.patterns.includeTag.test(`#${cleanTag}`)) return true;
 
         return false;
@@ -168,6 +170,7 @@ class TagUtils {
         const config = {
             row: null,
             span: null,
+            wip: null,
             stack: false,
             fold: false,
             archive: false,
@@ -189,6 +192,12 @@ class TagUtils {
             config.span = parseInt(spanMatch[1]);
         }
 
+        // Extract WIP limit (maximum number of cards)
+        const wipMatch = text.match(this.patterns.wipTag);
+        if (wipMatch) {
+            config.wip = parseInt(wipMatch[1]);
+        }
+
         // Check for stack tag
         config.stack = this.patterns.stackTag.test(text);
 
@@ -471,6 +480,7 @@ class TagUtils {
                     .replace(this.patterns.rowTag, '')
                     .replace(this.patterns.spanTag, '')
                     .replace(this.patterns.stackTag, '')
+                    .replace(this.patterns.wipTag, '')
                     .replace(/\s+/g, ' ')
                     .trim();
             case 'custom':
@@ -480,6 +490,7 @@ class TagUtils {
                     .replace(this.patterns.rowTag, '')
                     .replace(this.patterns.spanTag, '')
                     .replace(this.patterns.stackTag, '')
+                    .replace(this.patterns.wipTag, '')
                     .replace(/\s+/g, ' ')
                     .trim();
             case 'mentions':
@@ -518,10 +529,10 @@ class TagUtils {
                 return text;
             case 'allexcludinglayout':
                 // Export all except layout tags (#span, #row, #stack)
-                return text.replace(this.patterns.rowTag, '').replace(this.patterns.spanTag, '').replace(this.patterns.stackTag, '').trim();
+                return text.replace(this.patterns.rowTag, '').replace(this.patterns.spanTag, '').replace(this.patterns.stackTag, '').replace(this.patterns.wipTag, '').trim();
             case 'customonly':
                 // Export only custom tags and @ tags (remove standard layout tags)
-                return text.replace(this.patterns.rowTag, '').replace(this.patterns.spanTag, '').replace(this.patterns.stackTag, '').trim();
+                return text.replace(this.patterns.rowTag, '').replace(this.patterns.spanTag, '').replace(this.patterns.stackTag, '').replace(this.patterns.wipTag, '').trim();
             case 'mentionsonly':
                 // Export only @ tags - remove all # tags
                 return this.removeTagsFromText(text, {
@@ -177,6 +177,11 @@ const baseOptions = {
         { label: "Show", value: true, description: "Show HTML comments as visible markers" },
         { label: "Hide", value: false, description: "Hide HTML comments (default HTML behavior)" }
     ],
+    // Task checkbox visibility options
+    showCheckboxes: [
+        { label: "Show", value: true, description: "Show a checkbox on every card (default)" },
+        { label: "Hide", value: false, description: "Hide card checkboxes, [ ] / [x] are still kept in the file" }
+    ],
     // Arrow key focus scroll options
     arrowKeyFocusScroll: [
         { label: "Center", value: "center", css: "center", description: "Center the focused item in the viewport" },
@@ -234,7 +239,7 @@ const menuConfig = {
 
 // Generate menu configurations from base options
 // Simple generator for most menu types
-['columnWidth', 'cardHeight', 'sectionMaxHeight', 'rowHeight', 'whitespace', 'fontSize', 'layoutRows', 'stickyStackMode', 'tagVisibility', 'showHtmlComments', 'arrowKeyFocusScroll'].forEach(key => {
+['columnWidth', 'cardHeight', 'sectionMaxHeight', 'rowHeight', 'whitespace', 'fontSize', 'layoutRows', 'stickyStackMode', 'tagVisibility', 'showHtmlComments', 'showCheckboxes', 'arrowKeyFocusScroll'].forEach(key => {
     if (baseOptions[key]) {
         menuConfig[key] = baseOptions[key].map(option => {
             const result = {
@@ -292,6 +297,8 @@ function getCurrentSettingValue(configKey) {
             return window.currentTagVisibility || 'allexcludinglayout';
         case 'showHtmlComments':
             return window.currentShowHtmlComments !== undefined ? window.currentShowHtmlComments : false;
+        case 'showCheckboxes':
+            return window.currentShowCheckboxes !== false;
         case 'arrowKeyFocusScroll':
             return window.currentArrowKeyFocusScroll || 'center';
         default:
@@ -312,7 +319,8 @@ function updateAllMenuIndicators() {
         { selector: '[data-menu="rowHeight"]', config: 'rowHeight', function: 'setRowHeight' },
         { selector: '[data-menu="stickyStackMode"]', config: 'stickyStackMode', function: 'setStickyStackMode' },
         { selector: '[data-menu="tagVisibility"]', config: 'tagVisibility', function: 'setTagVisibility' },
-        { selector: '[data-menu="showHtmlComments"]', config: 'showHtmlComments', function: 'setShowHtmlComments' }
+        { selector: '[data-menu="showHtmlComments"]', config: 'showHtmlComments', function: 'setShowHtmlComments' },
+        { selector: '[data-menu="showCheckboxes"]', config: 'showCheckboxes', function: 'setShowCheckboxes' }
     ];
 
     menuMappings.forEach(mapping => {
@@ -321,6 +329,11 @@ function updateAllMenuIndicators() {
             container.innerHTML = generateMenuHTML(mapping.config, mapping.function);
         }
     });
+
+    // Swimlane options depend on the custom tag categories
+    if (window.swimlanes) {
+        window.swimlanes.renderMenu();
+    }
 }
 
 // Helper function to generate menu HTML from configuration
@@ -1116,8 +1129,10 @@ function applyAndSaveSetting(configKey, value, applyFunction, options = {}) {
     // Apply the setting
     applyFunction(value);
 
-    // Store preference
-    configManager.setPreference(configKey, value);
+    // Store in the board's settings footer if it has one, otherwise as preference
+    if (!saveBoardSetting(configKey, value)) {
+        configManager.setPreference(configKey, value);
+    }
 
     // Update menu indicators
     updateAllMenuIndicators();
@@ -1138,6 +1153,50 @@ function applyAndSaveSetting(configKey, value, applyFunction, options = {}) {
     }
 }
 
+/**
+ * Writes a setting into the board's `%% kanban:settings` footer
+ * Purpose: Boards with Obsidian settings keep them in the file instead of settings.json
+ * Used by: applyAndSaveSetting
+ * @param {string} configKey - The configuration key that changed
+ * @param {any} value - The new value
+ * @returns {boolean} True if the footer fully stores the value (no preference needed)
+ * Side effects: Updates cachedBoard.settings, marks unsaved changes
+ */
+function saveBoardSetting(configKey, value) {
+    const settings = window.cachedBoard?.settings;
+    if (!settings) {
+        return false;
+    }
+
+    let storedInFooter = true;
+    switch (configKey) {
+        case 'columnWidth': {
+            // Obsidian only knows pixel widths, screen based widths stay a preference
+            const pixelMatch = /^(\d+)px$/.exec(String(value));
+            if (pixelMatch) {
+                settings['lane-width'] = parseInt(pixelMatch[1], 10);
+            } else {
+                delete settings['lane-width'];
+                storedInFooter = false;
+            }
+            break;
+        }
+        case 'tagVisibility':
+            // Obsidian only knows hidden or not, the finer visibility modes stay a preference
+            settings['hide-tags-in-title'] = value === 'none';
+            storedInFooter = value === 'none';
+            break;
+        case 'showCheckboxes':
+            settings['show-checkboxes'] = value === true || value === 'true';
+            break;
+        default:
+            return false;
+    }
+
+    markUnsavedChanges();
+    return storedInFooter;
+}
+
 /**
  * Sets the width of all kanban columns
  * Purpose: Adjust column width for different screen sizes
@@ -1421,6 +1480,17 @@ function setShowHtmlComments(show) {
     applyAndSaveSetting('showHtmlComments', show, applyShowHtmlComments);
 }
 
+// Task checkbox visibility
+function applyShowCheckboxes(show) {
+    const showBool = show !== false && show !== 'false';
+    window.currentShowCheckboxes = showBool;
+    document.body.classList.toggle('hide-task-checkboxes', !showBool);
+}
+
+function setShowCheckboxes(show) {
+    applyAndSaveSetting('showCheckboxes', show === true || show === 'true', applyShowCheckboxes);
+}
+
 // Helper function to filter tags from text based on export tag visibility setting
 function filterTagsForExport(text, tagVisibility = 'allexcludinglayout') {
     if (!text) {
@@ -1435,10 +1505,10 @@ function filterTagsForExport(text, tagVisibility = 'allexcludinglayout') {
             return text;
         case 'allexcludinglayout':
             // Export all except #span, #row, and #stack tags
-            return text.replace(/#row\d+\b/gi, '').replace(/#span\d+\b/gi, '').replace(/#stack\b/gi, '').trim();
+            return text.replace(/#row\d+\b/gi, '').replace(/#span\d+\b/gi, '').replace(/#stack\b/gi, '').replace(/#wip\d+\b/gi, '').trim();
         case 'customonly':
             // Export only custom tags and @ tags (remove standard layout tags)
-            return text.replace(/#row\d+\b/gi, '').replace(/#span\d+\b/gi, '').replace(/#stack\b/gi, '').trim();
+            return text.replace(/#row\d+\b/gi, '').replace(/#span\d+\b/gi, '').replace(/#stack\b/gi, '').replace(/#wip\d+\b/gi, '').trim();
         case 'mentionsonly':
             // Export only @ tags - remove all # tags
             return text.replace(/#\w+\b/gi, '').trim();
@@ -1447,7 +1517,7 @@ function filterTagsForExport(text, tagVisibility = 'allexcludinglayout') {
             return text.replace(/#\w+\b/gi, '').replace(/@\w+\b/gi, '').trim();
         default:
             // Default to allexcludinglayout behavior
-            return text.replace(/#row\d+\b/gi, '').replace(/#span\d+\b/gi, '').replace(/#stack\b/gi, '').trim();
+            return text.replace(/#row\d+\b/gi, '').replace(/#span\d+\b/gi, '').replace(/#stack\b/gi, '').replace(/#wip\d+\b/gi, '').trim();
     }
 }
 
@@ -1660,6 +1730,8 @@ function getCurrentDocumentFoldingState() {
             collapsedTasks: new Set(),
             columnFoldStates: new Map(),
             globalColumnFoldState: 'fold-mixed',
+            filterQuery: '',
+            swimlaneMode: 'none',
             isInitialized: false
         });
     }
@@ -1756,6 +1828,14 @@ function updateDocumentUri(newUri) {
         if (!hadSavedState && window.cachedBoard && window.cachedBoard.columns) {
             applyDefaultFoldingToNewDocument();
         }
+
+        // Restore the filter bar query and swimlane mode of the new document
+        if (window.swimlanes) {
+            window.swimlanes.restore(getCurrentDocumentFoldingState()?.swimlaneMode);
+        }
+        if (window.boardFilter) {
+            window.boardFilter.restore(getCurrentDocumentFoldingState()?.filterQuery);
+        }
     }
 }
 
@@ -2140,6 +2220,9 @@ window.addEventListener('message', event => {
             }
             currentBoard = window.cachedBoard;
 
+            // Malformed #gather_ rules by column title, checked by the backend
+            window.gatherErrors = message.gatherErrors || {};
+
             // Clean up any duplicate row tags
             cleanupRowTags();
 
@@ -2332,6 +2415,16 @@ window.addEventListener('message', event => {
                     applyShowHtmlComments(false); // Default fallback
                 }
 
+                // Update task checkbox visibility (configuration or board settings footer)
+                applyShowCheckboxes(message.showCheckboxes !== undefined ? message.showCheckboxes : true);
+
+                // Board settings from the `%% kanban:settings` footer without a menu entry
+                window.boardDateFormat = message.dateFormat || null;
+                window.enforceWipLimits = message.enforceWipLimits === true;
+                window.trackCardMoves = message.trackCardMoves === true;
+                window.staleCardDays = typeof message.staleCardDays === 'number' ? message.staleCardDays : 14;
+                window.repeatTargetColumn = message.repeatTargetColumn || '';
+
                 // Update arrow key focus scroll with the value from configuration
                 if (message.arrowKeyFocusScroll) {
                     currentArrowKeyFocusScroll = message.arrowKeyFocusScroll;
@@ -2371,6 +2464,9 @@ window.addEventListener('message', event => {
             }
 
             // Merge custom tag categories into tagColors
+            if (message.customTagCategories !== undefined) {
+                window.customTagCategories = message.customTagCategories;
+            }
             if (message.customTagCategories && Object.keys(message.customTagCategories).length > 0) {
                 window.tagColors = window.tagColors || {};
                 Object.assign(window.tagColors, message.customTagCategories);
@@ -2381,6 +2477,16 @@ window.addEventListener('message', event => {
             const isEditing = window.taskEditor && window.taskEditor.currentEditor;
             
             
+            // Update archive counter and drawer
+            if (window.archiveDrawer) {
+                window.archiveDrawer.update();
+            }
+
+            // Update saved views menu
+            if (window.boardViews) {
+                window.boardViews.update(message);
+            }
+
             if (!isEditing && !shouldSkipRender) {
                 // Only render if not editing and not explicitly skipping
                 debouncedRenderBoard();
@@ -2492,6 +2598,26 @@ window.addEventListener('message', event => {
                 window.enableTaskIncludeMode(message.taskId, message.columnId, message.fileName);
             }
             break;
+        case 'filterResult':
+            if (window.boardFilter) {
+                window.boardFilter.handleResult(message);
+            }
+            break;
+        case 'boardDiffResult':
+            if (window.boardDiffDrawer) {
+                window.boardDiffDrawer.handleResult(message);
+            }
+            break;
+        case 'boardStatisticsResult':
+            if (window.boardStatistics) {
+                window.boardStatistics.handleResult(message);
+            }
+            break;
+        case 'cycleTimesResult':
+            if (window.cardAging) {
+                window.cardAging.handleResult(message);
+            }
+            break;
         case 'clipboardImageSaved':
             // Handle clipboard image save response from backend
             if (message.success) {
@@ -2635,6 +2761,9 @@ window.addEventListener('message', event => {
         case 'exportDefaultFolder':
             setExportDefaultFolder(message.folderPath);
             break;
+        case 'gatherExpressionChecked':
+            handleGatherExpressionChecked(message);
+            break;
         case 'exportFolderSelected':
             setSelectedExportFolder(message.folderPath);
             break;
@@ -3524,6 +3653,11 @@ function selectFile() {
     vscode.postMessage({ type: 'selectFile' });
 }
 
+function restoreFromBackup() {
+    closeAllMenus();
+    vscode.postMessage({ type: 'restoreFromBackup' });
+}
+
 function updateWhitespace(value) {
     // Ensure we have a valid value with 'px' suffix
     if (!value) {
@@ -3699,6 +3833,7 @@ window.updateColumnRowTag = updateColumnRowTag;
 window.getColumnRow = getColumnRow;
 
 window.performSort = performSort;
+window.previewSort = previewSort;
 
 // Font size functionality
 let currentFontSize = '1x'; // Default to 1.0x (current behavior)
@@ -4082,6 +4217,12 @@ function updateLayoutPresetsActiveState() {
 // Export & Pack functionality
 let exportDefaultFolder = '';
 
+// Card IDs exported with the 'selection' scope instead of the tree items (multi-selection)
+let exportSelectionTaskIds = null;
+
+// Backend check of the card filter (gather expression) of the export dialog
+let exportGatherFilterCheck = { expression: '', error: null };
+
 /**
  * Show the export dialog
  */
@@ -4100,6 +4241,7 @@ function showExportDialogWithSelection(scope, index, id) {
     if (!modal) {
         return;
     }
+    exportSelectionTaskIds = null;
 
     // Determine pre-selection node ID
     let preSelectNodeId = null;
@@ -4126,6 +4268,55 @@ function showExportDialogWithSelection(scope, index, id) {
     modal.style.display = 'block';
 }
 
+/**
+ * Show export dialog for the cards of the multi-selection
+ * @param {string[]} taskIds - Selected card IDs
+ */
+function showExportDialogForCards(taskIds) {
+    showExportDialogWithSelection(null, null, null);
+    exportSelectionTaskIds = taskIds;
+
+    // The tree is replaced by the selection, exported as one board with only these cards
+    const container = document.getElementById('export-tree-container');
+    if (container) {
+        container.innerHTML = `<div class="export-tree-empty">${taskIds.length} selected card${taskIds.length === 1 ? '' : 's'}</div>`;
+    }
+}
+
+/**
+ * Asks the backend to check the card filter while it is typed, the grammar is in utils/gatherExpression.ts
+ */
+function checkExportGatherFilter() {
+    const expression = document.getElementById('export-gather-filter')?.value.trim() || '';
+    exportGatherFilterCheck = { expression, error: null };
+    showExportGatherFilterError(null);
+    if (expression) {
+        vscode.postMessage({
+            type: 'checkGatherExpression',
+            expression: expression
+        });
+    }
+}
+
+/**
+ * Result of the card filter check, answers for an expression changed since are ignored
+ */
+function handleGatherExpressionChecked(message) {
+    if (message.expression !== exportGatherFilterCheck.expression) {
+        return;
+    }
+    exportGatherFilterCheck.error = message.error;
+    showExportGatherFilterError(message.error);
+}
+
+function showExportGatherFilterError(error) {
+    const input = document.getElementById('export-gather-filter');
+    if (input) {
+        input.classList.toggle('input-error', !!error);
+        input.title = error ? `Invalid card filter: ${error}` : '';
+    }
+}
+
 /**
  * Close the export dialog
  */
@@ -4261,6 +4452,17 @@ function initializeExportTree(preSelectNodeId = null) {
     }
 }
 
+/**
+ * Styles of the open board for the 'html-board' export: tag colours, theme variables and body classes
+ */
+function getHtmlBoardStyles() {
+    return {
+        tagStyles: typeof generateTagStyles === 'function' ? generateTagStyles() : '',
+        themeStyle: document.documentElement.getAttribute('style') || '',
+        bodyClass: document.body.className
+    };
+}
+
 /**
  * Execute unified export
  */
@@ -4274,8 +4476,10 @@ function executeUnifiedExport() {
         return;
     }
 
-    // Get selected items from tree
-    const selectedItems = exportTreeUI ? exportTreeUI.getSelectedItems() : [];
+    // Get selected items from tree, or the cards of the multi-selection
+    const selectedItems = exportSelectionTaskIds
+        ? [{ scope: 'selection', taskIds: exportSelectionTaskIds }]
+        : (exportTreeUI ? exportTreeUI.getSelectedItems() : []);
     if (selectedItems.length === 0) {
         vscode.postMessage({
             type: 'showError',
@@ -4290,6 +4494,17 @@ function executeUnifiedExport() {
     // Get tag visibility
     const tagVisibility = document.getElementById('export-tag-visibility')?.value || 'allexcludinglayout';
 
+    // Get card filter (gather expression), checked here so the dialog stays open on errors
+    const gatherFilter = document.getElementById('export-gather-filter')?.value.trim() || '';
+    const gatherFilterError = exportGatherFilterCheck.expression === gatherFilter ? exportGatherFilterCheck.error : null;
+    if (gatherFilterError) {
+        vscode.postMessage({
+            type: 'showError',
+            message: `Invalid card filter: ${gatherFilterError}`
+        });
+        return;
+    }
+
     // Get pack assets option
     const packAssets = document.getElementById('pack-assets')?.checked || false;
 
@@ -4334,6 +4549,7 @@ function executeUnifiedExport() {
                 scope: item.scope,
                 format: `marp-${marpOutputFormat}`,
                 tagVisibility: tagVisibility,
+                gatherFilter: gatherFilter,
                 packAssets: packAssets,
                 packOptions: packOptions,
                 mergeIncludes: mergeIncludes,
@@ -4345,7 +4561,8 @@ function executeUnifiedExport() {
                     rowNumber: item.rowNumber,
                     stackIndex: item.stackIndex,
                     columnIndex: item.columnIndex,
-                    columnId: item.columnId
+                    columnId: item.columnId,
+                    taskIds: item.taskIds
                 }
             };
 
@@ -4365,15 +4582,18 @@ function executeUnifiedExport() {
                 scope: item.scope,
                 format: format,
                 tagVisibility: tagVisibility,
+                gatherFilter: gatherFilter,
                 packAssets: packAssets,
                 packOptions: packOptions,
                 mergeIncludes: mergeIncludes,
                 autoExportOnSave: autoExportOnSave,
+                htmlBoard: format === 'html-board' ? getHtmlBoardStyles() : undefined,
                 selection: {
                     rowNumber: item.rowNumber,
                     stackIndex: item.stackIndex,
                     columnIndex: item.columnIndex,
-                    columnId: item.columnId
+                    columnId: item.columnId,
+                    taskIds: item.taskIds
                 }
             };
 
@@ -18,7 +18,10 @@ import { getFileStateManager } from './fileStateManager';
 import { PathResolver } from './services/PathResolver';
 import { FileWriter } from './services/FileWriter';
 import { FormatConverter } from './services/FormatConverter';
+import { BoardSettings, BoardView } from './services/BoardSettings';
 import { SaveEventCoordinator, SaveEventHandler } from './saveEventCoordinator';
+import { getTodayString } from './utils/dateUtils';
+import { getGatherRuleErrors } from './utils/gatherExpression';
 
 interface IncludeFile {
     relativePath: string;
@@ -61,6 +64,8 @@ export class KanbanWebviewPanel {
     private _lastDocumentVersion: number = -1;  // Track document version
     private _isUndoRedoOperation: boolean = false;  // Track undo/redo operations
     private _unsavedChangesCheckInterval?: NodeJS.Timeout;  // Periodic unsaved changes check
+    private _scheduledSortTimer?: NodeJS.Timeout;  // Midnight sort of the scheduledSort setting
+    private _lastScheduledSortDate?: string;  // Day the scheduled sort last ran (YYYY-MM-DD)
     private _hasUnsavedChanges: boolean = false;  // Track unsaved changes at panel level
     private _cachedBoardFromWebview: any = null;  // Store the latest cached board from webview
     private _isClosingPrevented: boolean = false;  // Flag to prevent recursive closing attempts
@@ -93,11 +98,14 @@ export class KanbanWebviewPanel {
             this._panel.webview.html = this._getHtmlForWebview();
             
             // Send the board data to the refreshed webview
+            const boardSettingsOverrides = BoardSettings.getConfigOverrides(this._board.settings);
+
             setTimeout(async () => {
                 this._panel.webview.postMessage({
                     type: 'updateBoard',
                     board: this._board,
-                    columnWidth: configService.getConfig('columnWidth', '350px'),
+                    gatherErrors: this._getGatherErrors(this._board),
+                    columnWidth: boardSettingsOverrides.columnWidth ?? configService.getConfig('columnWidth', '350px'),
                     taskMinHeight: configService.getConfig('taskMinHeight'),
                     sectionMaxHeight: configService.getConfig('sectionMaxHeight'),
                     fontSize: configService.getConfig('fontSize'),
@@ -108,10 +116,19 @@ export class KanbanWebviewPanel {
                     layoutPreset: configService.getConfig('layoutPreset', 'normal'),
                     layoutPresets: this._getLayoutPresetsConfiguration(),
                     maxRowHeight: configService.getConfig('maxRowHeight', 0),
-                    tagColors: configService.getConfig('tagColors', {}),
+                    tagColors: BoardSettings.mergeTagColors(configService.getConfig('tagColors', {}), this._board?.settings),
+                    tagVisibility: boardSettingsOverrides.tagVisibility,
+                    showCheckboxes: boardSettingsOverrides.showCheckboxes ?? configService.getConfig('showCheckboxes', true),
+                    dateFormat: boardSettingsOverrides.dateFormat,
+                    enforceWipLimits: configService.getConfig('enforceWipLimits', false),
+                    trackCardMoves: configService.getConfig('trackCardMoves', false),
+                    staleCardDays: configService.getConfig('staleCardDays', 14),
+                    repeatTargetColumn: configService.getConfig('repeatTargetColumn', ''),
                     enabledTagCategoriesColumn: configService.getEnabledTagCategoriesColumn(),
                     enabledTagCategoriesTask: configService.getEnabledTagCategoriesTask(),
-                    customTagCategories: configService.getCustomTagCategories()
+                    customTagCategories: configService.getCustomTagCategories(),
+                    boardViews: this.getBoardViews(),
+                    boardViewsStorage: this.getBoardViewsStorage()
                 });
             }, 100);
         }
@@ -1092,6 +1109,21 @@ export class KanbanWebviewPanel {
         }
     }
 
+    /**
+     * Errors of malformed #gather_ rules by column title, for the error badge in the column header
+     * (keyed by title, a column renamed in the webview has no badge until the next board update)
+     */
+    private _getGatherErrors(board: { columns: KanbanColumn[] } | undefined): { [columnTitle: string]: string[] } {
+        const errors: { [columnTitle: string]: string[] } = {};
+        for (const column of board?.columns || []) {
+            const columnErrors = getGatherRuleErrors(column.title);
+            if (columnErrors.length > 0) {
+                errors[column.title] = columnErrors;
+            }
+        }
+        return errors;
+    }
+
     private async _getLayoutPresetsConfiguration(): Promise<any> {
         const userPresets = configService.getConfig('layoutPresets', {});
 
@@ -1179,6 +1211,33 @@ export class KanbanWebviewPanel {
         return this._fileManager.getCurrentDocumentUri();
     }
 
+    /**
+     * Saved views are stored in the `%% kanban:settings` footer of Obsidian boards,
+     * so they travel with the file, and in the workspace state for all other boards
+     */
+    public getBoardViews(): BoardView[] {
+        if (this._board?.settings) {
+            return BoardSettings.getViews(this._board.settings);
+        }
+        const documentUri = this.getCurrentDocumentUri();
+        if (!documentUri) {
+            return [];
+        }
+        return BoardSettings.sanitizeViews(this._context.workspaceState.get(`kanban_views_${documentUri.toString()}`, []));
+    }
+
+    public getBoardViewsStorage(): 'footer' | 'workspace' {
+        return this._board?.settings ? 'footer' : 'workspace';
+    }
+
+    public async saveBoardViewsToWorkspace(views: BoardView[]): Promise<void> {
+        const documentUri = this.getCurrentDocumentUri();
+        if (!documentUri) {
+            return;
+        }
+        await this._context.workspaceState.update(`kanban_views_${documentUri.toString()}`, BoardSettings.sanitizeViews(views));
+    }
+
 
     private _initialize() {
         if (!this._isInitialized) {
@@ -1212,6 +1271,11 @@ export class KanbanWebviewPanel {
                             this._ensureBoardAndSendUpdate();
                         }
                     }
+
+                    // The panel was hidden at midnight, catch up with the scheduled sort
+                    if (this._lastScheduledSortDate && this._lastScheduledSortDate !== getTodayString()) {
+                        this._runScheduledSort();
+                    }
                 }
                 // Note: Unsaved changes are now handled via page visibility events in webview.js
             },
@@ -1486,6 +1550,36 @@ export class KanbanWebviewPanel {
         
         await this.sendBoardUpdate(false, forceReload);
         this._fileManager.sendFileInfo();
+
+        if (isInitialLoad || isDifferentDocument) {
+            await this._runScheduledSort();
+        }
+    }
+
+    /**
+     * scheduledSort setting: re-runs the date dependent sort rules when a board opens
+     * and at local midnight while the panel is visible (see MessageHandler.runScheduledSort)
+     */
+    private async _runScheduledSort() {
+        if (configService.getConfig('scheduledSort', 'off') === 'off') {
+            return;
+        }
+
+        this._lastScheduledSortDate = getTodayString();
+        await this._messageHandler.runScheduledSort();
+
+        if (this._scheduledSortTimer) {
+            clearTimeout(this._scheduledSortTimer);
+        }
+        const now = new Date();
+        const nextMidnight = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1, 0, 0, 5);
+        this._scheduledSortTimer = setTimeout(() => {
+            this._scheduledSortTimer = undefined;
+            // A hidden panel sorts when it becomes visible again (onDidChangeViewState)
+            if (this._panel.visible) {
+                this._runScheduledSort();
+            }
+        }, nextMidnight.getTime() - now.getTime());
     }
 
     private async sendBoardUpdate(applyDefaultFolding: boolean = false, isFullRefresh: boolean = false) {
@@ -1502,8 +1596,11 @@ export class KanbanWebviewPanel {
         // Generate image path mappings without modifying the board content
         const imageMappings = await this._generateImageMappings(board);
         
+        // Board settings from the `%% kanban:settings` footer override the VS Code configuration
+        const boardSettingsOverrides = BoardSettings.getConfigOverrides(board.settings);
+
         // Get all configuration values
-        const tagColors = configService.getConfig('tagColors', {});
+        const tagColors = BoardSettings.mergeTagColors(configService.getConfig('tagColors', {}), board.settings);
         const enabledTagCategoriesColumn = configService.getEnabledTagCategoriesColumn();
         const enabledTagCategoriesTask = configService.getEnabledTagCategoriesTask();
         const customTagCategories = configService.getCustomTagCategories();
@@ -1512,7 +1609,7 @@ export class KanbanWebviewPanel {
         const sectionMaxHeight = configService.getConfig('sectionMaxHeight');
         const fontSize = configService.getConfig('fontSize');
         const fontFamily = configService.getConfig('fontFamily');
-        const columnWidth = configService.getConfig('columnWidth', '350px');
+        const columnWidth = boardSettingsOverrides.columnWidth ?? configService.getConfig('columnWidth', '350px');
         const layoutRows = configService.getConfig('layoutRows');
         const rowHeight = configService.getConfig('rowHeight');
         const layoutPreset = configService.getConfig('layoutPreset', 'normal');
@@ -1532,6 +1629,7 @@ export class KanbanWebviewPanel {
             this._panel.webview.postMessage({
                 type: 'updateBoard',
                 board: board,
+                gatherErrors: this._getGatherErrors(board),
                 imageMappings: imageMappings,
                 tagColors: tagColors,
                 enabledTagCategoriesColumn: enabledTagCategoriesColumn,
@@ -1551,6 +1649,15 @@ export class KanbanWebviewPanel {
                 columnBorder: columnBorder,
                 taskBorder: taskBorder,
                 showHtmlComments: showHtmlComments,
+                tagVisibility: boardSettingsOverrides.tagVisibility,
+                showCheckboxes: boardSettingsOverrides.showCheckboxes ?? configService.getConfig('showCheckboxes', true),
+                dateFormat: boardSettingsOverrides.dateFormat,
+                enforceWipLimits: configService.getConfig('enforceWipLimits', false),
+                trackCardMoves: configService.getConfig('trackCardMoves', false),
+                staleCardDays: configService.getConfig('staleCardDays', 14),
+                repeatTargetColumn: configService.getConfig('repeatTargetColumn', ''),
+                boardViews: this.getBoardViews(),
+                boardViewsStorage: this.getBoardViewsStorage(),
                 applyDefaultFolding: applyDefaultFolding,
                 isFullRefresh: isFullRefresh,
                 version: version
@@ -1901,6 +2008,9 @@ export class KanbanWebviewPanel {
             'utils/menuManager.js',
             'utils/dragStateManager.js',
             'utils/validationUtils.js',
+            'utils/dateUtils.js',
+            'utils/cardAgingUtils.js',
+            'utils/repeatUtils.js',
             'utils/modalUtils.js',
             'utils/activityIndicator.js',
             'utils/exportTreeBuilder.js',
@@ -1910,10 +2020,19 @@ export class KanbanWebviewPanel {
             'unifiedOperations.js',
             'markdownRenderer.js',
             'taskEditor.js',
+            'editorAutocomplete.js',
             'boardRenderer.js',
             'dragDrop.js',
             'menuOperations.js',
             'search.js',
+            'archiveDrawer.js',
+            'boardDiff.js',
+            'boardFilter.js',
+            'boardViews.js',
+            'swimlanes.js',
+            'cardAging.js',
+            'multiSelect.js',
+            'boardStatistics.js',
             'debugOverlay.js',
             'webview.js',
             'markdown-it-media-browser.js',
@@ -2063,6 +2182,11 @@ export class KanbanWebviewPanel {
             this._unsavedChangesCheckInterval = undefined;
         }
 
+        if (this._scheduledSortTimer) {
+            clearTimeout(this._scheduledSortTimer);
+            this._scheduledSortTimer = undefined;
+        }
+
         // Unregister from external file watcher
         this._fileWatcher.unregisterPanel(this);
 
@@ -4210,6 +4334,20 @@ export class KanbanWebviewPanel {
         }
     }
 
+    /**
+     * Pick a backup of the board, compare it and restore it (see MessageHandler)
+     */
+    public async restoreFromBackup(): Promise<void> {
+        await this._messageHandler.handleMessage({ type: 'restoreFromBackup' });
+    }
+
+    /**
+     * Show the cards the automatic sort would move, with the option to sort (see MessageHandler)
+     */
+    public async previewSort(): Promise<void> {
+        await this._messageHandler.handleMessage({ type: 'previewSort' });
+    }
+
     /**
      * Write content to a file (used by save operations)
      */
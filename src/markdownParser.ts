@@ -2,6 +2,7 @@ import { IdGenerator } from './utils/idGenerator';
 import { PresentationParser } from './presentationParser';
 import { PathResolver } from './services/PathResolver';
 import { sortColumnsByRow } from './utils/columnUtils';
+import { BoardSettings, KanbanBoardSettings } from './services/BoardSettings';
 import * as fs from 'fs';
 import * as path from 'path';
 
@@ -13,6 +14,8 @@ export interface KanbanTask {
   includeFiles?: string[]; // Paths to included files
   originalTitle?: string;  // Original title before include processing
   displayTitle?: string;   // Cleaned title for display (without include syntax)
+  completed?: boolean;     // True when the checkbox is checked ([x] or [X])
+  checkboxStatus?: string; // Raw checkbox marker when it is not ' ' or 'x' (e.g. 'X', '/', '-')
 }
 
 export interface KanbanColumn {
@@ -31,6 +34,8 @@ export interface KanbanBoard {
   columns: KanbanColumn[];
   yamlHeader: string | null;
   kanbanFooter: string | null;
+  settings?: KanbanBoardSettings; // Parsed `%% kanban:settings` footer JSON (only set if the footer has one)
+  archive?: KanbanTask[];         // Cards below the Obsidian `***` + `## Archive` separator
 }
 
 export class MarkdownKanbanParser {
@@ -87,6 +92,7 @@ export class MarkdownKanbanParser {
       let yamlLines: string[] = [];
       let footerLines: string[] = [];
       let yamlStartFound = false;
+      let archiveColumn: KanbanColumn | null = null;  // Collects the archived cards, never added to board.columns
       let columnIndex = 0;  // Add counter for columns
       let taskIndexInColumn = 0;  // Add counter for tasks within column
 
@@ -136,6 +142,29 @@ export class MarkdownKanbanParser {
           continue;
         }
 
+        // Obsidian archive: `***` followed by `## Archive`, all cards below belong to the archive
+        if (!archiveColumn && trimmedLine === '***' && !line.startsWith(' ')) {
+          const headingIndex = this.findArchiveHeading(lines, i + 1);
+          if (headingIndex !== -1) {
+            if (collectingDescription) {
+              this.finalizeCurrentTask(currentTask, currentColumn);
+              collectingDescription = false;
+            }
+            currentTask = null;
+            if (currentColumn) {
+              board.columns.push(currentColumn);
+            }
+            archiveColumn = {
+              id: IdGenerator.generateColumnId(),
+              title: 'Archive',
+              tasks: []
+            };
+            currentColumn = archiveColumn;
+            i = headingIndex;
+            continue;
+          }
+        }
+
         // Parse column with runtime UUID generation
         if (line.startsWith('## ')) {
           if (collectingDescription) {
@@ -143,7 +172,7 @@ export class MarkdownKanbanParser {
             collectingDescription = false;
           }
           currentTask = null;
-          if (currentColumn) {
+          if (currentColumn && currentColumn !== archiveColumn) {
             board.columns.push(currentColumn);
           }
 
@@ -220,7 +249,8 @@ export class MarkdownKanbanParser {
 
           if (currentColumn && !currentColumn.includeMode) {
             // Only parse tasks for non-include columns
-            const taskTitle = line.substring(6);
+            const checkboxMatch = line.match(/^- \[(.)\](?: (.*))?$/);
+            const taskTitle = checkboxMatch ? (checkboxMatch[2] || '') : line.substring(6);
 
             currentTask = {
               id: IdGenerator.generateTaskId(),
@@ -228,6 +258,10 @@ export class MarkdownKanbanParser {
               description: ''
             };
 
+            if (checkboxMatch) {
+              this.applyCheckboxStatus(currentTask, checkboxMatch[1]);
+            }
+
             taskIndexInColumn++;
             collectingDescription = true;
           } else if (currentColumn && currentColumn.includeMode) {
@@ -264,12 +298,19 @@ export class MarkdownKanbanParser {
       if (collectingDescription) {
         this.finalizeCurrentTask(currentTask, currentColumn);
       }
-      if (currentColumn) {
+      if (currentColumn && currentColumn !== archiveColumn) {
         board.columns.push(currentColumn);
       }
+      if (archiveColumn) {
+        board.archive = archiveColumn.tasks;
+      }
 
       if (footerLines.length > 0) {
         board.kanbanFooter = footerLines.join('\n');
+        const settings = BoardSettings.parseFooter(board.kanbanFooter);
+        if (settings) {
+          board.settings = settings;
+        }
       }
 
       // Process task includes AFTER normal parsing
@@ -344,6 +385,28 @@ export class MarkdownKanbanParser {
     }
   }
 
+  /**
+   * Stores a checkbox marker on the task so it survives a save round trip.
+   * 'x' and 'X' mark the task as completed, any other non-space marker
+   * (Obsidian custom statuses such as '/' or '-') is kept verbatim.
+   */
+  private static applyCheckboxStatus(task: KanbanTask, marker: string): void {
+    if (marker === 'x' || marker === 'X') {
+      task.completed = true;
+    }
+    if (marker !== ' ' && marker !== 'x') {
+      task.checkboxStatus = marker;
+    }
+  }
+
+  /**
+   * Returns the checkbox prefix for a task line, e.g. '- [ ] ' or '- [x] '
+   */
+  static getTaskCheckbox(task: KanbanTask): string {
+    const marker = task.checkboxStatus || (task.completed ? 'x' : ' ');
+    return `- [${marker}] `;
+  }
+
   private static finalizeCurrentTask(task: KanbanTask | null, column: KanbanColumn | null): void {
     if (!task || !column) {return;}
 
@@ -357,6 +420,38 @@ export class MarkdownKanbanParser {
     column.tasks.push(task);
   }
 
+  private static generateTaskMarkdown(task: KanbanTask): string {
+    // For taskinclude tasks, use the original title with include syntax
+    const titleToSave = task.includeMode && task.originalTitle ? task.originalTitle : task.title;
+    let markdown = `${this.getTaskCheckbox(task)}${titleToSave}\n`;
+
+    // For taskinclude tasks, don't save the description (it comes from the file)
+    if (!task.includeMode) {
+      // Add description with proper indentation
+      const descriptionToUse = task.description;
+      if (descriptionToUse && descriptionToUse.trim() !== '') {
+        const descriptionLines = descriptionToUse.split('\n');
+        for (const descLine of descriptionLines) {
+          markdown += `  ${descLine}\n`;
+        }
+      }
+    }
+
+    return markdown;
+  }
+
+  // Returns the line index of `## Archive` if only empty lines follow the `***` separator, otherwise -1
+  private static findArchiveHeading(lines: string[], startIndex: number): number {
+    for (let i = startIndex; i < lines.length; i++) {
+      const trimmed = lines[i].trim();
+      if (trimmed === '') {
+        continue;
+      }
+      return trimmed === '## Archive' ? i : -1;
+    }
+    return -1;
+  }
+
   static generateMarkdown(board: KanbanBoard): string {
     let markdown = '';
 
@@ -387,34 +482,30 @@ export class MarkdownKanbanParser {
         markdown += `## ${column.title}\n`;
 
         for (const task of column.tasks) {
-          // For taskinclude tasks, use the original title with include syntax
-          const titleToSave = task.includeMode && task.originalTitle ? task.originalTitle : task.title;
-          markdown += `- [ ] ${titleToSave}\n`;
-
-          // For taskinclude tasks, don't save the description (it comes from the file)
-          if (!task.includeMode) {
-            // Add description with proper indentation
-            const descriptionToUse = task.description;
-            if (descriptionToUse && descriptionToUse.trim() !== '') {
-              const descriptionLines = descriptionToUse.split('\n');
-              for (const descLine of descriptionLines) {
-                markdown += `  ${descLine}\n`;
-              }
-            }
-          }
+          markdown += this.generateTaskMarkdown(task);
         }
       }
 
       markdown += '\n';
     }
 
-    // Add Kanban footer if it exists
-    if (board.kanbanFooter) {
+    // Add the Obsidian archive section after the columns
+    if (board.archive && board.archive.length > 0) {
+      markdown += '***\n\n## Archive\n\n';
+      for (const task of board.archive) {
+        markdown += this.generateTaskMarkdown(task);
+      }
+      markdown += '\n';
+    }
+
+    // Add Kanban footer if it exists (with the current board settings written back into it)
+    const kanbanFooter = board.settings ? BoardSettings.updateFooter(board.kanbanFooter, board.settings) : board.kanbanFooter;
+    if (kanbanFooter) {
       if (markdown.endsWith('\n\n')) {
         markdown = markdown.slice(0, -1);
       }
-      markdown += board.kanbanFooter;
-      if (!board.kanbanFooter.endsWith('\n')) {
+      markdown += kanbanFooter;
+      if (!kanbanFooter.endsWith('\n')) {
         markdown += '\n';
       }
     } else {
@@ -2,14 +2,22 @@ import { FileManager } from './fileManager';
 import { UndoRedoManager } from './undoRedoManager';
 import { BoardOperations } from './boardOperations';
 import { LinkHandler } from './linkHandler';
-import { KanbanBoard } from './markdownParser';
+import { MarkdownKanbanParser, KanbanBoard } from './markdownParser';
 import { ExternalFileWatcher } from './externalFileWatcher';
+import { BackupEntry } from './backupManager';
 import { configService } from './configurationService';
 import { ExportService } from './exportService';
 import { getFileStateManager } from './fileStateManager';
 import { PathResolver } from './services/PathResolver';
+import { BoardSettings, BoardView } from './services/BoardSettings';
+import { BoardDiff } from './services/BoardDiff';
+import { BoardStatistics, BoardSnapshot } from './services/BoardStatistics';
+import { getColumnCycleTimes } from './utils/cardAgingUtils';
+import { toDateString } from './utils/dateUtils';
+import { getGatherExpressionError } from './utils/gatherExpression';
 import { MarpExtensionService } from './services/MarpExtensionService';
 import { MarpExportService } from './services/MarpExportService';
+import { BoardSnapshotProvider } from './services/BoardSnapshotProvider';
 import { SaveEventCoordinator, SaveEventHandler } from './saveEventCoordinator';
 import * as vscode from 'vscode';
 import * as path from 'path';
@@ -233,6 +241,9 @@ export class MessageHandler {
             case 'setPreference':
                 await this.handleSetPreference(message.key, message.value);
                 break;
+            case 'addCustomTag':
+                await this.handleAddCustomTag(message.category, message.tagName, message.tagConfig);
+                break;
             case 'setContext':
                 await this.handleSetContext(message.contextVariable, message.value);
                 break;
@@ -266,7 +277,7 @@ export class MessageHandler {
                 break;
             case 'moveTask':
                 await this.performBoardAction(() => 
-                    this._boardOperations.moveTask(this._getCurrentBoard()!, message.taskId, message.fromColumnId, message.toColumnId, message.newIndex)
+                    this._boardOperations.moveTask(this._getCurrentBoard()!, message.taskId, message.fromColumnId, message.toColumnId, message.newIndex, configService.getConfig('trackCardMoves', false))
                 );
                 break;
             case 'addTask':
@@ -284,6 +295,21 @@ export class MessageHandler {
                     this._boardOperations.deleteTask(this._getCurrentBoard()!, message.taskId, message.columnId)
                 );
                 break;
+            case 'archiveTask':
+                await this.performBoardAction(() =>
+                    this._boardOperations.archiveTask(this._getCurrentBoard()!, message.taskId, message.columnId)
+                );
+                break;
+            case 'archiveDoneTasks':
+                await this.performBoardAction(() =>
+                    this._boardOperations.archiveDoneTasks(this._getCurrentBoard()!, message.columnId)
+                );
+                break;
+            case 'unarchiveTask':
+                await this.performBoardAction(() =>
+                    this._boardOperations.unarchiveTask(this._getCurrentBoard()!, message.taskId, message.columnId)
+                );
+                break;
             case 'duplicateTask':
                 await this.performBoardAction(() => 
                     this._boardOperations.duplicateTask(this._getCurrentBoard()!, message.taskId, message.columnId)
@@ -321,7 +347,7 @@ export class MessageHandler {
                 break;
             case 'moveTaskToColumn':
                 await this.performBoardAction(() => 
-                    this._boardOperations.moveTaskToColumn(this._getCurrentBoard()!, message.taskId, message.fromColumnId, message.toColumnId)
+                    this._boardOperations.moveTaskToColumn(this._getCurrentBoard()!, message.taskId, message.fromColumnId, message.toColumnId, configService.getConfig('trackCardMoves', false))
                 );
                 break;
                 
@@ -357,7 +383,12 @@ export class MessageHandler {
                 break;
             case 'sortColumn':
                 await this.performBoardAction(() => 
-                    this._boardOperations.sortColumn(this._getCurrentBoard()!, message.columnId, message.sortType)
+                    this._boardOperations.sortColumn(this._getCurrentBoard()!, message.columnId, message.sortType, configService.getCustomTagCategories())
+                );
+                break;
+            case 'setColumnSortTag':
+                await this.performBoardAction(() =>
+                    this._boardOperations.setColumnSortTag(this._getCurrentBoard()!, message.columnId, message.sortType || '', configService.getCustomTagCategories())
                 );
                 break;
             case 'editColumnTitle':
@@ -518,9 +549,30 @@ export class MessageHandler {
                 break;
             case 'performSort':
                 await this.performBoardAction(() => 
-                    this._boardOperations.performAutomaticSort(this._getCurrentBoard()!)
+                    this._boardOperations.performAutomaticSort(this._getCurrentBoard()!, configService.getCustomTagCategories())
                 );
                 break;
+            case 'previewSort':
+                await this.handlePreviewSort();
+                break;
+            case 'saveBoardViews':
+                await this.handleSaveBoardViews(message.views);
+                break;
+            case 'filterBoard':
+                this.handleFilterBoard(message.query);
+                break;
+            case 'restoreFromBackup':
+                await this.handleRestoreFromBackup();
+                break;
+            case 'requestBoardDiff':
+                await this.handleRequestBoardDiff(message.source);
+                break;
+            case 'requestCycleTimes':
+                this.handleRequestCycleTimes();
+                break;
+            case 'requestBoardStatistics':
+                this.handleRequestBoardStatistics();
+                break;
             case 'saveBoardState':
                 await this.handleSaveBoardState(message.board);
                 break;
@@ -561,6 +613,10 @@ export class MessageHandler {
                 await this.handleGetExportDefaultFolder();
                 break;
 
+            case 'checkGatherExpression':
+                this.handleCheckGatherExpression(message.expression);
+                break;
+
             case 'selectExportFolder':
                 await this.handleSelectExportFolder(message.defaultPath);
                 break;
@@ -958,6 +1014,338 @@ export class MessageHandler {
         // No board update needed - webview state is already correct
     }
 
+    /**
+     * Evaluates a filter bar query against the current board, cards are only hidden in the webview
+     */
+    private handleFilterBoard(query: string) {
+        const board = this._getCurrentBoard();
+        const panel = this._getWebviewPanel();
+        if (!board || !panel || !panel._panel) {return;}
+
+        const result = this._boardOperations.filterTasks(board, query || '');
+        panel._panel.webview.postMessage({
+            type: 'filterResult',
+            query: query || '',
+            ...result
+        });
+    }
+
+    /**
+     * Saves the named views, into the board settings footer (undoable like other board changes)
+     * or into the workspace state for boards without a footer
+     */
+    private async handleSaveBoardViews(views: BoardView[]) {
+        const board = this._getCurrentBoard();
+        const panel = this._getWebviewPanel();
+        if (!board || !panel) {return;}
+
+        if (board.settings) {
+            await this.performBoardActionSilent(() => {
+                board.settings!['saved-views'] = BoardSettings.sanitizeViews(views);
+                return true;
+            });
+        } else {
+            await panel.saveBoardViewsToWorkspace(views || []);
+        }
+    }
+
+    /**
+     * Quick pick of the backups, autosave and conflict copies of the board, newest first
+     */
+    private async pickBackup(panel: any, document: vscode.TextDocument): Promise<BackupEntry | undefined> {
+        const backups: BackupEntry[] = panel.backupManager.getBackupList(document);
+        if (backups.length === 0) {
+            vscode.window.showInformationMessage(`No backups found for ${path.basename(document.fileName)}.`);
+            return undefined;
+        }
+
+        const labels: { [label: string]: string } = {
+            backup: 'Backup',
+            autosave: 'Autosave',
+            conflict: 'Conflict copy'
+        };
+        const picked = await vscode.window.showQuickPick(
+            backups.map(backup => ({
+                label: `${labels[backup.label]}: ${backup.date.toLocaleString()}`,
+                description: backup.name,
+                backup: backup
+            })),
+            { placeHolder: 'Select a backup to compare with the current board', matchOnDescription: true }
+        );
+        return picked?.backup;
+    }
+
+    /**
+     * Runs the automatic sort for the scheduledSort setting, when a board opens and at midnight.
+     * Nothing happens if no card would move, so opening a board does not mark it as changed.
+     */
+    public async runScheduledSort(): Promise<void> {
+        const board = this._getCurrentBoard();
+        if (!board || !board.valid) {return;}
+
+        const moves = this._boardOperations.getAutomaticSortPlan(board);
+        if (moves.length === 0) {return;}
+
+        const count = `${moves.length} ${moves.length === 1 ? 'card' : 'cards'}`;
+        if (configService.getConfig('scheduledSort', 'off') === 'preview') {
+            // Notifications are not awaited, they stay open until the user reacts
+            vscode.window.showInformationMessage(`Sorting the board would move ${count}.`, 'Preview...', 'Sort Now').then(async choice => {
+                if (choice === 'Preview...') {
+                    await this.handlePreviewSort();
+                } else if (choice === 'Sort Now') {
+                    await this.applySort();
+                }
+            });
+            return;
+        }
+
+        await this.applySort();
+    }
+
+    /**
+     * Dry run of the automatic sort: lists the cards that would move, sorting is optional
+     */
+    private async handlePreviewSort() {
+        const board = this._getCurrentBoard();
+        if (!board) {return;}
+
+        const moves = this._boardOperations.getAutomaticSortPlan(board);
+        if (moves.length === 0) {
+            vscode.window.showInformationMessage('Sorting the board would not move any card.');
+            return;
+        }
+
+        const applyItem: vscode.QuickPickItem = { label: '$(check) Sort Now', description: `move ${moves.length} ${moves.length === 1 ? 'card' : 'cards'}` };
+        const picked = await vscode.window.showQuickPick([
+            applyItem,
+            { label: 'Cards that would move', kind: vscode.QuickPickItemKind.Separator },
+            ...moves.map(move => ({ label: move.title || '(untitled)', description: `${move.fromColumn} → ${move.toColumn}` }))
+        ], { title: 'Sort Preview', placeHolder: 'Select "Sort Now" to move the cards' });
+
+        if (picked === applyItem) {
+            await this.applySort();
+        }
+    }
+
+    /**
+     * Sorts the board as one undo step and shows the number of moved cards with an undo action.
+     * The moves are computed again, the board may have changed while a preview was open.
+     */
+    private async applySort() {
+        const board = this._getCurrentBoard();
+        if (!board) {return;}
+
+        const moves = this._boardOperations.getAutomaticSortPlan(board);
+        if (moves.length === 0) {
+            vscode.window.showInformationMessage('Sorting the board would not move any card.');
+            return;
+        }
+
+        await this.performBoardAction(() => this._boardOperations.performAutomaticSort(board, configService.getCustomTagCategories()));
+
+        const count = `${moves.length} ${moves.length === 1 ? 'card' : 'cards'}`;
+        vscode.window.showInformationMessage(`Board sorted: ${count} moved.`, 'Show Moves', 'Undo').then(async choice => {
+            if (choice === 'Undo') {
+                await this.handleUndo();
+            } else if (choice === 'Show Moves') {
+                await vscode.window.showQuickPick(
+                    moves.map(move => ({ label: move.title || '(untitled)', description: `${move.fromColumn} → ${move.toColumn}` })),
+                    { title: `Board sorted: ${count} moved` }
+                );
+            }
+        });
+    }
+
+    /**
+     * Sends the average time cards stay in each column, from the move tokens of the current board
+     */
+    private handleRequestCycleTimes() {
+        const panel = this._getWebviewPanel();
+        const board = this._getCurrentBoard();
+        if (!panel || !panel._panel || !board) {return;}
+
+        panel._panel.webview.postMessage({
+            type: 'cycleTimesResult',
+            stats: getColumnCycleTimes(board)
+        });
+    }
+
+    /**
+     * Sends the card counts of the current board for the statistics view.
+     * The cumulative flow comes from the backups and autosave of the board,
+     * or from the card move tokens when there are not enough backups.
+     */
+    private handleRequestBoardStatistics() {
+        const panel = this._getWebviewPanel();
+        const document = this._fileManager.getDocument();
+        const board = this._getCurrentBoard();
+        if (!panel || !panel._panel || !board) {return;}
+
+        const statistics = BoardStatistics.compute(board, configService.getCustomTagCategories());
+
+        const snapshots: BoardSnapshot[] = [];
+        if (document && panel.backupManager) {
+            const backups: BackupEntry[] = panel.backupManager.getBackupList(document);
+            for (const backup of backups.filter(entry => entry.label !== 'conflict').slice(0, 60)) {
+                try {
+                    const backupBoard = MarkdownKanbanParser.parseMarkdown(fs.readFileSync(backup.path, 'utf8')).board;
+                    if (backupBoard.valid) {
+                        snapshots.push({ date: toDateString(backup.date), board: backupBoard });
+                    }
+                } catch (error) {
+                    console.warn(`[BoardStatistics] Skipping unreadable backup ${backup.path}:`, error);
+                }
+            }
+        }
+
+        if (snapshots.length > 0) {
+            snapshots.push({ date: toDateString(new Date()), board });
+            const flow = BoardStatistics.cumulativeFlowFromSnapshots(snapshots, board);
+            statistics.flow = flow.points.length >= 2 ? flow : null;
+        }
+        if (!statistics.flow) {
+            statistics.flow = BoardStatistics.cumulativeFlowFromMoves(board);
+        }
+
+        panel._panel.webview.postMessage({ type: 'boardStatisticsResult', statistics });
+    }
+
+    /**
+     * Compares the current board, including unsaved changes, card by card with the saved file,
+     * a backup, a git revision or another board file and shows the result in the diff drawer
+     */
+    private async handleRequestBoardDiff(source: string) {
+        const panel = this._getWebviewPanel();
+        const document = this._fileManager.getDocument();
+        const board = this._getCurrentBoard();
+        if (!panel || !panel._panel || !document || !board) {return;}
+
+        const filePath = document.uri.fsPath;
+        let content: string;
+        let label: string;
+
+        try {
+            if (source === 'backup') {
+                const backup = await this.pickBackup(panel, document);
+                if (!backup) {return;}
+                content = fs.readFileSync(backup.path, 'utf8');
+                label = backup.name;
+            } else if (source === 'git') {
+                // A leading '-' would make git read the revision as an option
+                const revision = await vscode.window.showInputBox({
+                    prompt: 'Git revision to compare the board with',
+                    value: 'HEAD',
+                    validateInput: (value) => {
+                        if (value.trim().startsWith('-')) {
+                            return 'A revision cannot start with "-"';
+                        }
+                        return null;
+                    }
+                });
+                if (!revision || revision.trim().startsWith('-')) {return;}
+
+                const { execFile } = await import('child_process');
+                const util = await import('util');
+                const execFilePromise = util.promisify(execFile);
+                const result = await execFilePromise('git', ['show', `${revision.trim()}:./${path.basename(filePath)}`], {
+                    cwd: path.dirname(filePath),
+                    maxBuffer: 50 * 1024 * 1024
+                });
+                content = result.stdout;
+                label = `git ${revision.trim()}`;
+            } else if (source === 'file') {
+                const fileUris = await vscode.window.showOpenDialog({
+                    canSelectFiles: true,
+                    canSelectFolders: false,
+                    canSelectMany: false,
+                    defaultUri: vscode.Uri.file(path.dirname(filePath)),
+                    filters: {
+                        'Markdown files': ['md']
+                    }
+                });
+                if (!fileUris || fileUris.length === 0) {return;}
+                content = fs.readFileSync(fileUris[0].fsPath, 'utf8');
+                label = path.basename(fileUris[0].fsPath);
+            } else {
+                content = fs.readFileSync(filePath, 'utf8');
+                label = 'Saved file';
+            }
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to read the board to compare with: ${error instanceof Error ? error.message : String(error)}`);
+            return;
+        }
+
+        const otherBoard = MarkdownKanbanParser.parseMarkdown(content, path.dirname(filePath)).board;
+        if (!otherBoard.valid) {
+            vscode.window.showErrorMessage(`${label} is not a valid kanban board.`);
+            return;
+        }
+
+        panel._panel.webview.postMessage({
+            type: 'boardDiffResult',
+            label: label,
+            entries: BoardDiff.compare(otherBoard, board)
+        });
+    }
+
+    /**
+     * Lists the backups, autosave and conflict copies of the board, shows the picked one
+     * as a diff against the current board (with unsaved changes) and restores it as an undoable change
+     */
+    private async handleRestoreFromBackup() {
+        const panel = this._getWebviewPanel();
+        const document = this._fileManager.getDocument();
+        const currentBoard = this._getCurrentBoard();
+        if (!panel || !document) {
+            vscode.window.showWarningMessage('No kanban board is currently open.');
+            return;
+        }
+
+        const backup = await this.pickBackup(panel, document);
+        if (!backup) {return;}
+
+        // The board file may not have the unsaved changes of the kanban view
+        const currentUri = currentBoard
+            ? BoardSnapshotProvider.createSnapshot(document.uri.fsPath, MarkdownKanbanParser.generateMarkdown(currentBoard))
+            : document.uri;
+        await vscode.commands.executeCommand(
+            'vscode.diff',
+            vscode.Uri.file(backup.path),
+            currentUri,
+            `${backup.name} ↔ ${path.basename(document.fileName)}`
+        );
+
+        const choice = await vscode.window.showWarningMessage(
+            `Restore the board from ${backup.name}?`,
+            { modal: true, detail: 'The restored board is not saved until you save it, Undo brings back the current board.' },
+            'Restore'
+        );
+        if (choice !== 'Restore') {return;}
+
+        try {
+            const content = fs.readFileSync(backup.path, 'utf8');
+            const restoredBoard = MarkdownKanbanParser.parseMarkdown(content, path.dirname(document.uri.fsPath)).board;
+            if (!restoredBoard.valid) {
+                vscode.window.showErrorMessage(`${backup.name} is not a valid kanban board.`);
+                return;
+            }
+
+            if (currentBoard) {
+                this._undoRedoManager.saveStateForUndo(currentBoard);
+            }
+            this._setBoard(restoredBoard);
+            this._boardOperations.setOriginalTaskOrder(restoredBoard);
+
+            // Use cache-first architecture: mark as unsaved instead of direct save
+            this._markUnsavedChanges(true, restoredBoard);
+            await this._onBoardUpdate();
+
+            vscode.window.showInformationMessage(`Board restored from ${backup.name}.`);
+        } catch (error) {
+            vscode.window.showErrorMessage(`Failed to restore from backup: ${error}`);
+        }
+    }
+
     private async performBoardAction(action: () => boolean, saveUndo: boolean = true) {
         const board = this._getCurrentBoard();
         if (!board) {return;}
@@ -1036,6 +1424,22 @@ export class MessageHandler {
         }
     }
 
+    private async handleAddCustomTag(category: string, tagName: string, tagConfig: any): Promise<void> {
+        if (!category || !tagName || !tagConfig) {
+            return;
+        }
+        try {
+            const categories = configService.getCustomTagCategories();
+            await configService.updateCustomTagCategories({
+                ...categories,
+                [category]: { ...(categories[category] || {}), [tagName]: tagConfig }
+            });
+        } catch (error) {
+            console.error(`Failed to add tag ${tagName} to ${category}:`, error);
+            vscode.window.showErrorMessage(`Failed to add tag #${tagName}: ${error}`);
+        }
+    }
+
     private async handleSetContext(contextVariable: string, value: boolean): Promise<void> {
         try {
             await vscode.commands.executeCommand('setContext', contextVariable, value);
@@ -1839,6 +2243,20 @@ export class MessageHandler {
         }
     }
 
+    /**
+     * Checks the card filter of the export dialog, so the dialog stays open on malformed expressions
+     */
+    private handleCheckGatherExpression(expression: string) {
+        const panel = this._getWebviewPanel();
+        if (!panel || !panel._panel) {return;}
+
+        panel._panel.webview.postMessage({
+            type: 'gatherExpressionChecked',
+            expression: expression || '',
+            error: getGatherExpressionError(expression || '')
+        });
+    }
+
     private async handleGetExportDefaultFolder(): Promise<void> {
         try {
             let document = this._fileManager.getDocument();
@@ -2015,7 +2433,7 @@ export class MessageHandler {
                 return;
             }
 
-            const result = await ExportService.exportUnified(document, options);
+            const result = await ExportService.exportUnified(document, options, this._getCurrentBoard());
 
             const panel = this._getWebviewPanel();
             if (panel && panel._panel) {
@@ -2074,7 +2492,7 @@ export class MessageHandler {
                 }
                 progress.report({ increment: 20, message: 'Processing content...' });
 
-                const result = await ExportService.exportUnified(document!, options);
+                const result = await ExportService.exportUnified(document!, options, this._getCurrentBoard());
 
                 if (operationId) {
                     await this.updateOperationProgress(operationId, 90, 'Finalizing...');
@@ -2715,7 +3133,7 @@ export class MessageHandler {
                 marpTheme: options.marpTheme,
                 marpBrowser: options.marpBrowser,
                 marpEnginePath: options.marpEnginePath
-            });
+            }, this._getCurrentBoard());
 
             if (operationId) {
                 await this.updateOperationProgress(operationId, 100, 'Export completed');
@@ -2993,7 +3411,7 @@ export class MessageHandler {
                                 }
                                 
                                 // For other Marp formats (PDF, PPTX) or HTML without preview, re-export
-                                const result = await ExportService.exportWithMarp(savedDoc, this._autoExportSettings);
+                                const result = await ExportService.exportWithMarp(savedDoc, this._autoExportSettings, this._getCurrentBoard());
 
                                 // Open in browser if requested
                                 if (result.success && this._autoExportSettings.openAfterExport && result.exportedPath) {
@@ -3001,7 +3419,7 @@ export class MessageHandler {
                                     await vscode.env.openExternal(uri);
                                 }
                             } else {
-                                const result = await ExportService.exportUnifiedV2(savedDoc, this._autoExportSettings);
+                                const result = await ExportService.exportUnifiedV2(savedDoc, this._autoExportSettings, this._getCurrentBoard());
 
                                 // Open in browser if requested
                                 if (result.success && this._autoExportSettings.openAfterExport && result.exportedPath) {
@@ -0,0 +1,127 @@
+/**
+ * Semantic diff between two versions of a board
+ *
+ * A line diff of the markdown is hard to read because columns and cards move around.
+ * This compares two parsed boards card by card instead. Card ids change on every parse,
+ * so cards are matched by title, then by title without tags, then by description.
+ */
+
+import { KanbanBoard, KanbanTask } from '../markdownParser';
+
+export type BoardDiffKind = 'added' | 'removed' | 'moved' | 'retitled' | 'retagged';
+
+export interface BoardDiffEntry {
+    kind: BoardDiffKind;
+    // Title and column in the new board, in the old board for removed cards
+    title: string;
+    column: string;
+    // Card id in the new board, used to jump to the card (not set for removed cards)
+    taskId?: string;
+    fromColumn?: string;
+    oldTitle?: string;
+    addedTags?: string[];
+    removedTags?: string[];
+}
+
+interface DiffCard {
+    task: KanbanTask;
+    column: string;
+    text: string;
+    tags: string[];
+    match?: DiffCard;
+}
+
+export class BoardDiff {
+    private static readonly TAG_PATTERN = /(?:^|\s)([#@][\w&:./-]+)/g;
+
+    /**
+     * Lists the cards added, removed, moved between columns, retitled or re-tagged
+     * @param oldBoard - Previous version, e.g. the saved file, a backup or a git revision
+     * @param newBoard - Current version, its card ids are used for the entries
+     */
+    static compare(oldBoard: KanbanBoard, newBoard: KanbanBoard): BoardDiffEntry[] {
+        const oldCards = this.collectCards(oldBoard);
+        const newCards = this.collectCards(newBoard);
+
+        // Most specific key first, so a renamed card does not take the place of an unchanged one
+        this.matchCards(oldCards, newCards, card => card.task.title.trim());
+        this.matchCards(oldCards, newCards, card => card.text);
+        this.matchCards(oldCards, newCards, card => (card.task.description || '').trim());
+
+        const entries: BoardDiffEntry[] = [];
+        for (const card of newCards) {
+            const base = { title: card.task.title, column: card.column, taskId: card.task.id };
+            const previous = card.match;
+
+            if (!previous) {
+                entries.push({ kind: 'added', ...base });
+                continue;
+            }
+            if (previous.column !== card.column) {
+                entries.push({ kind: 'moved', ...base, fromColumn: previous.column });
+            }
+            if (previous.text !== card.text) {
+                entries.push({ kind: 'retitled', ...base, oldTitle: previous.task.title });
+            }
+
+            const addedTags = card.tags.filter(tag => !previous.tags.includes(tag));
+            const removedTags = previous.tags.filter(tag => !card.tags.includes(tag));
+            if (addedTags.length > 0 || removedTags.length > 0) {
+                entries.push({ kind: 'retagged', ...base, addedTags, removedTags });
+            }
+        }
+
+        for (const card of oldCards) {
+            if (!card.match) {
+                entries.push({ kind: 'removed', title: card.task.title, column: card.column });
+            }
+        }
+
+        return entries;
+    }
+
+    /**
+     * Splits a card title into its text and its #tags / @persons (lower case)
+     */
+    static splitTitle(title: string): { text: string; tags: string[] } {
+        const tags: string[] = [];
+        const text = (title || '').replace(this.TAG_PATTERN, (_match, tag: string) => {
+            const normalized = tag.replace(/[.:]+$/, '').toLowerCase();
+            if (!tags.includes(normalized)) {
+                tags.push(normalized);
+            }
+            return ' ';
+        });
+        return { text: text.replace(/\s+/g, ' ').trim(), tags };
+    }
+
+    private static collectCards(board: KanbanBoard): DiffCard[] {
+        const cards: DiffCard[] = [];
+        for (const column of board.columns || []) {
+            for (const task of column.tasks) {
+                const { text, tags } = this.splitTitle(task.title);
+                cards.push({ task, column: column.title.trim(), text, tags });
+            }
+        }
+        return cards;
+    }
+
+    /**
+     * Pairs unmatched cards with the same key, preferring a card of the same column
+     */
+    private static matchCards(oldCards: DiffCard[], newCards: DiffCard[], key: (card: DiffCard) => string): void {
+        for (const card of newCards) {
+            const cardKey = key(card);
+            if (card.match || !cardKey) {
+                continue;
+            }
+
+            const candidates = oldCards.filter(old => !old.match && key(old) === cardKey);
+            const previous = candidates.find(old => old.column === card.column) || candidates[0];
+            if (previous) {
+                card.match = previous;
+                previous.match = card;
+            }
+        }
+    }
+}
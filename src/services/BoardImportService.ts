@@ -0,0 +1,203 @@
+/**
+ * Board import commands
+ *
+ * Reads a file of another format, converts it to kanban markdown, writes it next to the
+ * source (or where the user chooses) and opens it in the kanban view.
+ */
+
+import * as vscode from 'vscode';
+import * as fs from 'fs';
+import * as path from 'path';
+import { CSV_FIELDS, CsvBoardConverter, CsvField, CsvMapping } from './CsvBoardConverter';
+import { JsonBoardConverter } from './JsonBoardConverter';
+import { FOREIGN_BOARD_FORMAT_LABELS, ForeignBoardFormat, ForeignBoardImporter } from './ForeignBoardImporter';
+import { MarkdownKanbanParser } from '../markdownParser';
+import { parseDateString } from '../utils/dateUtils';
+
+const CSV_FIELD_LABELS: Record<CsvField, string> = {
+    column: 'List',
+    row: 'Row',
+    stack: 'Stack',
+    title: 'Title',
+    description: 'Description',
+    tags: 'Tags',
+    persons: 'Persons',
+    due: 'Due Date',
+    status: 'Checkbox Status'
+};
+
+export class BoardImportService {
+    /**
+     * Imports a CSV / TSV table, the user maps the table columns to card fields first
+     */
+    static async importCsv(): Promise<void> {
+        const [sourceUri] = await vscode.window.showOpenDialog({
+            canSelectMany: false,
+            openLabel: 'Import',
+            filters: { 'CSV / TSV': ['csv', 'tsv', 'txt'] }
+        }) || [];
+        if (!sourceUri) {return;}
+
+        await this.importCsvText(sourceUri, fs.readFileSync(sourceUri.fsPath, 'utf8'));
+    }
+
+    /**
+     * Imports a board exported by Trello (JSON), GitHub Projects (CSV) or Jira (CSV).
+     * Other CSV files go through the column mapping dialog of importCsv().
+     */
+    static async importBoard(): Promise<void> {
+        const [sourceUri] = await vscode.window.showOpenDialog({
+            canSelectMany: false,
+            openLabel: 'Import',
+            filters: { 'Trello JSON, GitHub Projects / Jira CSV': ['json', 'csv'] }
+        }) || [];
+        if (!sourceUri) {return;}
+
+        const text = fs.readFileSync(sourceUri.fsPath, 'utf8');
+        let format: ForeignBoardFormat | 'csv' | null = ForeignBoardImporter.detectFormat(text);
+        if (!format) {
+            if (!sourceUri.fsPath.toLowerCase().endsWith('.csv')) {
+                vscode.window.showErrorMessage('Not a Trello board JSON file. Use "Import Kanban Board from JSON..." for board JSON exports.');
+                return;
+            }
+            const picked = await vscode.window.showQuickPick([
+                { label: 'Map Columns...', description: 'Choose which table column holds which card field', format: 'csv' as const },
+                ...(['github', 'jira'] as ForeignBoardFormat[]).map(candidate => ({ label: FOREIGN_BOARD_FORMAT_LABELS[candidate], description: '', format: candidate }))
+            ], { title: 'Import Board', placeHolder: 'The CSV format was not recognised, how should it be read?' });
+            if (!picked) {return;}
+            format = picked.format;
+        }
+
+        if (format === 'csv') {
+            await this.importCsvText(sourceUri, text);
+            return;
+        }
+
+        let markdown: string;
+        try {
+            markdown = ForeignBoardImporter.toMarkdown(format, text);
+        } catch (error) {
+            vscode.window.showErrorMessage(`Import of ${FOREIGN_BOARD_FORMAT_LABELS[format]} failed: ${error instanceof Error ? error.message : String(error)}`);
+            return;
+        }
+        await this.writeBoard(sourceUri, markdown);
+    }
+
+    private static async importCsvText(sourceUri: vscode.Uri, text: string): Promise<void> {
+        const rows = CsvBoardConverter.parse(text, sourceUri.fsPath.toLowerCase().endsWith('.tsv') ? '\t' : undefined);
+        if (rows.length < 2) {
+            vscode.window.showErrorMessage('The file has no rows below the header row.');
+            return;
+        }
+
+        const [headers, ...cards] = rows;
+        const mapping = await this.pickCsvMapping(headers, cards[0], CsvBoardConverter.guessMapping(headers), cards.length);
+        if (!mapping) {return;}
+        if (mapping.title < 0) {
+            vscode.window.showErrorMessage('Select the table column with the card titles.');
+            return;
+        }
+
+        const dateFormat = await this.pickDateFormat(mapping.due >= 0 ? cards.map(cells => cells[mapping.due] || '') : []);
+        if (dateFormat === undefined) {return;}
+
+        await this.writeBoard(sourceUri, CsvBoardConverter.toMarkdown(cards, mapping, dateFormat || undefined));
+    }
+
+    /**
+     * Format of the due dates, asked for if several formats read all of them (03/04/2025)
+     * @returns The format, null if the dates need none, undefined if cancelled
+     */
+    private static async pickDateFormat(values: string[]): Promise<string | null | undefined> {
+        const formats = CsvBoardConverter.getDateFormats(values);
+        if (formats.length <= 1) {
+            const unread = values.filter(value => value.trim() && !parseDateString(value.trim().split(/[T ]/)[0], formats[0]));
+            if (unread.length > 0) {
+                vscode.window.showWarningMessage(`${unread.length} due ${unread.length === 1 ? 'date is' : 'dates are'} not in a known format and will not be imported, e.g. "${unread[0].trim()}".`);
+            }
+            return formats[0] || null;
+        }
+
+        const sample = values.find(value => value.trim() && !parseDateString(value.trim().split(/[T ]/)[0]))!.trim();
+        const picked = await vscode.window.showQuickPick(formats.map(format => ({
+            label: format,
+            description: `${sample} → ${parseDateString(sample.split(/[T ]/)[0], format)}`,
+            format
+        })), { title: 'Import CSV: Date Format', placeHolder: 'Which format are the due dates in?' });
+        return picked?.format;
+    }
+
+    /**
+     * Imports a board JSON file (export format 'json', schemas/kanban-board.schema.json)
+     */
+    static async importJson(): Promise<void> {
+        const [sourceUri] = await vscode.window.showOpenDialog({
+            canSelectMany: false,
+            openLabel: 'Import',
+            filters: { 'Board JSON': ['json'] }
+        }) || [];
+        if (!sourceUri) {return;}
+
+        let markdown: string;
+        try {
+            const board = JsonBoardConverter.fromJson(JSON.parse(fs.readFileSync(sourceUri.fsPath, 'utf8')));
+            markdown = MarkdownKanbanParser.generateMarkdown(board);
+        } catch (error) {
+            vscode.window.showErrorMessage(`Import failed: ${error instanceof Error ? error.message : String(error)}`);
+            return;
+        }
+
+        await this.writeBoard(sourceUri, markdown);
+    }
+
+    /**
+     * Mapping dialog: lists the card fields with their table column, picking a field changes it
+     * @returns The confirmed mapping, undefined if cancelled
+     */
+    private static async pickCsvMapping(headers: string[], sample: string[], mapping: CsvMapping, rowCount: number): Promise<CsvMapping | undefined> {
+        const headerLabel = (index: number) => (index >= 0 ? `"${headers[index]}"` : '(not imported)');
+
+        for (;;) {
+            const importItem = { label: `$(check) Import ${rowCount} ${rowCount === 1 ? 'card' : 'cards'}`, field: undefined as CsvField | undefined };
+            const picked = await vscode.window.showQuickPick([
+                importItem,
+                { label: 'Card fields', kind: vscode.QuickPickItemKind.Separator, field: undefined },
+                ...CSV_FIELDS.map(field => ({
+                    label: CSV_FIELD_LABELS[field],
+                    description: `← ${headerLabel(mapping[field])}`,
+                    detail: mapping[field] >= 0 && sample[mapping[field]] ? `e.g. ${sample[mapping[field]].slice(0, 80)}` : undefined,
+                    field
+                }))
+            ], { title: 'Import CSV: Map Columns', placeHolder: 'Select a field to change its table column, or import' });
+
+            if (!picked) {return undefined;}
+            if (!picked.field) {return mapping;}
+
+            const field = picked.field;
+            const column = await vscode.window.showQuickPick([
+                { label: '(not imported)', index: -1 },
+                ...headers.map((header, index) => ({ label: header || `Column ${index + 1}`, description: sample[index]?.slice(0, 80), index }))
+            ], { title: `Table column for ${CSV_FIELD_LABELS[field]}` });
+            if (column) {
+                mapping[field] = column.index;
+            }
+        }
+    }
+
+    /**
+     * Asks where to save the imported board, writes it and opens it in the kanban view
+     */
+    private static async writeBoard(sourceUri: vscode.Uri, markdown: string): Promise<void> {
+        const sourcePath = sourceUri.fsPath;
+        const basename = path.basename(sourcePath).replace(/(\.kanban)?\.[^.]+$/, '');
+        const targetUri = await vscode.window.showSaveDialog({
+            defaultUri: vscode.Uri.file(path.join(path.dirname(sourcePath), `${basename}.md`)),
+            filters: { 'Markdown': ['md'] },
+            saveLabel: 'Save Board'
+        });
+        if (!targetUri) {return;}
+
+        fs.writeFileSync(targetUri.fsPath, markdown, 'utf8');
+        await vscode.commands.executeCommand('markdown-kanban.openKanban', targetUri);
+    }
+}
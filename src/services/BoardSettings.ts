@@ -0,0 +1,233 @@
+/**
+ * Board settings stored in the Obsidian Kanban footer
+ *
+ * Obsidian keeps per-board settings as JSON inside the footer:
+ *
+ *   %% kanban:settings
+ *   ```
+ *   {"kanban-plugin":"board","lane-width":300}
+ *   ```
+ *   %%
+ *
+ * The parsed settings override the VS Code configuration for this board,
+ * so a board looks the same in Obsidian and VS Code.
+ */
+
+export type NewCardInsertionMethod = 'prepend' | 'prepend-compact' | 'append';
+
+export interface ObsidianTagColor {
+    tagKey: string;
+    color?: string;
+    backgroundColor?: string;
+}
+
+/**
+ * Named view: a filter, the folded columns and cards, the swimlane mode and the layout settings
+ * Columns and cards are stored by title, their ids change on every parse
+ */
+export interface BoardView {
+    name: string;
+    filter?: string;
+    collapsedColumns?: string[];
+    collapsedTasks?: string[];
+    swimlanes?: string;
+    tagVisibility?: string;
+    columnWidth?: string;
+    rowHeight?: string;
+    layoutRows?: number;
+}
+
+export interface KanbanBoardSettings {
+    'kanban-plugin'?: string;
+    'lane-width'?: number;
+    'show-checkboxes'?: boolean;
+    'date-format'?: string;
+    'hide-tags-in-title'?: boolean;
+    'new-card-insertion-method'?: NewCardInsertionMethod;
+    'archive-with-date'?: boolean;
+    'archive-date-format'?: string;
+    'archive-date-separator'?: string;
+    'append-archive-date'?: boolean;
+    'tag-colors'?: ObsidianTagColor[];
+    'saved-views'?: BoardView[];
+    // Unknown Obsidian settings are kept so they survive a save
+    [key: string]: any;
+}
+
+/**
+ * Configuration values (same keys as configurationService) overridden by the board settings
+ */
+export interface BoardSettingsOverrides {
+    columnWidth?: string;
+    tagVisibility?: string;
+    showCheckboxes?: boolean;
+    dateFormat?: string;
+    newCardInsertionMethod?: NewCardInsertionMethod;
+    archiveWithDate?: boolean;
+}
+
+const SETTINGS_BLOCK_REGEX = /%% kanban:settings[ \t]*\n```[a-z]*\n([\s\S]*?)\n?```[ \t]*\n?%%/;
+
+// Groups of the tagColors configuration, see getTagConfig() in boardRenderer.js
+const TAG_COLOR_GROUPS = [
+    'status', 'type', 'priority', 'category', 'colors', 'importance',
+    'workflow', 'organization',
+    'content-type-teaching', 'content-type-product',
+    'complexity', 'review-status', 'time-estimate',
+    'testing-status', 'platform-teaching', 'platform-product',
+    'version', 'impact'
+];
+
+export class BoardSettings {
+    /**
+     * Parse the settings JSON from the kanban footer
+     * Returns null if the footer has no (valid) settings block
+     */
+    static parseFooter(footer: string | null): KanbanBoardSettings | null {
+        if (!footer) {
+            return null;
+        }
+
+        const match = footer.match(SETTINGS_BLOCK_REGEX);
+        if (!match) {
+            return null;
+        }
+
+        try {
+            const settings = JSON.parse(match[1]);
+            if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+                return null;
+            }
+            return settings as KanbanBoardSettings;
+        } catch (error) {
+            console.warn('[BoardSettings] Invalid JSON in kanban:settings footer:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Write the settings back into the footer
+     * The original text is kept when the settings did not change, so hand formatted JSON is not rewritten on every save
+     */
+    static updateFooter(footer: string | null, settings: KanbanBoardSettings): string {
+        const block = `%% kanban:settings\n\`\`\`\n${JSON.stringify(settings)}\n\`\`\`\n%%`;
+
+        if (!footer) {
+            return `\n${block}`;
+        }
+
+        const match = footer.match(SETTINGS_BLOCK_REGEX);
+        if (!match) {
+            return `${footer.replace(/\n*$/, '')}\n\n${block}`;
+        }
+
+        const current = this.parseFooter(footer);
+        if (current && JSON.stringify(current) === JSON.stringify(settings)) {
+            return footer;
+        }
+
+        return footer.replace(SETTINGS_BLOCK_REGEX, () => block);
+    }
+
+    /**
+     * Map the board settings to the configuration keys used by the webview
+     */
+    static getConfigOverrides(settings: KanbanBoardSettings | null | undefined): BoardSettingsOverrides {
+        const overrides: BoardSettingsOverrides = {};
+        if (!settings) {
+            return overrides;
+        }
+
+        const laneWidth = Number(settings['lane-width']);
+        if (settings['lane-width'] !== undefined && Number.isFinite(laneWidth) && laneWidth > 0) {
+            overrides.columnWidth = `${Math.round(laneWidth)}px`;
+        }
+        if (typeof settings['show-checkboxes'] === 'boolean') {
+            overrides.showCheckboxes = settings['show-checkboxes'];
+        }
+        if (typeof settings['date-format'] === 'string' && settings['date-format'].trim() !== '') {
+            overrides.dateFormat = settings['date-format'];
+        }
+        // Obsidian only knows on/off, keep the finer VS Code setting unless tags are hidden
+        if (settings['hide-tags-in-title'] === true) {
+            overrides.tagVisibility = 'none';
+        }
+        if (['prepend', 'prepend-compact', 'append'].includes(settings['new-card-insertion-method'] as string)) {
+            overrides.newCardInsertionMethod = settings['new-card-insertion-method'];
+        }
+        if (typeof settings['archive-with-date'] === 'boolean') {
+            overrides.archiveWithDate = settings['archive-with-date'];
+        }
+
+        return overrides;
+    }
+
+    /**
+     * Saved views of the board, invalid entries are dropped
+     */
+    static getViews(settings: KanbanBoardSettings | null | undefined): BoardView[] {
+        return this.sanitizeViews(settings?.['saved-views']);
+    }
+
+    /**
+     * Keep only views with a name, later views replace earlier views with the same name
+     */
+    static sanitizeViews(views: unknown): BoardView[] {
+        if (!Array.isArray(views)) {
+            return [];
+        }
+
+        const byName = new Map<string, BoardView>();
+        for (const view of views) {
+            if (!view || typeof view.name !== 'string' || view.name.trim() === '') {
+                continue;
+            }
+            byName.set(view.name.trim(), { ...view, name: view.name.trim() });
+        }
+        return Array.from(byName.values());
+    }
+
+    /**
+     * Merge the Obsidian tag colors into the tagColors configuration
+     * Tags that already exist in a group are overridden in place, new tags are added to the colors group
+     */
+    static mergeTagColors(tagColors: { [key: string]: any }, settings: KanbanBoardSettings | null | undefined): { [key: string]: any } {
+        const obsidianColors = settings?.['tag-colors'];
+        if (!Array.isArray(obsidianColors) || obsidianColors.length === 0) {
+            return tagColors;
+        }
+
+        const merged: { [key: string]: any } = { ...tagColors };
+        const isGrouped = TAG_COLOR_GROUPS.some(group => merged[group]);
+
+        for (const entry of obsidianColors) {
+            if (!entry || typeof entry.tagKey !== 'string') {
+                continue;
+            }
+            const tagName = entry.tagKey.replace(/^#/, '').trim().toLowerCase();
+            if (!tagName || (!entry.color && !entry.backgroundColor)) {
+                continue;
+            }
+
+            const colors: { [key: string]: string } = {};
+            if (entry.color) {
+                colors.text = entry.color;
+            }
+            if (entry.backgroundColor) {
+                colors.background = entry.backgroundColor;
+            }
+            const tagConfig = { light: { ...colors }, dark: { ...colors } };
+
+            const group = TAG_COLOR_GROUPS.find(name => merged[name] && merged[name][tagName]);
+            if (group) {
+                merged[group] = { ...merged[group], [tagName]: { ...merged[group][tagName], ...tagConfig } };
+            } else if (isGrouped) {
+                merged.colors = { ...(merged.colors || {}), [tagName]: tagConfig };
+            } else {
+                merged[tagName] = tagConfig;
+            }
+        }
+
+        return merged;
+    }
+}
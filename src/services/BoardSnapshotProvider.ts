@@ -0,0 +1,29 @@
+/**
+ * Read-only documents with the markdown of the board in the kanban view (scheme `kanban-board`)
+ *
+ * Used to compare backups with the current board including unsaved changes,
+ * the board file on disk may be older than the board shown.
+ */
+
+import * as vscode from 'vscode';
+
+export class BoardSnapshotProvider implements vscode.TextDocumentContentProvider {
+    static readonly scheme = 'kanban-board';
+
+    // Latest snapshot by URI path, open diffs keep the content they were opened with
+    private static snapshots = new Map<string, string>();
+
+    /**
+     * Stores the markdown of a board and returns the URI of its snapshot document
+     */
+    static createSnapshot(filePath: string, markdown: string): vscode.Uri {
+        // A new query per snapshot, VS Code caches the content of a URI once it is opened
+        const uri = vscode.Uri.file(filePath).with({ scheme: this.scheme, query: String(Date.now()) });
+        this.snapshots.set(uri.path, markdown);
+        return uri;
+    }
+
+    provideTextDocumentContent(uri: vscode.Uri): string {
+        return BoardSnapshotProvider.snapshots.get(uri.path) || '';
+    }
+}
@@ -0,0 +1,250 @@
+/**
+ * Board statistics for the statistics view
+ *
+ * Counts cards per column, row, tag category, person and due date bucket and builds
+ * the cumulative flow (cards per column over time) from backups or card move tokens.
+ * Only numbers are computed here, the webview draws the charts (html/boardStatistics.js).
+ */
+
+import { KanbanBoard, KanbanTask } from '../markdownParser';
+import { extractDate, getTodayString, isWithinDays, isOverdue } from '../utils/dateUtils';
+import { getCardMoves, getMoveColumnName, daysBetween } from '../utils/cardAgingUtils';
+
+export interface StatisticsCount {
+    label: string;
+    count: number;
+}
+
+export interface ColumnStatistics extends StatisticsCount {
+    done: number;
+}
+
+export interface TagCategoryStatistics {
+    category: string;
+    tags: StatisticsCount[];
+}
+
+export interface DueStatistics {
+    overdue: number;
+    today: number;
+    dueSoon: number;
+    later: number;
+    noDate: number;
+}
+
+export interface CumulativeFlow {
+    source: 'backups' | 'moves';
+    // Column names without tags, in board order
+    columns: string[];
+    // One point per day, counts in the order of columns
+    points: { date: string; counts: number[] }[];
+}
+
+export interface BoardStatisticsResult {
+    total: number;
+    done: number;
+    columns: ColumnStatistics[];
+    rows: StatisticsCount[];
+    tagCategories: TagCategoryStatistics[];
+    persons: StatisticsCount[];
+    due: DueStatistics;
+    flow: CumulativeFlow | null;
+}
+
+export interface BoardSnapshot {
+    date: string; // YYYY-MM-DD
+    board: KanbanBoard;
+}
+
+export class BoardStatistics {
+    // Days shown in a cumulative flow built from move tokens
+    static readonly MAX_FLOW_DAYS = 90;
+
+    // Cards due within this many days (after today) count as due soon
+    static readonly DUE_SOON_DAYS = 7;
+
+    private static readonly PERSON_PATTERN = /(?:^|\s)@([a-zA-Z][\w&-]*)(?=[\s.,;!?)]|$)/g;
+    private static readonly RESERVED_PERSONS = ['sticky'];
+
+    /**
+     * Counts the cards of a board
+     * @param board - Current board
+     * @param tagCategories - customTagCategories setting: category name -> tag name -> style
+     */
+    static compute(board: KanbanBoard, tagCategories: { [category: string]: any } = {}): BoardStatisticsResult {
+        const dateFormat = board.settings?.['date-format'];
+        const today = getTodayString();
+        const columns: ColumnStatistics[] = [];
+        const rows = new Map<string, number>();
+        const persons = new Map<string, number>();
+        const due: DueStatistics = { overdue: 0, today: 0, dueSoon: 0, later: 0, noDate: 0 };
+        const categories = Object.keys(tagCategories || {}).map(category => ({
+            category,
+            tags: Object.keys(tagCategories[category] || {}).map(tag => ({ label: tag, count: 0 }))
+        }));
+
+        let total = 0;
+        let done = 0;
+
+        for (const column of board.columns || []) {
+            const columnDone = column.tasks.filter(task => task.completed === true).length;
+            const row = `Row ${this.getColumnRow(column.title)}`;
+
+            columns.push({ label: getMoveColumnName(column.title) || '(untitled)', count: column.tasks.length, done: columnDone });
+            rows.set(row, (rows.get(row) || 0) + column.tasks.length);
+            total += column.tasks.length;
+            done += columnDone;
+
+            for (const task of column.tasks) {
+                const taskText = `${task.title || ''} ${task.description || ''}`;
+
+                this.getPersons(taskText).forEach(person => persons.set(person, (persons.get(person) || 0) + 1));
+
+                for (const category of categories) {
+                    for (const tag of category.tags) {
+                        if (this.hasTag(taskText, tag.label)) {
+                            tag.count++;
+                        }
+                    }
+                }
+
+                if (task.completed !== true) {
+                    this.countDueDate(due, extractDate(taskText, 'due', dateFormat), today);
+                }
+            }
+        }
+
+        return {
+            total,
+            done,
+            columns,
+            rows: Array.from(rows.entries()).map(([label, count]) => ({ label, count })),
+            tagCategories: categories,
+            persons: Array.from(persons.entries())
+                .map(([label, count]) => ({ label, count }))
+                .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label)),
+            due,
+            flow: null
+        };
+    }
+
+    /**
+     * Cards per column for every day with a snapshot, the last snapshot of a day wins
+     * @param snapshots - Boards with their date, e.g. parsed backups and the current board
+     * @param currentBoard - Gives the column order, columns only found in snapshots are appended
+     */
+    static cumulativeFlowFromSnapshots(snapshots: BoardSnapshot[], currentBoard: KanbanBoard): CumulativeFlow {
+        const columns = (currentBoard.columns || []).map(column => getMoveColumnName(column.title));
+        const byDate = new Map<string, Map<string, number>>();
+
+        for (const snapshot of [...snapshots].sort((a, b) => a.date.localeCompare(b.date))) {
+            const counts = new Map<string, number>();
+            for (const column of snapshot.board.columns || []) {
+                const name = getMoveColumnName(column.title);
+                if (!columns.includes(name)) {
+                    columns.push(name);
+                }
+                counts.set(name, (counts.get(name) || 0) + column.tasks.length);
+            }
+            byDate.set(snapshot.date, counts);
+        }
+
+        return {
+            source: 'backups',
+            columns,
+            points: Array.from(byDate.entries()).map(([date, counts]) => ({
+                date,
+                counts: columns.map(column => counts.get(column) || 0)
+            }))
+        };
+    }
+
+    /**
+     * Cards per column for every day since the first recorded card move (see cardAgingUtils),
+     * limited to the last MAX_FLOW_DAYS days. Cards count from their first recorded move on.
+     * @returns null if no card has move tokens
+     */
+    static cumulativeFlowFromMoves(board: KanbanBoard, today: string = getTodayString()): CumulativeFlow | null {
+        const columns = (board.columns || []).map(column => getMoveColumnName(column.title));
+        const histories = (board.columns || [])
+            .flatMap(column => column.tasks)
+            .map((task: KanbanTask) => getCardMoves(task.description))
+            .filter(moves => moves.length > 0);
+
+        if (histories.length === 0) {
+            return null;
+        }
+
+        const firstDate = histories.map(moves => moves[0].date).sort()[0];
+        const days = Math.min(daysBetween(firstDate, today), this.MAX_FLOW_DAYS - 1);
+        const points: CumulativeFlow['points'] = [];
+
+        for (let offset = days; offset >= 0; offset--) {
+            const date = this.addDays(today, -offset);
+            const counts = new Map<string, number>();
+
+            for (const moves of histories) {
+                const current = moves.filter(move => move.date <= date).pop();
+                if (current) {
+                    if (!columns.includes(current.column)) {
+                        columns.push(current.column);
+                    }
+                    counts.set(current.column, (counts.get(current.column) || 0) + 1);
+                }
+            }
+            points.push({ date, counts: columns.map(column => counts.get(column) || 0) });
+        }
+
+        // Columns added while walking the days are missing in the earlier points
+        points.forEach(point => {
+            while (point.counts.length < columns.length) {
+                point.counts.push(0);
+            }
+        });
+
+        return { source: 'moves', columns, points };
+    }
+
+    private static countDueDate(due: DueStatistics, date: string | null, today: string): void {
+        if (!date) {
+            due.noDate++;
+        } else if (date === today) {
+            due.today++;
+        } else if (isOverdue(date)) {
+            due.overdue++;
+        } else if (isWithinDays(date, this.DUE_SOON_DAYS)) {
+            due.dueSoon++;
+        } else {
+            due.later++;
+        }
+    }
+
+    private static getColumnRow(title: string): number {
+        const rowMatches = (title || '').match(/#row(\d+)\b/gi);
+        if (!rowMatches) {
+            return 1;
+        }
+        return Math.max(parseInt(rowMatches[rowMatches.length - 1].replace(/#row/i, ''), 10), 1);
+    }
+
+    private static getPersons(text: string): string[] {
+        const persons: string[] = [];
+        for (const match of text.matchAll(this.PERSON_PATTERN)) {
+            const person = match[1];
+            if (!this.RESERVED_PERSONS.includes(person.toLowerCase()) && !persons.includes(person)) {
+                persons.push(person);
+            }
+        }
+        return persons;
+    }
+
+    private static hasTag(text: string, tag: string): boolean {
+        const escaped = tag.replace(/^#/, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(?:^|\\s)#${escaped}(?=[\\s.,;!?)]|$)`, 'i').test(text);
+    }
+
+    private static addDays(isoDate: string, days: number): string {
+        const [year, month, day] = isoDate.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day + days)).toISOString().substring(0, 10);
+    }
+}
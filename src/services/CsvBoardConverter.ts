@@ -0,0 +1,273 @@
+/**
+ * CSV / TSV conversion of boards
+ *
+ * Export writes one row per card: column, row, stack, title, description, tags, persons,
+ * due date and checkbox status. Import rebuilds kanban markdown from such a table, with a
+ * mapping that says which table column holds which field, so spreadsheets from other
+ * sources can be imported as well. Tags, persons and due dates that are not yet part of
+ * the card text are appended to the title.
+ */
+
+import { KanbanBoard, KanbanColumn, KanbanTask, MarkdownKanbanParser } from '../markdownParser';
+import { extractDate, parseDateString } from '../utils/dateUtils';
+import { extractPersonNames } from '../utils/gatherExpression';
+import { getColumnRow } from '../utils/columnUtils';
+import { TagUtils } from '../utils/tagUtils';
+
+export const CSV_FIELDS = ['column', 'row', 'stack', 'title', 'description', 'tags', 'persons', 'due', 'status'] as const;
+
+export type CsvField = typeof CSV_FIELDS[number];
+
+/**
+ * Table column index of each field, -1 if the field is not imported
+ */
+export type CsvMapping = Record<CsvField, number>;
+
+// Header names recognised by guessMapping(), besides the field name itself
+const HEADER_ALIASES: Record<CsvField, string[]> = {
+    column: ['list', 'lane', 'section'],
+    row: [],
+    stack: [],
+    title: ['name', 'task', 'card', 'summary'],
+    description: ['notes', 'body', 'details'],
+    tags: ['tag', 'labels', 'label'],
+    persons: ['person', 'assignees', 'assignee', 'members', 'people'],
+    due: ['due date', 'duedate', 'deadline'],
+    status: ['done', 'completed', 'checkbox']
+};
+
+// Spreadsheet date formats tried by getDateFormats(), YYYY-MM-DD and DD-MM-YYYY are always read
+const DATE_FORMATS = ['M/D/YYYY', 'D/M/YYYY', 'D.M.YYYY', 'YYYY/M/D', 'M/D/YY', 'D/M/YY', 'D.M.YY'];
+
+const LAYOUT_TAG_REGEX = /\s*#(row\d+|span\d+|wip\d+|stack)\b/gi;
+
+const DONE_VALUES = ['x', 'done', 'true', 'yes', '1', 'completed', 'closed'];
+const OPEN_VALUES = ['', 'open', 'false', 'no', '0', 'todo'];
+
+export class CsvBoardConverter {
+    /**
+     * Writes one row per card, with a header row
+     * @param board - Board (or exported part of a board)
+     * @param delimiter - ',' for CSV, '\t' for TSV
+     * @param dateFormat - Board date format for Obsidian dates
+     */
+    static toCsv(board: KanbanBoard, delimiter: string = ',', dateFormat?: string): string {
+        const rows: string[][] = [[...CSV_FIELDS]];
+
+        let stack = 0;
+        let previousRow = 0;
+        for (const column of board.columns) {
+            const row = getColumnRow(column.title);
+            if (row !== previousRow) {
+                stack = 0;
+                previousRow = row;
+            }
+            if (stack === 0 || !/#stack\b/i.test(column.title)) {
+                stack++;
+            }
+
+            const columnName = column.title.replace(LAYOUT_TAG_REGEX, '').trim();
+            for (const task of column.tasks) {
+                const text = `${task.title || ''} ${task.description || ''}`;
+                rows.push([
+                    columnName,
+                    String(row),
+                    String(stack),
+                    task.title || '',
+                    task.description || '',
+                    TagUtils.extractTags(text).join(' '),
+                    extractPersonNames(text).join(' '),
+                    extractDate(text, 'due', dateFormat) || '',
+                    task.checkboxStatus || (task.completed ? 'x' : '')
+                ]);
+            }
+        }
+
+        return rows.map(row => row.map(value => quoteValue(value, delimiter)).join(delimiter)).join('\n') + '\n';
+    }
+
+    /**
+     * Splits CSV / TSV text into rows, quoted values may contain delimiters, quotes ("") and line breaks
+     * @param delimiter - Detected from the first line when omitted (tab, semicolon or comma)
+     */
+    static parse(text: string, delimiter?: string): string[][] {
+        const source = text.replace(/^\uFEFF/, '');
+        const separator = delimiter || detectDelimiter(source);
+        const rows: string[][] = [];
+        let row: string[] = [];
+        let value = '';
+        let quoted = false;
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') {
+                    value += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    value += char;
+                }
+            } else if (char === '"' && value === '') {
+                quoted = true;
+            } else if (char === separator) {
+                row.push(value);
+                value = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(value);
+                rows.push(row);
+                row = [];
+                value = '';
+            } else {
+                value += char;
+            }
+        }
+        if (value !== '' || row.length > 0) {
+            row.push(value);
+            rows.push(row);
+        }
+
+        // Blank lines are not cards
+        return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    }
+
+    /**
+     * Maps the fields to the header columns with the same (or a common) name
+     */
+    static guessMapping(headers: string[]): CsvMapping {
+        const names = headers.map(header => header.trim().toLowerCase());
+        const mapping = {} as CsvMapping;
+        for (const field of CSV_FIELDS) {
+            mapping[field] = names.findIndex(name => name === field || HEADER_ALIASES[field].includes(name));
+        }
+        return mapping;
+    }
+
+    /**
+     * Date formats that read all due values of a table, e.g. ['M/D/YYYY', 'D/M/YYYY'] for 03/04/2025
+     * @param values - Due cells, empty cells and YYYY-MM-DD / DD-MM-YYYY dates need no format
+     * @returns Empty if no format is needed or none reads all values
+     */
+    static getDateFormats(values: string[]): string[] {
+        const dates = values.map(value => value.trim().split(/[T ]/)[0]).filter(value => value && !parseDateString(value));
+        if (dates.length === 0) {return [];}
+        return DATE_FORMATS.filter(format => dates.every(value => parseDateString(value, format)));
+    }
+
+    /**
+     * Builds kanban markdown from table rows
+     * @param rows - Rows without the header row
+     * @param mapping - Table column of each field
+     * @param dateFormat - Date format of the due values, besides YYYY-MM-DD
+     */
+    static toMarkdown(rows: string[][], mapping: CsvMapping, dateFormat?: string): string {
+        const columns: { column: KanbanColumn; row: number; stack: number; order: number }[] = [];
+        const value = (cells: string[], field: CsvField) => (mapping[field] >= 0 ? (cells[mapping[field]] || '').trim() : '');
+
+        rows.forEach((cells, index) => {
+            const columnName = value(cells, 'column') || 'Imported';
+            let entry = columns.find(candidate => candidate.column.title === columnName);
+            if (!entry) {
+                entry = {
+                    column: { id: `col-${columns.length}`, title: columnName, tasks: [] },
+                    row: parseInt(value(cells, 'row'), 10) || 1,
+                    stack: parseInt(value(cells, 'stack'), 10) || 0,
+                    order: columns.length
+                };
+                columns.push(entry);
+            }
+
+            const task = this.createTask(value(cells, 'title'), mapping.description >= 0 ? (cells[mapping.description] || '').trimEnd() : '', {
+                tags: value(cells, 'tags'),
+                persons: value(cells, 'persons'),
+                due: value(cells, 'due'),
+                status: value(cells, 'status')
+            }, dateFormat);
+            task.id = `task-${index}`;
+            entry.column.tasks.push(task);
+        });
+
+        // Rows first, then stacks, columns without a stack number each get their own stack
+        columns.sort((a, b) => a.row - b.row || a.stack - b.stack || a.order - b.order);
+        columns.forEach((entry, index) => {
+            const previous = columns[index - 1];
+            const stacked = previous && entry.stack > 0 && previous.row === entry.row && previous.stack === entry.stack;
+            entry.column.title += (entry.row > 1 ? ` #row${entry.row}` : '') + (stacked ? ' #stack' : '');
+        });
+
+        const board: KanbanBoard = {
+            valid: true,
+            title: '',
+            columns: columns.map(entry => entry.column),
+            yamlHeader: '---\n\nkanban-plugin: board\n\n---',
+            kanbanFooter: null
+        };
+        return MarkdownKanbanParser.generateMarkdown(board);
+    }
+
+    /**
+     * Card of one table row, with the tags, persons and due date added to the title if the text lacks them
+     * Also used by the importers of other tools (ForeignBoardImporter).
+     * @param fields - Comma, semicolon or space separated tags and persons, due date, checkbox status
+     */
+    static createTask(title: string, description: string,
+        fields: { tags: string; persons: string; due: string; status: string }, dateFormat?: string): KanbanTask {
+        let text = title.replace(/\s*\n\s*/g, ' ');
+        const fullText = () => `${text} ${description}`;
+
+        const tags = TagUtils.extractTags(fullText()).map(tag => tag.toLowerCase());
+        splitList(fields.tags).map(tag => tag.replace(/^#/, '')).forEach(tag => {
+            if (!tags.includes(tag.toLowerCase())) {
+                text += ` #${tag.replace(/\s+/g, '_')}`;
+            }
+        });
+
+        const persons = extractPersonNames(fullText()).map(person => person.toLowerCase());
+        splitList(fields.persons).map(person => person.replace(/^@/, '')).forEach(person => {
+            if (!persons.includes(person.replace(/\s+/g, '_').toLowerCase())) {
+                text += ` @${person.replace(/\s+/g, '_')}`;
+            }
+        });
+
+        const due = fields.due ? parseDateString(fields.due.split(/[T ]/)[0], dateFormat) : null;
+        if (due && extractDate(fullText(), 'due', dateFormat) !== due) {
+            text += ` @due:${due}`;
+        }
+
+        const task: KanbanTask = { id: '', title: text.trim(), description };
+        const status = fields.status.toLowerCase();
+        if (DONE_VALUES.includes(status)) {
+            task.completed = true;
+            if (fields.status === 'X') {
+                task.checkboxStatus = 'X';
+            }
+        } else if (!OPEN_VALUES.includes(status) && fields.status.length === 1) {
+            task.checkboxStatus = fields.status;
+        }
+        return task;
+    }
+}
+
+/**
+ * Values of a list cell: comma or semicolon separated, otherwise space separated
+ */
+function splitList(value: string): string[] {
+    return value.split(/[,;]/.test(value) ? /[,;]/ : /\s+/).map(item => item.trim()).filter(Boolean);
+}
+
+function quoteValue(value: string, delimiter: string): string {
+    if (value.includes(delimiter) || /["\r\n]/.test(value) || value !== value.trim()) {
+        return `"${value.replace(/"/g, '""')}"`;
+    }
+    return value;
+}
+
+function detectDelimiter(text: string): string {
+    const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+    const counts = ['\t', ';', ','].map(delimiter => ({ delimiter, count: firstLine.split(delimiter).length }));
+    return counts.reduce((best, candidate) => (candidate.count > best.count ? candidate : best)).delimiter;
+}
@@ -0,0 +1,250 @@
+/**
+ * Importers for boards exported by other tools ("Import Kanban Board...")
+ *
+ *   Trello board JSON        lists, cards, labels, members, due dates, checklists, archived cards
+ *   GitHub Projects CSV      Status column as list, Labels, Assignees, due date field, URL
+ *   Jira CSV                 Status as list, Labels, Assignee, Priority, Due Date, sub-tasks
+ *
+ * Lists become columns, labels #tags, members @persons, due dates @due: and checklists or
+ * sub-tasks `- [ ]` items of the description. Everything works on the exported file alone.
+ */
+
+import { KanbanBoard, KanbanColumn, KanbanTask, MarkdownKanbanParser } from '../markdownParser';
+import { CsvBoardConverter } from './CsvBoardConverter';
+import { parseDateString, toDateString } from '../utils/dateUtils';
+
+export type ForeignBoardFormat = 'trello' | 'github' | 'jira';
+
+export const FOREIGN_BOARD_FORMAT_LABELS: Record<ForeignBoardFormat, string> = {
+    trello: 'Trello board JSON',
+    github: 'GitHub Projects CSV',
+    jira: 'Jira CSV'
+};
+
+// Jira priorities as the priority tags of the board (low < medium < high < urgent)
+const JIRA_PRIORITY_TAGS: { [priority: string]: string } = {
+    highest: 'urgent', blocker: 'urgent', critical: 'urgent',
+    high: 'high', major: 'high',
+    medium: 'medium',
+    low: 'low', lowest: 'low', minor: 'low', trivial: 'low'
+};
+
+const DONE_STATUS_REGEX = /^(done|closed|completed|resolved|finished)$/i;
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Columns in order of first use, created on demand
+ */
+class ColumnCollector {
+    readonly columns: KanbanColumn[] = [];
+    private taskCount = 0;
+
+    add(columnTitle: string, task: KanbanTask): void {
+        let column = this.columns.find(candidate => candidate.title === columnTitle);
+        if (!column) {
+            column = { id: `col-${this.columns.length}`, title: columnTitle, tasks: [] };
+            this.columns.push(column);
+        }
+        task.id = `task-${this.taskCount++}`;
+        column.tasks.push(task);
+    }
+}
+
+export class ForeignBoardImporter {
+    /**
+     * Recognises the tool that wrote a file
+     * @returns null for other files (a plain CSV is imported with the column mapping dialog)
+     */
+    static detectFormat(text: string): ForeignBoardFormat | null {
+        const trimmed = text.trim();
+        if (trimmed.startsWith('{')) {
+            try {
+                const data = JSON.parse(trimmed);
+                return Array.isArray(data?.lists) && Array.isArray(data?.cards) ? 'trello' : null;
+            } catch {
+                return null;
+            }
+        }
+
+        const headers = (CsvBoardConverter.parse(trimmed.split(/\r?\n/, 1)[0])[0] || []).map(header => header.trim().toLowerCase());
+        if (headers.includes('issue key') || (headers.includes('summary') && headers.includes('issue type'))) {
+            return 'jira';
+        }
+        if (headers.includes('title') && headers.includes('status') && (headers.includes('assignees') || headers.includes('url') || headers.includes('repository'))) {
+            return 'github';
+        }
+        return null;
+    }
+
+    /**
+     * Converts a file of a detected format to kanban markdown
+     */
+    static toMarkdown(format: ForeignBoardFormat, text: string): string {
+        switch (format) {
+            case 'trello':
+                return this.fromTrello(JSON.parse(text));
+            case 'github':
+                return this.fromGitHubProjects(CsvBoardConverter.parse(text));
+            case 'jira':
+                return this.fromJira(CsvBoardConverter.parse(text));
+        }
+    }
+
+    /**
+     * Trello board JSON (Menu → Print, export and share → Export as JSON)
+     * Archived cards of open lists go to the archive section, archived lists are skipped.
+     */
+    static fromTrello(data: any): string {
+        const byPosition = (a: any, b: any) => (a.pos || 0) - (b.pos || 0);
+        const members = new Map<string, string>((data.members || []).map((member: any) => [member.id, member.username || member.fullName || '']));
+        const lists = (data.lists || []).filter((list: any) => !list.closed).sort(byPosition);
+        const columns: KanbanColumn[] = lists.map((list: any, index: number) => ({ id: `col-${index}`, title: list.name || 'Untitled', tasks: [] }));
+        const archive: KanbanTask[] = [];
+
+        for (const card of (data.cards || []).slice().sort(byPosition)) {
+            const listIndex = lists.findIndex((list: any) => list.id === card.idList);
+            if (listIndex < 0) {continue;}
+
+            const checklists = (data.checklists || [])
+                .filter((checklist: any) => checklist.idCard === card.id)
+                .sort(byPosition)
+                .map((checklist: any) => [
+                    ...(checklist.name && checklist.name !== 'Checklist' ? [`**${checklist.name}**`] : []),
+                    ...(checklist.checkItems || []).slice().sort(byPosition)
+                        .map((item: any) => `- [${item.state === 'complete' ? 'x' : ' '}] ${item.name}`)
+                ].join('\n'));
+
+            const task = CsvBoardConverter.createTask(card.name || '', [card.desc || '', ...checklists].filter(Boolean).join('\n\n'), {
+                tags: (card.labels || []).map((label: any) => label.name || label.color).filter(Boolean).join(','),
+                persons: (card.idMembers || []).map((id: string) => members.get(id)).filter(Boolean).join(','),
+                due: card.due ? toDateString(new Date(card.due)) : '',
+                status: card.dueComplete ? 'x' : ''
+            });
+
+            task.id = `task-${card.id}`;
+            (card.closed ? archive : columns[listIndex].tasks).push(task);
+        }
+
+        return generateBoard(columns, archive);
+    }
+
+    /**
+     * GitHub Projects CSV (table view → Export view data)
+     * The Status field is the list, the issue URL the description.
+     */
+    static fromGitHubProjects(rows: string[][]): string {
+        const [headers = [], ...items] = rows;
+        const column = columnFinder(headers);
+        const title = column(/^title$/i);
+        const status = column(/^status$/i);
+        const labels = column(/^labels$/i);
+        const assignees = column(/^assignees$/i);
+        const due = column(/^(due|due date|deadline|target date|end date)$/i);
+        const url = column(/^url$/i);
+        const body = column(/^(body|description)$/i);
+
+        const collector = new ColumnCollector();
+        for (const cells of items) {
+            const cell = (index: number) => (index >= 0 ? (cells[index] || '').trim() : '');
+            const statusName = cell(status) || 'No Status';
+            collector.add(statusName, CsvBoardConverter.createTask(cell(title) || 'Untitled', [cell(body), cell(url)].filter(Boolean).join('\n\n'), {
+                tags: cell(labels),
+                persons: cell(assignees),
+                due: parseForeignDate(cell(due)),
+                status: DONE_STATUS_REGEX.test(statusName) ? 'x' : ''
+            }));
+        }
+        return generateBoard(collector.columns);
+    }
+
+    /**
+     * Jira CSV (issue search → Export → CSV, all or current fields)
+     * Labels may span several "Labels" columns, sub-tasks become checklist items of their parent.
+     */
+    static fromJira(rows: string[][]): string {
+        const [headers = [], ...issues] = rows;
+        const column = columnFinder(headers);
+        const summary = column(/^summary$/i);
+        const status = column(/^status$/i);
+        const statusCategory = column(/^status category$/i);
+        const assignee = column(/^assignee$/i);
+        const priority = column(/^priority$/i);
+        const due = column(/^due date$/i);
+        const description = column(/^description$/i);
+        const issueId = column(/^issue id$/i);
+        const parentId = column(/^(parent id|parent)$/i);
+        const labelColumns = headers.map((header, index) => (/^labels$/i.test(header.trim()) ? index : -1)).filter(index => index >= 0);
+
+        const cellOf = (cells: string[]) => (index: number) => (index >= 0 ? (cells[index] || '').trim() : '');
+        const isDone = (cells: string[]) => {
+            const cell = cellOf(cells);
+            return cell(statusCategory) ? /^done$/i.test(cell(statusCategory)) : DONE_STATUS_REGEX.test(cell(status));
+        };
+
+        // Sub-tasks whose parent is part of the export
+        const ids = new Set(issues.map(cells => cellOf(cells)(issueId)).filter(Boolean));
+        const subTasks = new Map<string, string[]>();
+        for (const cells of issues) {
+            const parent = cellOf(cells)(parentId);
+            if (parent && ids.has(parent)) {
+                subTasks.set(parent, [...(subTasks.get(parent) || []), `- [${isDone(cells) ? 'x' : ' '}] ${cellOf(cells)(summary)}`]);
+            }
+        }
+
+        const collector = new ColumnCollector();
+        for (const cells of issues) {
+            const cell = cellOf(cells);
+            if (cell(parentId) && ids.has(cell(parentId))) {continue;}
+
+            const priorityTag = JIRA_PRIORITY_TAGS[cell(priority).toLowerCase()];
+            const tags = [...labelColumns.map(cell).filter(Boolean), ...(priorityTag ? [priorityTag] : [])];
+            collector.add(cell(status) || 'No Status', CsvBoardConverter.createTask(cell(summary) || 'Untitled',
+                [cell(description).replace(/\r\n/g, '\n'), (subTasks.get(cell(issueId)) || []).join('\n')].filter(Boolean).join('\n\n'), {
+                    tags: tags.join(','),
+                    persons: cell(assignee),
+                    due: parseForeignDate(cell(due)),
+                    status: isDone(cells) ? 'x' : ''
+                }));
+        }
+        return generateBoard(collector.columns);
+    }
+}
+
+/**
+ * Index of the first header matching a pattern, -1 if there is none
+ */
+function columnFinder(headers: string[]): (pattern: RegExp) => number {
+    return pattern => headers.findIndex(header => pattern.test(header.trim()));
+}
+
+/**
+ * Dates as written by Jira (27/Mar/25 12:00 AM) and GitHub (2025-03-27, Mar 27, 2025)
+ * @returns Date as YYYY-MM-DD, '' if the value is not a date
+ */
+function parseForeignDate(value: string): string {
+    if (!value) {return '';}
+
+    const jira = value.match(/^(\d{1,2})\/([a-zA-Z]{3})\/(\d{2,4})/);
+    if (jira && MONTHS.includes(jira[2].toLowerCase())) {
+        const year = jira[3].length === 2 ? 2000 + parseInt(jira[3], 10) : parseInt(jira[3], 10);
+        return toDateString(new Date(year, MONTHS.indexOf(jira[2].toLowerCase()), parseInt(jira[1], 10)));
+    }
+
+    const date = parseDateString(value.split(/[T ]/)[0]);
+    if (date) {return date;}
+
+    const time = Date.parse(value);
+    return isNaN(time) ? '' : toDateString(new Date(time));
+}
+
+function generateBoard(columns: KanbanColumn[], archive: KanbanTask[] = []): string {
+    const board: KanbanBoard = {
+        valid: true,
+        title: '',
+        columns,
+        yamlHeader: '---\n\nkanban-plugin: board\n\n---',
+        kanbanFooter: null,
+        archive
+    };
+    return MarkdownKanbanParser.generateMarkdown(board);
+}
@@ -162,8 +162,8 @@ export class FormatConverter {
         const indent = '  '.repeat(indentLevel);
         let markdown = '';
 
-        // Task checkbox line (always unchecked for now)
-        markdown += `${indent}- [ ] ${task.title}\n`;
+        // Task checkbox line (keeps the checkbox state of the task)
+        markdown += `${indent}${MarkdownKanbanParser.getTaskCheckbox(task)}${task.title}\n`;
 
         // Add description if it exists
         if (task.description && task.description.trim()) {
@@ -0,0 +1,271 @@
+/**
+ * Self-contained HTML board export (format 'html-board')
+ *
+ * Writes the board as one offline HTML file: rows, stacks and columns with the webview
+ * markup, card text rendered by the webview markdown pipeline (html/markdownRenderer.js and
+ * its markdown-it plugins, run here in a VM context), webview.css and the tag styles of
+ * generateTagStyles() inlined, images embedded as base64 by AssetHandler.
+ * Columns can be folded in the exported page, nothing else is editable.
+ * Card text may contain raw HTML, so the page has a Content-Security-Policy that only runs
+ * the export script (by nonce): scripts and event handlers of cards stay inert.
+ */
+
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import * as path from 'path';
+import * as vm from 'vm';
+import MarkdownIt from 'markdown-it';
+import { KanbanBoard, KanbanColumn, KanbanTask, MarkdownKanbanParser } from '../markdownParser';
+import { TagUtils, TagVisibility } from '../utils/tagUtils';
+import { getColumnRow } from '../utils/columnUtils';
+import { getChecklistProgress } from '../utils/checklistUtils';
+import { AssetHandler } from './AssetHandler';
+
+/**
+ * Styles of the open webview, so the export looks like the board in VS Code
+ */
+export interface HtmlBoardStyles {
+    tagStyles?: string;   // CSS from generateTagStyles()
+    themeStyle?: string;  // --vscode-* theme variables of the webview <html> element
+    bodyClass?: string;   // Body classes (theme, card font size, ...)
+}
+
+export interface HtmlBoardOptions {
+    title: string;
+    basePath: string;            // Folder of the board file, images are resolved from here
+    htmlDir: string;             // Folder with webview.css and the webview scripts
+    tagVisibility: TagVisibility;
+    styles?: HtmlBoardStyles;
+}
+
+export interface HtmlBoardResult {
+    html: string;
+    assetsEmbedded: number;
+    errors: string[];
+}
+
+// Webview scripts of the markdown pipeline, in the order of webview.html
+const RENDERER_SCRIPTS = [
+    'markdown-it-multicolumn-browser.js',
+    'markdown-it-mark-browser.js',
+    'markdown-it-sub-browser.js',
+    'markdown-it-sup-browser.js',
+    'markdown-it-ins-browser.js',
+    'markdown-it-strikethrough-alt-browser.js',
+    'markdown-it-underline-browser.js',
+    'markdown-it-abbr-browser.js',
+    'markdown-it-container-browser.js',
+    'markdown-it-image-figures-browser.js',
+    'utils/validationUtils.js',
+    'utils/dateUtils.js',
+    'markdownRenderer.js'
+];
+
+// Same exclusions as extractFirstTag() / getActiveTagsInTitle() in boardRenderer.js
+const FIRST_TAG_REGEX = /#(?!row\d+\b)(?!span\d+\b)(?!wip\d+\b)(?!stack\b)([a-zA-Z0-9_-]+)/g;
+const ALL_TAGS_REGEX = /#(?!row\d+\b)(?!span\d+\b)(?!wip\d+\b)(?!stack\b)([a-zA-Z0-9_-]+(?:[&|=><][a-zA-Z0-9_-]+)*)/g;
+const STACK_TAG_REGEX = /#stack\b/i;
+const WIP_TAG_REGEX = /#wip(\d+)\b/i;
+
+// Layout of the exported page, on top of webview.css
+const EXPORT_STYLES = `
+:root {
+    --vscode-font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif;
+    --vscode-foreground: #3b3b3b;
+    --vscode-editor-background: #ffffff;
+    --vscode-panel-border: #e5e5e5;
+    --vscode-descriptionForeground: #717171;
+    --vscode-focusBorder: #0078d4;
+}
+body.html-board-export { overflow: auto; height: auto; }
+.html-board-export .kanban-board { display: flex; flex-direction: column; gap: 12px; padding: 12px; }
+.html-board-export .kanban-row { display: flex; align-items: flex-start; gap: 8px; }
+.html-board-export .kanban-column-stack { display: flex; flex-direction: column; gap: 8px; }
+.html-board-export .kanban-full-height-column { position: relative; height: auto; }
+.html-board-export .column-header, .html-board-export .column-title { position: static; }
+.html-board-export .collapse-toggle { cursor: pointer; }
+.html-board-export .kanban-full-height-column.column-folded .column-inner,
+.html-board-export .kanban-full-height-column.column-folded .column-footer { display: none; }
+`;
+
+// Folding columns and opening links, the only interaction of the exported page
+const EXPORT_SCRIPT = `
+document.querySelectorAll('.description-checkbox').forEach(function (checkbox) {
+    checkbox.disabled = true;
+});
+document.addEventListener('click', function (event) {
+    var toggle = event.target.closest('.collapse-toggle');
+    if (toggle) {
+        toggle.closest('.kanban-full-height-column').classList.toggle('column-folded');
+        toggle.classList.toggle('rotated');
+        return;
+    }
+    var link = event.target.closest('a[data-original-href]');
+    if (link && /^(https?:|mailto:)/.test(link.getAttribute('data-original-href'))) {
+        event.preventDefault();
+        window.open(link.getAttribute('data-original-href'), '_blank');
+    }
+});
+`;
+
+export class HtmlBoardExporter {
+    /**
+     * Builds the HTML page of a kanban markdown (the whole board or an exported scope)
+     * @param markdown - Kanban markdown to export
+     * @param options - Title, folders, tag visibility and webview styles
+     */
+    static async generate(markdown: string, options: HtmlBoardOptions): Promise<HtmlBoardResult> {
+        const assets = await AssetHandler.processAssets(markdown, options.basePath, '', 'embed');
+        const { board } = MarkdownKanbanParser.parseMarkdown(assets.content, options.basePath);
+        const render = this.createRenderer(options.htmlDir, board.settings?.['date-format']);
+
+        const filter = (text: string) => TagUtils.filterTagsFromText(text || '', options.tagVisibility);
+        const rows = this.groupColumns(board).map((stacks, index) =>
+            `<div class="kanban-row" data-row-number="${index + 1}">${stacks.map(stack =>
+                `<div class="kanban-column-stack">${stack.map(column => this.renderColumn(column, render, filter)).join('')}</div>`
+            ).join('')}</div>`
+        );
+
+        const styles = options.styles || {};
+        const webviewCss = fs.readFileSync(path.join(options.htmlDir, 'webview.css'), 'utf8');
+        const nonce = crypto.randomBytes(16).toString('base64');
+        const csp = `default-src 'none'; img-src https: data:; media-src https: data:; style-src 'unsafe-inline'; font-src data:; script-src 'nonce-${nonce}'; base-uri 'none'; form-action 'none'`;
+        const html = `<!DOCTYPE html>
+<html lang="en"${styles.themeStyle ? ` style="${escapeHtml(styles.themeStyle)}"` : ''}>
+<head>
+<meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="${csp}">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(options.title)}</title>
+<style>${webviewCss}</style>
+<style>${EXPORT_STYLES}</style>
+<style>${styles.tagStyles || ''}</style>
+</head>
+<body class="${escapeHtml(`${styles.bodyClass || 'vscode-light'} html-board-export`)}">
+<div id="kanban-container">
+<div class="kanban-board multi-row" id="kanban-board">
+${rows.join('\n')}
+</div>
+</div>
+<script nonce="${nonce}">${EXPORT_SCRIPT}</script>
+</body>
+</html>
+`;
+
+        return { html, assetsEmbedded: assets.assetsEmbedded, errors: assets.errors };
+    }
+
+    /**
+     * Loads the webview markdown pipeline into a VM context
+     * @returns Markdown to HTML function, the same renderMarkdown() the webview uses
+     */
+    private static createRenderer(htmlDir: string, dateFormat?: string): (text: string) => string {
+        const context: { [key: string]: any } = {
+            markdownit: MarkdownIt,
+            boardDateFormat: dateFormat || null,
+            tagColors: {},
+            console: console
+        };
+        context.window = context;
+        vm.createContext(context);
+
+        for (const script of RENDERER_SCRIPTS) {
+            vm.runInContext(fs.readFileSync(path.join(htmlDir, script), 'utf8'), context, { filename: script });
+        }
+        return (text: string) => (text && text.trim() ? context.renderMarkdown(text) : '');
+    }
+
+    /**
+     * Columns grouped by row, then by stack (a #stack column joins the column before it)
+     */
+    private static groupColumns(board: KanbanBoard): KanbanColumn[][][] {
+        const rows = new Map<number, KanbanColumn[][]>();
+        for (const column of board.columns) {
+            const row = getColumnRow(column.title);
+            const stacks = rows.get(row) || [];
+            if (STACK_TAG_REGEX.test(column.title) && stacks.length > 0) {
+                stacks[stacks.length - 1].push(column);
+            } else {
+                stacks.push([column]);
+            }
+            rows.set(row, stacks);
+        }
+        return Array.from(rows.keys()).sort((a, b) => a - b).map(row => rows.get(row)!);
+    }
+
+    private static renderColumn(column: KanbanColumn, render: (text: string) => string, filter: (text: string) => string): string {
+        const columnTag = getFirstTag(column.title);
+        const allTags = getAllTags(column.title);
+        const wipMatch = column.title.match(WIP_TAG_REGEX);
+        const count = wipMatch ? `${column.tasks.length}/${wipMatch[1]}` : `${column.tasks.length}`;
+        const attributes = (columnTag ? ` data-column-tag="${escapeHtml(columnTag)}"` : '') +
+            (allTags.length > 0 ? ` data-all-tags="${escapeHtml(allTags.join(' '))}"` : '');
+
+        return `<div class="kanban-full-height-column"${attributes}>
+<div class="column-header"></div>
+<div class="column-title"><div class="column-title-section">
+<span class="collapse-toggle" title="Fold list">▶</span>
+<div class="column-title-container"><div class="column-title-text markdown-content">${render(filter(column.title))}</div></div>
+<span class="task-count">${count}</span>
+</div></div>
+<div class="column-inner"><div class="column-content"><div class="tasks-container">
+${column.tasks.map(task => this.renderTask(task, render, filter)).join('\n')}
+</div></div></div>
+<div class="column-footer"></div>
+</div>`;
+    }
+
+    private static renderTask(task: KanbanTask, render: (text: string) => string, filter: (text: string) => string): string {
+        const taskTag = getFirstTag(task.title);
+        const allTags = getAllTags(task.title);
+        const completed = task.completed === true;
+        const attributes = (taskTag ? ` data-task-tag="${escapeHtml(taskTag)}"` : '') +
+            (allTags.length > 0 ? ` data-all-tags="${escapeHtml(allTags.join(' '))}"` : '');
+
+        const progress = getChecklistProgress(task.description);
+        const progressHtml = progress.total === 0 ? '' :
+            `<div class="task-progress${progress.done === progress.total ? ' complete' : ''}" title="${progress.done} of ${progress.total} sub-tasks done">` +
+            `<div class="task-progress-bar"><div class="task-progress-fill" style="width: ${progress.percent}%"></div></div>` +
+            `<span class="task-progress-text">${progress.done}/${progress.total} done</span></div>`;
+
+        return `<div class="task-item${completed ? ' task-completed' : ''}"${attributes}>
+<div class="task-header">
+<input type="checkbox" class="task-checkbox" disabled${completed ? ' checked' : ''}>
+<div class="task-title-container"><div class="task-title-display markdown-content">${render(filter(task.title))}</div></div>
+</div>
+${progressHtml}
+<div class="task-description-container"><div class="task-description-display markdown-content">${render(filter(task.description || ''))}</div></div>
+</div>`;
+    }
+}
+
+/**
+ * First tag of a title, used for the tag colours (data-column-tag / data-task-tag)
+ */
+function getFirstTag(text: string): string | null {
+    for (const match of (text || '').matchAll(FIRST_TAG_REGEX)) {
+        const tag = match[1].toLowerCase();
+        if (!tag.startsWith('gather_')) {
+            return tag;
+        }
+    }
+    return null;
+}
+
+/**
+ * All tags of a title, used for the header/footer bars and badges (data-all-tags)
+ */
+function getAllTags(text: string): string[] {
+    return Array.from((text || '').matchAll(ALL_TAGS_REGEX), match => {
+        const tag = match[1];
+        return tag.startsWith('gather_') ? tag : (tag.match(/^[a-zA-Z0-9_-]+/)?.[0] || tag).toLowerCase();
+    });
+}
+
+function escapeHtml(text: string): string {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
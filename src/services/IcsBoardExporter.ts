@@ -0,0 +1,234 @@
+/**
+ * iCalendar (.ics) export of dated cards (export formats 'ics' and 'ics-todo')
+ *
+ * Events: one all-day VEVENT per card and date type (@due:, @YYYY-MM-DD, @start:, ...),
+ * timed when the card has an Obsidian time (@@{14:00}).
+ * To-dos: one VTODO per card with a due date, completed cards with their @done: date.
+ * The list is the CATEGORIES value, URL (and the last description line) opens the card's
+ * line in VS Code. UIDs depend on file, list, card title and date (and a counter for identical
+ * cards), so re-imports update the events of unchanged cards.
+ */
+
+import * as crypto from 'crypto';
+import { KanbanBoard, KanbanTask } from '../markdownParser';
+import { extractDates, extractTime } from '../utils/dateUtils';
+
+export type IcsItemType = 'event' | 'todo';
+
+export interface IcsExportOptions {
+    sourcePath: string;
+    sourceContent?: string;   // Markdown of the board file, to link to the line of each card
+    itemType: IcsItemType;
+    dateFormat?: string;
+    now?: Date;               // DTSTAMP, defaults to the current time
+}
+
+export interface IcsExportResult {
+    ics: string;
+    count: number;            // Number of VEVENT / VTODO entries
+}
+
+// Date tokens removed from the SUMMARY: @due:..., @{...}, @[[...]], @@{time}, @YYYY-MM-DD, @DD-MM-YYYY
+const DATE_TOKEN_REGEX = /\s*(@@\{[^}\n]*\}|@[a-zA-Z]+:(\{[^}\n]*\}|\S+)|@\{[^}\n]*\}|@\[\[[^\]\n]*\]\]|@(\d{4}-\d{2}-\d{2}|\d{2}-\d{2}-\d{4})(?=\s|$))/g;
+const LAYOUT_TAG_REGEX = /\s*#(row\d+|span\d+|stack)\b/gi;
+const INCLUDE_REGEX = /\s*!!!columninclude\([^)]+\)!!!/g;
+
+export class IcsBoardExporter {
+    /**
+     * Builds the calendar of all dated cards of a board
+     */
+    static toIcs(board: KanbanBoard, options: IcsExportOptions): IcsExportResult {
+        const stamp = formatDateTime(options.now || new Date(), true);
+        const lines = (options.sourceContent || '').split(/\r?\n/);
+        let lineCursor = 0;
+        const entries: string[][] = [];
+        const uidCounts = new Map<string, number>();
+
+        for (const column of board.columns) {
+            const category = (column.displayTitle || column.title).replace(INCLUDE_REGEX, '').replace(LAYOUT_TAG_REGEX, '').trim();
+            for (const task of column.tasks) {
+                // Cards are in file order, so the search for the next card line starts after the last one
+                const lineIndex = findTaskLine(lines, task, lineCursor);
+                if (lineIndex >= 0) {
+                    lineCursor = lineIndex + 1;
+                }
+                const link = createLink(options.sourcePath, lineIndex >= 0 ? lineIndex + 1 : 1);
+
+                const base = { task, category, link, stamp, sourcePath: options.sourcePath, uidCounts };
+                entries.push(...(options.itemType === 'todo'
+                    ? this.createTodo(base, options.dateFormat)
+                    : this.createEvents(base, options.dateFormat)));
+            }
+        }
+
+        const ics = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Markdown Kanban//Board Export//EN',
+            'CALSCALE:GREGORIAN',
+            ...entries.flat(),
+            'END:VCALENDAR'
+        ].map(foldLine).join('\r\n') + '\r\n';
+
+        return { ics, count: entries.length };
+    }
+
+    private static createEvents(card: IcsCard, dateFormat?: string): string[][] {
+        const text = `${card.task.title} ${card.task.description || ''}`;
+        const time = extractTime(text);
+
+        return Object.entries(extractDates(text, dateFormat)).map(([type, date]) => {
+            const start = time ? parseLocalDate(date, time) : null;
+            return [
+                'BEGIN:VEVENT',
+                `UID:${createUid(card, type, date)}`,
+                `DTSTAMP:${card.stamp}`,
+                ...(start
+                    ? [`DTSTART:${formatDateTime(start)}`, `DTEND:${formatDateTime(new Date(start.getTime() + 60 * 60 * 1000))}`]
+                    : [`DTSTART;VALUE=DATE:${toIcsDate(date)}`, `DTEND;VALUE=DATE:${toIcsDate(nextDay(date))}`]),
+                `SUMMARY:${escapeText(getSummary(card.task) + (type === 'due' ? '' : ` (${type})`))}`,
+                ...this.getCommonProperties(card),
+                'END:VEVENT'
+            ];
+        });
+    }
+
+    private static createTodo(card: IcsCard, dateFormat?: string): string[][] {
+        const text = `${card.task.title} ${card.task.description || ''}`;
+        const dates = extractDates(text, dateFormat);
+        if (!dates.due) {
+            return [];
+        }
+
+        const time = extractTime(text);
+        const due = time ? parseLocalDate(dates.due, time) : null;
+        const completed = card.task.completed === true;
+        return [[
+            'BEGIN:VTODO',
+            `UID:${createUid(card, 'todo', dates.due)}`,
+            `DTSTAMP:${card.stamp}`,
+            due ? `DUE:${formatDateTime(due)}` : `DUE;VALUE=DATE:${toIcsDate(dates.due)}`,
+            ...(dates.start ? [`DTSTART;VALUE=DATE:${toIcsDate(dates.start)}`] : []),
+            `SUMMARY:${escapeText(getSummary(card.task))}`,
+            `STATUS:${completed ? 'COMPLETED' : 'NEEDS-ACTION'}`,
+            ...(completed && dates.done ? [`COMPLETED:${formatDateTime(parseLocalDate(dates.done, '00:00'), true)}`] : []),
+            ...this.getCommonProperties(card),
+            'END:VTODO'
+        ]];
+    }
+
+    /**
+     * DESCRIPTION (card description and link), CATEGORIES (list) and URL
+     */
+    private static getCommonProperties(card: IcsCard): string[] {
+        const description = [card.task.description || '', card.link].filter(Boolean).join('\n\n');
+        return [
+            `DESCRIPTION:${escapeText(description)}`,
+            ...(card.category ? [`CATEGORIES:${escapeText(card.category)}`] : []),
+            `URL:${card.link}`
+        ];
+    }
+}
+
+interface IcsCard {
+    task: KanbanTask;
+    category: string;
+    link: string;
+    stamp: string;
+    sourcePath: string;
+    uidCounts: Map<string, number>;   // UID keys used so far in the calendar
+}
+
+function getSummary(task: KanbanTask): string {
+    const title = task.includeMode && task.displayTitle ? task.displayTitle : task.title;
+    return title.replace(DATE_TOKEN_REGEX, '').trim() || 'Untitled';
+}
+
+function createUid(card: IcsCard, type: string, date: string): string {
+    const key = `${card.sourcePath}\n${card.category}\n${getSummary(card.task)}\n${type}\n${date}`;
+    // Identical cards (same list, title and date) are told apart by their order
+    const occurrence = card.uidCounts.get(key) || 0;
+    card.uidCounts.set(key, occurrence + 1);
+    return `${crypto.createHash('md5').update(`${key}\n${occurrence}`).digest('hex')}@markdown-kanban`;
+}
+
+/**
+ * vscode://file link to a line, the path is percent-encoded (encodeURI keeps ? and #)
+ */
+function createLink(sourcePath: string, line: number): string {
+    const filePath = encodeURI(sourcePath.replace(/\\/g, '/').replace(/^\//, '')).replace(/[?#]/g, encodeURIComponent);
+    return `vscode://file/${filePath}:${line}`;
+}
+
+/**
+ * Index of the line of a card at or after a line, -1 if it is not in the file (e.g. included cards)
+ */
+function findTaskLine(lines: string[], task: KanbanTask, from: number): number {
+    const title = task.includeMode && task.originalTitle ? task.originalTitle : task.title;
+    for (let i = from; i < lines.length; i++) {
+        const match = lines[i].match(/^\s*- \[.\] (.*)$/);
+        if (match && match[1].trim() === title.trim()) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+function parseLocalDate(date: string, time: string): Date {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    return new Date(year, month - 1, day, hours, minutes);
+}
+
+function nextDay(date: string): string {
+    const next = parseLocalDate(date, '00:00');
+    next.setDate(next.getDate() + 1);
+    return `${next.getFullYear()}-${String(next.getMonth() + 1).padStart(2, '0')}-${String(next.getDate()).padStart(2, '0')}`;
+}
+
+function toIcsDate(date: string): string {
+    return date.replace(/-/g, '');
+}
+
+/**
+ * Local (floating) date-time, or UTC with the Z suffix
+ */
+function formatDateTime(date: Date, utc: boolean = false): string {
+    const pad = (value: number) => String(value).padStart(2, '0');
+    const parts = utc
+        ? [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds()]
+        : [date.getFullYear(), date.getMonth() + 1, date.getDate(), date.getHours(), date.getMinutes(), date.getSeconds()];
+    return `${parts[0]}${pad(parts[1])}${pad(parts[2])}T${pad(parts[3])}${pad(parts[4])}${pad(parts[5])}${utc ? 'Z' : ''}`;
+}
+
+/**
+ * TEXT value escaping of RFC 5545
+ */
+function escapeText(text: string): string {
+    return text
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds lines longer than 75 octets, continuation lines start with a space
+ */
+function foldLine(line: string): string {
+    if (Buffer.byteLength(line, 'utf8') <= 75) {
+        return line;
+    }
+    const parts: string[] = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + char, 'utf8') > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
@@ -0,0 +1,173 @@
+/**
+ * JSON form of a board (export format 'json', "Import Kanban Board from JSON...")
+ *
+ * The markdown is the source of truth: titles, descriptions and checkbox markers are kept
+ * verbatim, so a board converted to JSON and back is unchanged. The parsed values (layout,
+ * tags, persons, dates, include files) are added for readers and ignored on import.
+ * The format is described by schemas/kanban-board.schema.json, `version` is raised on
+ * incompatible changes.
+ */
+
+import { KanbanBoard, KanbanColumn, KanbanTask } from '../markdownParser';
+import { KanbanBoardSettings } from './BoardSettings';
+import { extractDates } from '../utils/dateUtils';
+import { extractPersonNames } from '../utils/gatherExpression';
+import { getColumnRow } from '../utils/columnUtils';
+import { TagUtils } from '../utils/tagUtils';
+
+export const BOARD_JSON_FORMAT = 'markdown-kanban';
+export const BOARD_JSON_VERSION = 1;
+
+export interface TaskJson {
+    title: string;                    // Markdown title, with tags, dates and include syntax
+    description: string;
+    checkbox: string;                 // Checkbox marker: ' ', 'x', 'X' or a custom status like '/'
+    completed: boolean;
+    tags: string[];
+    persons: string[];
+    dates: { [type: string]: string }; // YYYY-MM-DD by date type, 'due' includes @YYYY-MM-DD
+    includeFiles: string[];
+}
+
+export interface ColumnJson {
+    title: string;                    // Markdown title, with layout tags and include syntax
+    name: string;                     // Title without layout tags and include syntax
+    layout: { row: number; span: number; stack: boolean };
+    tags: string[];
+    includeFiles: string[];
+    tasks: TaskJson[];
+}
+
+export interface BoardJson {
+    format: typeof BOARD_JSON_FORMAT;
+    version: number;
+    yamlHeader: string | null;
+    kanbanFooter: string | null;
+    settings: KanbanBoardSettings | null;
+    columns: ColumnJson[];
+    archive: TaskJson[];
+}
+
+const LAYOUT_TAG_REGEX = /\s*#(row\d+|span\d+|stack)\b/gi;
+const INCLUDE_REGEX = /\s*!!!columninclude\([^)]+\)!!!/g;
+
+export class JsonBoardConverter {
+    /**
+     * Converts a parsed board
+     * @param dateFormat - Board date format for Obsidian dates
+     */
+    static toJson(board: KanbanBoard, dateFormat?: string): BoardJson {
+        return {
+            format: BOARD_JSON_FORMAT,
+            version: BOARD_JSON_VERSION,
+            yamlHeader: board.yamlHeader,
+            kanbanFooter: board.kanbanFooter,
+            settings: board.settings || null,
+            columns: board.columns.map(column => this.columnToJson(column, dateFormat)),
+            archive: (board.archive || []).map(task => this.taskToJson(task, dateFormat))
+        };
+    }
+
+    /**
+     * Rebuilds a board from its JSON form, for MarkdownKanbanParser.generateMarkdown()
+     * @throws Error if the data is not a board of a known version
+     */
+    static fromJson(data: any): KanbanBoard {
+        if (!data || typeof data !== 'object' || data.format !== BOARD_JSON_FORMAT) {
+            throw new Error(`Not a kanban board JSON file (expected "format": "${BOARD_JSON_FORMAT}")`);
+        }
+        if (data.version !== BOARD_JSON_VERSION) {
+            throw new Error(`Unsupported board JSON version ${data.version}, expected ${BOARD_JSON_VERSION}`);
+        }
+        if (!Array.isArray(data.columns)) {
+            throw new Error('Board JSON has no "columns" array');
+        }
+
+        const board: KanbanBoard = {
+            valid: true,
+            title: '',
+            columns: data.columns.map((column: ColumnJson, index: number) => this.columnFromJson(column, index)),
+            yamlHeader: typeof data.yamlHeader === 'string' ? data.yamlHeader : '---\n\nkanban-plugin: board\n\n---',
+            kanbanFooter: typeof data.kanbanFooter === 'string' ? data.kanbanFooter : null,
+            archive: Array.isArray(data.archive) ? data.archive.map((task: TaskJson, index: number) => this.taskFromJson(task, `archive-${index}`)) : []
+        };
+        if (data.settings && typeof data.settings === 'object') {
+            board.settings = data.settings;
+        }
+        return board;
+    }
+
+    private static columnToJson(column: KanbanColumn, dateFormat?: string): ColumnJson {
+        const title = column.originalTitle || column.title;
+        const span = title.match(/#span(\d+)\b/i);
+        return {
+            title,
+            name: title.replace(INCLUDE_REGEX, '').replace(LAYOUT_TAG_REGEX, '').trim(),
+            layout: {
+                row: getColumnRow(title),
+                span: span ? parseInt(span[1], 10) : 1,
+                stack: /#stack\b/i.test(title)
+            },
+            tags: TagUtils.extractTags(title),
+            includeFiles: column.includeFiles || [],
+            // Cards of include columns live in the included file
+            tasks: column.includeMode ? [] : column.tasks.map(task => this.taskToJson(task, dateFormat))
+        };
+    }
+
+    private static taskToJson(task: KanbanTask, dateFormat?: string): TaskJson {
+        const title = task.includeMode && task.originalTitle ? task.originalTitle : task.title;
+        const description = task.includeMode ? '' : (task.description || '');
+        const text = `${title} ${description}`;
+
+        return {
+            title,
+            description,
+            checkbox: task.checkboxStatus || (task.completed ? 'x' : ' '),
+            completed: task.completed === true,
+            tags: TagUtils.extractTags(text),
+            persons: extractPersonNames(text),
+            dates: extractDates(text, dateFormat),
+            includeFiles: task.includeFiles || []
+        };
+    }
+
+    private static columnFromJson(data: ColumnJson, index: number): KanbanColumn {
+        if (!data || typeof data.title !== 'string') {
+            throw new Error(`Column ${index + 1} has no "title"`);
+        }
+        const includeMode = Array.isArray(data.includeFiles) && data.includeFiles.length > 0;
+        return {
+            id: `col-${index}`,
+            title: data.title,
+            tasks: Array.isArray(data.tasks) ? data.tasks.map((task, taskIndex) => this.taskFromJson(task, `${index}-${taskIndex}`)) : [],
+            ...(includeMode ? { includeMode, includeFiles: data.includeFiles } : {})
+        };
+    }
+
+    private static taskFromJson(data: TaskJson, id: string): KanbanTask {
+        if (!data || typeof data.title !== 'string') {
+            throw new Error(`Card ${id} has no "title"`);
+        }
+        const task: KanbanTask = {
+            id: `task-${id}`,
+            title: data.title,
+            description: typeof data.description === 'string' ? data.description : ''
+        };
+
+        const checkbox = typeof data.checkbox === 'string' && data.checkbox.length === 1 ? data.checkbox : (data.completed ? 'x' : ' ');
+        if (checkbox === 'x' || checkbox === 'X') {
+            task.completed = true;
+        }
+        if (checkbox !== 'x' && checkbox !== ' ') {
+            task.checkboxStatus = checkbox;
+        }
+
+        if (Array.isArray(data.includeFiles) && data.includeFiles.length > 0) {
+            task.includeMode = true;
+            task.includeFiles = data.includeFiles;
+            task.originalTitle = data.title;
+        }
+        return task;
+    }
+}
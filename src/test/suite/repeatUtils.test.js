@@ -0,0 +1,83 @@
+/**
+ * Repeat Utilities Test Suite
+ *
+ * Tests for the next occurrence of recurring `@repeat:` cards
+ */
+
+global.vscode = {
+    postMessage: jest.fn()
+};
+
+require('../../html/utils/dateUtils.js');
+require('../../html/utils/cardAgingUtils.js');
+require('../../html/menuOperations.js');
+const RepeatUtils = require('../../html/utils/repeatUtils.js');
+
+describe('RepeatUtils', () => {
+    const weekly = { amount: 1, unit: 'w' };
+
+    beforeEach(() => {
+        window.repeatTargetColumn = '';
+        window.cachedBoard = { columns: [] };
+    });
+
+    test('parseRepeat() should read named and numeric intervals', () => {
+        expect(RepeatUtils.parseRepeat('Water plants @repeat:weekly')).toEqual({ amount: 1, unit: 'w' });
+        expect(RepeatUtils.parseRepeat('Report @repeat:3d @alice')).toEqual({ amount: 3, unit: 'd' });
+        expect(RepeatUtils.parseRepeat('Taxes @repeat:1y')).toEqual({ amount: 1, unit: 'y' });
+        expect(RepeatUtils.parseRepeat('No repeat @repeat:sometimes')).toBeNull();
+        expect(RepeatUtils.parseRepeat('No repeat')).toBeNull();
+    });
+
+    test('addInterval() should keep month ends', () => {
+        expect(RepeatUtils.addInterval('2025-03-27', weekly)).toBe('2025-04-03');
+        expect(RepeatUtils.addInterval('2025-12-30', { amount: 3, unit: 'd' })).toBe('2026-01-02');
+        expect(RepeatUtils.addInterval('2025-01-31', { amount: 1, unit: 'm' })).toBe('2025-02-28');
+        expect(RepeatUtils.addInterval('2024-02-29', { amount: 1, unit: 'y' })).toBe('2025-02-28');
+    });
+
+    test('advanceDueDate() should keep the written date form', () => {
+        expect(RepeatUtils.advanceDueDate('Chores @2025-03-27 @repeat:weekly', weekly)).toBe('Chores @2025-04-03 @repeat:weekly');
+        expect(RepeatUtils.advanceDueDate('Chores @27-03-2025', weekly)).toBe('Chores @03-04-2025');
+        expect(RepeatUtils.advanceDueDate('Chores @due:2025-03-27 @start:2025-03-01', weekly)).toBe('Chores @due:2025-04-03 @start:2025-03-01');
+        expect(RepeatUtils.advanceDueDate('Chores @{27.03.2025}', weekly, 'DD.MM.YYYY')).toBe('Chores @{03.04.2025}');
+        expect(RepeatUtils.advanceDueDate('Chores without date', weekly)).toBeNull();
+    });
+
+    test('isDoneColumn() should look for the #done tag', () => {
+        expect(RepeatUtils.isDoneColumn('Done #done')).toBe(true);
+        expect(RepeatUtils.isDoneColumn('Done')).toBe(false);
+        expect(RepeatUtils.isDoneColumn('Almost #donee')).toBe(false);
+    });
+
+    test('createNextOccurrence() should add an open copy next to the card and ignore other cards', () => {
+        const task = { id: 'task_1', title: 'Chores @2025-03-27 @repeat:2w', description: '', completed: true, checkboxStatus: 'X' };
+        const other = { id: 'task_2', title: 'Other', description: '', completed: true };
+        const column = { id: 'col_1', title: 'Todo', tasks: [task, other] };
+        window.cachedBoard = { columns: [column] };
+
+        expect(RepeatUtils.createNextOccurrence(other, column)).toBeNull();
+        const copy = RepeatUtils.createNextOccurrence(task, column);
+
+        expect(column.tasks).toEqual([task, copy, other]);
+        expect(copy).toEqual({ id: expect.stringMatching(/^temp-duplicate-/), title: 'Chores @2025-04-10 @repeat:2w', description: '', completed: false });
+        expect(RepeatUtils.createNextOccurrence(task, column).id).not.toBe(copy.id);
+    });
+
+    test('repeatIfMovedToDone() should put the copy into the target column without move stamps', () => {
+        const task = { id: 'task_1', title: 'Chores @due:2025-03-27 @repeat:weekly', description: '<!-- moved:2025-03-20 col:Done -->', completed: true };
+        const todo = { id: 'col_1', title: 'Todo', tasks: [] };
+        const weeklyColumn = { id: 'col_2', title: 'Weekly #row2', tasks: [] };
+        const done = { id: 'col_3', title: 'Done #done', tasks: [task] };
+        window.cachedBoard = { columns: [todo, weeklyColumn, done] };
+        window.repeatTargetColumn = 'weekly';
+
+        expect(RepeatUtils.repeatIfMovedToDone(task, done, done)).toBeNull();
+        RepeatUtils.repeatIfMovedToDone(task, todo, done);
+
+        expect(weeklyColumn.tasks).toEqual([
+            expect.objectContaining({ title: 'Chores @due:2025-04-03 @repeat:weekly', description: '', completed: false })
+        ]);
+        expect(done.tasks).toEqual([task]);
+    });
+});
@@ -417,4 +417,17 @@ describe('Tag Operations', () => {
             expect(styles).toContain('urgent'); // configured
         });
     });
+
+    describe('Title Tags', () => {
+        test('should add and remove a tag without touching longer tags', () => {
+            expect(window.setTitleTag('Task #bug-fix', 'bug', true)).toBe('Task #bug-fix #bug');
+            expect(window.setTitleTag('Task #bug #bug-fix', 'bug', false)).toBe('Task #bug-fix');
+        });
+
+        test('should treat regex metacharacters in tag names literally', () => {
+            expect(() => window.setTitleTag('Task', 'a(b', true)).not.toThrow();
+            expect(window.setTitleTag('Task #c++ #cxx', 'c++', false)).toBe('Task #cxx');
+            expect(window.setTitleTag('Task #cxx', 'c.x', false)).toBe('Task #cxx');
+        });
+    });
 });
\ No newline at end of file
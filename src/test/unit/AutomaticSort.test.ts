@@ -0,0 +1,37 @@
+import { BoardOperations } from '../../boardOperations';
+import { MarkdownKanbanParser } from '../../markdownParser';
+
+describe('BoardOperations.getAutomaticSortPlan()', () => {
+    const markdown = '---\n\nkanban-plugin: board\n\n---\n\n' +
+        '## Inbox\n- [ ] Old @2000-01-01\n- [ ] Pinned @2000-01-01 @sticky\n- [ ] Review @alice\n\n' +
+        '## Overdue #gather_dayoffset<0\n\n' +
+        '## Alice #gather_alice\n- [ ] Known @alice\n';
+
+    test('should list the cards that would move without changing the board', () => {
+        const { board } = MarkdownKanbanParser.parseMarkdown(markdown);
+        const before = JSON.stringify(board);
+
+        const moves = new BoardOperations().getAutomaticSortPlan(board);
+
+        expect(moves.map(move => [move.title, move.fromColumn, move.toColumn])).toEqual([
+            ['Old @2000-01-01', 'Inbox', 'Overdue'],
+            ['Review @alice', 'Inbox', 'Alice']
+        ]);
+        expect(moves[0].toColumnId).toBe(board.columns[1].id);
+        expect(JSON.stringify(board)).toBe(before);
+    });
+
+    test('should match the moves of performAutomaticSort', () => {
+        const { board } = MarkdownKanbanParser.parseMarkdown(markdown);
+        const operations = new BoardOperations();
+        const moves = operations.getAutomaticSortPlan(board);
+
+        operations.performAutomaticSort(board);
+
+        for (const move of moves) {
+            const column = board.columns.find(c => c.id === move.toColumnId)!;
+            expect(column.tasks.some(task => task.id === move.taskId)).toBe(true);
+        }
+        expect(operations.getAutomaticSortPlan(board)).toEqual([]);
+    });
+});
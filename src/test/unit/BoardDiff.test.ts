@@ -0,0 +1,45 @@
+import { BoardDiff } from '../../services/BoardDiff';
+import { MarkdownKanbanParser } from '../../markdownParser';
+
+describe('BoardDiff.compare()', () => {
+    const header = '---\n\nkanban-plugin: board\n\n---\n\n';
+
+    const compare = (oldMarkdown: string, newMarkdown: string) => BoardDiff.compare(
+        MarkdownKanbanParser.parseMarkdown(header + oldMarkdown).board,
+        MarkdownKanbanParser.parseMarkdown(header + newMarkdown).board
+    );
+
+    test('should report moved, added and removed cards', () => {
+        const entries = compare(
+            '## Todo\n- [ ] Write docs\n- [ ] Fix login\n\n## Done\n- [ ] Old task\n',
+            '## Todo\n- [ ] Write docs\n- [ ] New task\n\n## Done\n- [ ] Fix login\n'
+        );
+
+        expect(entries.map(entry => [entry.kind, entry.title])).toEqual([
+            ['added', 'New task'],
+            ['moved', 'Fix login'],
+            ['removed', 'Old task']
+        ]);
+        expect(entries[1].fromColumn).toBe('Todo');
+        expect(entries[1].column).toBe('Done');
+        expect(entries[1].taskId).toBeDefined();
+        expect(entries[2].taskId).toBeUndefined();
+    });
+
+    test('should report retagged and retitled cards', () => {
+        const entries = compare(
+            '## Todo\n- [ ] Fix login #bug @alice\n- [ ] Draft\n  Outline of the manual\n',
+            '## Todo\n- [ ] Fix login #urgent @alice\n- [ ] Write the manual\n  Outline of the manual\n'
+        );
+
+        expect(entries).toEqual([
+            expect.objectContaining({ kind: 'retagged', title: 'Fix login #urgent @alice', addedTags: ['#urgent'], removedTags: ['#bug'] }),
+            expect.objectContaining({ kind: 'retitled', title: 'Write the manual', oldTitle: 'Draft' })
+        ]);
+    });
+
+    test('should report nothing for identical boards', () => {
+        const markdown = '## Todo\n- [ ] Same\n- [ ] Same\n\n## Done\n- [x] Finished #done\n';
+        expect(compare(markdown, markdown)).toEqual([]);
+    });
+});
@@ -0,0 +1,52 @@
+import { BoardOperations } from '../../boardOperations';
+import { MarkdownKanbanParser } from '../../markdownParser';
+
+describe('BoardOperations.filterTasks()', () => {
+    const dateIn = (days: number): string => {
+        const date = new Date();
+        date.setDate(date.getDate() + days);
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    };
+
+    const markdown = '---\n\nkanban-plugin: board\n\n---\n\n' +
+        '## Todo\n' +
+        `- [ ] Fix login #bug @alice @${dateIn(2)}\n` +
+        `- [ ] Crash on start #bug @bob @due:${dateIn(30)}\n` +
+        '- [ ] Write docs #docs @alice\n' +
+        '\n## Done\n' +
+        '- [x] Old bug #bug #done @alice\n' +
+        '- [x] Sign in page #bugfix\n';
+
+    const visibleTitles = (query: string): string[] => {
+        const { board } = MarkdownKanbanParser.parseMarkdown(markdown);
+        const { hiddenTaskIds } = new BoardOperations().filterTasks(board, query);
+        return board.columns
+            .flatMap(column => column.tasks)
+            .filter(task => !hiddenTaskIds.includes(task.id))
+            .map(task => task.title.split(' #')[0]);
+    };
+
+    test('should combine tag, person, date and negated terms', () => {
+        expect(visibleTitles('#bug @alice due<7 -#done')).toEqual(['Fix login']);
+        expect(visibleTitles('#bug')).toEqual(['Fix login', 'Crash on start', 'Old bug']);
+        expect(visibleTitles('-#bug')).toEqual(['Write docs', 'Sign in page']);
+    });
+
+    test('should accept gather expressions and text', () => {
+        expect(visibleTitles('@alice|@bob -#done')).toEqual(['Fix login', 'Crash on start', 'Write docs']);
+        expect(visibleTitles('"sign in"')).toEqual(['Sign in page']);
+        expect(visibleTitles('crash')).toEqual(['Crash on start']);
+    });
+
+    test('should count matches without changing the board', () => {
+        const { board } = MarkdownKanbanParser.parseMarkdown(markdown);
+        const before = JSON.stringify(board);
+
+        const result = new BoardOperations().filterTasks(board, '@alice');
+
+        expect(result.matchCount).toBe(3);
+        expect(result.total).toBe(5);
+        expect(result.hiddenTaskIds).toHaveLength(2);
+        expect(JSON.stringify(board)).toBe(before);
+    });
+});
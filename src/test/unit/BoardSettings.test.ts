@@ -0,0 +1,116 @@
+import { BoardSettings } from '../../services/BoardSettings';
+import { MarkdownKanbanParser } from '../../markdownParser';
+
+describe('BoardSettings Tests', () => {
+    const footer = '%% kanban:settings\n```\n{"kanban-plugin":"board","lane-width":300,"hide-tags-in-title":true,"show-checkboxes":false}\n```\n%%';
+
+    describe('parseFooter()', () => {
+        test('should parse the settings JSON', () => {
+            const settings = BoardSettings.parseFooter(footer);
+            expect(settings).toEqual({
+                'kanban-plugin': 'board',
+                'lane-width': 300,
+                'hide-tags-in-title': true,
+                'show-checkboxes': false
+            });
+        });
+
+        test('should return null without a settings block or with invalid JSON', () => {
+            expect(BoardSettings.parseFooter(null)).toBeNull();
+            expect(BoardSettings.parseFooter('%% some comment %%')).toBeNull();
+            expect(BoardSettings.parseFooter('%% kanban:settings\n```\n{invalid\n```\n%%')).toBeNull();
+        });
+    });
+
+    describe('updateFooter()', () => {
+        test('should keep the footer text when nothing changed', () => {
+            const settings = BoardSettings.parseFooter(footer)!;
+            expect(BoardSettings.updateFooter(footer, settings)).toBe(footer);
+        });
+
+        test('should write changed settings back', () => {
+            const settings = BoardSettings.parseFooter(footer)!;
+            settings['lane-width'] = 450;
+            const updated = BoardSettings.updateFooter(footer, settings);
+            expect(BoardSettings.parseFooter(updated)!['lane-width']).toBe(450);
+            expect(updated.startsWith('%% kanban:settings\n```\n')).toBe(true);
+        });
+    });
+
+    describe('getConfigOverrides()', () => {
+        test('should map Obsidian settings to configuration keys', () => {
+            const overrides = BoardSettings.getConfigOverrides({
+                'lane-width': 272,
+                'show-checkboxes': true,
+                'date-format': 'DD.MM.YYYY',
+                'hide-tags-in-title': true,
+                'new-card-insertion-method': 'prepend',
+                'archive-with-date': false
+            });
+            expect(overrides).toEqual({
+                columnWidth: '272px',
+                showCheckboxes: true,
+                dateFormat: 'DD.MM.YYYY',
+                tagVisibility: 'none',
+                newCardInsertionMethod: 'prepend',
+                archiveWithDate: false
+            });
+        });
+
+        test('should not override tag visibility when tags are not hidden', () => {
+            expect(BoardSettings.getConfigOverrides({ 'hide-tags-in-title': false }).tagVisibility).toBeUndefined();
+        });
+    });
+
+    describe('mergeTagColors()', () => {
+        test('should override grouped tags and add new tags to the colors group', () => {
+            const tagColors = { status: { todo: { light: { text: '#000', background: '#ccc' } } } };
+            const merged = BoardSettings.mergeTagColors(tagColors, {
+                'tag-colors': [
+                    { tagKey: '#todo', backgroundColor: '#ff0000' },
+                    { tagKey: '#bug', color: '#ffffff', backgroundColor: '#aa0000' }
+                ]
+            });
+            expect(merged.status.todo.light.background).toBe('#ff0000');
+            expect(merged.colors.bug.dark).toEqual({ text: '#ffffff', background: '#aa0000' });
+            expect(tagColors.status.todo.light.background).toBe('#ccc');
+        });
+    });
+
+    describe('markdown round trip', () => {
+        test('should parse settings into the board and write changes into the footer', () => {
+            const markdown = '---\n\nkanban-plugin: board\n\n---\n\n## Todo\n- [ ] Task\n\n\n\n' + footer + '\n';
+            const { board } = MarkdownKanbanParser.parseMarkdown(markdown);
+            expect(board.settings!['lane-width']).toBe(300);
+
+            expect(MarkdownKanbanParser.generateMarkdown(board)).toContain(footer);
+
+            board.settings!['show-checkboxes'] = true;
+            const output = MarkdownKanbanParser.generateMarkdown(board);
+            expect(output).toContain('"show-checkboxes":true');
+        });
+    });
+
+    describe('getViews()', () => {
+        test('should keep named views and drop invalid entries', () => {
+            const views = BoardSettings.sanitizeViews([
+                { name: 'Teacher', filter: '#solution' },
+                { filter: 'no name' },
+                { name: ' Student ', filter: '-#solution', collapsedColumns: ['Solutions'] },
+                { name: 'Teacher', filter: '#solution @me' }
+            ]);
+            expect(views).toEqual([
+                { name: 'Teacher', filter: '#solution @me' },
+                { name: 'Student', filter: '-#solution', collapsedColumns: ['Solutions'] }
+            ]);
+            expect(BoardSettings.getViews(null)).toEqual([]);
+        });
+
+        test('should write the views into the footer', () => {
+            const settings = BoardSettings.parseFooter(footer)!;
+            settings['saved-views'] = [{ name: 'PM', filter: '@alice', columnWidth: '250px' }];
+            const updated = BoardSettings.updateFooter(footer, settings);
+            expect(BoardSettings.getViews(BoardSettings.parseFooter(updated))).toEqual([{ name: 'PM', filter: '@alice', columnWidth: '250px' }]);
+        });
+    });
+});
@@ -0,0 +1,64 @@
+import { BoardStatistics } from '../../services/BoardStatistics';
+import { MarkdownKanbanParser } from '../../markdownParser';
+
+describe('BoardStatistics', () => {
+    const header = '---\n\nkanban-plugin: board\n\n---\n\n';
+    const parse = (markdown: string) => MarkdownKanbanParser.parseMarkdown(header + markdown).board;
+
+    test('compute() should count cards per column, row, person, tag and due date', () => {
+        const board = parse(
+            '## Todo\n- [ ] Fix login #bug @alice @2000-01-01\n- [ ] Write docs @bob @due:2999-12-31\n- [ ] Idea #feature @sticky\n\n' +
+            '## Done #row2\n- [x] Release #bug @alice @2000-01-01\n'
+        );
+
+        const stats = BoardStatistics.compute(board, { types: { bug: {}, feature: {}, chore: {} } });
+
+        expect(stats.total).toBe(4);
+        expect(stats.done).toBe(1);
+        expect(stats.columns).toEqual([
+            { label: 'Todo', count: 3, done: 0 },
+            { label: 'Done', count: 1, done: 1 }
+        ]);
+        expect(stats.rows).toEqual([{ label: 'Row 1', count: 3 }, { label: 'Row 2', count: 1 }]);
+        expect(stats.persons).toEqual([{ label: 'alice', count: 2 }, { label: 'bob', count: 1 }]);
+        expect(stats.tagCategories).toEqual([{
+            category: 'types',
+            tags: [{ label: 'bug', count: 2 }, { label: 'feature', count: 1 }, { label: 'chore', count: 0 }]
+        }]);
+        // The done card is not counted as overdue
+        expect(stats.due).toEqual({ overdue: 1, today: 0, dueSoon: 0, later: 1, noDate: 1 });
+    });
+
+    test('cumulativeFlowFromSnapshots() should keep the last snapshot of a day', () => {
+        const current = parse('## Todo\n- [ ] A\n\n## Done\n- [ ] B\n- [ ] C\n');
+        const flow = BoardStatistics.cumulativeFlowFromSnapshots([
+            { date: '2025-03-02', board: parse('## Todo\n- [ ] A\n- [ ] B\n\n## Done\n- [ ] C\n') },
+            { date: '2025-03-01', board: parse('## Todo\n- [ ] A\n\n## Backlog\n- [ ] B\n') },
+            { date: '2025-03-02', board: current }
+        ], current);
+
+        expect(flow.columns).toEqual(['Todo', 'Done', 'Backlog']);
+        expect(flow.points).toEqual([
+            { date: '2025-03-01', counts: [1, 0, 1] },
+            { date: '2025-03-02', counts: [1, 2, 0] }
+        ]);
+    });
+
+    test('cumulativeFlowFromMoves() should place cards by their last move of each day', () => {
+        const board = parse(
+            '## Todo\n- [ ] Untracked\n\n' +
+            '## Done\n- [ ] A\n  <!-- moved:2025-03-01 col:Todo -->\n  <!-- moved:2025-03-03 col:Done -->\n'
+        );
+
+        expect(BoardStatistics.cumulativeFlowFromMoves(parse('## Todo\n- [ ] A\n'), '2025-03-03')).toBeNull();
+        expect(BoardStatistics.cumulativeFlowFromMoves(board, '2025-03-03')).toEqual({
+            source: 'moves',
+            columns: ['Todo', 'Done'],
+            points: [
+                { date: '2025-03-01', counts: [1, 0] },
+                { date: '2025-03-02', counts: [1, 0] },
+                { date: '2025-03-03', counts: [0, 1] }
+            ]
+        });
+    });
+});
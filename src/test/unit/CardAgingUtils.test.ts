@@ -0,0 +1,39 @@
+import { getCardMoves, stampCardMove, getColumnCycleTimes, MAX_CARD_MOVES } from '../../utils/cardAgingUtils';
+import { MarkdownKanbanParser } from '../../markdownParser';
+
+describe('cardAgingUtils', () => {
+    test('stampCardMove should append a token without tags in the column name', () => {
+        const description = stampCardMove('Some notes\n', 'Doing #wip3', '2025-03-27');
+
+        expect(description).toBe('Some notes\n<!-- moved:2025-03-27 col:Doing -->');
+        expect(getCardMoves(description)).toEqual([{ date: '2025-03-27', column: 'Doing' }]);
+        expect(stampCardMove(undefined, 'Todo', '2025-03-27')).toBe('<!-- moved:2025-03-27 col:Todo -->');
+    });
+
+    test('stampCardMove should drop the oldest tokens beyond the limit', () => {
+        let description = 'Notes';
+        for (let day = 1; day <= MAX_CARD_MOVES + 5; day++) {
+            description = stampCardMove(description, `Column ${day}`, `2025-01-${String(day).padStart(2, '0')}`);
+        }
+
+        const moves = getCardMoves(description);
+        expect(moves).toHaveLength(MAX_CARD_MOVES);
+        expect(moves[0].column).toBe('Column 6');
+        expect(moves[moves.length - 1].column).toBe(`Column ${MAX_CARD_MOVES + 5}`);
+        expect(description.startsWith('Notes\n')).toBe(true);
+    });
+
+    test('getColumnCycleTimes should average stays and current ages per column', () => {
+        const markdown = '---\n\nkanban-plugin: board\n\n---\n\n' +
+            '## Todo\n- [ ] Untracked\n\n' +
+            '## Doing #wip2\n- [ ] Card A\n  <!-- moved:2025-03-01 col:Todo -->\n  <!-- moved:2025-03-05 col:Doing -->\n\n' +
+            '## Done\n- [ ] Card B\n  <!-- moved:2025-03-01 col:Todo -->\n  <!-- moved:2025-03-03 col:Doing -->\n  <!-- moved:2025-03-09 col:Done -->\n';
+        const board = MarkdownKanbanParser.parseMarkdown(markdown).board;
+
+        expect(getColumnCycleTimes(board, '2025-03-10')).toEqual([
+            { column: 'Todo', averageDays: 3, stays: 2, currentCards: 0, averageAgeDays: null },
+            { column: 'Doing', averageDays: 6, stays: 1, currentCards: 1, averageAgeDays: 5 },
+            { column: 'Done', averageDays: null, stays: 0, currentCards: 1, averageAgeDays: 1 }
+        ]);
+    });
+});
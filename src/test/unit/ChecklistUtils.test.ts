@@ -0,0 +1,29 @@
+import { getChecklistProgress } from '../../utils/checklistUtils';
+
+describe('ChecklistUtils Tests', () => {
+    describe('getChecklistProgress()', () => {
+        test('should count nested and numbered checklist items', () => {
+            const description =
+                'Intro text\n' +
+                '- [ ] open\n' +
+                '- [x] done\n' +
+                '  - [X] nested done\n' +
+                '  * [/] in progress\n' +
+                '1. [ ] numbered\n' +
+                '- plain item';
+
+            expect(getChecklistProgress(description)).toEqual({ done: 2, total: 5, percent: 40 });
+        });
+
+        test('should ignore items inside code blocks', () => {
+            const description = '- [x] real\n```\n- [ ] example\n```\n~~~\n- [ ] another\n~~~';
+
+            expect(getChecklistProgress(description)).toEqual({ done: 1, total: 1, percent: 100 });
+        });
+
+        test('should return zero progress without checklist', () => {
+            expect(getChecklistProgress(undefined)).toEqual({ done: 0, total: 0, percent: 0 });
+            expect(getChecklistProgress('[x] not a list item\n- [link](url)')).toEqual({ done: 0, total: 0, percent: 0 });
+        });
+    });
+});
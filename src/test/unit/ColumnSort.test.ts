@@ -0,0 +1,54 @@
+import { BoardOperations } from '../../boardOperations';
+import { MarkdownKanbanParser } from '../../markdownParser';
+
+describe('BoardOperations column sort modes', () => {
+    const markdown = '---\n\nkanban-plugin: board\n\n---\n\n' +
+        '## Backlog\n' +
+        '- [ ] Docs #low @carol\n' +
+        '- [ ] Release #urgent #feature\n' +
+        '  - [ ] notes\n' +
+        '  - [ ] tag\n' +
+        '- [ ] Login #high #bug @alice\n' +
+        '  - [x] reproduce\n' +
+        '  - [ ] fix\n' +
+        '- [ ] Ideas @bob\n';
+    const tagCategories = { type: { bug: {}, feature: {} } };
+
+    const sortedTitles = (sortType: string, operations = new BoardOperations()): string[] => {
+        const { board } = MarkdownKanbanParser.parseMarkdown(markdown);
+        operations.setOriginalTaskOrder(board);
+        expect(operations.sortColumn(board, board.columns[0].id, sortType, tagCategories)).toBe(true);
+        return board.columns[0].tasks.map(task => task.title.split(' ')[0]);
+    };
+
+    test('should sort by every key, cards without a value at the bottom', () => {
+        expect(sortedTitles('byname')).toEqual(['Docs', 'Ideas', 'Login', 'Release']);
+        expect(sortedTitles('byname-desc')).toEqual(['Release', 'Login', 'Ideas', 'Docs']);
+        expect(sortedTitles('bypriority')).toEqual(['Release', 'Login', 'Docs', 'Ideas']);
+        expect(sortedTitles('bypriority-desc')).toEqual(['Docs', 'Login', 'Release', 'Ideas']);
+        expect(sortedTitles('byperson')).toEqual(['Login', 'Ideas', 'Docs', 'Release']);
+        expect(sortedTitles('byopen')).toEqual(['Login', 'Release', 'Docs', 'Ideas']);
+        expect(sortedTitles('bycategory-type')).toEqual(['Login', 'Release', 'Docs', 'Ideas']);
+        expect(sortedTitles('title')).toEqual(['Docs', 'Ideas', 'Login', 'Release']);
+    });
+
+    test('should restore the original order and keep the mode as #sort- tag', () => {
+        const operations = new BoardOperations();
+        const { board } = MarkdownKanbanParser.parseMarkdown(markdown);
+        const column = board.columns[0];
+        operations.setOriginalTaskOrder(board);
+
+        operations.setColumnSortTag(board, column.id, 'bypriority-desc', tagCategories);
+        expect(column.title).toBe('Backlog #sort-bypriority-desc');
+        operations.sortColumn(board, column.id, 'byoriginal');
+        operations.performAutomaticSort(board, tagCategories);
+        expect(column.tasks.map(task => task.title.split(' ')[0])).toEqual(['Docs', 'Login', 'Release', 'Ideas']);
+
+        operations.sortColumn(board, column.id, 'unsorted');
+        expect(column.tasks.map(task => task.title.split(' ')[0])).toEqual(['Docs', 'Release', 'Login', 'Ideas']);
+
+        operations.setColumnSortTag(board, column.id, '');
+        expect(column.title).toBe('Backlog');
+        expect(operations.setColumnSortTag(board, column.id, 'bysize')).toBe(false);
+    });
+});
@@ -0,0 +1,77 @@
+import { CsvBoardConverter } from '../../services/CsvBoardConverter';
+import { MarkdownKanbanParser } from '../../markdownParser';
+
+describe('CsvBoardConverter', () => {
+    const header = '---\n\nkanban-plugin: board\n\n---\n\n';
+    const parse = (markdown: string) => MarkdownKanbanParser.parseMarkdown(markdown).board;
+
+    const markdown = header +
+        '## Todo\n- [ ] Fix login #bug @alice @due:2025-03-27\n  Steps, "quoted"\n  - [ ] reproduce\n- [x] Write docs @bob\n\n' +
+        '## Waiting #stack\n- [/] Review #high\n\n' +
+        '## Later #row2\n- [ ] Idea\n';
+
+    test('toCsv() should write one row per card with layout, tags, persons and due date', () => {
+        const rows = CsvBoardConverter.parse(CsvBoardConverter.toCsv(parse(markdown)));
+
+        expect(rows).toEqual([
+            ['column', 'row', 'stack', 'title', 'description', 'tags', 'persons', 'due', 'status'],
+            ['Todo', '1', '1', 'Fix login #bug @alice @due:2025-03-27', 'Steps, "quoted"\n- [ ] reproduce', 'bug', 'alice', '2025-03-27', ''],
+            ['Todo', '1', '1', 'Write docs @bob', '', '', 'bob', '', 'x'],
+            ['Waiting', '1', '1', 'Review #high', '', 'high', '', '', '/'],
+            ['Later', '2', '1', 'Idea', '', '', '', '', '']
+        ]);
+    });
+
+    test('toMarkdown() should rebuild the board from its own export', () => {
+        const [headers, ...cards] = CsvBoardConverter.parse(CsvBoardConverter.toCsv(parse(markdown), '\t'), '\t');
+
+        const board = parse(CsvBoardConverter.toMarkdown(cards, CsvBoardConverter.guessMapping(headers)));
+
+        expect(board.columns.map(column => column.title)).toEqual(['Todo', 'Waiting #stack', 'Later #row2']);
+        expect(board.columns[0].tasks.map(task => [task.title, task.description, task.completed === true])).toEqual([
+            ['Fix login #bug @alice @due:2025-03-27', 'Steps, "quoted"\n- [ ] reproduce', false],
+            ['Write docs @bob', '', true]
+        ]);
+        expect(board.columns[1].tasks[0].checkboxStatus).toBe('/');
+    });
+
+    test('toMarkdown() should map foreign headers and add missing tags, persons and due dates', () => {
+        const [headers, ...cards] = CsvBoardConverter.parse(
+            '\uFEFFName;List;Labels;Assignees;Due Date;Done\r\n' +
+            'Ship release;In Progress;urgent, team a;Ann Lee, Bo;2025-04-01;yes\r\n' +
+            'Plan #urgent;Backlog;urgent;;;\r\n'
+        );
+
+        const mapping = CsvBoardConverter.guessMapping(headers);
+        const board = parse(CsvBoardConverter.toMarkdown(cards, mapping));
+
+        expect(mapping).toEqual({ column: 1, row: -1, stack: -1, title: 0, description: -1, tags: 2, persons: 3, due: 4, status: 5 });
+        expect(board.columns.map(column => [column.title, column.tasks.map(task => task.title)])).toEqual([
+            ['In Progress', ['Ship release #urgent #team_a @Ann_Lee @Bo @due:2025-04-01']],
+            ['Backlog', ['Plan #urgent']]
+        ]);
+        expect(board.columns[0].tasks[0].completed).toBe(true);
+    });
+
+    test('toCsv() should leave all layout tags out of the list name', () => {
+        const rows = CsvBoardConverter.parse(CsvBoardConverter.toCsv(parse(header + '## Doing #span2 #wip3 #urgent\n- [ ] Card\n')));
+
+        expect(rows[1].slice(0, 4)).toEqual(['Doing #urgent', '1', '1', 'Card']);
+    });
+
+    test('getDateFormats() should list the formats that read all due values', () => {
+        expect(CsvBoardConverter.getDateFormats(['2025-03-27', '', '27-03-2025'])).toEqual([]);
+        expect(CsvBoardConverter.getDateFormats(['03/27/2025', '4/1/2025'])).toEqual(['M/D/YYYY']);
+        expect(CsvBoardConverter.getDateFormats(['03/04/2025 10:00'])).toEqual(['M/D/YYYY', 'D/M/YYYY']);
+        expect(CsvBoardConverter.getDateFormats(['27.03.25'])).toEqual(['D.M.YY']);
+        expect(CsvBoardConverter.getDateFormats(['someday'])).toEqual([]);
+    });
+
+    test('toMarkdown() should read due dates in the given format', () => {
+        const [headers, ...cards] = CsvBoardConverter.parse('title,due\nShip,03/27/2025\n');
+
+        const board = parse(CsvBoardConverter.toMarkdown(cards, CsvBoardConverter.guessMapping(headers), 'M/D/YYYY'));
+
+        expect(board.columns[0].tasks[0].title).toBe('Ship @due:2025-03-27');
+    });
+});
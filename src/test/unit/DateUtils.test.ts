@@ -0,0 +1,81 @@
+import { parseDateString, parseTimeString, extractDate, extractTime } from '../../utils/dateUtils';
+import { BoardOperations } from '../../boardOperations';
+import { MarkdownKanbanParser } from '../../markdownParser';
+
+describe('DateUtils Tests', () => {
+    describe('parseDateString()', () => {
+        test('should parse dates in the board date format', () => {
+            expect(parseDateString('27.03.2025', 'DD.MM.YYYY')).toBe('2025-03-27');
+            expect(parseDateString('3/7/25', 'M/D/YY')).toBe('2025-03-07');
+            expect(parseDateString('27 Mar 2025', 'DD MMM YYYY')).toBe('2025-03-27');
+        });
+
+        test('should always accept ISO and DD-MM-YYYY dates', () => {
+            expect(parseDateString('2025-03-27', 'DD.MM.YYYY')).toBe('2025-03-27');
+            expect(parseDateString('27-03-2025')).toBe('2025-03-27');
+        });
+
+        test('should reject invalid dates', () => {
+            expect(parseDateString('2025-02-30')).toBeNull();
+            expect(parseDateString('someday')).toBeNull();
+        });
+    });
+
+    describe('parseTimeString()', () => {
+        test('should normalize times to HH:mm', () => {
+            expect(parseTimeString('9:05')).toBe('09:05');
+            expect(parseTimeString('2:30 pm')).toBe('14:30');
+            expect(parseTimeString('12:00 AM')).toBe('00:00');
+            expect(parseTimeString('25:00')).toBeNull();
+        });
+    });
+
+    describe('extractDate()', () => {
+        test('should extract the native date forms', () => {
+            expect(extractDate('Task @2025-03-27')).toBe('2025-03-27');
+            expect(extractDate('Task @27-03-2025')).toBe('2025-03-27');
+            expect(extractDate('Task @due:2025-03-27')).toBe('2025-03-27');
+            expect(extractDate('Task @done:2025-03-20', 'done')).toBe('2025-03-20');
+        });
+
+        test('should extract the Obsidian date forms', () => {
+            expect(extractDate('Task @{2025-03-27} @@{14:00}')).toBe('2025-03-27');
+            expect(extractDate('Task @[[2025-03-27]]')).toBe('2025-03-27');
+            expect(extractDate('Task [[2025-03-27|Thursday]]')).toBe('2025-03-27');
+            expect(extractDate('Task @{27.03.2025}', 'due', 'DD.MM.YYYY')).toBe('2025-03-27');
+            expect(extractDate('Task @done:{2025-03-20}', 'done')).toBe('2025-03-20');
+        });
+
+        test('should ignore wiki links and braces that are no dates', () => {
+            expect(extractDate('See [[Meeting notes]] @{later}')).toBeNull();
+            expect(extractDate('Task @@{14:00}')).toBeNull();
+        });
+    });
+
+    describe('extractTime()', () => {
+        test('should extract the Obsidian time', () => {
+            expect(extractTime('Task @{2025-03-27} @@{9:30}')).toBe('09:30');
+            expect(extractTime('Task @2025-03-27')).toBeNull();
+        });
+    });
+
+    describe('#sort-bydate', () => {
+        test('should sort Obsidian dates and times within a day', () => {
+            const markdown = '---\n\nkanban-plugin: board\n\n---\n\n' +
+                '## Todo #sort-bydate\n' +
+                '- [ ] No date\n' +
+                '- [ ] Late @{28.03.2025}\n' +
+                '- [ ] Afternoon @{27.03.2025} @@{14:00}\n' +
+                '- [ ] All day @[[27.03.2025]]\n' +
+                '- [ ] Morning @{27.03.2025} @@{9:00}\n' +
+                '\n\n\n\n%% kanban:settings\n```\n{"kanban-plugin":"board","date-format":"DD.MM.YYYY"}\n```\n%%\n';
+            const { board } = MarkdownKanbanParser.parseMarkdown(markdown);
+
+            new BoardOperations().performAutomaticSort(board);
+
+            expect(board.columns[0].tasks.map(t => t.title.split(' @')[0])).toEqual([
+                'Morning', 'Afternoon', 'All day', 'Late', 'No date'
+            ]);
+        });
+    });
+});
@@ -0,0 +1,50 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { ExportService } from '../../exportService';
+import { MarkdownKanbanParser } from '../../markdownParser';
+
+// The configuration service used by the Marp export listens to setting changes
+jest.mock('vscode', () => ({ workspace: { onDidChangeConfiguration: jest.fn() } }), { virtual: true });
+
+describe('ExportService', () => {
+    const header = '---\n\nkanban-plugin: board\n\n---\n\n';
+    const markdown = header +
+        '## Todo\n- [ ] Fix login #bug\n- [ ] Idea\n\n' +
+        '## Shared #row2 !!!columninclude(shared.md)!!!\n';
+    let basePath: string;
+    let sourcePath: string;
+
+    beforeAll(() => {
+        basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'export-service-'));
+        sourcePath = path.join(basePath, 'board.md');
+        fs.writeFileSync(path.join(basePath, 'shared.md'), 'Shared bug #bug\n\n---\n\nShared idea\n');
+    });
+
+    afterAll(() => {
+        fs.rmSync(basePath, { recursive: true, force: true });
+    });
+
+    test('applyGatherFilter() should write matching cards of column includes as plain columns', () => {
+        const filtered = ExportService['applyGatherFilter'](markdown, sourcePath, '#bug');
+
+        expect(filtered).not.toContain('columninclude');
+        expect(filtered).toContain('## Shared #row2\n- [ ] Shared bug #bug\n');
+        expect(filtered).toContain('- [ ] Fix login #bug\n');
+        expect(filtered).not.toContain('idea');
+        expect(filtered).not.toContain('Idea');
+        expect(() => ExportService['applyGatherFilter'](markdown, sourcePath, '#missing')).toThrow('No cards match the export filter "#missing"');
+    });
+
+    test('extractSelectionContent() should write selected cards of column includes as plain columns', () => {
+        const { board } = MarkdownKanbanParser.parseMarkdown(markdown, basePath);
+        const sharedBug = board.columns[1].tasks[0];
+
+        const selection = ExportService['extractSelectionContent'](board, [sharedBug.id]);
+
+        expect(selection).not.toContain('columninclude');
+        expect(selection).toContain('## Shared #row2\n- [ ] Shared bug #bug\n');
+        expect(selection).not.toContain('## Todo');
+        expect(ExportService['extractSelectionContent'](board, ['missing'])).toBeNull();
+    });
+});
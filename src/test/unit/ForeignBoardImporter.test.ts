@@ -0,0 +1,55 @@
+import { ForeignBoardImporter } from '../../services/ForeignBoardImporter';
+import { MarkdownKanbanParser } from '../../markdownParser';
+
+describe('ForeignBoardImporter', () => {
+    const cardsOf = (markdown: string) => MarkdownKanbanParser.parseMarkdown(markdown).board.columns
+        .map(column => [column.title, column.tasks.map(task => [task.title, task.description || '', task.completed === true])]);
+
+    test('fromTrello() should map lists, labels, members, due dates, checklists and archived cards', () => {
+        const trello = {
+            lists: [{ id: 'l2', name: 'Done', pos: 2 }, { id: 'l1', name: 'To Do', pos: 1 }, { id: 'l3', name: 'Old', closed: true, pos: 3 }],
+            members: [{ id: 'm1', username: 'alice' }],
+            cards: [
+                { id: 'c1', idList: 'l1', pos: 2, name: 'Fix login', desc: 'Steps', labels: [{ name: 'Bug', color: 'red' }, { name: '', color: 'green' }], idMembers: ['m1'], due: '2025-03-27T12:00:00.000Z' },
+                { id: 'c2', idList: 'l2', pos: 1, name: 'Release', dueComplete: true },
+                { id: 'c3', idList: 'l1', pos: 1, name: 'Old idea', closed: true },
+                { id: 'c4', idList: 'l3', pos: 1, name: 'Gone' }
+            ],
+            checklists: [{ idCard: 'c1', name: 'Checklist', pos: 1, checkItems: [{ name: 'two', state: 'incomplete', pos: 2 }, { name: 'one', state: 'complete', pos: 1 }] }]
+        };
+        const markdown = ForeignBoardImporter.toMarkdown(ForeignBoardImporter.detectFormat(JSON.stringify(trello))!, JSON.stringify(trello));
+
+        expect(cardsOf(markdown)).toEqual([
+            ['To Do', [['Fix login #Bug #green @alice @due:2025-03-27', 'Steps\n\n- [x] one\n- [ ] two', false]]],
+            ['Done', [['Release', '', true]]]
+        ]);
+        expect(MarkdownKanbanParser.parseMarkdown(markdown).board.archive!.map(task => task.title)).toEqual(['Old idea']);
+    });
+
+    test('fromGitHubProjects() should use the Status field as list', () => {
+        const csv = 'Title,URL,Assignees,Status,Labels,Due date\n' +
+            'Fix login,https://github.com/o/r/issues/1,"alice, bob",In Progress,"bug, good first issue",2025-03-27\n' +
+            'Release,,,Done,,\n' +
+            'Idea,,,,,\n';
+
+        expect(ForeignBoardImporter.detectFormat(csv)).toBe('github');
+        expect(cardsOf(ForeignBoardImporter.toMarkdown('github', csv))).toEqual([
+            ['In Progress', [['Fix login #bug #good_first_issue @alice @bob @due:2025-03-27', 'https://github.com/o/r/issues/1', false]]],
+            ['Done', [['Release', '', true]]],
+            ['No Status', [['Idea', '', false]]]
+        ]);
+    });
+
+    test('fromJira() should merge label columns, map priorities and turn sub-tasks into checklist items', () => {
+        const csv = 'Summary,Issue key,Issue id,Parent id,Issue Type,Status,Priority,Assignee,Labels,Labels,Due Date,Description\n' +
+            'Login broken,PRJ-1,10,,Bug,In Progress,Highest,alice,backend,auth,27/Mar/25 12:00 AM,Fails on submit\n' +
+            'Add test,PRJ-2,11,10,Sub-task,Done,Medium,,,,,\n' +
+            'Write docs,PRJ-3,12,,Task,Done,Low,bob,,,,\n';
+
+        expect(ForeignBoardImporter.detectFormat(csv)).toBe('jira');
+        expect(cardsOf(ForeignBoardImporter.toMarkdown('jira', csv))).toEqual([
+            ['In Progress', [['Login broken #backend #auth #urgent @alice @due:2025-03-27', 'Fails on submit\n\n- [x] Add test', false]]],
+            ['Done', [['Write docs #low @bob', '', true]]]
+        ]);
+    });
+});
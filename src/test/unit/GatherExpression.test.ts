@@ -0,0 +1,94 @@
+import { createGatherCard, parseGatherExpression, getGatherExpressionError, getGatherRuleErrors } from '../../utils/gatherExpression';
+import { BoardOperations } from '../../boardOperations';
+import { MarkdownKanbanParser } from '../../markdownParser';
+
+describe('gatherExpression', () => {
+    const dateIn = (days: number): string => {
+        const date = new Date();
+        date.setDate(date.getDate() + days);
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    };
+
+    const cards = [
+        createGatherCard({ title: `Fix login #bug #high @alice @${dateIn(-1)}` }, 'Inbox #gather_alice'),
+        createGatherCard({ title: 'Crash on start #bug #low', description: '- [x] reproduce\n- [ ] fix' }, 'In progress'),
+        createGatherCard({ title: 'Write docs #docs @bob', completed: true }, 'Done #done'),
+        createGatherCard({ title: `Release #urgent @${dateIn(3)}` }, 'Inbox')
+    ];
+
+    const matching = (expression: string): string[] => {
+        const matches = parseGatherExpression(expression);
+        return cards.filter(card => matches(card)).map(card => card.text.split(' ')[0]);
+    };
+
+    test('should evaluate the card predicates', () => {
+        expect(matching('tag=bug')).toEqual(['Fix', 'Crash']);
+        expect(matching('#bug')).toEqual(['Fix', 'Crash']);
+        expect(matching('tag!=bug')).toEqual(['Write', 'Release']);
+        expect(matching('text~/^(fix|write)/')).toEqual(['Fix', 'Write']);
+        expect(matching('text~/crash|release/')).toEqual(['Crash', 'Release']);
+        expect(matching('text!~"on start"')).toEqual(['Fix', 'Write', 'Release']);
+        expect(matching('done=true')).toEqual(['Write']);
+        expect(matching('prio>medium')).toEqual(['Fix', 'Release']);
+        expect(matching('prio<=low')).toEqual(['Crash']);
+        expect(matching('prio=none')).toEqual(['Write']);
+        expect(matching('column=Inbox')).toEqual(['Fix', 'Release']);
+        expect(matching('column=in_progress')).toEqual(['Crash']);
+        expect(matching('hasdate')).toEqual(['Fix', 'Release']);
+        expect(matching('due<0')).toEqual(['Fix']);
+        expect(matching('0<=day')).toEqual(['Release']);
+        expect(matching('subtasks=2&progress<100')).toEqual(['Crash']);
+    });
+
+    test('should combine terms with grouping and keep person names', () => {
+        expect(matching('alice')).toEqual(['Fix']);
+        expect(matching('@bob|@alice')).toEqual(['Fix', 'Write']);
+        expect(matching('alice!=true')).toEqual(['Crash', 'Write', 'Release']);
+        expect(matching('tag=bug&(prio>medium|done=true)')).toEqual(['Fix']);
+        expect(matching('tag=bug&prio>medium|done=true')).toEqual(['Fix', 'Write']);
+        expect(matching('!(tag=bug|done=true)&hasdate')).toEqual(['Release']);
+    });
+
+    test('should report malformed expressions', () => {
+        expect(getGatherExpressionError('tag=bug&(prio>medium|done=true)')).toBeNull();
+        expect(getGatherExpressionError('(tag=bug|done=true')).toBe('Missing ")"');
+        expect(getGatherExpressionError('tag=bug)')).toBe('Unexpected ")"');
+        expect(getGatherExpressionError('tag=bug|')).toBe('Missing rule after "|"');
+        expect(getGatherExpressionError('tag=')).toBe('Missing value after "tag="');
+        expect(getGatherExpressionError('size>3')).toBe('Unknown property "size"');
+        expect(getGatherExpressionError('prio>important')).toMatch(/^Unknown priority "important"/);
+        expect(getGatherExpressionError('text~(')).toBe('Invalid regular expression "("');
+        expect(getGatherExpressionError('text~/open')).toBe('Missing closing /');
+        expect(getGatherExpressionError('done<1')).toBe('done does not support "<", use = !=');
+        expect(getGatherExpressionError('day<soon')).toBe('day expects a number, not "soon"');
+    });
+
+    test('should list the malformed rules of a column title', () => {
+        expect(getGatherRuleErrors('Bugs #gather_tag=bug #gather_size>3 #gather_day<soon #row2')).toEqual([
+            '#gather_size>3: Unknown property "size"',
+            '#gather_day<soon: day expects a number, not "soon"'
+        ]);
+        expect(getGatherRuleErrors('Done #ungathered')).toEqual([]);
+    });
+
+    test('should gather by the new predicates and skip malformed rules', () => {
+        const markdown = '---\n\nkanban-plugin: board\n\n---\n\n' +
+            '## Inbox\n' +
+            '- [ ] Fix login #bug\n' +
+            '- [ ] Release #urgent\n' +
+            '- [ ] Write docs\n' +
+            '\n## Bugs #gather_tag=bug\n' +
+            '\n## Urgent #gather_(prio>high\n' +
+            '\n## Later #gather_column=Inbox&!text~docs\n';
+        const { board } = MarkdownKanbanParser.parseMarkdown(markdown);
+
+        new BoardOperations().performAutomaticSort(board);
+
+        expect(board.columns.map(column => column.tasks.map(task => task.title))).toEqual([
+            ['Write docs'],
+            ['Fix login #bug'],
+            [],
+            ['Release #urgent']
+        ]);
+    });
+});
@@ -0,0 +1,63 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { HtmlBoardExporter } from '../../services/HtmlBoardExporter';
+
+// AssetHandler imports FileWriter, which reports through the VS Code API
+jest.mock('vscode', () => ({}), { virtual: true });
+
+describe('HtmlBoardExporter', () => {
+    const htmlDir = path.join(__dirname, '..', '..', 'html');
+    const header = '---\n\nkanban-plugin: board\n\n---\n\n';
+    let basePath: string;
+
+    beforeAll(() => {
+        basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'html-board-'));
+        // 1x1 transparent PNG
+        fs.writeFileSync(path.join(basePath, 'pixel.png'), Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', 'base64'));
+    });
+
+    afterAll(() => {
+        fs.rmSync(basePath, { recursive: true, force: true });
+    });
+
+    const generate = (markdown: string) => HtmlBoardExporter.generate(header + markdown, { title: 'Plan', basePath, htmlDir, tagVisibility: 'all' });
+
+    test('generate() should lay out rows and stacks with tags, checklist progress and embedded images', async () => {
+        const result = await generate(
+            '## Todo #bug #wip2\n- [ ] Fix login #urgent\n  ![pixel](pixel.png)\n  - [x] reproduce\n  - [ ] fix\n\n' +
+            '## Waiting #stack\n- [x] Review\n\n' +
+            '## Later #row2\n- [ ] Idea\n'
+        );
+        const rows = result.html.split('<div class="kanban-row"').slice(1);
+
+        expect(result.errors).toEqual([]);
+        expect(result.assetsEmbedded).toBe(1);
+        expect(result.html).toContain('<title>Plan</title>');
+        expect(rows).toHaveLength(2);
+        expect(rows[0].split('<div class="kanban-column-stack">')).toHaveLength(2);
+        expect(rows[0]).toContain('data-column-tag="bug" data-all-tags="bug"');
+        expect(rows[0]).toContain('<span class="task-count">1/2</span>');
+        expect(rows[0]).toContain('data-task-tag="urgent"');
+        expect(rows[0]).toContain('<span class="task-progress-text">1/2 done</span>');
+        expect(rows[0]).toContain('src="data:image/png;base64,');
+        expect(rows[0]).toContain('<div class="task-item task-completed"');
+        expect(rows[1]).toContain('data-row-number="2"');
+        expect(rows[1]).toContain('Idea');
+    });
+
+    test('generate() should only allow the export script to run', async () => {
+        const { html } = await generate('## Todo\n- [ ] <script>alert(1)</script>\n  <img src="x" onerror="alert(2)">\n');
+        const csp = html.match(/<meta http-equiv="Content-Security-Policy" content="([^"]+)">/)?.[1] || '';
+        const scriptSrc = csp.split(';').map(directive => directive.trim()).find(directive => directive.startsWith('script-src')) || '';
+        const nonce = scriptSrc.match(/'nonce-([^']+)'/)?.[1];
+        const scripts = html.match(/<script[^>]*>/g) || [];
+
+        expect(html.indexOf('Content-Security-Policy')).toBeLessThan(html.indexOf('<body'));
+        expect(nonce).toBeTruthy();
+        expect(scriptSrc).not.toContain('unsafe-inline');
+        expect(scripts.length).toBeGreaterThan(1);
+        expect(scripts.filter(tag => tag.includes(`nonce="${nonce}"`))).toHaveLength(1);
+        expect(html.lastIndexOf(`<script nonce="${nonce}">`)).toBeGreaterThan(html.indexOf('alert(2)'));
+    });
+});
@@ -0,0 +1,76 @@
+import { IcsBoardExporter } from '../../services/IcsBoardExporter';
+import { MarkdownKanbanParser } from '../../markdownParser';
+
+describe('IcsBoardExporter', () => {
+    const markdown = '---\n\nkanban-plugin: board\n\n---\n\n' +
+        '## Todo #row2\n- [ ] Fix login, again @due:2025-03-27 @start:2025-03-20\n  Steps; see log\n- [ ] Idea\n\n' +
+        '## Done\n- [x] Release @2025-04-01 @@{14:30} @done:2025-04-02\n';
+    const board = MarkdownKanbanParser.parseMarkdown(markdown).board;
+    const options = { sourcePath: '/boards/plan.md', sourceContent: markdown, now: new Date(Date.UTC(2025, 0, 2, 3, 4, 5)) };
+
+    // Unfolded content lines of the entries of a calendar
+    const entries = (ics: string, component: string) => ics.replace(/\r\n /g, '').split(`BEGIN:${component}\r\n`).slice(1)
+        .map(entry => entry.split(`END:${component}`)[0].split('\r\n').filter(Boolean));
+
+    test('toIcs() should create an all-day event per card date and a timed event for cards with a time', () => {
+        const { ics, count } = IcsBoardExporter.toIcs(board, { ...options, itemType: 'event' });
+        const events = entries(ics, 'VEVENT');
+
+        expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+        expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+        expect(count).toBe(4);
+        expect(events[0]).toEqual(expect.arrayContaining([
+            'DTSTAMP:20250102T030405Z',
+            'DTSTART;VALUE=DATE:20250327',
+            'DTEND;VALUE=DATE:20250328',
+            'SUMMARY:Fix login\\, again',
+            'DESCRIPTION:Steps\\; see log\\n\\nvscode://file/boards/plan.md:8',
+            'CATEGORIES:Todo',
+            'URL:vscode://file/boards/plan.md:8'
+        ]));
+        expect(events[1]).toEqual(expect.arrayContaining(['DTSTART;VALUE=DATE:20250320', 'SUMMARY:Fix login\\, again (start)']));
+        expect(events[2]).toEqual(expect.arrayContaining([
+            'DTSTART:20250401T143000',
+            'DTEND:20250401T153000',
+            'SUMMARY:Release',
+            'URL:vscode://file/boards/plan.md:13'
+        ]));
+        expect(new Set(events.map(event => event.find(line => line.startsWith('UID:')))).size).toBe(4);
+    });
+
+    test('toIcs() should create to-dos for cards with a due date', () => {
+        const { ics, count } = IcsBoardExporter.toIcs(board, { ...options, itemType: 'todo' });
+        const todos = entries(ics, 'VTODO');
+
+        expect(count).toBe(2);
+        expect(todos[0]).toEqual(expect.arrayContaining(['DUE;VALUE=DATE:20250327', 'DTSTART;VALUE=DATE:20250320', 'STATUS:NEEDS-ACTION']));
+        expect(todos[1]).toEqual(expect.arrayContaining(['DUE:20250401T143000', 'STATUS:COMPLETED', 'CATEGORIES:Done']));
+        expect(todos[1].some(line => line.startsWith('COMPLETED:'))).toBe(true);
+    });
+
+    test('toIcs() should give same-titled cards different UIDs', () => {
+        const repeated = MarkdownKanbanParser.parseMarkdown('---\n\nkanban-plugin: board\n\n---\n\n## Todo\n' +
+            '- [ ] Chores @due:2025-03-27 @repeat:weekly\n- [ ] Chores @due:2025-04-03 @repeat:weekly\n' +
+            '- [ ] Call @due:2025-03-27\n- [ ] Call @due:2025-03-27\n').board;
+        const uids = (itemType: 'event' | 'todo') => IcsBoardExporter.toIcs(repeated, { ...options, itemType }).ics
+            .split('\r\n').filter(line => line.startsWith('UID:'));
+
+        expect(new Set(uids('event')).size).toBe(4);
+        expect(new Set(uids('todo')).size).toBe(4);
+        expect(uids('event')).toEqual(uids('event'));
+    });
+
+    test('toIcs() should percent-encode the path of the card link', () => {
+        const { ics } = IcsBoardExporter.toIcs(board, { ...options, sourcePath: 'C:\\My Boards\\plan #2.md', itemType: 'todo' });
+
+        expect(ics.replace(/\r\n /g, '')).toContain('URL:vscode://file/C:/My%20Boards/plan%20%232.md:8');
+    });
+
+    test('toIcs() should fold lines longer than 75 octets', () => {
+        const longBoard = MarkdownKanbanParser.parseMarkdown(`---\n\nkanban-plugin: board\n\n---\n\n## Todo\n- [ ] ${'Long title '.repeat(12)}@due:2025-03-27\n`).board;
+        const { ics } = IcsBoardExporter.toIcs(longBoard, { ...options, itemType: 'event' });
+
+        expect(ics.split('\r\n').every(line => Buffer.byteLength(line, 'utf8') <= 75)).toBe(true);
+        expect(ics).toContain('\r\n ');
+    });
+});
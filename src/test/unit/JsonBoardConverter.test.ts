@@ -0,0 +1,53 @@
+import { JsonBoardConverter } from '../../services/JsonBoardConverter';
+import { MarkdownKanbanParser } from '../../markdownParser';
+
+describe('JsonBoardConverter', () => {
+    const markdown = '---\n\nkanban-plugin: board\n\n---\n\n' +
+        '## Todo #span2\n- [ ] Fix login #bug @alice @due:2025-03-27 @done:2025-03-30\n  - [ ] reproduce\n- [/] Review\n\n' +
+        '## Waiting #stack\n- [X] Ship\n\n' +
+        '## Later #row2\n- [ ] Idea @2025-05-01\n\n' +
+        '***\n\n## Archive\n\n- [x] Old card\n\n' +
+        '%% kanban:settings\n```\n{"kanban-plugin":"board","date-format":"YYYY-MM-DD"}\n```\n%%\n';
+
+    test('toJson() should add layout, tags, persons and dates', () => {
+        const json = JsonBoardConverter.toJson(MarkdownKanbanParser.parseMarkdown(markdown).board);
+
+        expect(json.format).toBe('markdown-kanban');
+        expect(json.settings).toEqual({ 'kanban-plugin': 'board', 'date-format': 'YYYY-MM-DD' });
+        expect(json.columns.map(column => [column.name, column.layout])).toEqual([
+            ['Todo', { row: 1, span: 2, stack: false }],
+            ['Waiting', { row: 1, span: 1, stack: true }],
+            ['Later', { row: 2, span: 1, stack: false }]
+        ]);
+        expect(json.columns[0].tasks[0]).toEqual({
+            title: 'Fix login #bug @alice @due:2025-03-27 @done:2025-03-30',
+            description: '- [ ] reproduce',
+            checkbox: ' ',
+            completed: false,
+            tags: ['bug'],
+            persons: ['alice'],
+            dates: { due: '2025-03-27', done: '2025-03-30' },
+            includeFiles: []
+        });
+        expect(json.columns[2].tasks[0].dates).toEqual({ due: '2025-05-01' });
+        expect(json.archive.map(task => task.title)).toEqual(['Old card']);
+    });
+
+    test('fromJson() should rebuild the same markdown', () => {
+        const json = JSON.parse(JSON.stringify(JsonBoardConverter.toJson(MarkdownKanbanParser.parseMarkdown(markdown).board)));
+
+        const board = JsonBoardConverter.fromJson(json);
+
+        expect(MarkdownKanbanParser.generateMarkdown(board)).toBe(
+            MarkdownKanbanParser.generateMarkdown(MarkdownKanbanParser.parseMarkdown(markdown).board)
+        );
+        expect(board.columns[0].tasks[1].checkboxStatus).toBe('/');
+        expect(board.columns[1].tasks[0].checkboxStatus).toBe('X');
+    });
+
+    test('fromJson() should reject other files', () => {
+        expect(() => JsonBoardConverter.fromJson({ columns: [] })).toThrow('Not a kanban board JSON file');
+        expect(() => JsonBoardConverter.fromJson({ format: 'markdown-kanban', version: 2, columns: [] })).toThrow('Unsupported board JSON version 2');
+        expect(() => JsonBoardConverter.fromJson({ format: 'markdown-kanban', version: 1, columns: [{ tasks: [] }] })).toThrow('Column 1 has no "title"');
+    });
+});
@@ -0,0 +1,85 @@
+import { MarkdownKanbanParser } from '../../markdownParser';
+
+describe('MarkdownKanbanParser Tests', () => {
+    const header = '---\n\nkanban-plugin: board\n\n---\n\n';
+
+    describe('task checkboxes', () => {
+        const markdown = header +
+            '## Todo\n' +
+            '- [ ] Open task\n' +
+            '- [x] Done task\n' +
+            '- [X] Done with capital X\n' +
+            '- [/] In progress\n' +
+            '- [-] Cancelled\n' +
+            '\n';
+
+        test('should parse checkbox state', () => {
+            const { board } = MarkdownKanbanParser.parseMarkdown(markdown);
+            const tasks = board.columns[0].tasks;
+
+            expect(tasks.map(t => t.title)).toEqual([
+                'Open task', 'Done task', 'Done with capital X', 'In progress', 'Cancelled'
+            ]);
+            expect(tasks.map(t => !!t.completed)).toEqual([false, true, true, false, false]);
+            expect(tasks.map(t => t.checkboxStatus)).toEqual([undefined, undefined, 'X', '/', '-']);
+        });
+
+        test('should keep checkbox markers when generating markdown', () => {
+            const { board } = MarkdownKanbanParser.parseMarkdown(markdown);
+            const output = MarkdownKanbanParser.generateMarkdown(board);
+
+            expect(output).toContain('- [ ] Open task\n');
+            expect(output).toContain('- [x] Done task\n');
+            expect(output).toContain('- [X] Done with capital X\n');
+            expect(output).toContain('- [/] In progress\n');
+            expect(output).toContain('- [-] Cancelled\n');
+        });
+
+        test('should write [x] after a task was toggled', () => {
+            const { board } = MarkdownKanbanParser.parseMarkdown(markdown);
+            const task = board.columns[0].tasks[3];
+            task.completed = true;
+            delete task.checkboxStatus;
+
+            expect(MarkdownKanbanParser.generateMarkdown(board)).toContain('- [x] In progress\n');
+        });
+    });
+
+    describe('archive section', () => {
+        const markdown = header +
+            '## Done\n' +
+            '- [x] Finished\n' +
+            '\n' +
+            '***\n' +
+            '\n' +
+            '## Archive\n' +
+            '\n' +
+            '- [x] 2024-01-01 10:00 Old task\n' +
+            '  with description\n' +
+            '\n' +
+            '%% kanban:settings\n```\n{"kanban-plugin":"board"}\n```\n%%\n';
+
+        test('should parse archived cards separately from the columns', () => {
+            const { board } = MarkdownKanbanParser.parseMarkdown(markdown);
+
+            expect(board.columns.map(c => c.title)).toEqual(['Done']);
+            expect(board.archive!.map(t => t.title)).toEqual(['2024-01-01 10:00 Old task']);
+            expect(board.archive![0].description).toBe('with description');
+        });
+
+        test('should write the archive section back', () => {
+            const { board } = MarkdownKanbanParser.parseMarkdown(markdown);
+            const output = MarkdownKanbanParser.generateMarkdown(board);
+
+            expect(output).toContain('## Done\n- [x] Finished\n\n***\n\n## Archive\n\n- [x] 2024-01-01 10:00 Old task\n  with description\n');
+            expect(output).toContain('%% kanban:settings');
+        });
+
+        test('should keep a *** line that is not followed by the archive heading', () => {
+            const { board } = MarkdownKanbanParser.parseMarkdown(header + '## Todo\n- [ ] Task\n***\n## Next\n');
+
+            expect(board.archive).toBeUndefined();
+            expect(board.columns.map(c => c.title)).toEqual(['Todo', 'Next']);
+        });
+    });
+});
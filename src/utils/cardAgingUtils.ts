@@ -0,0 +1,137 @@
+/**
+ * Shared utility functions for card aging and cycle times
+ *
+ * With the `trackCardMoves` setting every move to another column appends a hidden token
+ * to the card description, which the markdown renderer hides like any HTML comment:
+ *
+ *   <!-- moved:2025-03-27 col:Doing -->
+ *
+ * The tokens stay in the markdown file, so the history survives Obsidian round trips.
+ * The frontend uses the same logic in html/utils/cardAgingUtils.js
+ */
+
+import { KanbanBoard } from '../markdownParser';
+
+export interface CardMove {
+    date: string;   // YYYY-MM-DD
+    column: string; // Column title without tags
+}
+
+export interface ColumnCycleTime {
+    column: string;
+    // Average days cards stayed in the column before they were moved on, null without data
+    averageDays: number | null;
+    stays: number;
+    // Tracked cards currently in the column and their average days since they arrived
+    currentCards: number;
+    averageAgeDays: number | null;
+}
+
+// Oldest tokens are dropped so long-lived cards do not collect an endless history
+export const MAX_CARD_MOVES = 20;
+
+const MOVE_TOKEN_REGEX = /<!--\s*moved:(\d{4}-\d{2}-\d{2})\s+col:(.*?)\s*-->/g;
+const MOVE_LINE_REGEX = /^\s*<!--\s*moved:\d{4}-\d{2}-\d{2}\s+col:.*?-->\s*$/;
+
+function toIsoDate(date: Date): string {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Days between two YYYY-MM-DD dates, independent of time zone and daylight saving time
+ */
+export function daysBetween(fromDate: string, toDate: string): number {
+    const [fromYear, fromMonth, fromDay] = fromDate.split('-').map(Number);
+    const [toYear, toMonth, toDay] = toDate.split('-').map(Number);
+    return Math.round((Date.UTC(toYear, toMonth - 1, toDay) - Date.UTC(fromYear, fromMonth - 1, fromDay)) / 86400000);
+}
+
+/**
+ * Column name as written into the token: title without tags and without comment delimiters
+ */
+export function getMoveColumnName(columnTitle: string): string {
+    return (columnTitle || '')
+        .replace(/(^|\s)[#@]\S+/g, ' ')
+        .replace(/-->/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Moves recorded in a card description, oldest first
+ */
+export function getCardMoves(description: string | undefined): CardMove[] {
+    const moves: CardMove[] = [];
+    for (const match of (description || '').matchAll(MOVE_TOKEN_REGEX)) {
+        moves.push({ date: match[1], column: match[2] });
+    }
+    return moves;
+}
+
+/**
+ * Appends a move token to a card description
+ * @param description - Current description
+ * @param columnTitle - Title of the column the card was moved to
+ * @param date - Date of the move as YYYY-MM-DD, today by default
+ * @returns New description
+ */
+export function stampCardMove(description: string | undefined, columnTitle: string, date: string = toIsoDate(new Date())): string {
+    const lines = (description || '').split('\n');
+    let surplus = lines.filter(line => MOVE_LINE_REGEX.test(line)).length - (MAX_CARD_MOVES - 1);
+
+    const kept = lines.filter(line => {
+        if (surplus > 0 && MOVE_LINE_REGEX.test(line)) {
+            surplus--;
+            return false;
+        }
+        return true;
+    });
+
+    const text = kept.join('\n').replace(/\s+$/, '');
+    return `${text}${text ? '\n' : ''}<!-- moved:${date} col:${getMoveColumnName(columnTitle)} -->`;
+}
+
+/**
+ * Average time cards stay in each column, from the move tokens of all cards
+ * @param board - Board to evaluate
+ * @param today - Reference date as YYYY-MM-DD, today by default
+ * @returns One entry per column of the board, followed by columns only found in the history
+ */
+export function getColumnCycleTimes(board: KanbanBoard, today: string = toIsoDate(new Date())): ColumnCycleTime[] {
+    const stats = new Map<string, { stayDays: number[]; ageDays: number[] }>();
+    const getStats = (column: string) => {
+        if (!stats.has(column)) {
+            stats.set(column, { stayDays: [], ageDays: [] });
+        }
+        return stats.get(column)!;
+    };
+
+    board.columns.forEach(column => getStats(getMoveColumnName(column.title)));
+
+    for (const column of board.columns) {
+        const columnName = getMoveColumnName(column.title);
+        for (const task of column.tasks) {
+            const moves = getCardMoves(task.description);
+            for (let i = 0; i < moves.length - 1; i++) {
+                getStats(moves[i].column).stayDays.push(daysBetween(moves[i].date, moves[i + 1].date));
+            }
+
+            const lastMove = moves[moves.length - 1];
+            if (lastMove && lastMove.column === columnName) {
+                getStats(columnName).ageDays.push(daysBetween(lastMove.date, today));
+            }
+        }
+    }
+
+    const average = (values: number[]) => values.length > 0
+        ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10
+        : null;
+
+    return Array.from(stats.entries()).map(([column, { stayDays, ageDays }]) => ({
+        column,
+        averageDays: average(stayDays),
+        stays: stayDays.length,
+        currentCards: ageDays.length,
+        averageAgeDays: average(ageDays)
+    }));
+}
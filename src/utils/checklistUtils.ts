@@ -0,0 +1,49 @@
+/**
+ * Shared utility functions for checklists (sub-tasks) in task descriptions
+ * The frontend uses the same logic in boardRenderer.js (getChecklistProgress)
+ */
+
+export interface ChecklistProgress {
+    done: number;
+    total: number;
+    percent: number; // 0-100, rounded
+}
+
+// `- [ ] item`, `* [x] item`, `1. [ ] item` with any indentation
+const CHECKLIST_ITEM_REGEX = /^\s*(?:[-*+]|\d+[.)])\s+\[(.)\](?:\s|$)/;
+
+/**
+ * Counts the checklist items of a task description
+ * Items inside fenced code blocks are ignored, only [x] / [X] counts as done
+ * @param description - Task description (markdown)
+ * @returns Progress, total is 0 if the description has no checklist
+ */
+export function getChecklistProgress(description: string | undefined): ChecklistProgress {
+    let done = 0;
+    let total = 0;
+    let inCodeBlock = false;
+
+    for (const line of (description || '').split('\n')) {
+        if (/^\s*(```|~~~)/.test(line)) {
+            inCodeBlock = !inCodeBlock;
+            continue;
+        }
+        if (inCodeBlock) {
+            continue;
+        }
+
+        const match = line.match(CHECKLIST_ITEM_REGEX);
+        if (match) {
+            total++;
+            if (match[1] === 'x' || match[1] === 'X') {
+                done++;
+            }
+        }
+    }
+
+    return {
+        done,
+        total,
+        percent: total > 0 ? Math.round((done / total) * 100) : 0
+    };
+}
@@ -0,0 +1,247 @@
+/**
+ * Shared utility functions for dates and times in card text
+ *
+ * Supported date forms (all return YYYY-MM-DD):
+ *   @2025-03-27, @27-03-2025            shorthand due date
+ *   @due:2025-03-27, @done:{2025-03-27} typed date
+ *   @{2025-03-27}                       Obsidian Kanban date
+ *   @[[2025-03-27]], [[2025-03-27]]     Obsidian date linked to a daily note
+ * Obsidian dates are written in the board's `date-format` (moment tokens), ISO dates are always accepted.
+ *
+ * Times are written as @@{14:00} (Obsidian Kanban) and returned as HH:mm.
+ *
+ * The frontend uses the same logic in html/utils/dateUtils.js
+ */
+
+export const DEFAULT_DATE_FORMAT = 'YYYY-MM-DD';
+
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june',
+    'july', 'august', 'september', 'october', 'november', 'december'];
+
+// Supported moment tokens, longest first so MMMM is not read as MM + MM
+const FORMAT_TOKEN_REGEX = /YYYY|YY|MMMM|MMM|MM|M|DD|D/g;
+
+function pad(value: number): string {
+    return String(value).padStart(2, '0');
+}
+
+function toIsoDate(year: number, month: number, day: number): string | null {
+    if (month < 1 || month > 12 || day < 1 || day > 31) {
+        return null;
+    }
+    // Reject dates like 2025-02-30
+    const date = new Date(year, month - 1, day);
+    if (date.getMonth() !== month - 1) {
+        return null;
+    }
+    return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Parse a date in the given moment style format (YYYY, YY, MMMM, MMM, MM, M, DD, D)
+ * @returns Date as YYYY-MM-DD or null if the value is not a date in this format
+ */
+function parseWithFormat(value: string, dateFormat: string): string | null {
+    const fields: string[] = [];
+    let pattern = '';
+    let lastIndex = 0;
+    let match: RegExpExecArray | null;
+
+    FORMAT_TOKEN_REGEX.lastIndex = 0;
+    while ((match = FORMAT_TOKEN_REGEX.exec(dateFormat)) !== null) {
+        pattern += dateFormat.slice(lastIndex, match.index).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const token = match[0];
+        fields.push(token);
+        if (token === 'YYYY') {
+            pattern += '(\\d{4})';
+        } else if (token === 'MMMM' || token === 'MMM') {
+            pattern += '([A-Za-z]+)';
+        } else if (token === 'M' || token === 'D') {
+            pattern += '(\\d{1,2})';
+        } else {
+            pattern += '(\\d{2})';
+        }
+        lastIndex = match.index + token.length;
+    }
+    pattern += dateFormat.slice(lastIndex).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    const valueMatch = value.match(new RegExp(`^${pattern}$`, 'i'));
+    if (!valueMatch) {
+        return null;
+    }
+
+    let year: number | null = null;
+    let month: number | null = null;
+    let day: number | null = null;
+    for (let index = 0; index < fields.length; index++) {
+        const token = fields[index];
+        const part = valueMatch[index + 1];
+        if (token === 'YYYY') {
+            year = parseInt(part, 10);
+        } else if (token === 'YY') {
+            year = 2000 + parseInt(part, 10);
+        } else if (token === 'MMMM' || token === 'MMM') {
+            const monthIndex = MONTH_NAMES.findIndex(name => name.startsWith(part.toLowerCase()) && part.length >= 3);
+            month = monthIndex >= 0 ? monthIndex + 1 : null;
+        } else if (token === 'MM' || token === 'M') {
+            month = parseInt(part, 10);
+        } else {
+            day = parseInt(part, 10);
+        }
+    }
+
+    if (year === null || month === null || day === null) {
+        return null;
+    }
+    return toIsoDate(year, month, day);
+}
+
+/**
+ * Parse a date string in the board's date format
+ * YYYY-MM-DD and DD-MM-YYYY are always accepted
+ * @param value - Date as written in the card
+ * @param dateFormat - Board date format (Obsidian `date-format` setting)
+ * @returns Date as YYYY-MM-DD or null
+ */
+export function parseDateString(value: string, dateFormat: string = DEFAULT_DATE_FORMAT): string | null {
+    if (!value) {
+        return null;
+    }
+    const trimmed = value.trim();
+
+    return parseWithFormat(trimmed, dateFormat || DEFAULT_DATE_FORMAT) ||
+        parseWithFormat(trimmed, 'YYYY-MM-DD') ||
+        parseWithFormat(trimmed, 'DD-MM-YYYY');
+}
+
+/**
+ * Parse a time like 14:00, 9:30, 2:15 pm
+ * @returns Time as HH:mm or null
+ */
+export function parseTimeString(value: string): string | null {
+    const match = (value || '').trim().match(/^(\d{1,2}):(\d{2})(?::\d{2})?\s*([ap])?\.?m?\.?$/i);
+    if (!match) {
+        return null;
+    }
+
+    let hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    const meridiem = match[3] ? match[3].toLowerCase() : null;
+    if (meridiem) {
+        if (hours < 1 || hours > 12) {return null;}
+        hours = (hours % 12) + (meridiem === 'p' ? 12 : 0);
+    }
+    if (hours > 23 || minutes > 59) {
+        return null;
+    }
+    return `${pad(hours)}:${pad(minutes)}`;
+}
+
+/**
+ * Extract a date of the given type from card text
+ * @param text - Title and description of the card
+ * @param dateType - 'due' also matches the untyped forms, other types only match @type:date
+ * @param dateFormat - Board date format for the Obsidian forms
+ * @returns Date as YYYY-MM-DD or null
+ */
+export function extractDate(text: string, dateType: string = 'due', dateFormat?: string): string | null {
+    if (!text) {return null;}
+
+    if (dateType === 'due') {
+        // Shorthand format @YYYY-MM-DD or @DD-MM-YYYY
+        const shortMatch = text.match(/@(\d{4}-\d{2}-\d{2}|\d{2}-\d{2}-\d{4})(?:\s|$)/);
+        if (shortMatch) {
+            const date = parseDateString(shortMatch[1]);
+            if (date) {return date;}
+        }
+
+        // Obsidian @{date}, @[[date]] and daily note links [[date]]
+        const obsidianRegex = /(?:^|[^@])@\{([^}\n]+)\}|@?\[\[([^\]|\n]+)(?:\|[^\]\n]*)?\]\]/g;
+        let match: RegExpExecArray | null;
+        while ((match = obsidianRegex.exec(text)) !== null) {
+            const date = parseDateString(match[1] || match[2], dateFormat);
+            if (date) {return date;}
+        }
+    }
+
+    // Typed format @type:date or @type:{date} (e.g. @due:2025-03-27, @done:{2025-03-27})
+    const typedRegex = new RegExp(`@${dateType}:(?:\\{([^}\\n]+)\\}|(\\S+))`, 'g');
+    let typedMatch: RegExpExecArray | null;
+    while ((typedMatch = typedRegex.exec(text)) !== null) {
+        const date = parseDateString(typedMatch[1] || typedMatch[2], dateFormat);
+        if (date) {return date;}
+    }
+
+    return null;
+}
+
+/**
+ * All dates of a card text by type: 'due' (including the untyped forms) and every @type:date
+ * @returns YYYY-MM-DD dates, e.g. { due: '2025-03-27', done: '2025-03-30' }
+ */
+export function extractDates(text: string, dateFormat?: string): { [type: string]: string } {
+    const dates: { [type: string]: string } = {};
+    const types = new Set(['due', ...Array.from((text || '').matchAll(/@([a-zA-Z]+):/g), match => match[1])]);
+    for (const type of types) {
+        const date = extractDate(text, type, dateFormat);
+        if (date) {
+            dates[type] = date;
+        }
+    }
+    return dates;
+}
+
+/**
+ * Extract the Obsidian time @@{HH:mm} from card text
+ * @returns Time as HH:mm or null
+ */
+export function extractTime(text: string): string | null {
+    if (!text) {return null;}
+
+    const timeRegex = /@@\{([^}\n]+)\}/g;
+    let match: RegExpExecArray | null;
+    while ((match = timeRegex.exec(text)) !== null) {
+        const time = parseTimeString(match[1]);
+        if (time) {return time;}
+    }
+    return null;
+}
+
+/**
+ * Local date as YYYY-MM-DD
+ */
+export function toDateString(date: Date): string {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Today's date as YYYY-MM-DD
+ */
+export function getTodayString(): string {
+    return toDateString(new Date());
+}
+
+/**
+ * Check if a YYYY-MM-DD date lies between today and N days from now
+ */
+export function isWithinDays(dateStr: string, days: number): boolean {
+    const date = new Date(dateStr);
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const futureDate = new Date(today);
+    futureDate.setDate(futureDate.getDate() + days);
+
+    return date >= today && date <= futureDate;
+}
+
+/**
+ * Check if a YYYY-MM-DD date lies before today
+ */
+export function isOverdue(dateStr: string): boolean {
+    const date = new Date(dateStr);
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    date.setHours(0, 0, 0, 0);
+
+    return date < today;
+}
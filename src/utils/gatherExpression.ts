@@ -0,0 +1,414 @@
+/**
+ * Gather expressions: the rule language of `#gather_` column tags and the filter bar
+ *
+ * Terms are combined with `&` (and), `|` (or), `!` (not) and parentheses, `&` binds
+ * stronger than `|`, e.g. `#gather_tag=bug&(prio>medium|due<0)`:
+ *
+ *   tag=bug, #bug           card has the tag
+ *   text~regex              title or description matches, case-insensitive;
+ *                           `text~/a|b/` and `text~"two words"` for values with operators or spaces
+ *   done=true               card is checked
+ *   prio>medium             priority tag, low < medium < high < urgent, `prio=none` for cards without
+ *   column=Inbox            card is in the column, `_` stands for a space
+ *   hasdate                 card has a due date
+ *   day<7, 0<day            due date: day/dayoffset/due, weekday, weekdaynum, month, monthnum
+ *   progress=100            checklist in the description: progress (percent), subtasks
+ *   @alice, alice           person, any other bare word is a person name as well
+ *
+ * Comparisons are `=`, `!=`, `<`, `>`, `<=`, `>=`, text uses `~` and `!~`.
+ * Malformed expressions throw a GatherExpressionError, the errors of column rules are
+ * sent to the webview with the board (getGatherRuleErrors) to flag them in the header.
+ */
+
+import { ChecklistProgress, getChecklistProgress } from './checklistUtils';
+import { extractDate, getTodayString } from './dateUtils';
+import { daysBetween, getMoveColumnName } from './cardAgingUtils';
+
+/**
+ * What an expression can see of a card
+ */
+export interface GatherCard {
+    // Title and description
+    text: string;
+    // Due date as YYYY-MM-DD
+    date: string | null;
+    persons: string[];
+    progress: ChecklistProgress;
+    completed: boolean;
+    // Title of the column holding the card
+    column: string;
+}
+
+export type GatherPredicate = (card: GatherCard) => boolean;
+
+type GatherOperator = '=' | '!=' | '<' | '>' | '<=' | '>=' | '~' | '!~';
+
+export class GatherExpressionError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = 'GatherExpressionError';
+    }
+}
+
+const EQUALITY_OPERATORS: GatherOperator[] = ['=', '!='];
+const NUMERIC_OPERATORS: GatherOperator[] = ['=', '!=', '<', '>', '<=', '>='];
+const TEXT_OPERATORS: GatherOperator[] = ['~', '!~'];
+
+// Reverse notation of ranges: 0<day is day>0
+const FLIPPED_OPERATORS: { [operator: string]: GatherOperator } = { '<': '>', '>': '<', '<=': '>=', '>=': '<=' };
+
+// Priority tags from lowest to highest
+export const PRIORITY_ORDER = ['low', 'medium', 'high', 'urgent'];
+const PRIORITY_REGEX = /(?:^|\s)#(low|medium|high|urgent)(?![a-zA-Z0-9_-])/i;
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DATE_PROPERTIES = ['day', 'dayoffset', 'due', 'weekday', 'weekdaynum', 'month', 'monthnum'];
+
+/**
+ * Person names (@name) in a card text, dates and typed dates (@due:...) excluded
+ */
+export function extractPersonNames(text: string): string[] {
+    if (!text) {return [];}
+    const matches = text.match(/@([a-zA-Z0-9_&-]+)(?![a-zA-Z0-9_&-]*:)/g) || [];
+    return matches
+        .map(m => m.substring(1))
+        .filter(m => !m.match(/^\d{4}-\d{2}-\d{2}$/) && !m.match(/^\d{2}-\d{2}-\d{4}$/));
+}
+
+/**
+ * Collects what expressions look at for one card
+ * @param task - Card title, description and checkbox state
+ * @param columnTitle - Title of the column holding the card
+ * @param dateFormat - Board date format for Obsidian dates
+ */
+export function createGatherCard(task: { title?: string; description?: string; completed?: boolean },
+    columnTitle: string = '', dateFormat?: string): GatherCard {
+    const text = `${task.title || ''} ${task.description || ''}`;
+    return {
+        text,
+        date: extractDate(text, 'due', dateFormat),
+        persons: extractPersonNames(text),
+        progress: getChecklistProgress(task.description),
+        completed: task.completed === true,
+        column: columnTitle
+    };
+}
+
+/**
+ * Compiles an expression into a predicate
+ * @throws GatherExpressionError if the expression is malformed
+ */
+export function parseGatherExpression(expression: string): GatherPredicate {
+    return new GatherParser((expression || '').trim()).parse();
+}
+
+/**
+ * Error message of a malformed expression, null if it is valid
+ */
+export function getGatherExpressionError(expression: string): string | null {
+    try {
+        parseGatherExpression(expression);
+        return null;
+    } catch (error) {
+        return error instanceof GatherExpressionError ? error.message : String(error);
+    }
+}
+
+/**
+ * Errors of the malformed `#gather_` rules of a column title, as "#gather_rule: message"
+ */
+export function getGatherRuleErrors(columnTitle: string): string[] {
+    const errors: string[] = [];
+    for (const match of (columnTitle || '').matchAll(/#gather_(\S+)/g)) {
+        const error = getGatherExpressionError(match[1]);
+        if (error) {
+            errors.push(`#gather_${match[1]}: ${error}`);
+        }
+    }
+    return errors;
+}
+
+class GatherParser {
+    private pos = 0;
+
+    constructor(private readonly source: string) {}
+
+    parse(): GatherPredicate {
+        if (!this.source) {
+            throw new GatherExpressionError('Empty rule');
+        }
+        const predicate = this.parseOr();
+        if (this.pos < this.source.length) {
+            throw new GatherExpressionError(`Unexpected "${this.source[this.pos]}"`);
+        }
+        return predicate;
+    }
+
+    private peek(): string {
+        return this.source[this.pos] || '';
+    }
+
+    private parseOr(): GatherPredicate {
+        const parts = [this.parseAnd()];
+        while (this.peek() === '|') {
+            this.pos++;
+            parts.push(this.parseAnd());
+        }
+        return parts.length === 1 ? parts[0] : card => parts.some(part => part(card));
+    }
+
+    private parseAnd(): GatherPredicate {
+        const parts = [this.parseUnary()];
+        while (this.peek() === '&') {
+            this.pos++;
+            parts.push(this.parseUnary());
+        }
+        return parts.length === 1 ? parts[0] : card => parts.every(part => part(card));
+    }
+
+    private parseUnary(): GatherPredicate {
+        if (this.peek() === '!') {
+            this.pos++;
+            const inner = this.parseUnary();
+            return card => !inner(card);
+        }
+        if (this.peek() === '(') {
+            this.pos++;
+            const inner = this.parseOr();
+            if (this.peek() !== ')') {
+                throw new GatherExpressionError('Missing ")"');
+            }
+            this.pos++;
+            return inner;
+        }
+        return this.parseTerm();
+    }
+
+    private parseTerm(): GatherPredicate {
+        const rest = this.source.slice(this.pos);
+        if (!rest) {
+            throw new GatherExpressionError(`Missing rule after "${this.source[this.pos - 1]}"`);
+        }
+
+        const range = rest.match(/^(-?\d+)(<=|>=|<|>)([a-zA-Z]+)(?=[|&)]|$)/);
+        if (range) {
+            this.pos += range[0].length;
+            return createComparison(range[3], FLIPPED_OPERATORS[range[2]], range[1]);
+        }
+
+        const head = rest.match(/^([#@]?[^\s|&()!=<>~"]+)(!=|!~|<=|>=|=|<|>|~)?/);
+        if (!head) {
+            throw new GatherExpressionError(`Unexpected "${rest[0]}"`);
+        }
+        this.pos += head[0].length;
+
+        const [, name, operator] = head;
+        if (!operator) {
+            return createKeyword(name);
+        }
+        if (/^[#@]/.test(name)) {
+            throw new GatherExpressionError(`Unexpected "${operator}" after "${name}"`);
+        }
+
+        const value = this.readValue(operator as GatherOperator);
+        if (!value) {
+            throw new GatherExpressionError(`Missing value after "${name}${operator}"`);
+        }
+        return createComparison(name, operator as GatherOperator, value);
+    }
+
+    // Plain values end at the next operator, "quoted" values and /regex/ for text~ may contain anything
+    private readValue(operator: GatherOperator): string {
+        const quote = this.peek() === '"' || (this.peek() === '/' && TEXT_OPERATORS.includes(operator)) ? this.peek() : '';
+        if (quote) {
+            let end = this.pos + 1;
+            while (end < this.source.length && (this.source[end] !== quote || this.source[end - 1] === '\\')) {
+                end++;
+            }
+            if (end >= this.source.length) {
+                throw new GatherExpressionError(`Missing closing ${quote}`);
+            }
+            const value = this.source.slice(this.pos + 1, end);
+            this.pos = end + 1;
+            return value;
+        }
+
+        const value = this.source.slice(this.pos).match(/^[^|&)]*/)![0];
+        this.pos += value.length;
+        return value;
+    }
+}
+
+function createKeyword(word: string): GatherPredicate {
+    if (word.startsWith('#')) {
+        return createTagMatcher(word.substring(1));
+    }
+    if (word.toLowerCase() === 'hasdate') {
+        return card => card.date !== null;
+    }
+
+    const personName = word.replace(/^@/, '').toLowerCase();
+    if (!personName) {
+        throw new GatherExpressionError('Missing person name after "@"');
+    }
+    return card => card.persons.some(person => person.toLowerCase() === personName);
+}
+
+function createComparison(property: string, operator: GatherOperator, value: string): GatherPredicate {
+    const name = property.toLowerCase();
+
+    if (DATE_PROPERTIES.includes(name)) {
+        return createDateComparison(name, operator, value);
+    }
+
+    switch (name) {
+        case 'tag': {
+            requireOperator(name, operator, EQUALITY_OPERATORS);
+            return applyNegation(operator, createTagMatcher(value.replace(/^#/, '')));
+        }
+        case 'text': {
+            requireOperator(name, operator, TEXT_OPERATORS);
+            let regex: RegExp;
+            try {
+                regex = new RegExp(value, 'i');
+            } catch {
+                throw new GatherExpressionError(`Invalid regular expression "${value}"`);
+            }
+            return applyNegation(operator, card => regex.test(card.text));
+        }
+        case 'done': {
+            requireOperator(name, operator, EQUALITY_OPERATORS);
+            const expected = parseBoolean(value);
+            if (expected === null) {
+                throw new GatherExpressionError(`done expects true or false, not "${value}"`);
+            }
+            return applyNegation(operator, card => card.completed === expected);
+        }
+        case 'prio':
+        case 'priority': {
+            if (value.toLowerCase() === 'none') {
+                requireOperator(name, operator, EQUALITY_OPERATORS);
+                return applyNegation(operator, card => getPriority(card.text) === null);
+            }
+            requireOperator(name, operator, NUMERIC_OPERATORS);
+            const rank = PRIORITY_ORDER.indexOf(value.toLowerCase());
+            if (rank < 0) {
+                throw new GatherExpressionError(`Unknown priority "${value}", use low, medium, high, urgent or none`);
+            }
+            return card => {
+                const priority = getPriority(card.text);
+                // Cards without a priority only match !=
+                return priority === null ? operator === '!=' : compareNumbers(PRIORITY_ORDER.indexOf(priority), operator, rank);
+            };
+        }
+        case 'column': {
+            requireOperator(name, operator, EQUALITY_OPERATORS);
+            const expected = normalizeColumnName(value);
+            return applyNegation(operator, card => normalizeColumnName(getMoveColumnName(card.column)) === expected);
+        }
+        case 'progress':
+        case 'subtasks': {
+            requireOperator(name, operator, NUMERIC_OPERATORS);
+            const expected = parseNumber(name, value);
+            // Cards without a checklist never match, like date properties without a date
+            return card => card.progress.total > 0 &&
+                compareNumbers(name === 'progress' ? card.progress.percent : card.progress.total, operator, expected);
+        }
+    }
+
+    // Person flags of older rules: alice=1, alice!=true
+    const flag = parseBoolean(value);
+    if (EQUALITY_OPERATORS.includes(operator) && flag !== null) {
+        const hasPerson = createKeyword(property);
+        return card => (hasPerson(card) === flag) === (operator === '=');
+    }
+
+    throw new GatherExpressionError(`Unknown property "${property}"`);
+}
+
+function createDateComparison(property: string, operator: GatherOperator, value: string): GatherPredicate {
+    requireOperator(property, operator, NUMERIC_OPERATORS);
+
+    const lower = value.toLowerCase();
+    let expected: number;
+    if (property === 'weekday' && WEEKDAYS.includes(lower)) {
+        expected = WEEKDAYS.indexOf(lower);
+    } else if (property === 'month' && MONTHS.includes(lower)) {
+        expected = MONTHS.indexOf(lower) + 1;
+    } else {
+        expected = parseNumber(property, value);
+    }
+
+    return card => card.date !== null && compareNumbers(getDatePropertyValue(property, card.date), operator, expected);
+}
+
+// weekday: 0 (Sun) to 6, weekdaynum: 1 (Mon) to 7, month and monthnum: 1 to 12, otherwise days from today
+function getDatePropertyValue(property: string, date: string): number {
+    const [year, month, day] = date.split('-').map(Number);
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+
+    switch (property) {
+        case 'weekday': return weekday;
+        case 'weekdaynum': return weekday === 0 ? 7 : weekday;
+        case 'month':
+        case 'monthnum': return month;
+        default: return daysBetween(getTodayString(), date);
+    }
+}
+
+function createTagMatcher(tag: string): GatherPredicate {
+    if (!tag) {
+        throw new GatherExpressionError('Missing tag name after "#"');
+    }
+    const escaped = tag.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const tagRegex = new RegExp(`(?:^|\\s)#${escaped}(?![a-zA-Z0-9_-])`, 'i');
+    return card => tagRegex.test(card.text);
+}
+
+function applyNegation(operator: GatherOperator, predicate: GatherPredicate): GatherPredicate {
+    return operator === '!=' || operator === '!~' ? card => !predicate(card) : predicate;
+}
+
+function requireOperator(property: string, operator: GatherOperator, allowed: GatherOperator[]): void {
+    if (!allowed.includes(operator)) {
+        throw new GatherExpressionError(`${property} does not support "${operator}", use ${allowed.join(' ')}`);
+    }
+}
+
+function compareNumbers(actual: number, operator: GatherOperator, expected: number): boolean {
+    switch (operator) {
+        case '=': return actual === expected;
+        case '!=': return actual !== expected;
+        case '<': return actual < expected;
+        case '>': return actual > expected;
+        case '<=': return actual <= expected;
+        case '>=': return actual >= expected;
+        default: return false;
+    }
+}
+
+function parseNumber(property: string, value: string): number {
+    if (!/^-?\d+$/.test(value)) {
+        throw new GatherExpressionError(`${property} expects a number, not "${value}"`);
+    }
+    return parseInt(value, 10);
+}
+
+function parseBoolean(value: string): boolean | null {
+    const lower = value.toLowerCase();
+    if (['true', 'yes', '1'].includes(lower)) {return true;}
+    if (['false', 'no', '0'].includes(lower)) {return false;}
+    return null;
+}
+
+/**
+ * First priority tag (#low, #medium, #high, #urgent) in a card text, lowercase
+ */
+export function getPriority(text: string): string | null {
+    const match = text.match(PRIORITY_REGEX);
+    return match ? match[1].toLowerCase() : null;
+}
+
+function normalizeColumnName(name: string): string {
+    return name.replace(/_/g, ' ').replace(/\s+/g, ' ').trim().toLowerCase();
+}
@@ -12,6 +12,22 @@ export class TagUtils {
     private static readonly ROW_TAG_PATTERN = /#row\d*/gi;
     private static readonly SPAN_TAG_PATTERN = /#span\d*/gi;
     private static readonly STACK_TAG_PATTERN = /#stack\d*/gi;
+    private static readonly WIP_TAG_PATTERN = /#wip\d+/gi;
+    private static readonly CARD_TAG_PATTERN = /(?:^|\s)#([^\s#]+)/g;
+    private static readonly LAYOUT_TAG_NAME = /^(row\d+|span\d+|stack)$/i;
+
+    /**
+     * Tag names (without #) in a card or column text, layout tags (#row, #span, #stack) excluded
+     */
+    static extractTags(text: string): string[] {
+        const tags: string[] = [];
+        for (const match of (text || '').matchAll(this.CARD_TAG_PATTERN)) {
+            if (!this.LAYOUT_TAG_NAME.test(match[1]) && !tags.includes(match[1])) {
+                tags.push(match[1]);
+            }
+        }
+        return tags;
+    }
 
     /**
      * Remove tags from text based on visibility setting
@@ -27,11 +43,12 @@ export class TagUtils {
                 return text;
 
             case 'allexcludinglayout':
-                // Remove layout tags (#span, #row, #stack)
+                // Remove layout tags (#span, #row, #stack, #wip)
                 return text
                     .replace(this.ROW_TAG_PATTERN, '')
                     .replace(this.SPAN_TAG_PATTERN, '')
                     .replace(this.STACK_TAG_PATTERN, '')
+                    .replace(this.WIP_TAG_PATTERN, '')
                     .replace(/\s+/g, ' ')
                     .trim();
 
@@ -72,7 +89,7 @@ export class TagUtils {
             '#todo', '#doing', '#done', '#blocked',
             '#bug', '#feature', '#enhancement',
             '#red', '#green', '#blue', '#yellow', '#orange',
-            '#row', '#span', '#stack'
+            '#row', '#span', '#stack', '#wip'
         ];
 
         let result = text;